@@ -0,0 +1,267 @@
+#!/usr/bin/env node
+// bin/knime-sql.js
+//
+// Headless conversion of .knwf archives to SQL files:
+//
+//   knime-sql convert workflow.knwf --dialect postgres --out ./sql
+//   knime-sql convert ./workflows --per node --out ./sql
+//
+// Every workflow gets its own folder below --out with one .sql file per sink
+// (default) or per node, plus a summary.json. A summary.json covering all
+// workflows is written to --out itself.
+
+import { mkdir, readdir, readFile, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import {
+  convertWorkflow,
+  DEFAULT_DIALECT,
+  DIALECTS,
+  getCTEName,
+  getDialect,
+} from "../src/index.js";
+
+const USAGE = `Usage: knime-sql convert <workflow.knwf | directory>... [options]
+
+Converts KNIME workflows to SQL. Directories are searched for .knwf files.
+
+Options:
+  -d, --dialect <name>          Target SQL dialect (default: ${DEFAULT_DIALECT})
+                                One of: ${Object.keys(DIALECTS).join(", ")}
+  -o, --out <dir>               Output directory (default: ./sql)
+  -p, --per <sink|node>         One file per sink node (whole-workflow query)
+                                or per node (default: sink)
+      --component-mode <mode>   inline | subquery (default: inline)
+      --parameter-style <style> named (:var) | positional (?) (default: named)
+  -h, --help                    Show this help`;
+
+const OPTIONS = {
+  dialect: { type: "string", short: "d", default: DEFAULT_DIALECT },
+  out: { type: "string", short: "o", default: "./sql" },
+  per: { type: "string", short: "p", default: "sink" },
+  "component-mode": { type: "string", default: "inline" },
+  "parameter-style": { type: "string", default: "named" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// "Sales Report (v2)" -> "sales_report_v2"
+const toFileSlug = (text) =>
+  String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+// Finds the .knwf files named on the command line, searching directories recursively.
+// Each file is returned with the folder name its output goes to.
+const collectWorkflowFiles = async (inputs) => {
+  const files = [];
+  const walk = async (directory, root) => {
+    const entries = await readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath, root);
+      } else if (entry.name.toLowerCase().endsWith(".knwf")) {
+        files.push({
+          file: fullPath,
+          outputName: path.relative(root, fullPath).replace(/\.knwf$/i, ""),
+        });
+      }
+    }
+  };
+  for (const input of inputs) {
+    if ((await stat(input)).isDirectory()) {
+      await walk(input, input);
+    } else {
+      files.push({
+        file: input,
+        outputName: path.basename(input).replace(/\.knwf$/i, ""),
+      });
+    }
+  }
+  return files;
+};
+
+// Converts one workflow and writes its .sql files and summary.json.
+const convertWorkflowFile = async ({ file, outputName }, options) => {
+  const result = await convertWorkflow(await readFile(file), {
+    dialect: options.dialect,
+    componentMode: options.componentMode,
+    parameterStyle: options.parameterStyle,
+  });
+
+  const outputDir = path.join(options.out, outputName);
+  await mkdir(outputDir, { recursive: true });
+
+  const statements =
+    options.per === "node"
+      ? result.sql.nodes.map((statement) => ({
+          fileName: `${statement.name}_${toFileSlug(statement.nodeName)}.sql`,
+          sql: statement.sql,
+          parameters: statement.parameters,
+        }))
+      : result.sql.sinks.map((statement) => ({
+          fileName: `${getCTEName(statement.nodeId)}_${toFileSlug(
+            statement.nodeName
+          )}.sql`,
+          sql: statement.sql,
+          parameters: statement.parameters,
+        }));
+  for (const statement of statements) {
+    await writeFile(
+      path.join(outputDir, statement.fileName),
+      `${statement.sql}\n`,
+      "utf8"
+    );
+  }
+
+  // One report line per node; a node counts as converted if all its output ports are
+  const nodes = result.nodes.map((node) => {
+    const failed = result.sql.nodes.find(
+      (statement) => statement.nodeId === node.id && !statement.converted
+    );
+    return {
+      id: node.id,
+      name: node.name,
+      type: node.factory,
+      container: node.container || null,
+      converted: !failed,
+      message: failed ? failed.message : null,
+      flowVariables: node.flowVariables.map((binding) => ({
+        setting: binding.setting,
+        variable: binding.variable,
+        runtime: binding.runtime,
+      })),
+    };
+  });
+  const summary = {
+    workflow: file,
+    dialect: result.dialect,
+    per: options.per,
+    files: statements.map((statement) => ({
+      file: statement.fileName,
+      parameters: statement.parameters,
+    })),
+    totals: {
+      nodes: nodes.length,
+      converted: nodes.filter((node) => node.converted).length,
+      unconverted: nodes.filter((node) => !node.converted).length,
+    },
+    nodes,
+    diagnostics: result.diagnostics,
+  };
+  await writeFile(
+    path.join(outputDir, "summary.json"),
+    `${JSON.stringify(summary, null, 2)}\n`,
+    "utf8"
+  );
+  return { ...summary, outputDir };
+};
+
+const runConvert = async (inputs, values) => {
+  const options = {
+    dialect: values.dialect,
+    out: values.out,
+    per: values.per,
+    componentMode: values["component-mode"],
+    parameterStyle: values["parameter-style"],
+  };
+  getDialect(options.dialect); // Fail early on unknown dialects
+  if (!["sink", "node"].includes(options.per)) {
+    throw new Error(`--per must be "sink" or "node", got "${options.per}".`);
+  }
+  if (!["inline", "subquery"].includes(options.componentMode)) {
+    throw new Error(
+      `--component-mode must be "inline" or "subquery", got "${options.componentMode}".`
+    );
+  }
+  if (!["named", "positional"].includes(options.parameterStyle)) {
+    throw new Error(
+      `--parameter-style must be "named" or "positional", got "${options.parameterStyle}".`
+    );
+  }
+
+  const workflowFiles = await collectWorkflowFiles(inputs);
+  if (workflowFiles.length === 0) {
+    throw new Error("No .knwf files found.");
+  }
+
+  const results = [];
+  for (const workflowFile of workflowFiles) {
+    try {
+      const result = await convertWorkflowFile(workflowFile, options);
+      const { nodes, converted, unconverted } = result.totals;
+      console.log(
+        `${workflowFile.file}: ${converted}/${nodes} nodes converted` +
+          `${unconverted ? ` (${unconverted} not converted)` : ""}, ` +
+          `${result.files.length} file(s) in ${result.outputDir}`
+      );
+      results.push({
+        workflow: workflowFile.file,
+        outputDir: result.outputDir,
+        totals: result.totals,
+        error: null,
+      });
+    } catch (error) {
+      console.error(`${workflowFile.file}: ${error.message || error}`);
+      results.push({
+        workflow: workflowFile.file,
+        outputDir: null,
+        totals: null,
+        error: error.message || String(error),
+      });
+    }
+  }
+
+  await mkdir(options.out, { recursive: true });
+  await writeFile(
+    path.join(options.out, "summary.json"),
+    `${JSON.stringify(
+      { dialect: getDialect(options.dialect).name, workflows: results },
+      null,
+      2
+    )}\n`,
+    "utf8"
+  );
+
+  const failed = results.filter((result) => result.error).length;
+  console.log(
+    `${results.length - failed}/${results.length} workflow(s) converted. Summary: ${path.join(
+      options.out,
+      "summary.json"
+    )}`
+  );
+  return failed === 0 ? 0 : 1;
+};
+
+const main = async (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+  const [command, ...inputs] = positionals;
+  if (values.help || !command) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+  if (command !== "convert") {
+    console.error(`Unknown command "${command}".\n\n${USAGE}`);
+    return 1;
+  }
+  if (inputs.length === 0) {
+    console.error(`No workflow given.\n\n${USAGE}`);
+    return 1;
+  }
+  return runConvert(inputs, values);
+};
+
+main(process.argv.slice(2))
+  .then((exitCode) => {
+    process.exitCode = exitCode;
+  })
+  .catch((error) => {
+    console.error(`Error: ${error.message || error}`);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,8 @@
+// Fills a dialect function template (dialect.mathFunctions, dialect.stringFunctions):
+// {0}, {1}, ... are replaced by the arguments, {*} by all of them comma-separated.
+// "LPAD({0}, {1}, {2})" + ['"name"', "5", "'0'"] -> LPAD("name", 5, '0')
+// Arguments are inserted as they are: "$&" or "{0}" inside them stay literal.
+export const applyFunctionTemplate = (template, args) =>
+  template.replace(/\{(\*|\d+)\}/g, (match, index) =>
+    index === "*" ? args.join(", ") : args[Number(index)]
+  );
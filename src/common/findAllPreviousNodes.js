@@ -0,0 +1,12 @@
+// Finds *all* direct predecessors of a given node ID by looking for nodes
+// whose nextNodes array contains it.
+export const findAllPreviousNodes = (currentNodeId, allNodes) => {
+  if (!Array.isArray(allNodes)) return [];
+  return allNodes.filter(
+    (node) =>
+      node && // Ensure node exists
+      node.id !== currentNodeId && // Exclude self
+      Array.isArray(node.nextNodes) &&
+      node.nextNodes.includes(currentNodeId)
+  );
+};
@@ -0,0 +1,36 @@
+import { findAllPreviousNodes } from "./findAllPreviousNodes.js";
+
+// Port 0 of a KNIME node is its flow variable port; data ports start at 1.
+export const FLOW_VARIABLE_PORT = 0;
+
+const portRank = (port) =>
+  port === null || port === undefined ? Number.MAX_SAFE_INTEGER : port;
+
+// Finds the nodes feeding the *data* input ports of a node, ordered by input
+// port (e.g. a Joiner's left input before its right input). A node wired into
+// two ports of the same consumer appears twice. Flow variable connections are
+// skipped. Nodes without `outgoingConnections` keep the findAllPreviousNodes
+// order and report null ports.
+export const findInputNodes = (currentNodeId, allNodes) => {
+  const inputs = [];
+  findAllPreviousNodes(currentNodeId, allNodes).forEach((node) => {
+    if (!Array.isArray(node.outgoingConnections)) {
+      inputs.push({ node, sourcePort: null, destPort: null });
+      return;
+    }
+    node.outgoingConnections
+      .filter(
+        (conn) =>
+          conn.destID === currentNodeId && conn.destPort !== FLOW_VARIABLE_PORT
+      )
+      .forEach((conn) =>
+        inputs.push({
+          node,
+          sourcePort: conn.sourcePort,
+          destPort: conn.destPort,
+        })
+      );
+  });
+  // Array.prototype.sort is stable, so inputs without ports keep their order.
+  return inputs.sort((a, b) => portRank(a.destPort) - portRank(b.destPort));
+};
@@ -0,0 +1,12 @@
+// Output ports without a number (older files) are treated as the first data port.
+export const toOutputPort = (port) =>
+  port === null || port === undefined ? 1 : Math.max(port, 1);
+
+// Columns ('nodes') and typed columns ('schema') of one output port of a
+// processed node; ports without their own entry in outputPorts (e.g. both
+// Row Splitter outputs) have the columns of port 1.
+export const getOutputPort = (node, port) =>
+  node?.outputPorts?.[toOutputPort(port)] || {
+    nodes: node?.nodes || [],
+    schema: node?.schema || [],
+  };
@@ -0,0 +1,25 @@
+// Reduces text to lowercase letters, digits and underscores
+const toNamePart = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+// Name of the table a reader node loads its file into: the file name without
+// folder and extension, followed by the node ID so readers of equally named
+// files (a/data.csv and b/data.csv, data.csv and data.xlsx) get their own tables
+// ("knime://knime.workflow/../data/Sales 2024.csv", node "5:3" -> "sales_2024_5_3").
+export const getSourceTableName = (
+  filePath,
+  nodeId = null,
+  fallback = "source_data"
+) => {
+  const baseName = String(filePath || "")
+    .split(/[/\\]/)
+    .pop()
+    .replace(/\.[^.]*$/, "");
+  const name = [toNamePart(baseName) || fallback];
+  if (nodeId !== null && nodeId !== undefined) name.push(toNamePart(nodeId));
+  const tableName = name.join("_");
+  return /^[0-9]/.test(tableName) ? `t_${tableName}` : tableName;
+};
@@ -0,0 +1,27 @@
+import { getEntryValue } from "./getEntryValue.js";
+import { findColumnType } from "./knimeTypes.js";
+
+// Columns of a table spec as KNIME stores it with an executed node's output
+// (<node folder>/port_1/spec.xml, compact xml-js JSON):
+//   spec.xml → number_columns, column_spec_0 → column_name, column_type → cell_class
+// Returns [{ name, type }] in column order (type = generic type key or null).
+export const getTableSpecColumns = (specJson) => {
+  const specConfig = specJson?.config || specJson;
+  const configs = !specConfig?.config
+    ? []
+    : Array.isArray(specConfig.config)
+    ? specConfig.config
+    : [specConfig.config];
+  return configs
+    .filter((config) => /^column_spec_\d+$/.test(config._attributes?.key || ""))
+    .sort(
+      (a, b) =>
+        Number(a._attributes.key.split("_").pop()) -
+        Number(b._attributes.key.split("_").pop())
+    )
+    .map((config) => ({
+      name: getEntryValue(config.entry, "column_name"),
+      type: findColumnType(config),
+    }))
+    .filter((column) => column.name);
+};
@@ -0,0 +1,96 @@
+// Generic column types used throughout the converter ("string", "integer", ...).
+// Dialects map them to SQL types via dialect.mapType; these are the names
+// KNIME shows for them.
+export const KNIME_TYPE_NAMES = {
+  string: "String",
+  integer: "Number (integer)",
+  long: "Number (long)",
+  double: "Number (double)",
+  boolean: "Boolean value",
+  date: "Local Date",
+  dateTime: "Local Date Time",
+  time: "Local Time",
+};
+
+// Checked in order, so e.g. LocalDateTime is matched before LocalDate. Covers
+// cell classes (org.knime.core.data.def.IntCell), Java classes used by the
+// file readers (java.lang.Integer) and KNIME's type names (Number (integer)).
+const TYPE_PATTERNS = [
+  ["dateTime", /LocalDateTime|ZonedDateTime|Local Date Time|Zoned Date Time/i],
+  ["date", /LocalDate|Local Date/i],
+  ["time", /LocalTime|Local Time/i],
+  ["string", /StringCell|java\.lang\.String\b|^String$/i],
+  ["integer", /IntCell|java\.lang\.Integer\b|Number \(integer\)/i],
+  ["long", /LongCell|java\.lang\.Long\b|Number \(long\)/i],
+  ["double", /DoubleCell|java\.lang\.Double\b|Number \(double\)/i],
+  ["boolean", /BooleanCell|java\.lang\.Boolean\b|Boolean value/i],
+];
+
+/**
+ * Maps a KNIME cell class, Java class or type name to a generic type key.
+ * @param {string} value - e.g. "org.knime.core.data.def.DoubleCell".
+ * @returns {string|null} - e.g. "double", or null if the type is not recognized.
+ */
+export const toTypeKey = (value) => {
+  if (!value) return null;
+  const match = TYPE_PATTERNS.find(([, pattern]) => pattern.test(value));
+  return match ? match[0] : null;
+};
+
+// Settings holding the type of a column in reader specs and similar configs.
+const TYPE_SETTING_KEYS = /class|type|converter|producer/i;
+
+/**
+ * Finds the type of a column in a column config (e.g. one entry of a reader's
+ * table spec), searching nested configs such as `type > cell_class`. Only
+ * type-like settings are considered, so a column named "Integer" is no match.
+ * @param {object} columnConfig - Column config (compact format).
+ * @returns {string|null} - The type key, or null if none was found.
+ */
+export const findColumnType = (columnConfig) => {
+  if (!columnConfig) return null;
+  const toArray = (value) =>
+    !value ? [] : Array.isArray(value) ? value : [value];
+  for (const entry of toArray(columnConfig.entry)) {
+    const { key, value } = entry._attributes || {};
+    if (TYPE_SETTING_KEYS.test(key || "") && toTypeKey(value)) {
+      return toTypeKey(value);
+    }
+  }
+  for (const config of toArray(columnConfig.config)) {
+    const typeKey = findColumnType(config);
+    if (typeKey) return typeKey;
+  }
+  return null;
+};
+
+/**
+ * Type of a column fed by several inputs (e.g. Concatenate): identical types
+ * stay, integer/long widen to long, numbers to double, anything else to string.
+ * Unknown (null) types are ignored.
+ * @param {string|null} a
+ * @param {string|null} b
+ * @returns {string|null}
+ */
+export const widenType = (a, b) => {
+  if (!a || !b || a === b) return a || b || null;
+  const numeric = ["integer", "long", "double"];
+  if (numeric.includes(a) && numeric.includes(b)) {
+    return a === "double" || b === "double" ? "double" : "long";
+  }
+  return "string";
+};
+
+/**
+ * Builds a typed schema column.
+ * @param {string} name - Column name.
+ * @param {string|null} type - Generic type key, null if unknown.
+ * @param {object} dialect - Resolved dialect used for the SQL type.
+ * @returns {{name: string, type: string|null, knimeType: string|null, sqlType: string|null}}
+ */
+export const toSchemaColumn = (name, type, dialect) => ({
+  name,
+  type: type || null,
+  knimeType: type ? KNIME_TYPE_NAMES[type] : null,
+  sqlType: type ? dialect.mapType(type) : null,
+});
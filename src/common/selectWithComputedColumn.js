@@ -0,0 +1,35 @@
+// Builds the query of a node computing one column (Rule Engine, Math Formula, ...):
+// the input columns plus the new column, or the input columns with one of them
+// replaced in place. Without the input column names an appended column follows
+// "<input>.*"; replacing needs the names. Returns an "Error: ..." message then.
+export const selectWithComputedColumn = (
+  dialect,
+  previousNodeName,
+  inputColumnNames,
+  expression,
+  outputColumn,
+  append
+) => {
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const computedColumn = `${expression} AS ${dialect.quoteIdentifier(
+    outputColumn
+  )}`;
+  let selectColumns;
+  if (append) {
+    selectColumns =
+      inputColumnNames.length > 0
+        ? inputColumnNames.map((col) => dialect.quoteIdentifier(col))
+        : [`${quotedPreviousNodeName}.*`];
+    selectColumns.push(computedColumn);
+  } else {
+    if (!inputColumnNames.includes(outputColumn)) {
+      return `Error: Cannot replace column "${outputColumn}" without the input column names.`;
+    }
+    selectColumns = inputColumnNames.map((col) =>
+      col === outputColumn ? computedColumn : dialect.quoteIdentifier(col)
+    );
+  }
+  return `SELECT\n  ${selectColumns.join(
+    ",\n  "
+  )}\nFROM ${quotedPreviousNodeName};`;
+};
@@ -0,0 +1,26 @@
+// Builds the query of a node computing several columns at once: a computed
+// column named like an input column replaces it in place, the others follow the
+// input columns. Without the input column names the computed columns follow
+// "<input>.*", so replacing a column needs the names. `fromClause` replaces the
+// input table, e.g. with a subquery selecting the input columns.
+export const selectWithComputedColumns = (
+  dialect,
+  previousNodeName,
+  inputColumnNames,
+  computedColumns,
+  fromClause = dialect.quoteIdentifier(previousNodeName)
+) => {
+  const toSelectColumn = ({ name, expression }) =>
+    `${expression} AS ${dialect.quoteIdentifier(name)}`;
+  const selectColumns =
+    inputColumnNames.length > 0
+      ? inputColumnNames.map((col) => {
+          const computed = computedColumns.find((column) => column.name === col);
+          return computed ? toSelectColumn(computed) : dialect.quoteIdentifier(col);
+        })
+      : [`${dialect.quoteIdentifier(previousNodeName)}.*`];
+  computedColumns
+    .filter((column) => !inputColumnNames.includes(column.name))
+    .forEach((column) => selectColumns.push(toSelectColumn(column)));
+  return `SELECT\n  ${selectColumns.join(",\n  ")}\nFROM ${fromClause};`;
+};
@@ -0,0 +1,64 @@
+// src/common/toDialectDateFormat.js
+
+// Pattern letters standing for the same element as a token of dateFormatTokens
+// ("uuuu" and "y" are years, "LLL" a month name, "E" a day name, ...).
+const toTokenKey = (letters) => {
+  const letter = letters[0];
+  const count = letters.length;
+  if (letter === "y" || letter === "u") return count === 2 ? "yy" : "yyyy";
+  if (letter === "L") return "M".repeat(count);
+  if (letter === "E" && count < 4) return "EEE";
+  if (letter === "D") return "DDD";
+  return letters;
+};
+
+// Translates a Java DateTimeFormatter pattern, as KNIME's Date&Time nodes store
+// it ("yyyy-MM-dd HH:mm"), into a format string of the dialect using its
+// dateFormatTokens and dateFormatLiteral. Text in single quotes and anything
+// that is not a letter is literal. Returns null if the dialect has no equivalent
+// for a pattern letter, or for optional sections ([...]).
+export const toDialectDateFormat = (pattern, dialect) => {
+  const parts = [];
+  let literal = "";
+  const flushLiteral = () => {
+    if (literal) parts.push(dialect.dateFormatLiteral(literal));
+    literal = "";
+  };
+  for (let i = 0; i < pattern.length; ) {
+    const char = pattern[i];
+    if (char === "'") {
+      // Quoted text; '' is a single quote, inside quotes as well as outside
+      if (pattern[i + 1] === "'") {
+        literal += "'";
+        i += 2;
+        continue;
+      }
+      for (i++; i < pattern.length; i++) {
+        if (pattern[i] !== "'") {
+          literal += pattern[i];
+        } else if (pattern[i + 1] === "'") {
+          literal += "'";
+          i++;
+        } else {
+          i++;
+          break;
+        }
+      }
+    } else if (/[A-Za-z]/.test(char)) {
+      let end = i;
+      while (pattern[end] === char) end++;
+      const token = dialect.dateFormatTokens[toTokenKey(pattern.slice(i, end))];
+      if (!token) return null;
+      flushLiteral();
+      parts.push(token);
+      i = end;
+    } else if (char === "[" || char === "]") {
+      return null;
+    } else {
+      literal += char;
+      i++;
+    }
+  }
+  flushLiteral();
+  return parts.join("");
+};
@@ -0,0 +1,493 @@
+// src/dialects/baseDialect.js
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+
+/**
+ * Regular expressions used to check that a string can be parsed as a number
+ * before casting it, for engines without TRY_CAST. regexMatch anchors them.
+ */
+export const NUMERIC_PATTERNS = {
+  integer: "[-+]?[0-9]+",
+  long: "[-+]?[0-9]+",
+  double: "[-+]?([0-9]+[.]?[0-9]*|[.][0-9]+)([eE][-+]?[0-9]+)?",
+};
+
+/**
+ * Converts a Java regex replacement ("$1", "\$" for a literal dollar) to the
+ * backslash references ("\1") most engines use in REGEXP_REPLACE.
+ */
+export const toBackslashReplacement = (replacement) =>
+  replacement.replace(/\\(.)|\$(\d)/g, (match, escaped, group) =>
+    group !== undefined ? `\\${group}` : escaped === "\\" ? "\\\\" : escaped
+  );
+
+/**
+ * Format pieces of strftime-style engines for the Java DateTimeFormatter pattern
+ * letters (see dateFormatTokens).
+ */
+export const strftimeFormatTokens = {
+  yyyy: "%Y",
+  yy: "%y",
+  MMMM: "%B",
+  MMM: "%b",
+  MM: "%m",
+  M: "%-m",
+  dd: "%d",
+  d: "%-d",
+  DDD: "%j",
+  EEEE: "%A",
+  EEE: "%a",
+  HH: "%H",
+  H: "%-H",
+  hh: "%I",
+  h: "%-I",
+  mm: "%M",
+  m: "%-M",
+  ss: "%S",
+  s: "%-S",
+  SSS: "%g",
+  a: "%p",
+};
+
+/**
+ * Select list of selectRows: the quoted columns one per line, or every column.
+ */
+export const selectList = (columns) =>
+  columns.length > 0 ? `\n  ${columns.join(",\n  ")}` : " *";
+
+/**
+ * Base SQL dialect (ANSI SQL). Every dialect in this folder spreads this object
+ * and overrides only what its engine does differently. Methods use `this`, so a
+ * dialect overriding e.g. quoteIdentifier or quoteString changes every helper
+ * built on top of it.
+ *
+ * Methods returning `null` signal that the engine cannot express the construct;
+ * converters then emit an annotated comment instead of invalid SQL.
+ */
+export const baseDialect = {
+  name: "ansi",
+  label: "ANSI SQL",
+  // Whether a CTE body may itself start with WITH (used for collapsed components).
+  supportsNestedWith: true,
+  // LIMIT value standing for all rows, for engines that only accept OFFSET after
+  // a LIMIT (null = OFFSET may stand alone).
+  limitAll: null,
+
+  /**
+   * SQL types used for columns, keyed by the generic type names produced from
+   * KNIME cell classes ("string", "integer", "long", "double", ...).
+   */
+  types: {
+    string: "VARCHAR",
+    integer: "INTEGER",
+    long: "BIGINT",
+    double: "DOUBLE PRECISION",
+    boolean: "BOOLEAN",
+    date: "DATE",
+    dateTime: "TIMESTAMP",
+    time: "TIME",
+  },
+
+  /**
+   * Aggregate functions whose name differs between engines. `null` = unsupported.
+   */
+  aggregateFunctions: {
+    stddevSamp: "STDDEV_SAMP",
+    varSamp: "VAR_SAMP",
+  },
+
+  /**
+   * Numeric functions as templates: {0}, {1}, ... are the arguments, {*} all of
+   * them comma-separated. `null` = unsupported.
+   */
+  mathFunctions: {
+    abs: "ABS({0})",
+    sqrt: "SQRT({0})",
+    exp: "EXP({0})",
+    ln: "LN({0})",
+    log10: "LOG10({0})",
+    power: "POWER({0}, {1})",
+    mod: "MOD({0}, {1})",
+    round: "ROUND({0})",
+    roundTo: "ROUND({0}, {1})",
+    floor: "FLOOR({0})",
+    ceil: "CEIL({0})",
+    trunc: "TRUNC({0})",
+    sign: "SIGN({0})",
+    sin: "SIN({0})",
+    cos: "COS({0})",
+    tan: "TAN({0})",
+    asin: "ASIN({0})",
+    acos: "ACOS({0})",
+    atan: "ATAN({0})",
+    atan2: "ATAN2({0}, {1})",
+    least: "LEAST({*})",
+    greatest: "GREATEST({*})",
+    pi: "PI()",
+    random: "RANDOM()",
+  },
+
+  /**
+   * String functions as templates (see mathFunctions). Positions are 1-based;
+   * padLeft/padRight never shorten the value. `null` = unsupported.
+   */
+  stringFunctions: {
+    upper: "UPPER({0})",
+    lower: "LOWER({0})",
+    trim: "TRIM({0})",
+    trimStart: "LTRIM({0})",
+    trimEnd: "RTRIM({0})",
+    length: "LENGTH({0})",
+    substring: "SUBSTR({0}, {1})",
+    substringLength: "SUBSTR({0}, {1}, {2})",
+    replace: "REPLACE({0}, {1}, {2})",
+    position: "POSITION({1} IN {0})",
+    padLeft: "LPAD({0}, GREATEST({1}, LENGTH({0})), {2})",
+    padRight: "RPAD({0}, GREATEST({1}, LENGTH({0})), {2})",
+    reverse: "REVERSE({0})",
+    emptyToNull: "NULLIF({0}, '')",
+    nullToEmpty: "COALESCE({0}, '')",
+  },
+
+  /**
+   * Format pieces for the letters of Java DateTimeFormatter patterns, which KNIME's
+   * Date&Time nodes use (see toDialectDateFormat). TO_CHAR style; `null` = unsupported.
+   */
+  dateFormatTokens: {
+    yyyy: "YYYY",
+    yy: "YY",
+    MMMM: "FMMonth",
+    MMM: "Mon",
+    MM: "MM",
+    M: "FMMM",
+    dd: "DD",
+    d: "FMDD",
+    DDD: "DDD",
+    EEEE: "FMDay",
+    EEE: "Dy",
+    HH: "HH24",
+    H: "FMHH24",
+    hh: "HH12",
+    h: "FMHH12",
+    mm: "MI",
+    m: "FMMI",
+    ss: "SS",
+    s: "FMSS",
+    SSS: "MS",
+    a: "AM",
+  },
+
+  /**
+   * Date&Time fields as templates (see mathFunctions); numbers may come back as
+   * any numeric type. Days of the week count from Monday = 1. `null` = unsupported.
+   */
+  dateFieldFunctions: {
+    year: "EXTRACT(YEAR FROM {0})",
+    yearWeekBased: null,
+    quarter: null,
+    monthNumber: "EXTRACT(MONTH FROM {0})",
+    monthName: null,
+    week: null,
+    dayOfYear: null,
+    dayOfMonth: "EXTRACT(DAY FROM {0})",
+    dayOfWeekNumber: null,
+    dayOfWeekName: null,
+    hour: "EXTRACT(HOUR FROM {0})",
+    minute: "EXTRACT(MINUTE FROM {0})",
+    second: "FLOOR(EXTRACT(SECOND FROM {0}))",
+    millisecond: null,
+  },
+
+  /**
+   * Adding {1} units to the date&time {0}, as templates. The amount may be an
+   * expression. `null` = unsupported.
+   */
+  dateAddFunctions: {
+    years: "({0} + {1} * INTERVAL '1' YEAR)",
+    months: "({0} + {1} * INTERVAL '1' MONTH)",
+    weeks: "({0} + {1} * INTERVAL '7' DAY)",
+    days: "({0} + {1} * INTERVAL '1' DAY)",
+    hours: "({0} + {1} * INTERVAL '1' HOUR)",
+    minutes: "({0} + {1} * INTERVAL '1' MINUTE)",
+    seconds: "({0} + {1} * INTERVAL '1' SECOND)",
+    milliseconds: "({0} + {1} * INTERVAL '0.001' SECOND)",
+  },
+
+  /**
+   * Number of whole units from the timestamp {0} to the timestamp {1}, as
+   * templates. `null` = unsupported.
+   */
+  dateDiffFunctions: {
+    years: null,
+    months: null,
+    weeks: null,
+    days: null,
+    hours: null,
+    minutes: null,
+    seconds: null,
+    milliseconds: null,
+  },
+
+  quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  },
+
+  quoteString(value) {
+    return `'${String(value).replace(/'/g, "''")}'`;
+  },
+
+  // Named query parameter; `name` only has letters, digits and underscores.
+  parameter(name) {
+    return `:${name}`;
+  },
+
+  mapType(typeKey) {
+    return this.types[typeKey] || this.types.string;
+  },
+
+  // Type name used inside CAST(... AS <type>); only differs from mapType for engines
+  // with a restricted set of cast targets (MySQL).
+  castType(typeKey) {
+    return this.mapType(typeKey);
+  },
+
+  cast(expr, typeKey) {
+    return `CAST(${expr} AS ${this.castType(typeKey)})`;
+  },
+
+  // Cast that yields NULL instead of failing on unparsable input.
+  tryCast(expr, typeKey) {
+    const pattern = NUMERIC_PATTERNS[typeKey];
+    const check = pattern ? this.regexMatch(`TRIM(${expr})`, pattern) : null;
+    if (!check) return this.cast(expr, typeKey);
+    return `CASE WHEN ${check} THEN ${this.cast(expr, typeKey)} END`;
+  },
+
+  // Concatenates the values of a group with a delimiter.
+  listAgg(expr, delimiter) {
+    return `LISTAGG(${expr}, ${this.quoteString(delimiter)})`;
+  },
+
+  // Median of a group (aggregate function), null if the engine has none.
+  median(expr) {
+    return null;
+  },
+
+  // Most frequent value of a group (aggregate function), null if the engine has none.
+  mode(expr) {
+    return null;
+  },
+
+  // Median over each row's window (analytic function, `partition` is its
+  // PARTITION BY clause or ""), null if the engine has none.
+  medianOver(expr, partition) {
+    return null;
+  },
+
+  /**
+   * Value of `expr` in the row of a group with the smallest (`last`: largest)
+   * non-NULL `orderKey` (aggregate function), e.g. the first value in row order.
+   * @param {string} expr - The value.
+   * @param {string} orderKey - Expression ordering the rows; NULL skips a row.
+   * @param {boolean} [last=false] - Take the row with the largest key.
+   * @returns {string|null} - The expression, or null if the engine has no
+   * ordered aggregates.
+   */
+  orderedValue(expr, orderKey, last = false) {
+    return null;
+  },
+
+  // Literal text inside a date format string (dateFormatTokens style).
+  dateFormatLiteral(text) {
+    return /[A-Za-z]/.test(text) ? `"${text}"` : text;
+  },
+
+  // Formats a date&time value with a format string built from dateFormatTokens.
+  formatDateTime(expr, format, typeKey) {
+    return `TO_CHAR(${expr}, ${this.quoteString(format)})`;
+  },
+
+  /**
+   * Parses a string with a format string built from dateFormatTokens.
+   * @param {string} expr - The string.
+   * @param {string} format - Format string (unquoted).
+   * @param {string} typeKey - "date", "dateTime" or "time".
+   * @returns {string|null} - The expression, or null if the engine cannot parse it.
+   */
+  parseDateTime(expr, format, typeKey) {
+    if (typeKey === "date") return `TO_DATE(${expr}, ${this.quoteString(format)})`;
+    if (typeKey === "dateTime") {
+      return `TO_TIMESTAMP(${expr}, ${this.quoteString(format)})`;
+    }
+    return null;
+  },
+
+  // Midnight of a date&time value, as a date.
+  truncateToDay(expr) {
+    return this.cast(expr, "date");
+  },
+
+  // Anchors a (Java) regular expression so it has to match the whole value,
+  // like KNIME's Pattern.matches() does.
+  anchorPattern(pattern) {
+    return `^(${pattern})$`;
+  },
+
+  // Full-match regular expression predicate.
+  regexMatch(expr, pattern, caseSensitive = true) {
+    return null;
+  },
+
+  // String concatenation; NULL if any part is NULL.
+  concat(parts) {
+    return parts.join(" || ");
+  },
+
+  // Replaces every match of a (Java) regular expression; `replacement` may
+  // reference groups as $1. Both are plain strings, not SQL expressions.
+  regexReplace(expr, pattern, replacement) {
+    return null;
+  },
+
+  // Predicate: `expr` has at least `index` parts when split at `delimiter` (a
+  // plain string). Counts the delimiters with LENGTH and REPLACE.
+  hasSplitPart(expr, delimiter, index) {
+    const { length, replace } = this.stringFunctions;
+    const quotedDelimiter = this.quoteString(delimiter);
+    const remainder = applyFunctionTemplate(replace, [
+      expr,
+      quotedDelimiter,
+      "''",
+    ]);
+    return `(${applyFunctionTemplate(length, [expr])} - ${applyFunctionTemplate(
+      length,
+      [remainder]
+    )}) / ${delimiter.length} >= ${index - 1}`;
+  },
+
+  // Part `index` (1-based) of `expr` split at `delimiter` (a plain string), NULL
+  // if there are fewer parts; null if the engine cannot split strings.
+  splitPart(expr, delimiter, index) {
+    const part = `SPLIT_PART(${expr}, ${this.quoteString(delimiter)}, ${index})`;
+    if (index === 1) return part;
+    return `CASE WHEN ${this.hasSplitPart(expr, delimiter, index)} THEN ${part} END`;
+  },
+
+  // Array of the parts of `expr` split at `delimiter`, without repeated parts if
+  // `distinct`; null if the engine has no arrays.
+  splitToList(expr, delimiter, distinct = false) {
+    return null;
+  },
+
+  // LIKE predicate; `pattern` uses "\" as escape character.
+  like(expr, pattern) {
+    const escape = pattern.includes("\\")
+      ? ` ESCAPE ${this.quoteString("\\")}`
+      : "";
+    return `${expr} LIKE ${this.quoteString(pattern)}${escape}`;
+  },
+
+  // Literal for a boolean value (engines without a boolean type use 1/0).
+  booleanLiteral(value) {
+    return value ? "TRUE" : "FALSE";
+  },
+
+  // 1-based number of each row in the table's current order.
+  rowNumber() {
+    return "ROW_NUMBER() OVER ()";
+  },
+
+  /**
+   * Join clause turning each row of the preceding FROM item into one row per
+   * tuple of a VALUES list that may reference its columns (used for unpivoting).
+   * @param {string[][]} rows - SQL expressions, one array per output row.
+   * @param {string} alias - Alias of the VALUES list (unquoted).
+   * @param {string[]} columnNames - Its column names (unquoted).
+   * @returns {string|null} - The join clause, or null if the engine has none.
+   */
+  lateralValues(rows, alias, columnNames) {
+    return null;
+  },
+
+  /**
+   * Window function returning the nearest non-NULL value of `expr` before
+   * ("LAG") or after ("LEAD") the current row.
+   * @param {string} func - "LAG" or "LEAD".
+   * @param {string} expr - The value.
+   * @param {string} orderBy - Expression giving the row order.
+   * @returns {string|null} - The expression, or null if the engine cannot skip NULLs.
+   */
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return null;
+  },
+
+  // One ORDER BY term including the placement of missing values.
+  orderByTerm(expr, direction = "ASC", nullsLast = false) {
+    return `${expr} ${direction} ${nullsLast ? "NULLS LAST" : "NULLS FIRST"}`;
+  },
+
+  /**
+   * Query selecting the columns of `from`, skipping `offset` rows and keeping at
+   * most `count` of the rest. Ends without a semicolon. Also valid as the body of
+   * a CTE.
+   * @param {string} from - Quoted table name, or a subquery with its alias.
+   * @param {string[]} [orderBy=[]] - ORDER BY terms; empty keeps the table order.
+   * @param {number|null} [count=null] - Maximum number of rows, null for all.
+   * @param {number} [offset=0] - Number of rows to skip.
+   * @param {string[]} [columns=[]] - Quoted columns to select; empty for all.
+   * @returns {string}
+   */
+  selectRows(from, orderBy = [], count = null, offset = 0, columns = []) {
+    const parts = [`SELECT${selectList(columns)}\nFROM ${from}`];
+    if (orderBy.length > 0) parts.push(`ORDER BY\n  ${orderBy.join(",\n  ")}`);
+    const limit = count ?? (offset > 0 ? this.limitAll : null);
+    if (limit !== null) parts.push(`LIMIT ${limit}`);
+    if (offset > 0) parts.push(`OFFSET ${offset}`);
+    return parts.join("\n");
+  },
+
+  // Random number in [0, 1), a new one per row. A `seed` makes the numbers
+  // repeatable; null if the engine cannot seed them in a query.
+  randomValue(seed = null) {
+    return seed === null ? this.mathFunctions.random : null;
+  },
+
+  /**
+   * Query selecting a random sample of `from` with the engine's sampling clause:
+   * `count` rows, or `percent` of the rows. Ends without a semicolon.
+   * @param {string} from - Quoted table name.
+   * @param {{count: number|null, percent: number|null, seed: number|null}} sample
+   * @returns {string|null} - The query, or null if the engine has no exact sample
+   * (callers then order by randomValue).
+   */
+  sampleRows(from, sample) {
+    return null;
+  },
+
+  /**
+   * Statement(s) bulk-loading a CSV file into an existing table.
+   * @param {string} tableName - Target table (unquoted).
+   * @param {string} filePath - Path of the file as stored in the workflow.
+   * @param {object} options - { delimiter, quote, escape, header, skipLines, encoding }:
+   *   quote/escape/encoding may be null; skipLines counts lines before the header.
+   * @param {Array<{name: string, type: string}>} columns - Table columns in file order
+   *   (type = generic type key).
+   * @returns {string|null} - The load statement(s), or null if the engine has no loader.
+   */
+  loadCsv(tableName, filePath, options, columns) {
+    return null;
+  },
+
+  /**
+   * Statement(s) loading one sheet of an Excel file into an existing table.
+   * @param {string} tableName - Target table (unquoted).
+   * @param {string} filePath - Path of the file as stored in the workflow.
+   * @param {object} options - { sheetName, sheetIndex, range, header }: sheetName is null
+   *   when the sheet is picked by (0-based) index; range is an A1 range or null;
+   *   header tells whether the first row read holds the column names.
+   * @param {Array<{name: string, type: string}>} columns - Table columns in sheet order.
+   * @returns {string|null} - The load statement(s), or null if the engine cannot read Excel.
+   */
+  loadExcel(tableName, filePath, options, columns) {
+    return null;
+  },
+};
@@ -0,0 +1,170 @@
+// src/dialects/bigquery.js
+import {
+  baseDialect,
+  strftimeFormatTokens,
+  toBackslashReplacement,
+} from "./baseDialect.js";
+
+export const bigQueryDialect = {
+  ...baseDialect,
+  name: "bigquery",
+  label: "BigQuery",
+  limitAll: "9223372036854775807",
+  types: {
+    string: "STRING",
+    integer: "INT64",
+    long: "INT64",
+    double: "FLOAT64",
+    boolean: "BOOL",
+    date: "DATE",
+    dateTime: "DATETIME",
+    time: "TIME",
+  },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    pi: "ACOS(-1)",
+    random: "RAND()",
+  },
+  stringFunctions: {
+    ...baseDialect.stringFunctions,
+    position: "STRPOS({0}, {1})",
+  },
+  // No unpadded elements: M, d, H, ... are written with two digits
+  dateFormatTokens: {
+    ...strftimeFormatTokens,
+    M: "%m",
+    d: "%d",
+    H: "%H",
+    h: "%I",
+    m: "%M",
+    s: "%S",
+    SSS: null,
+  },
+  dateFieldFunctions: {
+    ...baseDialect.dateFieldFunctions,
+    yearWeekBased: "EXTRACT(ISOYEAR FROM {0})",
+    quarter: "EXTRACT(QUARTER FROM {0})",
+    monthName: "FORMAT_DATE('%B', CAST({0} AS DATE))",
+    week: "EXTRACT(ISOWEEK FROM {0})",
+    dayOfYear: "EXTRACT(DAYOFYEAR FROM {0})",
+    // DAYOFWEEK counts from Sunday = 1
+    dayOfWeekNumber: "(MOD(EXTRACT(DAYOFWEEK FROM {0}) + 5, 7) + 1)",
+    dayOfWeekName: "FORMAT_DATE('%A', CAST({0} AS DATE))",
+    second: "EXTRACT(SECOND FROM {0})",
+    millisecond: "EXTRACT(MILLISECOND FROM {0})",
+  },
+  dateAddFunctions: {
+    years: "({0} + INTERVAL {1} YEAR)",
+    months: "({0} + INTERVAL {1} MONTH)",
+    weeks: "({0} + INTERVAL {1} WEEK)",
+    days: "({0} + INTERVAL {1} DAY)",
+    hours: "({0} + INTERVAL {1} HOUR)",
+    minutes: "({0} + INTERVAL {1} MINUTE)",
+    seconds: "({0} + INTERVAL {1} SECOND)",
+    milliseconds: "({0} + INTERVAL {1} MILLISECOND)",
+  },
+  // DATETIME_DIFF counts unit boundaries, not whole units
+  dateDiffFunctions: {
+    years: "DATETIME_DIFF({1}, {0}, YEAR)",
+    months: "DATETIME_DIFF({1}, {0}, MONTH)",
+    weeks: "DATETIME_DIFF({1}, {0}, WEEK)",
+    days: "DATETIME_DIFF({1}, {0}, DAY)",
+    hours: "DATETIME_DIFF({1}, {0}, HOUR)",
+    minutes: "DATETIME_DIFF({1}, {0}, MINUTE)",
+    seconds: "DATETIME_DIFF({1}, {0}, SECOND)",
+    milliseconds: "DATETIME_DIFF({1}, {0}, MILLISECOND)",
+  },
+
+  quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, "\\`")}\``;
+  },
+
+  // String literals use backslash escapes in BigQuery.
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+  },
+
+  parameter(name) {
+    return `@${name}`;
+  },
+
+  tryCast(expr, typeKey) {
+    return `SAFE_CAST(${expr} AS ${this.castType(typeKey)})`;
+  },
+
+  listAgg(expr, delimiter) {
+    return `STRING_AGG(CAST(${expr} AS STRING), ${this.quoteString(delimiter)})`;
+  },
+
+  // PERCENTILE_CONT is an analytic function only (APPROX_QUANTILES is inexact)
+  medianOver(expr, partition) {
+    return `PERCENTILE_CONT(${expr}, 0.5) OVER (${partition})`;
+  },
+
+  // Arrays cannot hold NULL, so the value is wrapped in a STRUCT
+  orderedValue(expr, orderKey, last = false) {
+    return `ARRAY_AGG(STRUCT(${expr} AS value) ORDER BY ${orderKey} IS NULL, ${orderKey} ${
+      last ? "DESC" : "ASC"
+    } LIMIT 1)[OFFSET(0)].value`;
+  },
+
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "" : "(?i)";
+    return `REGEXP_CONTAINS(${expr}, ${this.quoteString(
+      flags + this.anchorPattern(pattern)
+    )})`;
+  },
+
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(pattern)}, ${this.quoteString(
+      toBackslashReplacement(replacement)
+    )})`;
+  },
+
+  splitPart(expr, delimiter, index) {
+    return `SPLIT(${expr}, ${this.quoteString(delimiter)})[SAFE_OFFSET(${
+      index - 1
+    })]`;
+  },
+
+  splitToList(expr, delimiter, distinct = false) {
+    const list = `SPLIT(${expr}, ${this.quoteString(delimiter)})`;
+    return distinct ? `ARRAY(SELECT DISTINCT part FROM UNNEST(${list}) AS part)` : list;
+  },
+
+  dateFormatLiteral(text) {
+    return text.replace(/%/g, "%%");
+  },
+
+  formatDateTime(expr, format, typeKey) {
+    const formatter =
+      typeKey === "date"
+        ? "FORMAT_DATE"
+        : typeKey === "time"
+        ? "FORMAT_TIME"
+        : "FORMAT_DATETIME";
+    return `${formatter}(${this.quoteString(format)}, ${expr})`;
+  },
+
+  parseDateTime(expr, format, typeKey) {
+    const parser = {
+      date: "PARSE_DATE",
+      dateTime: "PARSE_DATETIME",
+      time: "PARSE_TIME",
+    };
+    return `${parser[typeKey]}(${this.quoteString(format)}, ${expr})`;
+  },
+
+  // LAG/LEAD cannot skip NULLs; the last/first non-NULL value of the rows
+  // before/after the current one is the same.
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return func === "LAG"
+      ? `LAST_VALUE(${expr} IGNORE NULLS) OVER (ORDER BY ${orderBy} ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING)`
+      : `FIRST_VALUE(${expr} IGNORE NULLS) OVER (ORDER BY ${orderBy} ROWS BETWEEN 1 FOLLOWING AND UNBOUNDED FOLLOWING)`;
+  },
+
+  // LIKE has no ESCAPE clause; backslash is always the escape character.
+  like(expr, pattern) {
+    return `${expr} LIKE ${this.quoteString(pattern)}`;
+  },
+};
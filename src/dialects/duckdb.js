@@ -0,0 +1,164 @@
+// src/dialects/duckdb.js
+import {
+  baseDialect,
+  strftimeFormatTokens,
+  toBackslashReplacement,
+} from "./baseDialect.js";
+
+// read_csv knows "utf-8", "utf-16" and "latin-1".
+const toDuckDBEncoding = (charset) =>
+  /^(ISO-8859-1|latin-?1)$/i.test(charset) ? "latin-1" : charset.toLowerCase();
+
+export const duckdbDialect = {
+  ...baseDialect,
+  name: "duckdb",
+  label: "DuckDB",
+  types: { ...baseDialect.types, double: "DOUBLE" },
+  dateFormatTokens: strftimeFormatTokens,
+  dateFieldFunctions: {
+    ...baseDialect.dateFieldFunctions,
+    yearWeekBased: "EXTRACT(ISOYEAR FROM {0})",
+    quarter: "EXTRACT(QUARTER FROM {0})",
+    monthName: "monthname({0})",
+    week: "EXTRACT(WEEK FROM {0})",
+    dayOfYear: "EXTRACT(DOY FROM {0})",
+    dayOfWeekNumber: "EXTRACT(ISODOW FROM {0})",
+    dayOfWeekName: "dayname({0})",
+    millisecond: "(EXTRACT(MILLISECONDS FROM {0}) % 1000)",
+  },
+  dateAddFunctions: {
+    years: "({0} + to_years(CAST({1} AS INTEGER)))",
+    months: "({0} + to_months(CAST({1} AS INTEGER)))",
+    weeks: "({0} + to_weeks(CAST({1} AS INTEGER)))",
+    days: "({0} + to_days(CAST({1} AS INTEGER)))",
+    hours: "({0} + to_hours(CAST({1} AS BIGINT)))",
+    minutes: "({0} + to_minutes(CAST({1} AS BIGINT)))",
+    seconds: "({0} + to_seconds(CAST({1} AS DOUBLE)))",
+    milliseconds: "({0} + to_milliseconds(CAST({1} AS DOUBLE)))",
+  },
+  // date_sub counts whole units (date_diff counts unit boundaries)
+  dateDiffFunctions: {
+    years: "date_sub('year', {0}, {1})",
+    months: "date_sub('month', {0}, {1})",
+    weeks: "date_sub('week', {0}, {1})",
+    days: "date_sub('day', {0}, {1})",
+    hours: "date_sub('hour', {0}, {1})",
+    minutes: "date_sub('minute', {0}, {1})",
+    seconds: "date_sub('second', {0}, {1})",
+    milliseconds: "date_sub('millisecond', {0}, {1})",
+  },
+
+  tryCast(expr, typeKey) {
+    return `TRY_CAST(${expr} AS ${this.castType(typeKey)})`;
+  },
+
+  listAgg(expr, delimiter) {
+    return `STRING_AGG(${expr}, ${this.quoteString(delimiter)})`;
+  },
+
+  // Reservoir sampling yields exactly the requested number of rows.
+  sampleRows(from, { count, percent, seed }) {
+    const size = count !== null ? `${count} ROWS` : `${percent} PERCENT`;
+    const method = seed !== null ? `reservoir, ${seed}` : "reservoir";
+    return `SELECT *\nFROM ${from}\nUSING SAMPLE ${size} (${method})`;
+  },
+
+  median(expr) {
+    return `MEDIAN(${expr})`;
+  },
+
+  mode(expr) {
+    return `MODE(${expr})`;
+  },
+
+  orderedValue(expr, orderKey, last = false) {
+    return `FIRST(${expr} ORDER BY ${orderKey} ${
+      last ? "DESC" : "ASC"
+    }) FILTER (WHERE ${orderKey} IS NOT NULL)`;
+  },
+
+  dateFormatLiteral(text) {
+    return text.replace(/%/g, "%%");
+  },
+
+  formatDateTime(expr, format, typeKey) {
+    return `strftime(${expr}, ${this.quoteString(format)})`;
+  },
+
+  // strptime returns a TIMESTAMP
+  parseDateTime(expr, format, typeKey) {
+    const parsed = `strptime(${expr}, ${this.quoteString(format)})`;
+    return typeKey === "dateTime" ? parsed : this.cast(parsed, typeKey);
+  },
+
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "" : `, 'i'`;
+    return `regexp_full_match(${expr}, ${this.quoteString(pattern)}${flags})`;
+  },
+
+  regexReplace(expr, pattern, replacement) {
+    return `regexp_replace(${expr}, ${this.quoteString(pattern)}, ${this.quoteString(
+      toBackslashReplacement(replacement)
+    )}, 'g')`;
+  },
+
+  splitToList(expr, delimiter, distinct = false) {
+    const list = `STRING_SPLIT(${expr}, ${this.quoteString(delimiter)})`;
+    return distinct ? `LIST_DISTINCT(${list})` : list;
+  },
+
+  lateralValues(rows, alias, columnNames) {
+    const values = rows.map((row) => `(${row.join(", ")})`).join(",\n  ");
+    return `CROSS JOIN LATERAL (VALUES\n  ${values}\n) AS ${this.quoteIdentifier(alias)}(${columnNames
+      .map((name) => this.quoteIdentifier(name))
+      .join(", ")})`;
+  },
+
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return `${func}(${expr} IGNORE NULLS) OVER (ORDER BY ${orderBy})`;
+  },
+
+  loadCsv(tableName, filePath, options, columns) {
+    const columnTypes = columns
+      .map(
+        (col) =>
+          `${this.quoteString(col.name)}: ${this.quoteString(
+            this.mapType(col.type)
+          )}`
+      )
+      .join(", ");
+    const csvOptions = [
+      `delim = ${this.quoteString(options.delimiter)}`,
+      `quote = ${this.quoteString(options.quote || "")}`,
+      options.escape && `escape = ${this.quoteString(options.escape)}`,
+      `header = ${options.header ? "true" : "false"}`,
+      options.skipLines > 0 && `skip = ${options.skipLines}`,
+      options.encoding &&
+        `encoding = ${this.quoteString(toDuckDBEncoding(options.encoding))}`,
+      `columns = {${columnTypes}}`,
+    ].filter(Boolean);
+    return `INSERT INTO ${this.quoteIdentifier(
+      tableName
+    )}\nSELECT * FROM read_csv(${this.quoteString(filePath)},\n  ${csvOptions.join(
+      ",\n  "
+    )}\n);`;
+  },
+
+  // read_xlsx comes with the excel extension (DuckDB 1.2+). It cannot pick a
+  // sheet by position, so only the first sheet works without a name.
+  loadExcel(tableName, filePath, options, columns) {
+    if (!options.sheetName && options.sheetIndex > 0) return null;
+    const xlsxOptions = [
+      options.sheetName && `sheet = ${this.quoteString(options.sheetName)}`,
+      options.range && `range = ${this.quoteString(options.range)}`,
+      `header = ${options.header ? "true" : "false"}`,
+    ].filter(Boolean);
+    return `INSTALL excel;\nLOAD excel;\nINSERT INTO ${this.quoteIdentifier(
+      tableName
+    )} (${columns
+      .map((col) => this.quoteIdentifier(col.name))
+      .join(", ")})\nSELECT * FROM read_xlsx(${this.quoteString(filePath)},\n  ${xlsxOptions.join(
+      ",\n  "
+    )}\n);`;
+  },
+};
@@ -0,0 +1,47 @@
+// src/dialects/index.js
+import { postgresDialect } from "./postgres.js";
+import { sqlServerDialect } from "./sqlserver.js";
+import { snowflakeDialect } from "./snowflake.js";
+import { bigQueryDialect } from "./bigquery.js";
+import { duckdbDialect } from "./duckdb.js";
+import { sqliteDialect } from "./sqlite.js";
+import { oracleDialect } from "./oracle.js";
+import { mysqlDialect } from "./mysql.js";
+
+export const DEFAULT_DIALECT = "postgres";
+
+export const DIALECTS = {
+  [postgresDialect.name]: postgresDialect,
+  [sqlServerDialect.name]: sqlServerDialect,
+  [snowflakeDialect.name]: snowflakeDialect,
+  [bigQueryDialect.name]: bigQueryDialect,
+  [duckdbDialect.name]: duckdbDialect,
+  [sqliteDialect.name]: sqliteDialect,
+  [oracleDialect.name]: oracleDialect,
+  [mysqlDialect.name]: mysqlDialect,
+};
+
+// Options for a dialect picker: [{ value: "postgres", label: "PostgreSQL" }, ...]
+export const DIALECT_OPTIONS = Object.values(DIALECTS).map((dialect) => ({
+  value: dialect.name,
+  label: dialect.label,
+}));
+
+/**
+ * Resolves a dialect by name. Dialect objects are passed through unchanged so
+ * converters can accept either.
+ * @param {string|object} [dialect=DEFAULT_DIALECT] - Dialect name (e.g. "snowflake") or dialect object.
+ * @returns {object} - The dialect object.
+ */
+export function getDialect(dialect = DEFAULT_DIALECT) {
+  if (dialect && typeof dialect === "object") return dialect;
+  const found = DIALECTS[String(dialect).toLowerCase()];
+  if (!found) {
+    throw new Error(
+      `Unknown SQL dialect "${dialect}". Supported: ${Object.keys(DIALECTS).join(
+        ", "
+      )}.`
+    );
+  }
+  return found;
+}
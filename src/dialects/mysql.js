@@ -0,0 +1,207 @@
+// src/dialects/mysql.js
+import { baseDialect } from "./baseDialect.js";
+
+// CAST in MySQL only accepts a few target types.
+const MYSQL_CAST_TYPES = {
+  string: "CHAR",
+  integer: "SIGNED",
+  long: "SIGNED",
+  double: "DOUBLE",
+  boolean: "UNSIGNED",
+  date: "DATE",
+  dateTime: "DATETIME",
+  time: "TIME",
+};
+
+// Java charset names -> MySQL character sets (MySQL's latin1 is windows-1252).
+const MYSQL_CHARSETS = {
+  "utf-8": "utf8mb4",
+  "utf-16": "utf16",
+  "utf-16le": "utf16le",
+  "iso-8859-1": "latin1",
+  "windows-1252": "latin1",
+  "us-ascii": "ascii",
+};
+
+const toMySQLCharset = (charset) =>
+  MYSQL_CHARSETS[charset.toLowerCase()] ||
+  charset.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+export const mysqlDialect = {
+  ...baseDialect,
+  name: "mysql",
+  label: "MySQL",
+  limitAll: "18446744073709551615",
+  types: {
+    string: "TEXT",
+    integer: "INT",
+    long: "BIGINT",
+    double: "DOUBLE",
+    boolean: "BOOLEAN",
+    date: "DATE",
+    dateTime: "DATETIME",
+    time: "TIME",
+  },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    trunc: "TRUNCATE({0}, 0)",
+    random: "RAND()",
+  },
+  stringFunctions: {
+    ...baseDialect.stringFunctions,
+    // LENGTH counts bytes
+    length: "CHAR_LENGTH({0})",
+    padLeft: "LPAD({0}, GREATEST({1}, CHAR_LENGTH({0})), {2})",
+    padRight: "RPAD({0}, GREATEST({1}, CHAR_LENGTH({0})), {2})",
+  },
+  dateFormatTokens: {
+    yyyy: "%Y",
+    yy: "%y",
+    MMMM: "%M",
+    MMM: "%b",
+    MM: "%m",
+    M: "%c",
+    dd: "%d",
+    d: "%e",
+    DDD: "%j",
+    EEEE: "%W",
+    EEE: "%a",
+    HH: "%H",
+    H: "%k",
+    hh: "%h",
+    h: "%l",
+    mm: "%i",
+    m: null,
+    ss: "%s",
+    s: null,
+    SSS: null,
+    a: "%p",
+  },
+  dateFieldFunctions: {
+    ...baseDialect.dateFieldFunctions,
+    yearWeekBased: "FLOOR(YEARWEEK({0}, 3) / 100)",
+    quarter: "QUARTER({0})",
+    monthName: "MONTHNAME({0})",
+    week: "WEEK({0}, 3)",
+    dayOfYear: "DAYOFYEAR({0})",
+    dayOfWeekNumber: "(WEEKDAY({0}) + 1)",
+    dayOfWeekName: "DAYNAME({0})",
+    second: "SECOND({0})",
+    millisecond: "FLOOR(MICROSECOND({0}) / 1000)",
+  },
+  dateAddFunctions: {
+    years: "DATE_ADD({0}, INTERVAL {1} YEAR)",
+    months: "DATE_ADD({0}, INTERVAL {1} MONTH)",
+    weeks: "DATE_ADD({0}, INTERVAL {1} WEEK)",
+    days: "DATE_ADD({0}, INTERVAL {1} DAY)",
+    hours: "DATE_ADD({0}, INTERVAL {1} HOUR)",
+    minutes: "DATE_ADD({0}, INTERVAL {1} MINUTE)",
+    seconds: "DATE_ADD({0}, INTERVAL {1} SECOND)",
+    milliseconds: "DATE_ADD({0}, INTERVAL {1} * 1000 MICROSECOND)",
+  },
+  dateDiffFunctions: {
+    years: "TIMESTAMPDIFF(YEAR, {0}, {1})",
+    months: "TIMESTAMPDIFF(MONTH, {0}, {1})",
+    weeks: "TIMESTAMPDIFF(WEEK, {0}, {1})",
+    days: "TIMESTAMPDIFF(DAY, {0}, {1})",
+    hours: "TIMESTAMPDIFF(HOUR, {0}, {1})",
+    minutes: "TIMESTAMPDIFF(MINUTE, {0}, {1})",
+    seconds: "TIMESTAMPDIFF(SECOND, {0}, {1})",
+    milliseconds: "TRUNCATE(TIMESTAMPDIFF(MICROSECOND, {0}, {1}) / 1000, 0)",
+  },
+
+  quoteIdentifier(name) {
+    return `\`${String(name).replace(/`/g, "``")}\``;
+  },
+
+  // Backslash is an escape character in MySQL string literals.
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+  },
+
+  castType(typeKey) {
+    return MYSQL_CAST_TYPES[typeKey] || MYSQL_CAST_TYPES.string;
+  },
+
+  listAgg(expr, delimiter) {
+    return `GROUP_CONCAT(${expr} SEPARATOR ${this.quoteString(delimiter)})`;
+  },
+
+  // || is a logical OR unless PIPES_AS_CONCAT is set
+  concat(parts) {
+    return `CONCAT(${parts.join(", ")})`;
+  },
+
+  dateFormatLiteral(text) {
+    return text.replace(/%/g, "%%");
+  },
+
+  formatDateTime(expr, format, typeKey) {
+    const formatter = typeKey === "time" ? "TIME_FORMAT" : "DATE_FORMAT";
+    return `${formatter}(${expr}, ${this.quoteString(format)})`;
+  },
+
+  // STR_TO_DATE returns a DATE, DATETIME or TIME depending on the format
+  parseDateTime(expr, format, typeKey) {
+    return this.cast(
+      `STR_TO_DATE(${expr}, ${this.quoteString(format)})`,
+      typeKey
+    );
+  },
+
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "'c'" : "'i'";
+    return `REGEXP_LIKE(${expr}, ${this.quoteString(
+      this.anchorPattern(pattern)
+    )}, ${flags})`;
+  },
+
+  // ICU replacements use $1 like Java
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(pattern)}, ${this.quoteString(
+      replacement
+    )})`;
+  },
+
+  // SUBSTRING_INDEX returns the last part when there are fewer parts.
+  splitPart(expr, delimiter, index) {
+    const quotedDelimiter = this.quoteString(delimiter);
+    const part = `SUBSTRING_INDEX(SUBSTRING_INDEX(${expr}, ${quotedDelimiter}, ${index}), ${quotedDelimiter}, -1)`;
+    if (index === 1) return part;
+    return `CASE WHEN ${this.hasSplitPart(expr, delimiter, index)} THEN ${part} END`;
+  },
+
+  randomValue(seed = null) {
+    return seed === null ? "RAND()" : `RAND(${seed})`;
+  },
+
+  // No NULLS FIRST/LAST: NULLs sort first ascending, so sort on a NULL flag first.
+  orderByTerm(expr, direction = "ASC", nullsLast = false) {
+    return `${expr} IS NULL ${nullsLast ? "ASC" : "DESC"}, ${expr} ${direction}`;
+  },
+
+  // Needs local_infile enabled on client and server.
+  loadCsv(tableName, filePath, options, columns) {
+    const enclosed = options.quote
+      ? ` OPTIONALLY ENCLOSED BY ${this.quoteString(options.quote)}`
+      : "";
+    // Doubled quotes inside quoted fields are always read as one quote; any other
+    // escape character is set explicitly, and backslashes are not special otherwise.
+    const escaped =
+      options.escape && options.escape !== options.quote
+        ? ` ESCAPED BY ${this.quoteString(options.escape)}`
+        : " ESCAPED BY ''";
+    const ignoredLines = options.skipLines + (options.header ? 1 : 0);
+    return [
+      `LOAD DATA LOCAL INFILE ${this.quoteString(filePath)}`,
+      `INTO TABLE ${this.quoteIdentifier(tableName)}`,
+      options.encoding &&
+        `CHARACTER SET ${toMySQLCharset(options.encoding)}`,
+      `FIELDS TERMINATED BY ${this.quoteString(options.delimiter)}${enclosed}${escaped}`,
+      ignoredLines > 0 && `IGNORE ${ignoredLines} LINES`,
+      `(${columns.map((col) => this.quoteIdentifier(col.name)).join(", ")});`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  },
+};
@@ -0,0 +1,164 @@
+// src/dialects/oracle.js
+import {
+  baseDialect,
+  selectList,
+  toBackslashReplacement,
+} from "./baseDialect.js";
+
+export const oracleDialect = {
+  ...baseDialect,
+  name: "oracle",
+  label: "Oracle",
+  types: {
+    string: "VARCHAR2(4000)",
+    integer: "NUMBER(10)",
+    long: "NUMBER(19)",
+    double: "BINARY_DOUBLE",
+    boolean: "NUMBER(1)",
+    date: "DATE",
+    dateTime: "TIMESTAMP",
+    time: "VARCHAR2(18)",
+  },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    log10: "LOG(10, {0})",
+    pi: "ACOS(-1)",
+    random: "DBMS_RANDOM.VALUE",
+  },
+  stringFunctions: {
+    ...baseDialect.stringFunctions,
+    position: "INSTR({0}, {1})",
+    reverse: null,
+  },
+  // FM toggles fill mode, so unpadded elements switch it on and off again
+  dateFormatTokens: {
+    ...baseDialect.dateFormatTokens,
+    MMMM: "FMMonthFM",
+    M: "FMMMFM",
+    d: "FMDDFM",
+    EEEE: "FMDayFM",
+    H: "FMHH24FM",
+    h: "FMHH12FM",
+    m: "FMMIFM",
+    s: "FMSSFM",
+    SSS: "FF3",
+  },
+  // EXTRACT only finds time fields in TIMESTAMPs, not in DATEs
+  dateFieldFunctions: {
+    year: "EXTRACT(YEAR FROM {0})",
+    yearWeekBased: "TO_NUMBER(TO_CHAR({0}, 'IYYY'))",
+    quarter: "TO_NUMBER(TO_CHAR({0}, 'Q'))",
+    monthNumber: "EXTRACT(MONTH FROM {0})",
+    monthName: "TRIM(TO_CHAR({0}, 'Month'))",
+    week: "TO_NUMBER(TO_CHAR({0}, 'IW'))",
+    dayOfYear: "TO_NUMBER(TO_CHAR({0}, 'DDD'))",
+    dayOfMonth: "EXTRACT(DAY FROM {0})",
+    dayOfWeekNumber: "(TRUNC({0}) - TRUNC({0}, 'IW') + 1)",
+    dayOfWeekName: "TRIM(TO_CHAR({0}, 'Day'))",
+    hour: "TO_NUMBER(TO_CHAR({0}, 'HH24'))",
+    minute: "TO_NUMBER(TO_CHAR({0}, 'MI'))",
+    second: "TO_NUMBER(TO_CHAR({0}, 'SS'))",
+    millisecond: "TO_NUMBER(TO_CHAR({0}, 'FF3'))",
+  },
+  dateAddFunctions: {
+    years: "ADD_MONTHS({0}, 12 * {1})",
+    months: "ADD_MONTHS({0}, {1})",
+    weeks: "({0} + NUMTODSINTERVAL(7 * {1}, 'DAY'))",
+    days: "({0} + NUMTODSINTERVAL({1}, 'DAY'))",
+    hours: "({0} + NUMTODSINTERVAL({1}, 'HOUR'))",
+    minutes: "({0} + NUMTODSINTERVAL({1}, 'MINUTE'))",
+    seconds: "({0} + NUMTODSINTERVAL({1}, 'SECOND'))",
+    milliseconds: "({0} + NUMTODSINTERVAL({1} / 1000, 'SECOND'))",
+  },
+  // Subtracting DATEs gives days
+  dateDiffFunctions: {
+    years: "TRUNC(MONTHS_BETWEEN({1}, {0}) / 12)",
+    months: "TRUNC(MONTHS_BETWEEN({1}, {0}))",
+    weeks: "TRUNC((CAST({1} AS DATE) - CAST({0} AS DATE)) / 7)",
+    days: "TRUNC(CAST({1} AS DATE) - CAST({0} AS DATE))",
+    hours: "TRUNC((CAST({1} AS DATE) - CAST({0} AS DATE)) * 24)",
+    minutes: "TRUNC((CAST({1} AS DATE) - CAST({0} AS DATE)) * 1440)",
+    seconds: "ROUND((CAST({1} AS DATE) - CAST({0} AS DATE)) * 86400)",
+    milliseconds: null,
+  },
+
+  // No BOOLEAN column type before Oracle 23ai.
+  booleanLiteral(value) {
+    return value ? "1" : "0";
+  },
+
+  // ROW_NUMBER needs an ORDER BY; this one keeps the current order.
+  rowNumber() {
+    return "ROW_NUMBER() OVER (ORDER BY NULL)";
+  },
+
+  // Oracle 12c+ row limiting
+  selectRows(from, orderBy = [], count = null, offset = 0, columns = []) {
+    const parts = [`SELECT${selectList(columns)}\nFROM ${from}`];
+    if (orderBy.length > 0) parts.push(`ORDER BY\n  ${orderBy.join(",\n  ")}`);
+    if (offset > 0) parts.push(`OFFSET ${offset} ROWS`);
+    if (count !== null) parts.push(`FETCH FIRST ${count} ROWS ONLY`);
+    return parts.join("\n");
+  },
+
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return `${func}(${expr}) IGNORE NULLS OVER (ORDER BY ${orderBy})`;
+  },
+
+  // A DATE keeps its time of day when cast
+  truncateToDay(expr) {
+    return `TRUNC(${expr})`;
+  },
+
+  // Oracle 12.2+
+  tryCast(expr, typeKey) {
+    return `CAST(${expr} AS ${this.castType(
+      typeKey
+    )} DEFAULT NULL ON CONVERSION ERROR)`;
+  },
+
+  listAgg(expr, delimiter) {
+    return `LISTAGG(${expr}, ${this.quoteString(
+      delimiter
+    )}) WITHIN GROUP (ORDER BY NULL)`;
+  },
+
+  median(expr) {
+    return `MEDIAN(${expr})`;
+  },
+
+  mode(expr) {
+    return `STATS_MODE(${expr})`;
+  },
+
+  orderedValue(expr, orderKey, last = false) {
+    return last
+      ? `MAX(${expr}) KEEP (DENSE_RANK LAST ORDER BY ${orderKey} NULLS FIRST)`
+      : `MIN(${expr}) KEEP (DENSE_RANK FIRST ORDER BY ${orderKey} NULLS LAST)`;
+  },
+
+  // Between the (index - 1)-th and the index-th delimiter (INSTR occurrences)
+  splitPart(expr, delimiter, index) {
+    const quotedDelimiter = this.quoteString(delimiter);
+    const occurrence = (n) => `INSTR(${expr}, ${quotedDelimiter}, 1, ${n})`;
+    const start = index === 1 ? "1" : `${occurrence(index - 1)} + ${delimiter.length}`;
+    const part = `SUBSTR(${expr}, ${start}, COALESCE(NULLIF(${occurrence(
+      index
+    )}, 0), LENGTH(${expr}) + 1) - (${start}))`;
+    if (index === 1) return part;
+    return `CASE WHEN ${occurrence(index - 1)} > 0 THEN ${part} END`;
+  },
+
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "'c'" : "'i'";
+    return `REGEXP_LIKE(${expr}, ${this.quoteString(
+      this.anchorPattern(pattern)
+    )}, ${flags})`;
+  },
+
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(pattern)}, ${this.quoteString(
+      toBackslashReplacement(replacement)
+    )})`;
+  },
+};
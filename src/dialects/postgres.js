@@ -0,0 +1,108 @@
+// src/dialects/postgres.js
+import { baseDialect, toBackslashReplacement } from "./baseDialect.js";
+
+export const postgresDialect = {
+  ...baseDialect,
+  name: "postgres",
+  label: "PostgreSQL",
+  types: { ...baseDialect.types, string: "TEXT" },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    // ROUND with a precision is only defined for NUMERIC
+    roundTo: "ROUND(CAST({0} AS NUMERIC), {1})",
+  },
+
+  dateFieldFunctions: {
+    ...baseDialect.dateFieldFunctions,
+    yearWeekBased: "EXTRACT(ISOYEAR FROM {0})",
+    quarter: "EXTRACT(QUARTER FROM {0})",
+    monthName: "TO_CHAR({0}, 'FMMonth')",
+    week: "EXTRACT(WEEK FROM {0})",
+    dayOfYear: "EXTRACT(DOY FROM {0})",
+    dayOfWeekNumber: "EXTRACT(ISODOW FROM {0})",
+    dayOfWeekName: "TO_CHAR({0}, 'FMDay')",
+    millisecond: "MOD(FLOOR(EXTRACT(MILLISECONDS FROM {0})), 1000)",
+  },
+  dateDiffFunctions: {
+    years: "EXTRACT(YEAR FROM AGE({1}, {0}))",
+    months:
+      "(EXTRACT(YEAR FROM AGE({1}, {0})) * 12 + EXTRACT(MONTH FROM AGE({1}, {0})))",
+    weeks: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})) / 604800)",
+    days: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})) / 86400)",
+    hours: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})) / 3600)",
+    minutes: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})) / 60)",
+    seconds: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})))",
+    milliseconds: "TRUNC(EXTRACT(EPOCH FROM ({1} - {0})) * 1000)",
+  },
+
+  listAgg(expr, delimiter) {
+    return `STRING_AGG(CAST(${expr} AS TEXT), ${this.quoteString(delimiter)})`;
+  },
+
+  median(expr) {
+    return `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${expr})`;
+  },
+
+  mode(expr) {
+    return `MODE() WITHIN GROUP (ORDER BY ${expr})`;
+  },
+
+  orderedValue(expr, orderKey, last = false) {
+    return `(ARRAY_AGG(${expr} ORDER BY ${orderKey} ${
+      last ? "DESC" : "ASC"
+    }) FILTER (WHERE ${orderKey} IS NOT NULL))[1]`;
+  },
+
+  // TO_TIMESTAMP returns a TIMESTAMP WITH TIME ZONE
+  parseDateTime(expr, format, typeKey) {
+    if (typeKey === "date") return `TO_DATE(${expr}, ${this.quoteString(format)})`;
+    return this.cast(
+      `TO_TIMESTAMP(${expr}, ${this.quoteString(format)})`,
+      typeKey
+    );
+  },
+
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const operator = caseSensitive ? "~" : "~*";
+    return `${expr} ${operator} ${this.quoteString(this.anchorPattern(pattern))}`;
+  },
+
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(pattern)}, ${this.quoteString(
+      toBackslashReplacement(replacement)
+    )}, 'g')`;
+  },
+
+  splitToList(expr, delimiter, distinct = false) {
+    const list = `STRING_TO_ARRAY(${expr}, ${this.quoteString(delimiter)})`;
+    return distinct ? `ARRAY(SELECT DISTINCT UNNEST(${list}))` : list;
+  },
+
+  lateralValues(rows, alias, columnNames) {
+    const values = rows.map((row) => `(${row.join(", ")})`).join(",\n  ");
+    return `CROSS JOIN LATERAL (VALUES\n  ${values}\n) AS ${this.quoteIdentifier(alias)}(${columnNames
+      .map((name) => this.quoteIdentifier(name))
+      .join(", ")})`;
+  },
+
+  // COPY reads the file on the database server (use psql's \copy for client files).
+  loadCsv(tableName, filePath, options, columns) {
+    const formatOptions = [
+      "FORMAT csv",
+      `DELIMITER ${this.quoteString(options.delimiter)}`,
+      options.quote && `QUOTE ${this.quoteString(options.quote)}`,
+      options.escape && `ESCAPE ${this.quoteString(options.escape)}`,
+      `HEADER ${options.header ? "true" : "false"}`,
+      options.encoding && `ENCODING ${this.quoteString(options.encoding)}`,
+    ].filter(Boolean);
+    const skipNote =
+      options.skipLines > 0
+        ? `-- COPY cannot skip lines: remove the first ${options.skipLines} line(s) of the file before loading.\n`
+        : "";
+    return `${skipNote}COPY ${this.quoteIdentifier(tableName)} (${columns
+      .map((col) => this.quoteIdentifier(col.name))
+      .join(", ")})\nFROM ${this.quoteString(filePath)}\nWITH (${formatOptions.join(
+      ", "
+    )});`;
+  },
+};
@@ -0,0 +1,166 @@
+// src/dialects/snowflake.js
+import { baseDialect, toBackslashReplacement } from "./baseDialect.js";
+
+// Snowflake writes encodings without dashes ("UTF8", "WINDOWS1252"), except ISO-8859-x.
+const toSnowflakeEncoding = (charset) =>
+  /^ISO-8859/i.test(charset)
+    ? charset.toUpperCase()
+    : charset.toUpperCase().replace(/-/g, "");
+
+export const snowflakeDialect = {
+  ...baseDialect,
+  name: "snowflake",
+  label: "Snowflake",
+  limitAll: "NULL",
+  types: {
+    ...baseDialect.types,
+    double: "DOUBLE",
+    dateTime: "TIMESTAMP_NTZ",
+  },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    log10: "LOG(10, {0})",
+    random: "UNIFORM(0::FLOAT, 1::FLOAT, RANDOM())",
+  },
+  // No unpadded elements: M, d, H, ... are written with two digits
+  dateFormatTokens: {
+    yyyy: "YYYY",
+    yy: "YY",
+    MMMM: "MMMM",
+    MMM: "MON",
+    MM: "MM",
+    M: "MM",
+    dd: "DD",
+    d: "DD",
+    DDD: null,
+    EEEE: null,
+    EEE: "DY",
+    HH: "HH24",
+    H: "HH24",
+    hh: "HH12",
+    h: "HH12",
+    mm: "MI",
+    m: "MI",
+    ss: "SS",
+    s: "SS",
+    SSS: "FF3",
+    a: "AM",
+  },
+  dateFieldFunctions: {
+    year: "YEAR({0})",
+    yearWeekBased: "YEAROFWEEKISO({0})",
+    quarter: "QUARTER({0})",
+    monthNumber: "MONTH({0})",
+    monthName: "TO_CHAR({0}, 'MMMM')",
+    week: "WEEKISO({0})",
+    dayOfYear: "DAYOFYEAR({0})",
+    dayOfMonth: "DAY({0})",
+    dayOfWeekNumber: "DAYOFWEEKISO({0})",
+    dayOfWeekName: null,
+    hour: "HOUR({0})",
+    minute: "MINUTE({0})",
+    second: "SECOND({0})",
+    millisecond: "FLOOR(DATE_PART(NANOSECOND, {0}) / 1000000)",
+  },
+  dateAddFunctions: {
+    years: "DATEADD(YEAR, {1}, {0})",
+    months: "DATEADD(MONTH, {1}, {0})",
+    weeks: "DATEADD(WEEK, {1}, {0})",
+    days: "DATEADD(DAY, {1}, {0})",
+    hours: "DATEADD(HOUR, {1}, {0})",
+    minutes: "DATEADD(MINUTE, {1}, {0})",
+    seconds: "DATEADD(SECOND, {1}, {0})",
+    milliseconds: "DATEADD(MILLISECOND, {1}, {0})",
+  },
+  // DATEDIFF counts unit boundaries, not whole units
+  dateDiffFunctions: {
+    years: "DATEDIFF(YEAR, {0}, {1})",
+    months: "DATEDIFF(MONTH, {0}, {1})",
+    weeks: "DATEDIFF(WEEK, {0}, {1})",
+    days: "DATEDIFF(DAY, {0}, {1})",
+    hours: "DATEDIFF(HOUR, {0}, {1})",
+    minutes: "DATEDIFF(MINUTE, {0}, {1})",
+    seconds: "DATEDIFF(SECOND, {0}, {1})",
+    milliseconds: "DATEDIFF(MILLISECOND, {0}, {1})",
+  },
+
+  // Backslashes are escape characters in Snowflake string literals.
+  quoteString(value) {
+    return `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "''")}'`;
+  },
+
+  tryCast(expr, typeKey) {
+    return `TRY_CAST(${expr} AS ${this.castType(typeKey)})`;
+  },
+
+  parseDateTime(expr, format, typeKey) {
+    const parser = {
+      date: "TO_DATE",
+      dateTime: "TO_TIMESTAMP_NTZ",
+      time: "TO_TIME",
+    };
+    return `${parser[typeKey]}(${expr}, ${this.quoteString(format)})`;
+  },
+
+  randomValue(seed = null) {
+    return `UNIFORM(0::FLOAT, 1::FLOAT, RANDOM(${seed ?? ""}))`;
+  },
+
+  median(expr) {
+    return `MEDIAN(${expr})`;
+  },
+
+  mode(expr) {
+    return `MODE(${expr})`;
+  },
+
+  // MIN_BY / MAX_BY skip rows with a NULL key
+  orderedValue(expr, orderKey, last = false) {
+    return `${last ? "MAX_BY" : "MIN_BY"}(${expr}, ${orderKey})`;
+  },
+
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return `${func}(${expr}) IGNORE NULLS OVER (ORDER BY ${orderBy})`;
+  },
+
+  splitToList(expr, delimiter, distinct = false) {
+    const list = `SPLIT(${expr}, ${this.quoteString(delimiter)})`;
+    return distinct ? `ARRAY_DISTINCT(${list})` : list;
+  },
+
+  // REGEXP_LIKE always matches the whole value in Snowflake.
+  regexMatch(expr, pattern, caseSensitive = true) {
+    const flags = caseSensitive ? "" : `, 'i'`;
+    return `REGEXP_LIKE(${expr}, ${this.quoteString(pattern)}${flags})`;
+  },
+
+  regexReplace(expr, pattern, replacement) {
+    return `REGEXP_REPLACE(${expr}, ${this.quoteString(
+      pattern
+    )}, ${this.quoteString(toBackslashReplacement(replacement))})`;
+  },
+
+  // The file is uploaded to the table's stage with PUT (SnowSQL / connectors) first.
+  loadCsv(tableName, filePath, options, columns) {
+    const stage = `@%${this.quoteIdentifier(tableName)}`;
+    const formatOptions = [
+      "TYPE = CSV",
+      `FIELD_DELIMITER = ${this.quoteString(options.delimiter)}`,
+      options.quote &&
+        `FIELD_OPTIONALLY_ENCLOSED_BY = ${this.quoteString(options.quote)}`,
+      // A doubled quote is read as one quote anyway
+      options.escape &&
+        options.escape !== options.quote &&
+        `ESCAPE = ${this.quoteString(options.escape)}`,
+      `SKIP_HEADER = ${options.skipLines + (options.header ? 1 : 0)}`,
+      options.encoding &&
+        `ENCODING = ${this.quoteString(toSnowflakeEncoding(options.encoding))}`,
+    ].filter(Boolean);
+    const fileUrl = `file://${filePath.replace(/^file:\/\//, "")}`;
+    return `PUT ${this.quoteString(fileUrl)} ${stage};\nCOPY INTO ${this.quoteIdentifier(
+      tableName
+    )} (${columns.map((col) => this.quoteIdentifier(col.name)).join(", ")})\nFROM ${stage}\nFILE_FORMAT = (${formatOptions.join(
+      " "
+    )});`;
+  },
+};
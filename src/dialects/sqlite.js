@@ -0,0 +1,143 @@
+// src/dialects/sqlite.js
+import { baseDialect } from "./baseDialect.js";
+
+export const sqliteDialect = {
+  ...baseDialect,
+  name: "sqlite",
+  label: "SQLite",
+  limitAll: "-1",
+  types: {
+    string: "TEXT",
+    integer: "INTEGER",
+    long: "INTEGER",
+    double: "REAL",
+    boolean: "INTEGER",
+    date: "TEXT",
+    dateTime: "TEXT",
+    time: "TEXT",
+  },
+  // Math functions need SQLite 3.35+ built with SQLITE_ENABLE_MATH_FUNCTIONS.
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    least: "MIN({*})",
+    greatest: "MAX({*})",
+    random: "(RANDOM() / 18446744073709551616.0 + 0.5)",
+  },
+  stringFunctions: {
+    ...baseDialect.stringFunctions,
+    position: "INSTR({0}, {1})",
+    padLeft: null,
+    padRight: null,
+    reverse: null,
+  },
+  aggregateFunctions: {
+    stddevSamp: null,
+    varSamp: null,
+  },
+  // strftime() has no names, unpadded numbers or 12-hour clock
+  dateFormatTokens: {
+    yyyy: "%Y",
+    yy: null,
+    MMMM: null,
+    MMM: null,
+    MM: "%m",
+    M: null,
+    dd: "%d",
+    d: null,
+    DDD: "%j",
+    EEEE: null,
+    EEE: null,
+    HH: "%H",
+    H: null,
+    hh: null,
+    h: null,
+    mm: "%M",
+    m: null,
+    ss: "%S",
+    s: null,
+    SSS: null,
+    a: null,
+  },
+  // Dates are ISO 8601 strings
+  dateFieldFunctions: {
+    year: "CAST(strftime('%Y', {0}) AS INTEGER)",
+    yearWeekBased: null,
+    quarter: "((CAST(strftime('%m', {0}) AS INTEGER) + 2) / 3)",
+    monthNumber: "CAST(strftime('%m', {0}) AS INTEGER)",
+    monthName: null,
+    week: null,
+    dayOfYear: "CAST(strftime('%j', {0}) AS INTEGER)",
+    dayOfMonth: "CAST(strftime('%d', {0}) AS INTEGER)",
+    // %w counts from Sunday = 0
+    dayOfWeekNumber: "((CAST(strftime('%w', {0}) AS INTEGER) + 6) % 7 + 1)",
+    dayOfWeekName: null,
+    hour: "CAST(strftime('%H', {0}) AS INTEGER)",
+    minute: "CAST(strftime('%M', {0}) AS INTEGER)",
+    second: "CAST(strftime('%S', {0}) AS INTEGER)",
+    millisecond: "(CAST(strftime('%f', {0}) * 1000 AS INTEGER) % 1000)",
+  },
+  dateAddFunctions: {
+    years: "datetime({0}, printf('%+d years', {1}))",
+    months: "datetime({0}, printf('%+d months', {1}))",
+    weeks: "datetime({0}, printf('%+d days', 7 * {1}))",
+    days: "datetime({0}, printf('%+d days', {1}))",
+    hours: "datetime({0}, printf('%+d hours', {1}))",
+    minutes: "datetime({0}, printf('%+d minutes', {1}))",
+    seconds: "datetime({0}, printf('%+f seconds', {1}))",
+    milliseconds: "datetime({0}, printf('%+f seconds', {1} / 1000.0))",
+  },
+  dateDiffFunctions: {
+    years: null,
+    months: null,
+    weeks: "CAST((julianday({1}) - julianday({0})) / 7 AS INTEGER)",
+    days: "CAST(julianday({1}) - julianday({0}) AS INTEGER)",
+    hours: "CAST((julianday({1}) - julianday({0})) * 24 AS INTEGER)",
+    minutes: "CAST((julianday({1}) - julianday({0})) * 1440 AS INTEGER)",
+    seconds: "CAST(ROUND((julianday({1}) - julianday({0})) * 86400) AS INTEGER)",
+    milliseconds:
+      "CAST(ROUND((julianday({1}) - julianday({0})) * 86400000) AS INTEGER)",
+  },
+
+  // CAST never fails in SQLite, so reject anything that is not made of number characters.
+  tryCast(expr, typeKey) {
+    const allowed =
+      typeKey === "integer" || typeKey === "long" ? "0-9+-" : "0-9.eE+-";
+    return `CASE WHEN TRIM(${expr}) <> '' AND TRIM(${expr}) NOT GLOB '*[^${allowed}]*' THEN ${this.cast(
+      expr,
+      typeKey
+    )} END`;
+  },
+
+  dateFormatLiteral(text) {
+    return text.replace(/%/g, "%%");
+  },
+
+  formatDateTime(expr, format, typeKey) {
+    return `strftime(${this.quoteString(format)}, ${expr})`;
+  },
+
+  // No parsing with a format
+  parseDateTime(expr, format, typeKey) {
+    return null;
+  },
+
+  truncateToDay(expr) {
+    return `date(${expr})`;
+  },
+
+  listAgg(expr, delimiter) {
+    return `GROUP_CONCAT(${expr}, ${this.quoteString(delimiter)})`;
+  },
+
+  // REGEXP needs the regexp extension (bundled with the sqlite3 shell); it has no
+  // case-insensitive flag.
+  regexMatch(expr, pattern, caseSensitive = true) {
+    if (!caseSensitive) return null;
+    return `${expr} REGEXP ${this.quoteString(this.anchorPattern(pattern))}`;
+  },
+
+  // No string splitting function
+  splitPart(expr, delimiter, index) {
+    return null;
+  },
+};
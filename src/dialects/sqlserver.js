@@ -0,0 +1,208 @@
+// src/dialects/sqlserver.js
+import { baseDialect, selectList } from "./baseDialect.js";
+
+export const sqlServerDialect = {
+  ...baseDialect,
+  name: "sqlserver",
+  label: "SQL Server",
+  supportsNestedWith: false,
+  types: {
+    string: "NVARCHAR(MAX)",
+    integer: "INT",
+    long: "BIGINT",
+    double: "FLOAT",
+    boolean: "BIT",
+    date: "DATE",
+    dateTime: "DATETIME2",
+    time: "TIME",
+  },
+  mathFunctions: {
+    ...baseDialect.mathFunctions,
+    ln: "LOG({0})",
+    mod: "({0} % {1})",
+    round: "ROUND({0}, 0)",
+    ceil: "CEILING({0})",
+    trunc: "ROUND({0}, 0, 1)",
+    atan2: "ATN2({0}, {1})",
+    random: "RAND()",
+  },
+  stringFunctions: {
+    ...baseDialect.stringFunctions,
+    length: "LEN({0})",
+    substring: "SUBSTRING({0}, {1}, LEN({0}))",
+    substringLength: "SUBSTRING({0}, {1}, {2})",
+    position: "CHARINDEX({1}, {0})",
+    padLeft:
+      "CASE WHEN LEN({0}) >= {1} THEN {0} ELSE RIGHT(REPLICATE({2}, {1}) + {0}, {1}) END",
+    padRight:
+      "CASE WHEN LEN({0}) >= {1} THEN {0} ELSE LEFT({0} + REPLICATE({2}, {1}), {1}) END",
+  },
+  aggregateFunctions: {
+    stddevSamp: "STDEV",
+    varSamp: "VAR",
+  },
+  // .NET custom format strings (see formatDateTime)
+  dateFormatTokens: {
+    yyyy: "yyyy",
+    yy: "yy",
+    MMMM: "MMMM",
+    MMM: "MMM",
+    MM: "MM",
+    M: "M",
+    dd: "dd",
+    d: "d",
+    DDD: null,
+    EEEE: "dddd",
+    EEE: "ddd",
+    HH: "HH",
+    H: "H",
+    hh: "hh",
+    h: "h",
+    mm: "mm",
+    m: "m",
+    ss: "ss",
+    s: "s",
+    SSS: "fff",
+    a: "tt",
+  },
+  dateFieldFunctions: {
+    year: "DATEPART(YEAR, {0})",
+    yearWeekBased: null,
+    quarter: "DATEPART(QUARTER, {0})",
+    monthNumber: "DATEPART(MONTH, {0})",
+    monthName: "DATENAME(MONTH, {0})",
+    week: "DATEPART(ISO_WEEK, {0})",
+    dayOfYear: "DATEPART(DAYOFYEAR, {0})",
+    dayOfMonth: "DATEPART(DAY, {0})",
+    // WEEKDAY depends on DATEFIRST
+    dayOfWeekNumber: "((DATEPART(WEEKDAY, {0}) + @@DATEFIRST + 5) % 7 + 1)",
+    dayOfWeekName: "DATENAME(WEEKDAY, {0})",
+    hour: "DATEPART(HOUR, {0})",
+    minute: "DATEPART(MINUTE, {0})",
+    second: "DATEPART(SECOND, {0})",
+    millisecond: "DATEPART(MILLISECOND, {0})",
+  },
+  dateAddFunctions: {
+    years: "DATEADD(YEAR, {1}, {0})",
+    months: "DATEADD(MONTH, {1}, {0})",
+    weeks: "DATEADD(WEEK, {1}, {0})",
+    days: "DATEADD(DAY, {1}, {0})",
+    hours: "DATEADD(HOUR, {1}, {0})",
+    minutes: "DATEADD(MINUTE, {1}, {0})",
+    seconds: "DATEADD(SECOND, {1}, {0})",
+    milliseconds: "DATEADD(MILLISECOND, {1}, {0})",
+  },
+  // DATEDIFF counts unit boundaries, not whole units
+  dateDiffFunctions: {
+    years: "DATEDIFF(YEAR, {0}, {1})",
+    months: "DATEDIFF(MONTH, {0}, {1})",
+    weeks: "DATEDIFF(WEEK, {0}, {1})",
+    days: "DATEDIFF(DAY, {0}, {1})",
+    hours: "DATEDIFF(HOUR, {0}, {1})",
+    minutes: "DATEDIFF(MINUTE, {0}, {1})",
+    seconds: "DATEDIFF_BIG(SECOND, {0}, {1})",
+    milliseconds: "DATEDIFF_BIG(MILLISECOND, {0}, {1})",
+  },
+
+  booleanLiteral(value) {
+    return value ? "1" : "0";
+  },
+
+  // ROW_NUMBER needs an ORDER BY; this one keeps the current order.
+  rowNumber() {
+    return "ROW_NUMBER() OVER (ORDER BY (SELECT NULL))";
+  },
+
+  // TOP for the first rows; skipping rows needs OFFSET, which needs an ORDER BY.
+  // A CTE may only have an ORDER BY with TOP or OFFSET.
+  selectRows(from, orderBy = [], count = null, offset = 0, columns = []) {
+    if (offset === 0 && (count !== null || orderBy.length === 0)) {
+      const top = count !== null ? ` TOP (${count})` : "";
+      const orderByClause =
+        orderBy.length > 0 ? `\nORDER BY\n  ${orderBy.join(",\n  ")}` : "";
+      return `SELECT${top}${selectList(columns)}\nFROM ${from}${orderByClause}`;
+    }
+    const terms = orderBy.length > 0 ? orderBy : ["(SELECT NULL)"];
+    const fetch = count !== null ? `\nFETCH NEXT ${count} ROWS ONLY` : "";
+    return `SELECT${selectList(columns)}\nFROM ${from}\nORDER BY\n  ${terms.join(
+      ",\n  "
+    )}\nOFFSET ${offset} ROWS${fetch}`;
+  },
+
+  // STRING_SPLIT numbers the parts from SQL Server 2022 on and only splits at
+  // single characters.
+  splitPart(expr, delimiter, index) {
+    if (delimiter.length !== 1) return null;
+    return `(SELECT value FROM STRING_SPLIT(${expr}, ${this.quoteString(
+      delimiter
+    )}, 1) WHERE ordinal = ${index})`;
+  },
+
+  // RAND() is evaluated once per query; NEWID() once per row.
+  randomValue(seed = null) {
+    return seed === null ? "(ABS(CHECKSUM(NEWID()) % 1000000) / 1000000.0)" : null;
+  },
+
+  // SQL Server 2022+
+  offsetIgnoreNulls(func, expr, orderBy) {
+    return `${func}(${expr}) IGNORE NULLS OVER (ORDER BY ${orderBy})`;
+  },
+
+  lateralValues(rows, alias, columnNames) {
+    const values = rows.map((row) => `(${row.join(", ")})`).join(",\n  ");
+    return `CROSS APPLY (VALUES\n  ${values}\n) AS ${this.quoteIdentifier(alias)}(${columnNames
+      .map((name) => this.quoteIdentifier(name))
+      .join(", ")})`;
+  },
+
+  quoteIdentifier(name) {
+    return `[${String(name).replace(/]/g, "]]")}]`;
+  },
+
+  parameter(name) {
+    return `@${name}`;
+  },
+
+  tryCast(expr, typeKey) {
+    return `TRY_CAST(${expr} AS ${this.castType(typeKey)})`;
+  },
+
+  // The culture keeps separators and names independent of the server's language.
+  formatDateTime(expr, format, typeKey) {
+    return `FORMAT(${expr}, ${this.quoteString(format)}, 'en-US')`;
+  },
+
+  // No parsing with a format
+  parseDateTime(expr, format, typeKey) {
+    return null;
+  },
+
+  // PERCENTILE_CONT is an analytic function only
+  medianOver(expr, partition) {
+    return `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${expr}) OVER (${partition})`;
+  },
+
+  listAgg(expr, delimiter) {
+    return `STRING_AGG(CAST(${expr} AS NVARCHAR(MAX)), ${this.quoteString(
+      delimiter
+    )})`;
+  },
+
+  // No regular expressions in T-SQL before SQL Server 2025.
+  regexMatch() {
+    return null;
+  },
+
+  // CONCAT() would turn NULL into ''
+  concat(parts) {
+    return parts.join(" + ");
+  },
+
+  // No NULLS FIRST/LAST: sort on a NULL flag first.
+  orderByTerm(expr, direction = "ASC", nullsLast = false) {
+    const nullFlag = `CASE WHEN ${expr} IS NULL THEN ${
+      nullsLast ? 1 : 0
+    } ELSE ${nullsLast ? 0 : 1} END`;
+    return `${nullFlag}, ${expr} ${direction}`;
+  },
+};
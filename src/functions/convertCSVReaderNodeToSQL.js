@@ -1,3 +1,7 @@
+import { getDialect } from "../dialects/index.js";
+import { findColumnType } from "../common/knimeTypes.js";
+import { getSourceTableName } from "../common/getSourceTableName.js";
+
 /**
  * Utility function to get a value from a node's "entry".
  * The node.entry can be an object or an array.
@@ -35,8 +39,59 @@ function findConfigByKey(config, key) {
   return null;
 }
 
+// KNIME writes special characters in settings.xml as "%%" plus a five digit
+// character code, e.g. "%%00009" for a tab.
+const decodeSetting = (value) =>
+  value
+    ? value.replace(/%%(\d{5})/g, (match, code) =>
+        String.fromCharCode(parseInt(code, 10))
+      )
+    : null;
+
+/**
+ * Reads the file format settings of a CSV Reader from its model config.
+ *
+ * Expected structure:
+ *   model → settings → column_delimiter, quote_char, quote_escape_char, has_column_header, has_row_id
+ *   model → limit_rows → skip_lines, number_of_lines_to_skip
+ *   model → encoding → charset (null = platform default)
+ *
+ * @param {object} modelNode - The "model" config.
+ * @returns {{delimiter: string, quote: string|null, escape: string|null, header: boolean, hasRowId: boolean, skipLines: number, encoding: string|null}}
+ */
+const getCSVFormat = (modelNode) => {
+  const settingsNode = findConfigByKey(modelNode.config, "settings");
+  const limitRowsNode = findConfigByKey(modelNode.config, "limit_rows");
+  const encodingNode =
+    findConfigByKey(modelNode.config, "encoding") ||
+    findConfigByKey(
+      findConfigByKey(modelNode.config, "advanced_settings")?.config,
+      "encoding"
+    );
+  const skipLines =
+    getEntryValue(limitRowsNode, "skip_lines") === "true"
+      ? parseInt(getEntryValue(limitRowsNode, "number_of_lines_to_skip"), 10) ||
+        0
+      : 0;
+  return {
+    delimiter:
+      decodeSetting(getEntryValue(settingsNode, "column_delimiter")) || ",",
+    quote: decodeSetting(getEntryValue(settingsNode, "quote_char")),
+    escape: decodeSetting(getEntryValue(settingsNode, "quote_escape_char")),
+    header: getEntryValue(settingsNode, "has_column_header") !== "false",
+    hasRowId: getEntryValue(settingsNode, "has_row_id") === "true",
+    skipLines,
+    encoding:
+      getEntryValue(encodingNode, "charset") ||
+      getEntryValue(settingsNode, "charset") ||
+      null,
+  };
+};
+
 /**
- * Converts a KNIME CSV Reader node configuration to an SQL query.
+ * Converts a KNIME CSV Reader node configuration to SQL: a CREATE TABLE typed
+ * from the reader's column specs, the dialect's bulk load of the file into it,
+ * and the query reading the table.
  *
  * The configuration is expected to have two main properties:
  *   - entry: an array of key/value pairs (including "factory", etc.)
@@ -45,25 +100,40 @@ function findConfigByKey(config, key) {
  * The CSV file name is extracted from:
  *   model → settings → file_selection → path → (entry with key "path")
  *
- * The column names are extracted from:
+ * The columns are extracted from:
  *   model → table_spec_config_Internals → individual_specs → (node with key equal to the CSV file name)
- *     → each column node's entry with key "name"
+ *     → each column node's entry with key "name" and its type (e.g. type → cell_class)
+ *
+ * The table is named after the file and the node. Example output (PostgreSQL, node 3):
+ *   CREATE TABLE "sales_2008_2011_3" (
+ *     "product" TEXT,
+ *     "quantity" INTEGER
+ *   );
+ *
+ *   COPY "sales_2008_2011_3" ("product", "quantity")
+ *   FROM '/data/sales_2008-2011.csv'
+ *   WITH (FORMAT csv, DELIMITER ',', QUOTE '"', ESCAPE '"', HEADER true);
  *
- * Example SQL output:
  *   SELECT
- *     product,
- *     country,
- *     date,
- *     quantity,
- *     amount,
- *     card,
- *     Cust_ID
- *   FROM sales_2008-2011.csv;
+ *     "product",
+ *     "quantity"
+ *   FROM "sales_2008_2011_3";
+ *
+ * Dialects without a bulk loader get a comment describing the file format instead
+ * of the load statement.
  *
  * @param {object} nodeConfig - The full node configuration object.
- * @returns {string} - The generated SQL query or an error message if something is missing.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @param {number|string} [id] - Workflow ID of the node, part of the table name.
+ * @returns {string} - The generated SQL statements or an error message if something is missing.
  */
-export function convertCSVReaderNodeToSQL(nodeConfig) {
+export function convertCSVReaderNodeToSQL(
+  nodeConfig,
+  dialect = getDialect(),
+  id = null
+) {
+  dialect = getDialect(dialect);
+
   // Step 1: Ensure the node is a CSV Reader by checking the "factory" entry.
   const factory = getEntryValue({ entry: nodeConfig.entry }, "factory");
   const CSV_FACTORY =
@@ -130,7 +200,10 @@ export function convertCSVReaderNodeToSQL(nodeConfig) {
         columnNodes.forEach((colNode) => {
           const colName = getEntryValue(colNode, "name");
           if (colName) {
-            columns.push(colName);
+            columns.push({
+              name: colName,
+              type: findColumnType(colNode) || "string",
+            });
           }
         });
       }
@@ -140,6 +213,39 @@ export function convertCSVReaderNodeToSQL(nodeConfig) {
     return "No columns found in the configuration.";
   }
 
-  // Step 5: Build and return the SQL query.
-  return `SELECT\n  ${columns.join(",\n  ")}\nFROM ${fileName};`;
+  // Step 5: Build the statements.
+  const format = getCSVFormat(modelNode);
+  const tableName = getSourceTableName(fileName, id);
+  const quotedTable = dialect.quoteIdentifier(tableName);
+  // A row ID column in the file becomes the "RowID" column, like the Joiner and
+  // the Duplicate Row Filter expect it.
+  const tableColumns = format.hasRowId
+    ? [{ name: "RowID", type: "string" }, ...columns]
+    : columns;
+
+  const columnDefinitions = tableColumns.map(
+    (col) => `${dialect.quoteIdentifier(col.name)} ${dialect.mapType(col.type)}`
+  );
+  const createTable = `CREATE TABLE ${quotedTable} (\n  ${columnDefinitions.join(
+    ",\n  "
+  )}\n);`;
+
+  const load =
+    dialect.loadCsv(tableName, fileName, format, tableColumns) ||
+    `-- ${dialect.label} has no bulk load statement: load ${dialect.quoteString(
+      fileName
+    )} into ${quotedTable} with a client tool.\n-- Format: delimiter ${JSON.stringify(
+      format.delimiter
+    )}, quote ${JSON.stringify(format.quote)}, header row: ${
+      format.header ? "yes" : "no"
+    }, lines to skip: ${format.skipLines}, encoding: ${
+      format.encoding || "default"
+    }.`;
+
+  const quotedColumns = tableColumns.map((col) =>
+    dialect.quoteIdentifier(col.name)
+  );
+  const select = `SELECT\n  ${quotedColumns.join(",\n  ")}\nFROM ${quotedTable};`;
+
+  return [createTable, load, select].join("\n\n");
 }
@@ -0,0 +1,260 @@
+// src/functions/convertCellSplitterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { selectWithComputedColumns } from "../common/selectWithComputedColumns.js";
+import { getDialect } from "../dialects/index.js";
+
+export const CELL_SPLITTER_FACTORY =
+  "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory";
+export const CELL_SPLITTER_BY_POSITION_FACTORY =
+  "org.knime.base.node.preproc.cellsplitbypos.CellSplitterByPosNodeFactory";
+
+// Escape sequences KNIME resolves in the delimiter if "use escape character" is set
+const ESCAPE_SEQUENCES = { t: "\t", n: "\n", r: "\r", "\\": "\\" };
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Reads the settings of a Cell Splitter or Cell Splitter by Position node.
+ * Cell Splitter: model → columnName, delimiter, useEscapeCharacter, quotePattern,
+ *   trim, useEmptyString (instead of missing values), outputAsCols / outputAsList /
+ *   outputAsSet, guessNumOfCols, numOfCols, removeInputColumn
+ * Cell Splitter by Position: model → colName, splitPoints ("3,5"), colNames
+ *   ("a,b,c"); the input column is kept.
+ * @param {string} factory - The node's factory.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{column: string|null, output: string, delimiter: string, quote: string, trim: boolean, useEmptyString: boolean, numberOfColumns: number|null, removeInputColumn: boolean, splitPoints: number[], columnNames: string[]}} -
+ * output is "columns", "list" or "set"; numberOfColumns is null if KNIME
+ * guesses it from the data.
+ */
+export const getCellSplitterSettings = (factory, modelNode) => {
+  const entries = modelNode?.entry;
+  const toList = (text) =>
+    (text || "")
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item !== "");
+  if (factory === CELL_SPLITTER_BY_POSITION_FACTORY) {
+    return {
+      column:
+        getEntryValue(entries, "colName") ?? getEntryValue(entries, "columnName"),
+      output: "columns",
+      delimiter: "",
+      quote: "",
+      trim: false,
+      useEmptyString: false,
+      numberOfColumns: null,
+      removeInputColumn: false,
+      splitPoints: toList(getEntryValue(entries, "splitPoints")).map(Number),
+      columnNames: toList(getEntryValue(entries, "colNames")),
+    };
+  }
+  let delimiter = getEntryValue(entries, "delimiter") ?? ",";
+  if (getEntryValue(entries, "useEscapeCharacter") === true) {
+    delimiter = delimiter.replace(
+      /\\([tnr\\])/g,
+      (match, char) => ESCAPE_SEQUENCES[char]
+    );
+  }
+  return {
+    column: getEntryValue(entries, "columnName"),
+    output:
+      getEntryValue(entries, "outputAsList") === true
+        ? "list"
+        : getEntryValue(entries, "outputAsSet") === true
+        ? "set"
+        : "columns",
+    delimiter,
+    quote: getEntryValue(entries, "quotePattern") || "",
+    trim: getEntryValue(entries, "trim") !== false,
+    useEmptyString: getEntryValue(entries, "useEmptyString") === true,
+    numberOfColumns:
+      getEntryValue(entries, "guessNumOfCols") === false
+        ? Number(getEntryValue(entries, "numOfCols") ?? 0)
+        : null,
+    removeInputColumn: getEntryValue(entries, "removeInputColumn") === true,
+    splitPoints: [],
+    columnNames: [],
+  };
+};
+
+/**
+ * Columns a Cell Splitter (by Position) node appends, in output order. The
+ * Cell Splitter names them "<column>_Arr[0]", "<column>_Arr[1]", ... or
+ * "<column>_SplitResultList" / "<column>_SplitResultSet". If it guesses the
+ * number of columns (and their types) from the data, they are taken from the
+ * output spec KNIME saved with the executed node; without it there are none.
+ * @param {object} settings - Result of getCellSplitterSettings.
+ * @param {Array<{name: string, type: string|null}>} [outputSpec=[]] - Saved output columns (port 1).
+ * @returns {Array<{name: string, type: string|null}>} - type is a generic type
+ * key, null for lists and sets.
+ */
+export const getCellSplitterColumns = (settings, outputSpec = []) => {
+  const { column, output, numberOfColumns, splitPoints, columnNames } = settings;
+  if (!column) return [];
+  if (output !== "columns") {
+    const suffix = output === "set" ? "SplitResultSet" : "SplitResultList";
+    return [{ name: `${column}_${suffix}`, type: null }];
+  }
+  if (splitPoints.length > 0) {
+    return columnNames.map((name) => ({ name, type: "string" }));
+  }
+  const specType = (name) =>
+    outputSpec.find((specColumn) => specColumn.name === name)?.type || "string";
+  if (numberOfColumns !== null) {
+    return Array.from({ length: numberOfColumns }, (value, index) => {
+      const name = `${column}_Arr[${index}]`;
+      return { name, type: specType(name) };
+    });
+  }
+  const namePattern = new RegExp(`^${escapeRegExp(column)}_Arr\\[\\d+\\]$`);
+  return outputSpec
+    .filter((specColumn) => namePattern.test(specColumn.name))
+    .map(({ name, type }) => ({ name, type: type || "string" }));
+};
+
+/**
+ * Converts a KNIME Cell Splitter or Cell Splitter by Position node configuration
+ * (compact JSON) to an SQL query appending the parts of a string column:
+ * - Cell Splitter: the parts between the delimiters (SPLIT_PART, SUBSTRING_INDEX,
+ *   STRING_SPLIT, ... depending on the dialect), trimmed and cast to the column
+ *   types KNIME guessed; parts beyond the last delimiter are missing (or empty).
+ *   List and set output become an array where the engine has arrays.
+ * - Cell Splitter by Position: the substrings between the split points.
+ *
+ * Example output (PostgreSQL, "name" split at ", " into two columns):
+ *   SELECT
+ *     "id",
+ *     "name",
+ *     TRIM(SPLIT_PART("name", ', ', 1)) AS "name_Arr[0]",
+ *     TRIM(CASE WHEN (LENGTH("name") - LENGTH(REPLACE("name", ', ', ''))) / 2 >= 1 THEN SPLIT_PART("name", ', ', 2) END) AS "name_Arr[1]"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} [inputColumnNames=[]] - Columns of the input table.
+ * @param {Array<{name: string, type: string|null}>} [outputSpec=[]] - Output columns
+ * KNIME saved with the executed node (port 1), for a guessed number of columns.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertCellSplitterNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  outputSpec = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (
+    factory !== CELL_SPLITTER_FACTORY &&
+    factory !== CELL_SPLITTER_BY_POSITION_FACTORY
+  ) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Cell Splitter node factory (${CELL_SPLITTER_FACTORY} or ${CELL_SPLITTER_BY_POSITION_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const settings = getCellSplitterSettings(factory, modelNode);
+  const { column, output, delimiter, quote, trim, useEmptyString, splitPoints } =
+    settings;
+  if (!column) {
+    return "Error: No column to split specified in the configuration.";
+  }
+  const byPosition = factory === CELL_SPLITTER_BY_POSITION_FACTORY;
+  if (byPosition) {
+    if (
+      splitPoints.length === 0 ||
+      splitPoints.some(
+        (point, index) =>
+          !Number.isInteger(point) ||
+          point <= (index > 0 ? splitPoints[index - 1] : 0)
+      )
+    ) {
+      return "Error: The split points must be increasing positive whole numbers.";
+    }
+    if (settings.columnNames.length !== splitPoints.length + 1) {
+      return `Error: ${splitPoints.length} split points need ${
+        splitPoints.length + 1
+      } column names.`;
+    }
+  } else if (delimiter === "") {
+    return "Error: No delimiter specified in the configuration.";
+  }
+  const newColumns = getCellSplitterColumns(settings, outputSpec);
+  if (newColumns.length === 0) {
+    return "Error: The number of columns is guessed from the data; execute the node in KNIME so its output spec is saved.";
+  }
+
+  // Step 3: One expression per new column
+  const quotedColumn = dialect.quoteIdentifier(column);
+  const { substring, substringLength } = dialect.stringFunctions;
+  const getPart = (index) => {
+    if (byPosition) {
+      const start = index > 0 ? splitPoints[index - 1] + 1 : 1;
+      return index < splitPoints.length
+        ? applyFunctionTemplate(substringLength, [
+            quotedColumn,
+            start,
+            splitPoints[index] - start + 1,
+          ])
+        : applyFunctionTemplate(substring, [quotedColumn, start]);
+    }
+    const part = dialect.splitPart(quotedColumn, delimiter, index + 1);
+    return part && trim
+      ? applyFunctionTemplate(dialect.stringFunctions.trim, [part])
+      : part;
+  };
+  const computedColumns = [];
+  for (const [index, { name, type }] of newColumns.entries()) {
+    let expression;
+    if (output === "columns") {
+      expression = getPart(index);
+      if (expression && type && type !== "string") {
+        expression = dialect.cast(expression, type);
+      } else if (expression && useEmptyString) {
+        expression = applyFunctionTemplate(dialect.stringFunctions.nullToEmpty, [
+          expression,
+        ]);
+      }
+    } else {
+      expression = dialect.splitToList(quotedColumn, delimiter, output === "set");
+    }
+    if (!expression) {
+      return output === "columns"
+        ? `Error: Splitting "${column}" at ${dialect.quoteString(
+            delimiter
+          )} is not supported in ${dialect.label}.`
+        : `Error: ${dialect.label} has no arrays to hold the parts of "${column}".`;
+    }
+    computedColumns.push({ name, expression });
+  }
+
+  // Step 4: Construct the query
+  if (settings.removeInputColumn && inputColumnNames.length === 0) {
+    return "Error: Cannot remove the split column without the input column names.";
+  }
+  const keptColumnNames = settings.removeInputColumn
+    ? inputColumnNames.filter((col) => col !== column)
+    : inputColumnNames;
+  const note = quote
+    ? `-- Note: Delimiters inside quotes (${quote}) are split too.\n`
+    : "";
+  return (
+    note +
+    selectWithComputedColumns(
+      dialect,
+      previousNodeName,
+      keptColumnNames,
+      computedColumns
+    )
+  );
+}
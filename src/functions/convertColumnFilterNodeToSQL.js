@@ -1,3 +1,5 @@
+import { getDialect } from "../dialects/index.js";
+
 /**
  * Converts a KNIME Column Filter node configuration to an SQL query.
  *
@@ -6,13 +8,19 @@
  * - excluded_names: an array of column names to exclude from the output.
  *
  * Example SQL output:
- * SELECT country, date, amount FROM table_name;
+ * SELECT "country", "date", "amount" FROM "table_name";
  *
  * @param {object} nodeConfig - The full node configuration object.
  * @param {string} previousNodeName - The name of the previous node (for table name).
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message if something is missing.
  */
-export function convertColumnFilterNodeToSQL(nodeConfig, previousNodeName) {
+export function convertColumnFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName,
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
   // Step 1: Ensure the node is a Column Filter by checking the "factory" entry.
   const factory = getEntryValue(nodeConfig, "factory");
   const COLUMN_FILTER_FACTORY =
@@ -80,8 +88,11 @@ export function convertColumnFilterNodeToSQL(nodeConfig, previousNodeName) {
   );
 
   // Create the SELECT clause
-  const selectClause = finalColumns.length > 0 ? finalColumns.join(", ") : "*"; // Fallback to * if no columns are included
-  const fromClause = previousNodeName || "input_table"; // Use previous node name or default
+  const selectClause =
+    finalColumns.length > 0
+      ? finalColumns.map((col) => dialect.quoteIdentifier(col)).join(", ")
+      : "*"; // Fallback to * if no columns are included
+  const fromClause = dialect.quoteIdentifier(previousNodeName || "input_table"); // Use previous node name or default
 
   return `SELECT ${selectClause} FROM ${fromClause};`;
 }
@@ -1,5 +1,7 @@
 // src/functions/convertColumnMergerNodeToSQL.js
 
+import { getDialect } from "../dialects/index.js";
+
 /**
  * Utility function to get a value from an entry array or object (compact format).
  * @param {object|array} entryProp - The entry property which can be an object or array.
@@ -39,13 +41,16 @@ const findConfigByKey = (config, key) => {
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} previousNodeName - The name of the table/view representing the input data.
  * @param {string[]} [inputColumnNames=[]] - Array of all column names from the input node. Crucial for handling 'Replace' options.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertColumnMergerNodeToSQL(
   nodeConfig,
   previousNodeName = "input_table",
-  inputColumnNames = []
+  inputColumnNames = [],
+  dialect = getDialect()
 ) {
+  dialect = getDialect(dialect);
   // Step 1: Verify node type
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const MERGER_FACTORY =
@@ -86,9 +91,9 @@ export function convertColumnMergerNodeToSQL(
   }
 
   // Step 5: Construct the COALESCE expression (quoting identifiers)
-  const quotedPrimary = `"${primaryCol.replace(/"/g, '""')}"`;
-  const quotedSecondary = `"${secondaryCol.replace(/"/g, '""')}"`;
-  const quotedOutput = `"${outputName.replace(/"/g, '""')}"`;
+  const quotedPrimary = dialect.quoteIdentifier(primaryCol);
+  const quotedSecondary = dialect.quoteIdentifier(secondaryCol);
+  const quotedOutput = dialect.quoteIdentifier(outputName);
   const coalesceExpr = `COALESCE(${quotedPrimary}, ${quotedSecondary}) AS ${quotedOutput}`;
 
   // Step 6: Determine the final SELECT list based on outputPlacement
@@ -99,21 +104,21 @@ export function convertColumnMergerNodeToSQL(
       // Select all input columns EXCEPT primary and secondary, then add the COALESCE result
       selectColumns = inputColumnNames
         .filter((col) => col !== primaryCol && col !== secondaryCol)
-        .map((col) => `"${col.replace(/"/g, '""')}"`); // Quote remaining columns
+        .map((col) => dialect.quoteIdentifier(col)); // Quote remaining columns
       selectColumns.push(coalesceExpr);
       break;
     case "ReplacePrimary":
       // Select all input columns EXCEPT primary, then add the COALESCE result
       selectColumns = inputColumnNames
         .filter((col) => col !== primaryCol)
-        .map((col) => `"${col.replace(/"/g, '""')}"`); // Quote remaining columns
+        .map((col) => dialect.quoteIdentifier(col)); // Quote remaining columns
       selectColumns.push(coalesceExpr);
       break;
     case "NewColumn":
     default: // Treat unknown as NewColumn
       // Select all original input columns, plus the COALESCE result
-      selectColumns = inputColumnNames.map(
-        (col) => `"${col.replace(/"/g, '""')}"`
+      selectColumns = inputColumnNames.map((col) =>
+        dialect.quoteIdentifier(col)
       ); // Quote all original columns
       selectColumns.push(coalesceExpr);
       // Ensure the new column name doesn't clash with existing ones (though KNIME usually prevents this)
@@ -133,7 +138,7 @@ export function convertColumnMergerNodeToSQL(
   }
 
   // Step 7: Build the final SQL query
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   const selectClause = selectColumns.join(",\n  ");
 
   const sqlQuery = `
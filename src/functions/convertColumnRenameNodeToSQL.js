@@ -0,0 +1,178 @@
+// src/functions/convertColumnRenameNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getDialect } from "../dialects/index.js";
+
+const RENAME_FACTORY = "org.knime.base.node.preproc.rename.RenameNodeFactory";
+const COLUMN_RENAMER_FACTORY =
+  "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory";
+const RENAME_REGEX_FACTORY =
+  "org.knime.base.node.preproc.columnrenameregex.ColumnRenameRegexNodeFactory";
+
+// Column Rename (classic), Column Renamer and Column Rename (Regex)
+const COLUMN_RENAME_FACTORIES = [
+  RENAME_FACTORY,
+  COLUMN_RENAMER_FACTORY,
+  RENAME_REGEX_FACTORY,
+];
+
+const getChildConfigs = (config) =>
+  !config?.config
+    ? []
+    : Array.isArray(config.config)
+    ? config.config
+    : [config.config];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Java replacement ($1, ${name}, \$) -> JavaScript replacement ($1, $<name>, $$)
+const toJavaScriptReplacement = (replacement) =>
+  replacement.replace(
+    /\\(.)|\$\{(\w+)\}|\$(\d+)|\$/g,
+    (match, escaped, name, group) => {
+      if (escaped !== undefined) return escaped === "$" ? "$$" : escaped;
+      if (name !== undefined) return `$<${name}>`;
+      if (group !== undefined) return `$${group}`;
+      return "$$";
+    }
+  );
+
+/**
+ * Reads the renames of a rename node. The classic node stores
+ *   model → all_columns → 0, 1, ... → old_column_name, new_column_name
+ * the Column Renamer
+ *   model → renamings → 0, 1, ... → oldName, newName
+ * and the regex node applies
+ *   model → searchString, replaceString, isCaseInsensitive, isLiteral
+ * to every input column name (like String.replaceAll).
+ * @param {string} factory - The node's factory.
+ * @param {object} modelNode - The node's "model" config.
+ * @param {string[]} [inputColumnNames=[]] - Input columns (the regex node renames only these).
+ * @returns {Map<string, string>|null} - New name by old name (changed columns only),
+ * or null if the node is no rename node.
+ * @throws {SyntaxError} - If the regex node's pattern is invalid.
+ */
+export const getColumnRenames = (factory, modelNode, inputColumnNames = []) => {
+  const renames = new Map();
+  const addRename = (oldName, newName) => {
+    if (oldName && newName && oldName !== newName) renames.set(oldName, newName);
+  };
+
+  if (factory === RENAME_FACTORY) {
+    const allColumnsNode = findConfigByKey(modelNode?.config, "all_columns");
+    getChildConfigs(allColumnsNode).forEach((columnConfig) =>
+      addRename(
+        getEntryValue(columnConfig.entry, "old_column_name"),
+        getEntryValue(columnConfig.entry, "new_column_name")
+      )
+    );
+  } else if (factory === COLUMN_RENAMER_FACTORY) {
+    const renamingsNode = findConfigByKey(modelNode?.config, "renamings");
+    getChildConfigs(renamingsNode).forEach((renamingConfig) =>
+      addRename(
+        getEntryValue(renamingConfig.entry, "oldName"),
+        getEntryValue(renamingConfig.entry, "newName")
+      )
+    );
+  } else if (factory === RENAME_REGEX_FACTORY) {
+    const searchString = getEntryValue(modelNode?.entry, "searchString");
+    const replaceString = getEntryValue(modelNode?.entry, "replaceString") || "";
+    if (!searchString) return renames;
+    const isLiteral = getEntryValue(modelNode?.entry, "isLiteral") === true;
+    const flags =
+      getEntryValue(modelNode?.entry, "isCaseInsensitive") === true ? "gi" : "g";
+    const pattern = new RegExp(
+      isLiteral ? escapeRegExp(searchString) : searchString,
+      flags
+    );
+    inputColumnNames.forEach((col) =>
+      addRename(
+        col,
+        col.replace(
+          pattern,
+          isLiteral ? () => replaceString : toJavaScriptReplacement(replaceString)
+        )
+      )
+    );
+  } else {
+    return null;
+  }
+  return renames;
+};
+
+/**
+ * Converts a KNIME Column Rename, Column Renamer or Column Rename (Regex) node
+ * configuration (compact JSON) to an SQL query that selects every input column,
+ * aliasing the renamed ones.
+ *
+ * Example output (PostgreSQL):
+ *   SELECT
+ *     "cust_id" AS "customer_id",
+ *     "amount"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} inputColumnNames - Columns of the input table.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertColumnRenameNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (!COLUMN_RENAME_FACTORIES.includes(factory)) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected a Column Rename node factory (${COLUMN_RENAME_FACTORIES.join(
+      ", "
+    )}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the renames
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  if (inputColumnNames.length === 0) {
+    return "Error: Cannot rename columns without the input column names.";
+  }
+  let renames;
+  try {
+    renames = getColumnRenames(factory, modelNode, inputColumnNames);
+  } catch (error) {
+    return `Error: Invalid rename pattern: ${error.message}.`;
+  }
+
+  renames.forEach((newName, oldName) => {
+    if (!inputColumnNames.includes(oldName)) {
+      console.warn(`Column Rename: column "${oldName}" is not in the input.`);
+    }
+  });
+  const outputColumnNames = inputColumnNames.map(
+    (col) => renames.get(col) || col
+  );
+  const duplicate = outputColumnNames.find(
+    (col, index) => outputColumnNames.indexOf(col) !== index
+  );
+  if (duplicate) {
+    return `Error: Renaming would produce the duplicate column name "${duplicate}".`;
+  }
+
+  // Step 3: Build the SELECT list in input order
+  const selectColumns = inputColumnNames.map((col) =>
+    renames.has(col)
+      ? `${dialect.quoteIdentifier(col)} AS ${dialect.quoteIdentifier(
+          renames.get(col)
+        )}`
+      : dialect.quoteIdentifier(col)
+  );
+  return `SELECT\n  ${selectColumns.join(
+    ",\n  "
+  )}\nFROM ${dialect.quoteIdentifier(previousNodeName)};`;
+}
@@ -1,20 +1,98 @@
-import { getEntryValue } from "../common/getEntryValue"; // [cite: uploaded:src/common/getEntryValue.js]
-import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { getEntryValue } from "../common/getEntryValue.js"; // [cite: uploaded:src/common/getEntryValue.js]
+import { findConfigByKey } from "../common/findConfigByKey.js"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { widenType } from "../common/knimeTypes.js";
+import { getDialect } from "../dialects/index.js";
+
+// KNIME's row IDs are assumed to be a "RowID" column, like the Joiner does
+const ROW_ID_COLUMN = "RowID";
+
+// Helper columns numbering the inputs and the occurrences of a row ID
+const INPUT_INDEX_COLUMN = "knime_input_index";
+const OCCURRENCE_COLUMN = "knime_occurrence";
+
+/**
+ * Reads the Concatenate settings (model, or the node's own entries in old
+ * workflows):
+ *   intersection_of_columns, fail_on_duplicates, append_suffix, suffix
+ * Duplicate row IDs fail the node, get the suffix appended or, if neither
+ * option is set, their rows are skipped.
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @returns {{intersection: boolean, duplicateRowIds: string, suffix: string}} -
+ * duplicateRowIds is "fail", "suffix" or "skip".
+ */
+export const getConcatenateSettings = (nodeConfig) => {
+  const entries =
+    findConfigByKey(nodeConfig?.config, "model")?.entry || nodeConfig?.entry;
+  return {
+    intersection: getEntryValue(entries, "intersection_of_columns") === true,
+    duplicateRowIds:
+      getEntryValue(entries, "fail_on_duplicates") === true
+        ? "fail"
+        : getEntryValue(entries, "append_suffix") === true
+        ? "suffix"
+        : "skip",
+    suffix: getEntryValue(entries, "suffix") ?? "_dup",
+  };
+};
 
 /**
- * Converts a KNIME Concatenate node configuration (compact JSON) to an SQL UNION ALL query.
+ * Output columns of a Concatenate node, in KNIME's order: the columns of the
+ * first input followed by the new columns of each further input, or with
+ * "intersection" only the first input's columns that every input has.
+ * @param {string[][]} inputColumnNames - Columns of each input, in port order.
+ * @param {boolean} intersection - Whether to keep only the shared columns.
+ * @returns {string[]}
+ */
+export const getConcatenateColumns = (inputColumnNames, intersection) => {
+  if (intersection) {
+    const [first = [], ...others] = inputColumnNames;
+    return first.filter((col) => others.every((cols) => cols.includes(col)));
+  }
+  return [...new Set(inputColumnNames.flat())];
+};
+
+/**
+ * Converts a KNIME Concatenate node configuration (compact JSON) to an SQL UNION ALL
+ * query over any number of inputs, in port order. Every input selects the output
+ * columns by name in the same order; columns an input lacks become a NULL of the
+ * column's type, and columns whose type differs between the inputs are cast to
+ * the common type (see widenType).
+ *
+ * Duplicate row IDs are handled on the "RowID" column if the inputs have one:
+ * later rows are skipped, or get the suffix appended once per earlier input
+ * with the same row ID (ROW_NUMBER over the row ID), as KNIME keeps appending
+ * it until the ID is unique. Suffixed IDs that already occur in the inputs are
+ * not detected. Without a "RowID" column the inputs keep all their rows, as
+ * with KNIME's default of appending a suffix.
+ *
+ * Example output (PostgreSQL, union of columns):
+ *   SELECT
+ *     "node_1"."id",
+ *     "node_1"."name",
+ *     CAST(NULL AS DOUBLE PRECISION) AS "score"
+ *   FROM "node_1"
+ *   UNION ALL
+ *   SELECT
+ *     "node_2"."id",
+ *     CAST(NULL AS TEXT) AS "name",
+ *     "node_2"."score"
+ *   FROM "node_2";
  *
  * @param {object} nodeConfig - The full node configuration object (compact format).
- * @param {Array<object>} predecessorNodeContext - An array of context objects for each direct predecessor node.
- * Each object must contain:
+ * @param {Array<object>} predecessorNodeContext - An array of context objects for each direct predecessor node,
+ * in port order. Each object must contain:
  * - `nodeName`: The name to use for the input table/view in the FROM clause.
  * - `nodes`: An array of output column names (strings) for that predecessor.
+ * - `schema` (optional): Typed output columns ([{ name, type }]) for that predecessor.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertConcatenateNodeToSQL(
   nodeConfig,
-  predecessorNodeContext
+  predecessorNodeContext,
+  dialect = getDialect()
 ) {
+  dialect = getDialect(dialect);
   // --- 1. Verify Node Type ---
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const CONCATENATE_FACTORY =
@@ -44,101 +122,113 @@ export function convertConcatenateNodeToSQL(
     }
   }
 
-  // --- 3. Extract Model Settings ---
-  const modelNode = findConfigByKey(nodeConfig.config, "model");
-  if (!modelNode) {
-    // Concatenate node might have settings directly in entry for simpler cases
-    // Let's try reading directly from nodeConfig.entry as a fallback
-    console.warn(
-      "Model node not found directly, attempting to read settings from nodeConfig.entry."
-    );
-  }
-
-  // Use modelNode?.entry if modelNode exists, otherwise fallback to nodeConfig.entry
-  const configSource = modelNode?.entry || nodeConfig.entry;
-
-  const intersectionOfColumns =
-    getEntryValue(configSource, "intersection_of_columns") === true; // Default false if null/missing
-  // Note: fail_on_duplicates and append_suffix relate to column name handling *before* concatenation in KNIME,
-  // which SQL UNION ALL doesn't handle automatically. We assume columns are compatible.
-  const failOnDuplicates = getEntryValue(configSource, "fail_on_duplicates");
-  const appendSuffix = getEntryValue(configSource, "append_suffix");
+  // --- 3. Extract Settings ---
+  const { intersection, duplicateRowIds, suffix } =
+    getConcatenateSettings(nodeConfig);
 
-  let sqlComment = `-- Concatenate Node Conversion (using UNION ALL)\n`;
-  if (intersectionOfColumns) {
-    sqlComment += `-- Mode: Intersection of columns\n`;
-  } else {
-    sqlComment += `-- Mode: Union of columns (default)\n`;
-  }
-  if (failOnDuplicates !== null || appendSuffix !== null) {
-    sqlComment += `-- Note: KNIME options 'fail_on_duplicates' and 'append_suffix' for column names are not directly translated. SQL UNION ALL requires columns in SELECT lists to align.\n`;
-  }
-
-  // --- 4. Determine Final Output Columns ---
-  let finalOutputColumns = [];
-  const allInputColumnSets = predecessorNodeContext.map(
-    (pred) => new Set(pred.nodes)
+  // --- 4. Determine Output Columns and Their Types ---
+  const finalOutputColumns = getConcatenateColumns(
+    predecessorNodeContext.map((pred) => pred.nodes),
+    intersection
   );
-
-  if (intersectionOfColumns) {
-    // Start with columns from the first predecessor
-    if (allInputColumnSets.length > 0) {
-      let intersection = new Set(allInputColumnSets[0]);
-      // Iterate through the rest, keeping only common columns
-      for (let i = 1; i < allInputColumnSets.length; i++) {
-        intersection = new Set(
-          [...intersection].filter((col) => allInputColumnSets[i].has(col))
-        );
-      }
-      finalOutputColumns = [...intersection];
-    }
-    if (finalOutputColumns.length === 0) {
-      return "Error: Intersection of columns resulted in an empty column set.";
-    }
-  } else {
-    // Union of columns
-    const unionSet = new Set();
-    allInputColumnSets.forEach((colSet) => {
-      colSet.forEach((col) => unionSet.add(col));
-    });
-    finalOutputColumns = [...unionSet];
-  }
-
-  // Sort columns alphabetically for consistent order in SQL
-  finalOutputColumns.sort();
-
   if (finalOutputColumns.length === 0) {
-    return "Error: No columns determined for the output.";
+    return intersection
+      ? "Error: Intersection of columns resulted in an empty column set."
+      : "Error: No columns determined for the output.";
   }
+  // Type of each column per input (null if unknown) and over all inputs
+  const inputTypes = predecessorNodeContext.map((pred) =>
+    Object.fromEntries(
+      (pred.schema || []).map((column) => [column.name, column.type])
+    )
+  );
+  const outputTypes = Object.fromEntries(
+    finalOutputColumns.map((col) => [
+      col,
+      inputTypes.reduce((type, types) => widenType(type, types[col]), null),
+    ])
+  );
 
-  // --- 5. Construct UNION ALL Parts ---
-  const unionParts = [];
-  for (let i = 0; i < predecessorNodeContext.length; i++) {
-    const pred = predecessorNodeContext[i];
-    const predColumns = allInputColumnSets[i]; // Use the Set for faster lookup
-    const quotedPredName = `"${pred.nodeName.replace(/"/g, '""')}"`;
-
-    const selectList = finalOutputColumns
-      .map((col) => {
-        const quotedCol = `"${col.replace(/"/g, '""')}"`;
-        if (predColumns.has(col)) {
-          // Column exists in this predecessor
-          return `${quotedPredName}.${quotedCol}`;
-        } else {
-          // Column does not exist, select NULL
-          // Note: Assumes compatible data types for UNION ALL.
-          // We don't know the type here, so just use NULL.
-          return `NULL AS ${quotedCol}`;
-        }
-      })
-      .join(",\n    ");
-
-    const selectStatement = `SELECT\n    ${selectList}\n  FROM ${quotedPredName}`;
-    unionParts.push(selectStatement);
+  // --- 5. Duplicate Row IDs ---
+  const hasRowIds = predecessorNodeContext.every((pred) =>
+    pred.nodes.includes(ROW_ID_COLUMN)
+  );
+  const quotedRowId = dialect.quoteIdentifier(ROW_ID_COLUMN);
+  let sqlComment = "";
+  if (duplicateRowIds === "fail") {
+    sqlComment = `-- Note: KNIME fails on duplicate row IDs; the query does not check for them.\n`;
+  } else if (duplicateRowIds === "skip" && !hasRowIds) {
+    sqlComment = `-- Note: KNIME skips rows whose row ID occurs in an earlier input; without a "${ROW_ID_COLUMN}" column all rows are kept.\n`;
   }
-
-  // --- 6. Combine and Return SQL ---
-  const finalSql = sqlComment + unionParts.join("\nUNION ALL\n");
-
-  return finalSql.trim() + ";";
+  // Row IDs of the inputs before input i, as a subquery indented by `indent`
+  const earlierRowIds = (i, indent) =>
+    `(\n${indent}  ${predecessorNodeContext
+      .slice(0, i)
+      .map(
+        (pred) =>
+          `SELECT ${quotedRowId} FROM ${dialect.quoteIdentifier(pred.nodeName)}`
+      )
+      .join(`\n${indent}  UNION ALL\n${indent}  `)}\n${indent})`;
+  // Suffixes are numbered over the stacked inputs
+  const numberOccurrences = hasRowIds && duplicateRowIds === "suffix";
+  const quotedInputIndex = dialect.quoteIdentifier(INPUT_INDEX_COLUMN);
+
+  // --- 6. Construct UNION ALL Parts ---
+  const unionParts = predecessorNodeContext.map((pred, i) => {
+    const quotedPredName = dialect.quoteIdentifier(pred.nodeName);
+    const rowId = `${quotedPredName}.${quotedRowId}`;
+    const selectList = finalOutputColumns.map((col) => {
+      const quotedCol = dialect.quoteIdentifier(col);
+      const type = outputTypes[col];
+      if (!pred.nodes.includes(col)) {
+        // Column does not exist in this input: NULL of the column's type
+        return `${type ? dialect.cast("NULL", type) : "NULL"} AS ${quotedCol}`;
+      }
+      const value = `${quotedPredName}.${quotedCol}`;
+      const inputType = inputTypes[i][col];
+      return inputType && type && inputType !== type
+        ? `${dialect.cast(value, type)} AS ${quotedCol}`
+        : value;
+    });
+    if (numberOccurrences) {
+      selectList.push(`${i} AS ${quotedInputIndex}`);
+    }
+    const whereClause =
+      hasRowIds && i > 0 && duplicateRowIds === "skip"
+        ? `\nWHERE ${rowId} NOT IN ${earlierRowIds(i, "")}`
+        : "";
+    return `SELECT\n  ${selectList.join(
+      ",\n  "
+    )}\nFROM ${quotedPredName}${whereClause}`;
+  });
+
+  // --- 7. Combine and Return SQL ---
+  const union = unionParts.join("\nUNION ALL\n");
+  if (!numberOccurrences) return `${sqlComment}${union};`;
+  // The n-th occurrence of a row ID gets the suffix appended n - 1 times; each
+  // input has a row ID once at most
+  const occurrence = dialect.quoteIdentifier(OCCURRENCE_COLUMN);
+  const suffixedRowIds = predecessorNodeContext
+    .slice(1)
+    .map(
+      (pred, i) =>
+        `WHEN ${i + 1} THEN ${dialect.concat([
+          quotedRowId,
+          ...Array(i + 1).fill(dialect.quoteString(suffix)),
+        ])}`
+    );
+  const outerColumns = finalOutputColumns.map((col) =>
+    col === ROW_ID_COLUMN
+      ? `CASE ${occurrence} ${suffixedRowIds.join(
+          " "
+        )} ELSE ${quotedRowId} END AS ${quotedRowId}`
+      : dialect.quoteIdentifier(col)
+  );
+  const stacked = dialect.quoteIdentifier("stacked");
+  return `${sqlComment}SELECT\n  ${outerColumns.join(
+    ",\n  "
+  )}\nFROM (\n  SELECT ${stacked}.*,\n    ROW_NUMBER() OVER (PARTITION BY ${quotedRowId} ORDER BY ${quotedInputIndex}) - 1 AS ${occurrence}\n  FROM (\n    ${union.replace(
+    /\n/g,
+    "\n    "
+  )}\n  ) ${stacked}\n) ${dialect.quoteIdentifier("numbered")};`;
 }
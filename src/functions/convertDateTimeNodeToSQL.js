@@ -0,0 +1,552 @@
+// src/functions/convertDateTimeNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { toDialectDateFormat } from "../common/toDialectDateFormat.js";
+import { selectWithComputedColumns } from "../common/selectWithComputedColumns.js";
+import { getDialect } from "../dialects/index.js";
+
+const STRING_TO_DATE_TIME_FACTORY =
+  "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory";
+const DATE_TIME_TO_STRING_FACTORY =
+  "org.knime.time.node.convert.datetimetostring.DateTimeToStringNodeFactory";
+const DATE_TIME_DIFFERENCE_FACTORY =
+  "org.knime.time.node.calculate.datetimedifference.DateTimeDifferenceNodeFactory";
+const DATE_TIME_SHIFT_FACTORY =
+  "org.knime.time.node.manipulate.datetimeshift.DateTimeShiftNodeFactory";
+const EXTRACT_DATE_TIME_FIELDS_FACTORY =
+  "org.knime.time.node.extract.datetime.ExtractDateTimeFieldsNodeFactory";
+const MODIFY_TIME_FACTORY =
+  "org.knime.time.node.manipulate.modifytime.ModifyTimeNodeFactory";
+
+// String to Date&Time, Date&Time to String, Date&Time Difference, Date&Time
+// Shift, Extract Date&Time Fields and Modify Time
+export const DATE_TIME_FACTORIES = [
+  STRING_TO_DATE_TIME_FACTORY,
+  DATE_TIME_TO_STRING_FACTORY,
+  DATE_TIME_DIFFERENCE_FACTORY,
+  DATE_TIME_SHIFT_FACTORY,
+  EXTRACT_DATE_TIME_FIELDS_FACTORY,
+  MODIFY_TIME_FACTORY,
+];
+
+// Row number of each input row, for the difference to the previous row
+const ROW_INDEX_COLUMN = "knime_row_index";
+
+// Date&Time types of String to Date&Time (DateTimeType names) -> type keys
+const DATE_TIME_TYPES = {
+  LOCAL_DATE: "date",
+  LOCAL_TIME: "time",
+  LOCAL_DATE_TIME: "dateTime",
+};
+
+// Units of Date&Time Difference and Date&Time Shift, keys of the dialect's
+// dateAddFunctions and dateDiffFunctions
+const DATE_UNITS = [
+  "years",
+  "months",
+  "weeks",
+  "days",
+  "hours",
+  "minutes",
+  "seconds",
+  "milliseconds",
+];
+
+// "Years", "MONTHS", ... -> unit key, null for units without an equivalent (e.g. decades)
+const toDateUnit = (granularity) => {
+  const unit = String(granularity || "").toLowerCase().replace(/\s+/g, "");
+  return DATE_UNITS.includes(unit) ? unit : null;
+};
+
+// Fields of Extract Date&Time Fields: setting and output column name,
+// dialect.dateFieldFunctions key and output type
+const DATE_TIME_FIELDS = [
+  ["Year", "year", "integer"],
+  ["Year (week-based)", "yearWeekBased", "integer"],
+  ["Quarter", "quarter", "integer"],
+  ["Month (number)", "monthNumber", "integer"],
+  ["Month (name)", "monthName", "string"],
+  ["Week", "week", "integer"],
+  ["Day of year", "dayOfYear", "integer"],
+  ["Day of month", "dayOfMonth", "integer"],
+  ["Day of week (number)", "dayOfWeekNumber", "integer"],
+  ["Day of week (name)", "dayOfWeekName", "string"],
+  ["Hour", "hour", "integer"],
+  ["Minute", "minute", "integer"],
+  ["Second", "second", "integer"],
+  ["Millisecond", "millisecond", "integer"],
+  ["Microsecond", "microsecond", "integer"],
+  ["Nanosecond", "nanosecond", "integer"],
+  ["Time zone name", "timeZoneName", "string"],
+  ["Time zone offset", "timeZoneOffset", "string"],
+];
+
+const getIncludedColumns = (modelNode, key) =>
+  getArrayValuesFromConfig(
+    findConfigByKey(
+      findConfigByKey(modelNode?.config, key)?.config,
+      "included_names"
+    )
+  );
+
+// Single-letter units of the short duration form are case-sensitive ("M" = months,
+// "m" = minutes), words are not
+const DURATION_UNITS = {
+  y: "years",
+  year: "years",
+  years: "years",
+  mo: "months",
+  month: "months",
+  months: "months",
+  w: "weeks",
+  week: "weeks",
+  weeks: "weeks",
+  d: "days",
+  day: "days",
+  days: "days",
+  h: "hours",
+  hour: "hours",
+  hours: "hours",
+  min: "minutes",
+  minute: "minutes",
+  minutes: "minutes",
+  s: "seconds",
+  sec: "seconds",
+  second: "seconds",
+  seconds: "seconds",
+  ms: "milliseconds",
+  milli: "milliseconds",
+  millis: "milliseconds",
+  millisecond: "milliseconds",
+  milliseconds: "milliseconds",
+};
+
+// Seconds with a fraction are split into seconds and milliseconds
+const addSeconds = (parts, seconds) => {
+  const whole = Math.trunc(seconds);
+  const millis = Math.round((seconds - whole) * 1000);
+  if (whole) parts.push(["seconds", whole]);
+  if (millis) parts.push(["milliseconds", millis]);
+};
+
+/**
+ * Parses the period of Date&Time Shift, either ISO 8601 ("P1Y2M3DT4H5M6.5S") or
+ * KNIME's short form ("1y 2M 3d 4H 5m 6s 8ms").
+ * @param {string} text - The period.
+ * @returns {Array<[string, number]>|null} - Unit and amount of each non-zero part,
+ * or null if the text is no period.
+ */
+export const parseDateTimePeriod = (text) => {
+  const value = String(text || "").trim();
+  const iso = value.match(
+    /^([-+]?)P(?:([-+]?\d+)Y)?(?:([-+]?\d+)M)?(?:([-+]?\d+)W)?(?:([-+]?\d+)D)?(?:T(?:([-+]?\d+)H)?(?:([-+]?\d+)M)?(?:([-+]?\d+(?:\.\d+)?)S)?)?$/i
+  );
+  if (iso && value.length > 1 && !/T$/i.test(value)) {
+    const sign = iso[1] === "-" ? -1 : 1;
+    const parts = [];
+    ["years", "months", "weeks", "days", "hours", "minutes"].forEach(
+      (unit, index) => {
+        const amount = Number(iso[index + 2] || 0) * sign;
+        if (amount) parts.push([unit, amount]);
+      }
+    );
+    addSeconds(parts, Number(iso[8] || 0) * sign);
+    return parts;
+  }
+  const tokens = [
+    ...value.matchAll(/([-+]?\d+(?:\.\d+)?)\s*([A-Za-z]+)\s*/g),
+  ];
+  if (
+    tokens.length === 0 ||
+    tokens.map((token) => token[0]).join("") !== value.replace(/^\s+/, "")
+  ) {
+    return null;
+  }
+  const parts = [];
+  for (const [, amountText, unitText] of tokens) {
+    const unit =
+      unitText === "M"
+        ? "months"
+        : unitText === "m"
+        ? "minutes"
+        : DURATION_UNITS[unitText.toLowerCase()];
+    if (!unit) return null;
+    const amount = Number(amountText);
+    if (unit === "seconds") addSeconds(parts, amount);
+    else if (amount) parts.push([unit, amount]);
+  }
+  return parts;
+};
+
+// "HH:mm[:ss[.SSS]]" -> seconds since midnight, null if invalid
+const parseTimeOfDay = (text) => {
+  const match = String(text || "").match(
+    /^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/
+  );
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3] || 0);
+};
+
+/**
+ * Reads the settings of a Date&Time node. Most of them select columns with
+ *   model → col_select → included_names
+ * and replace them or append new ones:
+ *   model → replace_or_append ("Replace selected columns" / "Append selected
+ *   columns"), suffix
+ * String to Date&Time adds `type` (LOCAL_DATE, ...) and `date_format`,
+ * Date&Time to String `date_format`, Date&Time Shift `period_selection`,
+ * `period_value` or `numerical_selection`, `numerical_value`,
+ * `numerical_col_select` and `granularity`, Modify Time `modify_select` and
+ * `time`. Date&Time Difference reads `col_select1`, `modus`, `col_select2`,
+ * `fixed_date_time`, `output_type`, `granularity` and `new_col_name`; Extract
+ * Date&Time Fields one boolean per field ("Year", "Quarter", ...) next to the
+ * single column `col_select`.
+ * @param {string} factory - The node's factory.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {object|null} - The settings, or null if the node is no Date&Time node.
+ */
+export const getDateTimeSettings = (factory, modelNode) => {
+  const entries = modelNode?.entry;
+  const replaceOrAppend = (defaultSuffix) => ({
+    columns: getIncludedColumns(modelNode, "col_select"),
+    append: /append/i.test(getEntryValue(entries, "replace_or_append") || ""),
+    suffix: getEntryValue(entries, "suffix") ?? defaultSuffix,
+  });
+  switch (factory) {
+    case STRING_TO_DATE_TIME_FACTORY: {
+      const type = getEntryValue(entries, "type") || "LOCAL_DATE_TIME";
+      return {
+        ...replaceOrAppend(" (Date&Time)"),
+        type: DATE_TIME_TYPES[type] || null,
+        typeName: type,
+        format: getEntryValue(entries, "date_format") || "yyyy-MM-dd'T'HH:mm",
+      };
+    }
+    case DATE_TIME_TO_STRING_FACTORY:
+      return {
+        ...replaceOrAppend(" (String)"),
+        format: getEntryValue(entries, "date_format") || "yyyy-MM-dd'T'HH:mm",
+      };
+    case DATE_TIME_SHIFT_FACTORY: {
+      const byNumber = /number|numerical/i.test(
+        getEntryValue(entries, "period_selection") || ""
+      );
+      return {
+        ...replaceOrAppend(" (Old Date&Time)"),
+        byNumber,
+        period: getEntryValue(entries, "period_value"),
+        amountColumn: /column/i.test(
+          getEntryValue(entries, "numerical_selection") || ""
+        )
+          ? getEntryValue(entries, "numerical_col_select")
+          : null,
+        amount: getEntryValue(entries, "numerical_value") ?? 1,
+        unit: getEntryValue(entries, "granularity"),
+      };
+    }
+    case MODIFY_TIME_FACTORY: {
+      const modify = getEntryValue(entries, "modify_select") || "";
+      return {
+        ...replaceOrAppend(" (modified time)"),
+        modify: /remove/i.test(modify)
+          ? "remove"
+          : /change/i.test(modify)
+          ? "change"
+          : "append",
+        time: getEntryValue(entries, "time") || "00:00",
+      };
+    }
+    case DATE_TIME_DIFFERENCE_FACTORY: {
+      const modus = getEntryValue(entries, "modus") || "";
+      const fixedNode = findConfigByKey(modelNode?.config, "fixed_date_time");
+      const fixedDateTime =
+        getEntryValue(entries, "fixed_date_time") ||
+        [getEntryValue(fixedNode?.entry, "date"), getEntryValue(fixedNode?.entry, "time")]
+          .filter(Boolean)
+          .join(" ") ||
+        null;
+      return {
+        column: getEntryValue(entries, "col_select1"),
+        mode: /previous/i.test(modus)
+          ? "previousRow"
+          : /fixed/i.test(modus)
+          ? "fixed"
+          : /execution|current/i.test(modus)
+          ? "execution"
+          : "secondColumn",
+        secondColumn: getEntryValue(entries, "col_select2"),
+        fixedDateTime,
+        duration: /duration/i.test(getEntryValue(entries, "output_type") || ""),
+        unit: getEntryValue(entries, "granularity"),
+        name: getEntryValue(entries, "new_col_name") || "date&time diff",
+      };
+    }
+    case EXTRACT_DATE_TIME_FIELDS_FACTORY:
+      return {
+        column: getEntryValue(entries, "col_select"),
+        fields: DATE_TIME_FIELDS.filter(
+          ([label]) => getEntryValue(entries, label) === true
+        ),
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Columns a Date&Time node creates or replaces.
+ * @param {string} factory - The node's factory.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {Array<{source: string, name: string, type: string|null}>|null} - Each
+ * column with the input column it is computed from; it replaces that column if
+ * the names are equal. type is null if it is the type of the source column.
+ * Null if the node is no Date&Time node.
+ */
+export const getDateTimeColumns = (factory, modelNode) => {
+  const settings = getDateTimeSettings(factory, modelNode);
+  if (!settings) return null;
+  if (factory === DATE_TIME_DIFFERENCE_FACTORY) {
+    return settings.column && !settings.duration
+      ? [{ source: settings.column, name: settings.name, type: "long" }]
+      : [];
+  }
+  if (factory === EXTRACT_DATE_TIME_FIELDS_FACTORY) {
+    return settings.column
+      ? settings.fields.map(([label, , type]) => ({
+          source: settings.column,
+          name: label,
+          type,
+        }))
+      : [];
+  }
+  const type = {
+    [STRING_TO_DATE_TIME_FACTORY]: settings.type,
+    [DATE_TIME_TO_STRING_FACTORY]: "string",
+    [DATE_TIME_SHIFT_FACTORY]: null,
+    [MODIFY_TIME_FACTORY]: settings.modify === "remove" ? "date" : "dateTime",
+  }[factory];
+  return settings.columns.map((col) => ({
+    source: col,
+    name: settings.append ? `${col}${settings.suffix}` : col,
+    type,
+  }));
+};
+
+/**
+ * Converts a KNIME Date&Time node configuration (compact JSON) to an SQL query
+ * that selects the input columns with the computed columns replacing them or
+ * appended:
+ * - String to Date&Time / Date&Time to String parse or format with the node's
+ *   DateTimeFormatter pattern, translated into the dialect's format string
+ *   (TO_DATE / TO_CHAR, STRPTIME / STRFTIME, FORMAT, ...)
+ * - Date&Time Shift adds a period or a number of units (DATEADD, INTERVAL, ...)
+ * - Date&Time Difference counts whole units between two date&time values, the
+ *   second being another column, the previous row, the execution time or a fixed
+ *   value (DATEDIFF, AGE, ...)
+ * - Extract Date&Time Fields appends one column per field (EXTRACT, DATEPART, ...)
+ * - Modify Time removes the time of date&time values or sets it
+ *
+ * Pieces the dialect cannot express become NULL columns of the output type and
+ * are listed in a comment. Unlike KNIME, strings that do not match the pattern
+ * may fail the query instead of becoming missing values.
+ *
+ * Example output (PostgreSQL, String to Date&Time with "dd.MM.yyyy"):
+ *   SELECT
+ *     "id",
+ *     TO_DATE("ordered", 'DD.MM.YYYY') AS "ordered"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns;
+ * the types tell dates from date&time values.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertDateTimeNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputSchema = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (!DATE_TIME_FACTORIES.includes(factory)) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected a Date&Time node factory (${DATE_TIME_FACTORIES.join(
+      ", "
+    )}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const settings = getDateTimeSettings(factory, modelNode);
+  if (factory === STRING_TO_DATE_TIME_FACTORY && !settings.type) {
+    return `Error: Converting to ${settings.typeName} is not supported; only local dates, times and date&times are.`;
+  }
+  if (factory === DATE_TIME_DIFFERENCE_FACTORY && settings.duration) {
+    return "Error: Duration output is not supported; choose a granularity in the Date&Time Difference node.";
+  }
+  const columns = getDateTimeColumns(factory, modelNode);
+  if (columns.length === 0) {
+    return "Error: No columns selected in the configuration.";
+  }
+  const inputColumnNames = inputSchema.map((column) => column.name);
+  const columnTypes = Object.fromEntries(
+    inputSchema.map((column) => [column.name, column.type])
+  );
+  const replacesColumn = columns.some(({ source, name }) => source === name);
+  if (replacesColumn && inputColumnNames.length === 0) {
+    return "Error: Cannot replace columns without the input column names.";
+  }
+  columns.forEach(({ source }) => {
+    if (inputColumnNames.length > 0 && !inputColumnNames.includes(source)) {
+      console.warn(`Date&Time node: column "${source}" is not in the input.`);
+    }
+  });
+
+  // Step 3: Expression of each output column, null if the dialect lacks a piece
+  const asDateTime = (expr, type) =>
+    type === "date" ? dialect.cast(expr, "dateTime") : expr;
+  const addUnits = (expr, unit, amount) => {
+    const template = dialect.dateAddFunctions[unit];
+    return expr && template ? applyFunctionTemplate(template, [expr, amount]) : null;
+  };
+  const quotedRowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  let usesRowIndex = false;
+
+  const getExpression = ({ source, name }) => {
+    const quotedSource = dialect.quoteIdentifier(source);
+    const sourceType = columnTypes[source] || null;
+    switch (factory) {
+      case STRING_TO_DATE_TIME_FACTORY: {
+        const format = toDialectDateFormat(settings.format, dialect);
+        return format && dialect.parseDateTime(quotedSource, format, settings.type);
+      }
+      case DATE_TIME_TO_STRING_FACTORY: {
+        const format = toDialectDateFormat(settings.format, dialect);
+        return format && dialect.formatDateTime(quotedSource, format, sourceType);
+      }
+      case DATE_TIME_SHIFT_FACTORY: {
+        let parts;
+        if (settings.byNumber) {
+          const unit = toDateUnit(settings.unit);
+          const amount = settings.amountColumn
+            ? dialect.quoteIdentifier(settings.amountColumn)
+            : Number(settings.amount);
+          if (!unit || (!settings.amountColumn && !Number.isFinite(amount))) {
+            return null;
+          }
+          parts = [[unit, amount]];
+        } else {
+          parts = parseDateTimePeriod(settings.period);
+          if (!parts) return null;
+        }
+        const shifted = parts.reduce(
+          (expr, [unit, amount]) => addUnits(expr, unit, amount),
+          quotedSource
+        );
+        // Dates stay dates
+        return shifted && sourceType === "date" && parts.length > 0
+          ? dialect.truncateToDay(shifted)
+          : shifted;
+      }
+      case MODIFY_TIME_FACTORY: {
+        const day = dialect.truncateToDay(quotedSource);
+        if (settings.modify === "remove") return day;
+        const seconds = parseTimeOfDay(settings.time);
+        if (seconds === null) return null;
+        const midnight = dialect.cast(day, "dateTime");
+        if (seconds === 0) return midnight;
+        return Number.isInteger(seconds)
+          ? addUnits(midnight, "seconds", seconds)
+          : addUnits(midnight, "milliseconds", Math.round(seconds * 1000));
+      }
+      case DATE_TIME_DIFFERENCE_FACTORY: {
+        const template = dialect.dateDiffFunctions[toDateUnit(settings.unit)];
+        if (!template) return null;
+        const current = asDateTime(quotedSource, sourceType);
+        let start = current;
+        let end;
+        if (settings.mode === "previousRow") {
+          usesRowIndex = true;
+          start = `LAG(${current}) OVER (ORDER BY ${quotedRowIndex})`;
+          end = current;
+        } else if (settings.mode === "execution") {
+          end = dialect.cast("CURRENT_TIMESTAMP", "dateTime");
+        } else if (settings.mode === "fixed") {
+          if (!settings.fixedDateTime) return null;
+          end = dialect.cast(
+            dialect.quoteString(settings.fixedDateTime.replace("T", " ")),
+            "dateTime"
+          );
+        } else {
+          if (!settings.secondColumn) return null;
+          end = asDateTime(
+            dialect.quoteIdentifier(settings.secondColumn),
+            columnTypes[settings.secondColumn]
+          );
+        }
+        return dialect.cast(applyFunctionTemplate(template, [start, end]), "long");
+      }
+      case EXTRACT_DATE_TIME_FIELDS_FACTORY: {
+        const [, key, type] = DATE_TIME_FIELDS.find(([label]) => label === name);
+        const template = dialect.dateFieldFunctions[key];
+        if (!template) return null;
+        const value = applyFunctionTemplate(template, [quotedSource]);
+        return type === "integer" ? dialect.cast(value, "integer") : value;
+      }
+      default:
+        return null;
+    }
+  };
+
+  const skipped = [];
+  const computedColumns = columns.map((column) => {
+    const expression = getExpression(column);
+    if (expression) return { name: column.name, expression };
+    skipped.push(column.name);
+    const type = column.type || columnTypes[column.source];
+    return {
+      name: column.name,
+      expression: type ? dialect.cast("NULL", type) : "NULL",
+    };
+  });
+  if (skipped.length === columns.length) {
+    return `Error: The Date&Time node's settings have no equivalent in ${dialect.label}.`;
+  }
+  const skippedComment =
+    skipped.length > 0
+      ? `-- Not converted in ${dialect.label}, values are missing: ${skipped.join(
+          ", "
+        )}\n`
+      : "";
+
+  // Step 4: Construct the query
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  if (usesRowIndex && inputColumnNames.length === 0) {
+    return "Error: Cannot compare with the previous row without the input column names.";
+  }
+  const fromClause = usesRowIndex
+    ? `(\n  SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${quotedRowIndex}\n  FROM ${quotedPreviousNodeName}\n) ${dialect.quoteIdentifier(
+        "source"
+      )}`
+    : quotedPreviousNodeName;
+  return (
+    skippedComment +
+    selectWithComputedColumns(
+      dialect,
+      previousNodeName,
+      inputColumnNames,
+      computedColumns,
+      fromClause
+    )
+  );
+}
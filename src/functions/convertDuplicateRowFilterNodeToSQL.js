@@ -1,197 +1,208 @@
-/**
- * Utility function to get a value from an array of entry objects
- * based on the provided JSON structure.
- * @param {Array<object>} entryArray - The array of entry objects (e.g., [{_key: 'k', _value: 'v', ...}]).
- * @param {string} key - The _key to search for.
- * @returns {string|boolean|null} - The value associated with the key, or null if not found. Handles boolean/null.
- */
-const getEntryValueFromJSON = (entryArray, key) => {
-  if (!Array.isArray(entryArray)) return null;
-  const entry = entryArray.find((e) => e._key === key);
-  if (!entry) return null;
+// src/functions/convertDuplicateRowFilterNodeToSQL.js
 
-  if (entry._isnull === "true") {
-    return null;
-  }
-  if (entry._type === "xboolean") {
-    return entry._value === "true";
-  }
-  return entry._value;
-};
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { getDialect } from "../dialects/index.js";
 
-/**
- * Utility function to find a config object within an array of config objects
- * based on the provided JSON structure.
- * @param {Array<object>} configArray - The array of config objects (e.g., [{_key: 'k', config: [...], entry: [...]}]).
- * @param {string} key - The _key to search for.
- * @returns {object|null} - The found config object, or null if not found.
- */
-const findConfigByKeyFromJSON = (configArray, key) => {
-  if (!Array.isArray(configArray)) return null;
-  return configArray.find((c) => c._key === key) || null;
-};
+const DUP_FILTER_FACTORY =
+  "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory";
+
+// Columns KNIME appends when duplicates are kept
+export const DUPLICATE_STATUS_COLUMN = "duplicate-type-classifier";
+export const DUPLICATE_ROW_ID_COLUMN = "duplicate-row-identifier";
+
+// KNIME's row IDs are assumed to be a "RowID" column, like the Joiner does;
+// without it they are the default "Row0", "Row1", ... of the input
+const ROW_ID_COLUMN = "RowID";
+
+// Helper columns of the ranked input, not part of the output
+const ROW_INDEX_COLUMN = "knime_row_index";
+const GROUP_RANK_COLUMN = "knime_group_rank";
+const GROUP_SIZE_COLUMN = "knime_group_size";
+const CHOSEN_ROW_ID_COLUMN = "knime_chosen_row_id";
 
 /**
- * Extracts the list of column names from the 'group_cols' config object
- * based on the provided JSON structure.
- * @param {object} groupColsConfig - The config object with _key 'group_cols'.
- * @returns {string[]} - An array of column names.
+ * Reads the Duplicate Row Filter settings:
+ *   model → group_cols (column filter: included_names, excluded_names,
+ *   enforce_option), remove_duplicates, row_selection (FIRST, LAST, MINIMUM,
+ *   MAXIMUM), reference_col, add_row_duplicate_flag, add_row_id_flag,
+ *   retain_order
+ * The status and row ID columns are only added if the duplicates are kept.
+ * @param {object} modelNode - The node's "model" config.
+ * @param {string[]} [inputColumnNames=[]] - Columns of the input table, needed
+ * if the columns are chosen by exclusion.
+ * @returns {{groupColumns: string[], removeDuplicates: boolean, rowSelection: string, referenceColumn: string|null, addStatus: boolean, addRowId: boolean, retainOrder: boolean}}
  */
-const getColumnsFromGroupColsJSON = (groupColsConfig) => {
-  if (!groupColsConfig || !Array.isArray(groupColsConfig.config)) {
-    console.warn("'group_cols' config node not found or invalid.");
-    return [];
-  }
-
-  const filterType = getEntryValueFromJSON(
-    groupColsConfig.entry,
-    "filter-type"
+export const getDuplicateRowFilterSettings = (
+  modelNode,
+  inputColumnNames = []
+) => {
+  const entries = modelNode?.entry;
+  const groupColsNode = findConfigByKey(modelNode?.config, "group_cols");
+  const excluded = getArrayValuesFromConfig(
+    findConfigByKey(groupColsNode?.config, "excluded_names")
   );
-  const includedNamesConfig = findConfigByKeyFromJSON(
-    groupColsConfig.config,
-    "included_names"
-  );
-
-  if (
-    filterType === "STANDARD" &&
-    includedNamesConfig &&
-    Array.isArray(includedNamesConfig.entry)
-  ) {
-    // Filter out the 'array-size' entry and return the values of the rest
-    return includedNamesConfig.entry
-      .filter((e) => e._key !== "array-size")
-      .map((e) => e._value)
-      .filter((name) => name); // Ensure names are not null/empty
-  } else {
-    console.warn(
-      `Filter type '${filterType}' or complex config requires specific handling.`
-    );
-    return []; // Fallback for non-standard or unhandled cases
-  }
+  const groupColumns =
+    getEntryValue(groupColsNode?.entry, "enforce_option") === "EnforceExclusion"
+      ? inputColumnNames.filter((col) => !excluded.includes(col))
+      : getArrayValuesFromConfig(
+          findConfigByKey(groupColsNode?.config, "included_names")
+        );
+  const removeDuplicates = getEntryValue(entries, "remove_duplicates") !== false;
+  return {
+    groupColumns,
+    removeDuplicates,
+    rowSelection: getEntryValue(entries, "row_selection") || "FIRST",
+    referenceColumn: getEntryValue(entries, "reference_col"),
+    addStatus:
+      !removeDuplicates &&
+      getEntryValue(entries, "add_row_duplicate_flag") === true,
+    addRowId:
+      !removeDuplicates && getEntryValue(entries, "add_row_id_flag") === true,
+    retainOrder: getEntryValue(entries, "retain_order") === true,
+  };
 };
 
 /**
- * Converts a KNIME Duplicate Row Filter node configuration (as specific JSON) to an SQL query.
- * Handles duplicates based on SELECTED columns as per the configuration.
+ * Converts a KNIME Duplicate Row Filter node configuration (compact JSON) to an
+ * SQL query. Rows with the same values in the selected columns form a group
+ * (missing values count as equal); ROW_NUMBER() ranks each group so that the row
+ * KNIME chooses comes first: the first or last row in input order, or the row
+ * with the minimum / maximum of the reference column. Like KNIME's comparators,
+ * the minimum / maximum treats a missing value as smaller than any other value
+ * (so the minimum is a missing value if the group has one); ties go to the
+ * earlier row. The node either keeps only the chosen rows or keeps all rows,
+ * optionally adding
+ * - "duplicate-type-classifier": unique, chosen or duplicate
+ * - "duplicate-row-identifier": for duplicates the row ID of the chosen row
+ * With "retain row order" the rows keep their input order.
+ *
+ * Example output (PostgreSQL, keep the last row per "email"):
+ *   SELECT
+ *     "id",
+ *     "email"
+ *   FROM (
+ *     SELECT "source".*,
+ *       ROW_NUMBER() OVER (PARTITION BY "email" ORDER BY "knime_row_index" DESC) AS "knime_group_rank"
+ *     FROM (
+ *       SELECT "node_1".*, ROW_NUMBER() OVER () - 1 AS "knime_row_index"
+ *       FROM "node_1"
+ *     ) "source"
+ *   ) "ranked"
+ *   WHERE "knime_group_rank" = 1;
  *
- * @param {object} nodeJsonConfig - The full node configuration object in the provided JSON format.
+ * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} previousNodeName - The name of the table/view representing the input data.
- * @param {string[]} [inputColumns=[]] - Optional: Array of all column names from the input. Needed if no columns are explicitly included.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed columns of the input table.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertDuplicateRowFilterJSONToSQL(
-  nodeJsonConfig,
-  previousNodeName,
-  inputColumns = []
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputSchema = [],
+  dialect = getDialect()
 ) {
-  // Expecting nodeJsonConfig to be the outer { config: { entry: [...], config: [...] } } object
-
-  if (
-    !nodeJsonConfig ||
-    !nodeJsonConfig.config ||
-    !Array.isArray(nodeJsonConfig.config.entry) ||
-    !Array.isArray(nodeJsonConfig.config.config)
-  ) {
-    return "Error: Invalid JSON structure passed. Expected top-level 'config' object with 'entry' and 'config' arrays.";
-  }
-
-  // Step 1: Verify node type using the adapted helper
-  const factory = getEntryValueFromJSON(nodeJsonConfig.config.entry, "factory");
-  const DUP_FILTER_FACTORY =
-    "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory";
-
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
   if (factory !== DUP_FILTER_FACTORY) {
-    const factoryInfo =
-      factory === null
-        ? "null"
-        : factory === undefined
-        ? "undefined"
-        : `"${factory}"`;
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
     return `Error: Expected Duplicate Row Filter node factory (${DUP_FILTER_FACTORY}), but got ${factoryInfo}.`;
   }
 
-  // Step 2: Find the model configuration object using the adapted helper
-  const modelConfig = findConfigByKeyFromJSON(
-    nodeJsonConfig.config.config,
-    "model"
-  );
-  if (
-    !modelConfig ||
-    !Array.isArray(modelConfig.config) ||
-    !Array.isArray(modelConfig.entry)
-  ) {
-    return "Error: Model configuration ('config' with _key='model') not found or invalid in JSON.";
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
   }
-
-  // Step 3: Extract filtering parameters from the modelConfig
-  const removeDuplicates = getEntryValueFromJSON(
-    modelConfig.entry,
-    "remove_duplicates"
-  );
-  const rowSelection = getEntryValueFromJSON(
-    modelConfig.entry,
-    "row_selection"
-  );
-  const groupColsConfig = findConfigByKeyFromJSON(
-    modelConfig.config,
-    "group_cols"
-  );
-
-  if (removeDuplicates === null || rowSelection === null || !groupColsConfig) {
-    return "Error: Could not find 'remove_duplicates', 'row_selection', or 'group_cols' settings within the model config.";
+  const inputColumnNames = inputSchema.map((column) => column.name);
+  if (inputColumnNames.length === 0) {
+    return "Error: Cannot filter duplicate rows without the input column names.";
   }
-
-  if (!removeDuplicates) {
-    return `-- SQL Conversion Note: Duplicate Row Filter node is not configured to remove duplicates.\nSELECT * FROM ${previousNodeName};`;
+  const {
+    groupColumns,
+    removeDuplicates,
+    rowSelection,
+    referenceColumn,
+    addStatus,
+    addRowId,
+    retainOrder,
+  } = getDuplicateRowFilterSettings(modelNode, inputColumnNames);
+  if (groupColumns.length === 0) {
+    return "Error: No columns selected for the duplicate check.";
   }
-
-  // Step 4: Determine columns to partition by using the adapted helper
-  let partitionColumns = getColumnsFromGroupColsJSON(groupColsConfig);
-
-  // THIS IS THE CHECK FOR "ALL COLUMNS" SCENARIO
-  if (partitionColumns.length === 0) {
-    // If no columns are explicitly included, check if inputColumns are provided (for 'all columns' case)
-    if (inputColumns && inputColumns.length > 0) {
-      console.warn(
-        "No specific columns selected for duplicate check; using all provided input columns."
-      );
-      partitionColumns = inputColumns; // Use all available columns
-    } else {
-      // Cannot determine partition columns if none selected and input list not provided
-      return `Error: Could not determine columns for duplicate check. Either explicitly select columns in KNIME or provide the full input column list to the conversion function for 'all columns' mode.`;
-    }
+  const byReference = ["MINIMUM", "MAXIMUM"].includes(rowSelection);
+  if (byReference && !referenceColumn) {
+    return `Error: No reference column specified for row selection "${rowSelection}".`;
   }
 
-  const partitionByClause = partitionColumns
-    .map((col) => `"${col}"`)
-    .join(", ");
-  if (!partitionByClause) {
-    return `Error: Failed to construct PARTITION BY clause. No valid columns found.`;
+  // Step 3: Rank the rows of each group, the chosen row first
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const rowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  const rank = dialect.quoteIdentifier(GROUP_RANK_COLUMN);
+  const groupSize = dialect.quoteIdentifier(GROUP_SIZE_COLUMN);
+  const chosenRowId = dialect.quoteIdentifier(CHOSEN_ROW_ID_COLUMN);
+  const partition = `PARTITION BY ${groupColumns
+    .map((col) => dialect.quoteIdentifier(col))
+    .join(", ")}`;
+  // Missing values are the smallest: first for the minimum, last for the maximum
+  const orderBy = byReference
+    ? `${dialect.orderByTerm(
+        dialect.quoteIdentifier(referenceColumn),
+        rowSelection === "MAXIMUM" ? "DESC" : "ASC",
+        rowSelection === "MAXIMUM"
+      )}, ${rowIndex} ASC`
+    : `${rowIndex} ${rowSelection === "LAST" ? "DESC" : "ASC"}`;
+  const window = `OVER (${partition} ORDER BY ${orderBy})`;
+  const helperColumns = [`ROW_NUMBER() ${window} AS ${rank}`];
+  if (addStatus) {
+    helperColumns.push(`COUNT(*) OVER (${partition}) AS ${groupSize}`);
+  }
+  if (addRowId) {
+    const rowId = inputColumnNames.includes(ROW_ID_COLUMN)
+      ? dialect.quoteIdentifier(ROW_ID_COLUMN)
+      : dialect.concat([
+          dialect.quoteString("Row"),
+          dialect.cast(rowIndex, "string"),
+        ]);
+    helperColumns.push(`FIRST_VALUE(${rowId}) ${window} AS ${chosenRowId}`);
   }
 
-  // Step 5: Determine ORDER BY for ROW_NUMBER()
-  const orderByDirection = rowSelection === "LAST" ? "DESC" : "ASC";
-  const orderByClause = partitionColumns
-    .map((col) => `"${col}" ${orderByDirection}`)
-    .join(", ");
-
-  // Step 6: Construct the SQL query
-  const sqlQuery = `
--- Note: Keeps the '${
-    rowSelection || "FIRST"
-  }' row based on ordering by partition columns (${orderByDirection}).
--- Duplicates are checked based on columns: ${partitionColumns.join(", ")}
-WITH RankedRows AS (
-SELECT
-  *,
-  ROW_NUMBER() OVER (PARTITION BY ${partitionByClause} ORDER BY ${orderByClause}) as knime_row_number
-FROM ${previousNodeName}
-)
-SELECT
-* -- Selects all original columns + knime_row_number.
-FROM RankedRows
-WHERE knime_row_number = 1;
-`;
-
-  return sqlQuery.trim();
+  // Step 4: Construct the query
+  const selectColumns = inputColumnNames.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  if (addStatus) {
+    const [unique, chosen, duplicate] = ["unique", "chosen", "duplicate"].map(
+      (status) => dialect.quoteString(status)
+    );
+    selectColumns.push(
+      `CASE WHEN ${groupSize} = 1 THEN ${unique} WHEN ${rank} = 1 THEN ${chosen} ELSE ${duplicate} END AS ${dialect.quoteIdentifier(
+        DUPLICATE_STATUS_COLUMN
+      )}`
+    );
+  }
+  if (addRowId) {
+    selectColumns.push(
+      `CASE WHEN ${rank} > 1 THEN ${chosenRowId} END AS ${dialect.quoteIdentifier(
+        DUPLICATE_ROW_ID_COLUMN
+      )}`
+    );
+  }
+  const source = dialect.quoteIdentifier("source");
+  let rankedRows = `(\n  SELECT ${source}.*,\n    ${helperColumns.join(
+    ",\n    "
+  )}\n  FROM (\n    SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${rowIndex}\n    FROM ${quotedPreviousNodeName}\n  ) ${source}\n) ${dialect.quoteIdentifier(
+    "ranked"
+  )}`;
+  if (removeDuplicates) rankedRows += `\nWHERE ${rank} = 1`;
+  return `${dialect.selectRows(
+    rankedRows,
+    retainOrder ? [rowIndex] : [],
+    null,
+    0,
+    selectColumns
+  )};`;
 }
@@ -1,5 +1,9 @@
 // src/functions/convertExcelReaderNodeToSQL.js
 
+import { getDialect } from "../dialects/index.js";
+import { findColumnType } from "../common/knimeTypes.js";
+import { getSourceTableName } from "../common/getSourceTableName.js";
+
 /**
  * Utility function to get a value from an entry array or object (compact format).
  * @param {object|array} entryProp - The entry property which can be an object or array.
@@ -33,13 +37,92 @@ const findConfigByKey = (config, key) => {
 };
 
 /**
- * Converts a KNIME Excel Reader node configuration (compact JSON) to an SQL query.
- * Extracts the file name, sheet name, and column names.
+ * Reads which part of the workbook an Excel Reader reads. The settings sit in
+ * model → settings or model → advanced_settings depending on the KNIME version:
+ *   sheet_selection ("FIRST" | "NAME" | "INDEX"), sheet_name, sheet_index,
+ *   table_contains_column_names, column_names_row_number (1-based),
+ *   sheet_area ("ENTIRE" | "PARTIAL"), read_from_column, read_to_column,
+ *   read_from_row, read_to_row, skip_hidden_rows, skip_hidden_cols
+ *
+ * The column names come from the reader's table spec, so the header row is only
+ * part of the range when it directly precedes (or is) read_from_row; `header`
+ * then tells the loader to skip the range's first row. A header row further up
+ * is left out, one inside the range is returned as headerRowInRange.
+ *
+ * @param {object} modelNode - The "model" config.
+ * @returns {{sheetName: string|null, sheetIndex: number, range: string|null, header: boolean, headerRow: number|null, headerRowInRange: number|null, skipHiddenRows: boolean, skipHiddenColumns: boolean}}
+ */
+const getExcelReadSettings = (modelNode) => {
+  const settingsNodes = ["settings", "advanced_settings"]
+    .map((key) => findConfigByKey(modelNode.config, key))
+    .filter(Boolean);
+  const getSetting = (key) =>
+    settingsNodes
+      .map((node) => getEntryValue(node.entry, key))
+      .find((value) => value !== null && value !== undefined) ?? null;
+
+  const sheetSelection = getSetting("sheet_selection") || "NAME";
+  const sheetIndex =
+    sheetSelection === "INDEX"
+      ? parseInt(getSetting("sheet_index"), 10) || 0
+      : 0;
+  const sheetName =
+    sheetSelection === "NAME" ? getSetting("sheet_name") || null : null;
+
+  const hasHeader = getSetting("table_contains_column_names") !== false;
+  const headerRow = hasHeader
+    ? parseInt(getSetting("column_names_row_number"), 10) || 1
+    : null;
+
+  let range = null;
+  let header = hasHeader;
+  let headerRowInRange = null;
+  if (getSetting("sheet_area") === "PARTIAL") {
+    const fromColumn = (getSetting("read_from_column") || "A").toUpperCase();
+    const toColumn = (getSetting("read_to_column") || "XFD").toUpperCase();
+    const fromRow = parseInt(getSetting("read_from_row"), 10) || 1;
+    const toRow = parseInt(getSetting("read_to_row"), 10) || 1048576;
+    // read_from_row starts the data; the rows between a header row and it are not read.
+    header = headerRow === fromRow || headerRow === fromRow - 1;
+    const firstRow = header ? headerRow : fromRow;
+    range = `${fromColumn}${firstRow}:${toColumn}${toRow}`;
+    if (headerRow > fromRow && headerRow <= toRow) headerRowInRange = headerRow;
+  } else if (headerRow > 1) {
+    range = `A${headerRow}:XFD1048576`;
+  }
+
+  return {
+    sheetName,
+    sheetIndex,
+    range,
+    header,
+    headerRow,
+    headerRowInRange,
+    skipHiddenRows: getSetting("skip_hidden_rows") === true,
+    skipHiddenColumns: getSetting("skip_hidden_cols") === true,
+  };
+};
+
+/**
+ * Converts a KNIME Excel Reader node configuration (compact JSON) to SQL: a
+ * staging table typed from the reader's column specs, the import of the
+ * configured sheet/range into it, and the query reading the table.
+ *
+ * Engines that can read Excel (DuckDB's excel extension) get a runnable
+ * import; where that is not possible the staging-table DDL is followed by a
+ * comment labelled "MANUAL LOAD STEP" describing what has to be loaded.
  *
  * @param {object} nodeConfig - The full node configuration object (compact format).
- * @returns {string} - The generated SQL query or an error message.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @param {number|string} [id] - Workflow ID of the node, part of the table name.
+ * @returns {string} - The generated SQL statements or an error message.
  */
-export function convertExcelReaderNodeToSQL(nodeConfig) {
+export function convertExcelReaderNodeToSQL(
+  nodeConfig,
+  dialect = getDialect(),
+  id = null
+) {
+  dialect = getDialect(dialect);
   // Step 1: Verify node type
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const EXCEL_READER_FACTORY =
@@ -85,9 +168,8 @@ export function convertExcelReaderNodeToSQL(nodeConfig) {
     );
   }
 
-  // Step 3.5: Extract the Sheet Name
-  // Path: model -> settings -> entry[@key="sheet_name"]
-  const sheetName = getEntryValue(settingsNode.entry, "sheet_name");
+  // Step 3.5: Extract the sheet, range and header settings
+  const readSettings = getExcelReadSettings(modelNode);
 
   // Step 4: Extract column names
   // Path: model -> table_spec_config_Internals -> individual_specs -> config[@key=fileName] -> config (numbered) -> entry[@key="name"]
@@ -122,7 +204,10 @@ export function convertExcelReaderNodeToSQL(nodeConfig) {
           ) {
             const colName = getEntryValue(colNode.entry, "name");
             if (colName) {
-              columns.push(colName);
+              columns.push({
+                name: colName,
+                type: findColumnType(colNode) || "string",
+              });
             }
           }
         });
@@ -140,15 +225,64 @@ export function convertExcelReaderNodeToSQL(nodeConfig) {
     return "Error: No columns found in the table specification within the configuration.";
   }
 
-  // Step 5: Build and return the SQL query. Quote identifiers.
+  // Step 5: Build the statements. Quote identifiers.
+  const tableName = getSourceTableName(fileName, id);
+  const quotedTable = dialect.quoteIdentifier(tableName);
+  const columnDefinitions = columns.map(
+    (col) => `${dialect.quoteIdentifier(col.name)} ${dialect.mapType(col.type)}`
+  );
+  const createTable = `CREATE TABLE ${quotedTable} (\n  ${columnDefinitions.join(
+    ",\n  "
+  )}\n);`;
+
+  const sheetLabel = readSettings.sheetName
+    ? `sheet ${JSON.stringify(readSettings.sheetName)}`
+    : readSettings.sheetIndex > 0
+    ? `sheet #${readSettings.sheetIndex + 1}`
+    : "the first sheet";
+  // Readers cannot tell hidden cells apart; KNIME would leave them out.
+  const hiddenNotes = [
+    readSettings.skipHiddenRows && "hidden rows",
+    readSettings.skipHiddenColumns && "hidden columns",
+  ].filter(Boolean);
+  const hiddenComment = [
+    hiddenNotes.length > 0 &&
+      `-- KNIME skips ${hiddenNotes.join(
+        " and "
+      )} of the sheet; remove them from the workbook before loading.\n`,
+    readSettings.headerRowInRange &&
+      `-- Row ${readSettings.headerRowInRange} holds the column names; delete it from ${quotedTable} after loading.\n`,
+  ]
+    .filter(Boolean)
+    .join("");
+
+  const excelImport = dialect.loadExcel(
+    tableName,
+    fileName,
+    readSettings,
+    columns
+  );
+  const load = excelImport
+    ? `${hiddenComment}${excelImport}`
+    : [
+        `-- MANUAL LOAD STEP: ${dialect.label} cannot import this sheet directly.`,
+        `-- Load ${sheetLabel} of ${dialect.quoteString(
+          fileName
+        )} into ${quotedTable},`,
+        `-- cells ${readSettings.range || "(entire sheet)"}, ${
+          readSettings.header
+            ? `column names in row ${readSettings.headerRow}`
+            : "no header row"
+        }.`,
+        hiddenComment.trim(),
+      ]
+        .filter(Boolean)
+        .join("\n");
+
   const quotedColumns = columns
-    .map((col) => `"${col.replace(/"/g, '""')}"`)
+    .map((col) => dialect.quoteIdentifier(col.name))
     .join(",\n  ");
-  // Quote filename used as table name, escape internal quotes if any
-  const quotedFileName = `"${fileName.replace(/"/g, '""')}"`;
-  const sheetComment = sheetName
-    ? `-- Reading data from sheet: ${sheetName}\n`
-    : "";
+  const select = `SELECT\n  ${quotedColumns}\nFROM ${quotedTable};`;
 
-  return `${sheetComment}SELECT\n  ${quotedColumns}\nFROM ${quotedFileName};`;
+  return [createTable, load, select].join("\n\n");
 }
@@ -1,61 +1,567 @@
 // src/functions/convertGroupByNodeToSQL.js
 
-import { getEntryValue } from "../common/getEntryValue"; // [cite: uploaded:src/common/getEntryValue.js]
-import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:src/common/findConfigByKey.js]
-import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig"; // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
+import { getEntryValue } from "../common/getEntryValue.js"; // [cite: uploaded:src/common/getEntryValue.js]
+import { findConfigByKey } from "../common/findConfigByKey.js"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js"; // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
+import { toTypeKey } from "../common/knimeTypes.js";
+import { getDialect } from "../dialects/index.js";
+
+// Helper column numbering the input rows for First and Last, not part of the output
+export const ROW_INDEX_COLUMN = "knime_row_index";
+
+// Aggregation methods whose result depends on the row order
+export const ORDERED_AGGREGATIONS = ["First", "Last"];
+
+/**
+ * KNIME aggregation method without the version suffix some methods are stored
+ * with ("Sum_V2.5.2" -> "Sum").
+ * @param {string} knimeMethod - The aggregation method as stored in the settings.
+ * @returns {string}
+ */
+export const toAggregationMethod = (knimeMethod) =>
+  knimeMethod.replace(/_V[\d.]+$/, "");
 
 /**
  * Maps KNIME aggregation methods to SQL aggregate functions.
- * Note: Some mappings might be dialect-specific (e.g., list aggregation).
+ * Dialect-specific functions (list aggregation, standard deviation, ...) come from the dialect.
  * @param {string} knimeMethod - The KNIME aggregation method string.
+ * @param {object} dialect - Target SQL dialect.
+ * @param {string} [valueDelimiter=", "] - Delimiter for list/concatenate aggregations.
+ * @param {{rowIndex?: string|null, includeMissing?: boolean}} [options={}] - rowIndex:
+ * expression numbering the input rows (NULL for rows outside the aggregation),
+ * needed by First and Last; includeMissing: whether First and Last may return a
+ * missing value.
  * @returns {string|null} - The corresponding SQL function name or template, or null if unsupported.
  */
-const mapKnimeAggregationToSQL = (knimeMethod) => {
+const mapKnimeAggregationToSQL = (
+  knimeMethod,
+  dialect,
+  valueDelimiter = ", ",
+  { rowIndex = null, includeMissing = false } = {}
+) => {
+  const method = toAggregationMethod(knimeMethod);
   // Basic Aggregations
-  if (knimeMethod === "Sum") return "SUM";
-  if (knimeMethod === "Count") return "COUNT"; // Needs column or *
-  if (knimeMethod === "Mean" || knimeMethod === "Average") return "AVG";
-  if (knimeMethod === "Minimum") return "MIN";
-  if (knimeMethod === "Maximum") return "MAX";
-  if (knimeMethod === "StandardDeviation") return "STDDEV_SAMP"; // Or STDDEV_POP, STDDEV
-  if (knimeMethod === "Variance") return "VAR_SAMP"; // Or VAR_POP, VARIANCE
-  if (knimeMethod === "Median") return null; // Median often requires specific window functions or PERCENTILE_CONT/DISC
+  if (method === "Sum") return "SUM";
+  if (method === "Count") return "COUNT"; // Needs column or *
+  if (method === "Mean" || method === "Average") return "AVG";
+  if (method === "Minimum") return "MIN";
+  if (method === "Maximum") return "MAX";
+  if (method === "Range") return "(MAX($$col$$) - MIN($$col$$))";
+  if (method === "StandardDeviation" || method === "Standard deviation") {
+    const stddev = dialect.aggregateFunctions.stddevSamp;
+    if (!stddev) console.warn(`StandardDeviation is not supported in ${dialect.label}.`);
+    return stddev;
+  }
+  if (method === "Variance") {
+    const variance = dialect.aggregateFunctions.varSamp;
+    if (!variance) console.warn(`Variance is not supported in ${dialect.label}.`);
+    return variance;
+  }
+  // Median of an even number of values is the mean of the middle two (PERCENTILE_CONT)
+  if (method === "Median") return dialect.median("$$col$$");
+  if (method === "Mode") return dialect.mode("$$col$$");
 
   // String/List Aggregations (Dialect Specific!)
-  if (knimeMethod === "Concatenate" || knimeMethod === "List") {
-    // Choose one based on target DB, or provide comment
-    // return "GROUP_CONCAT"; // MySQL, SQLite
-    // return "STRING_AGG"; // PostgreSQL, SQL Server 2017+
-    return "LISTAGG"; // Oracle, DB2, Redshift, Snowflake (often preferred, requires delimiter)
+  if (method === "Concatenate" || method === "List") {
+    return dialect.listAgg("$$col$$", valueDelimiter);
   }
 
-  // Positional Aggregations (Often require window functions or MIN/MAX on ordered data)
-  if (knimeMethod === "First") return "MIN"; // Simplification: MIN often gives the 'first' value in sorted group
-  if (knimeMethod === "Last") return "MAX"; // Simplification: MAX often gives the 'last' value in sorted group
+  // Positional Aggregations: the value of the first/last row of the group in
+  // input order, skipping missing values unless the aggregation includes them
+  if (ORDERED_AGGREGATIONS.includes(method)) {
+    if (!rowIndex) return null;
+    const orderKey = includeMissing
+      ? rowIndex
+      : `CASE WHEN $$col$$ IS NOT NULL THEN ${rowIndex} END`;
+    return dialect.orderedValue("$$col$$", orderKey, method === "Last");
+  }
 
   // Other types
   // Placeholder $$col$$ will be replaced with the actual quoted column name
-  if (knimeMethod === "Unique count") return "COUNT(DISTINCT $$col$$)";
-  if (knimeMethod === "Missing value count")
+  if (method === "Unique count") return "COUNT(DISTINCT $$col$$)";
+  if (method === "Missing value count")
     return "SUM(CASE WHEN $$col$$ IS NULL THEN 1 ELSE 0 END)";
-
-  // Mode might require subquery/window functions
+  // Share of the rows (with a value) that fall into the group
+  if (method === "Percent") {
+    return "(100.0 * COUNT($$col$$) / SUM(COUNT($$col$$)) OVER ())";
+  }
+  // Both pair the column with a second one chosen in the operator's own
+  // settings, which are not read, so CORR / COVAR_SAMP cannot be used
+  if (method === "Correlation" || method === "Covariance") {
+    console.warn(`${method} aggregations are not supported.`);
+    return null;
+  }
 
   console.warn(`Unsupported KNIME aggregation method: ${knimeMethod}`);
   return null;
 };
 
+/**
+ * SQL for one aggregation of a column.
+ * @param {string} knimeMethod - The KNIME aggregation method.
+ * @param {string} columnExpression - The aggregated column (quoted) or an expression.
+ * @param {object} dialect - Target SQL dialect.
+ * @param {string} [valueDelimiter=", "] - Delimiter for list/concatenate aggregations.
+ * @param {{rowIndex?: string|null, includeMissing?: boolean}} [options={}] - See
+ * mapKnimeAggregationToSQL; First and Last are unsupported without rowIndex.
+ * @returns {string|null} - e.g. SUM("price"), or null if the method is unsupported.
+ */
+export const getAggregationExpression = (
+  knimeMethod,
+  columnExpression,
+  dialect,
+  valueDelimiter = ", ",
+  options = {}
+) => {
+  const sqlFunctionTemplate = mapKnimeAggregationToSQL(
+    knimeMethod,
+    dialect,
+    valueDelimiter,
+    options
+  );
+  if (!sqlFunctionTemplate) return null;
+  // Handle functions needing special syntax
+  if (sqlFunctionTemplate.includes("$$col$$")) {
+    return sqlFunctionTemplate.replace(/\$\$col\$\$/g, () => columnExpression); // Use regex replaceAll
+  }
+  // Standard function call like SUM(col), AVG(col), MIN(col), MAX(col);
+  // KNIME's Count counts the non-missing values of the column, like COUNT(col)
+  return `${sqlFunctionTemplate}(${columnExpression})`;
+};
+
+/**
+ * Fallback for First, Last, Median and Mode where the dialect has no aggregate
+ * function for them: window functions over the rows of each group compute
+ * helper columns, which the aggregation then reads. Mode takes the most frequent
+ * value, the smallest one on ties (like PostgreSQL's MODE()).
+ * @param {string} knimeMethod - The KNIME aggregation method.
+ * @param {string} columnExpression - The aggregated column (quoted) or an expression.
+ * @param {object} dialect - Target SQL dialect.
+ * @param {{partition?: string[], rowIndex?: string|null, includeMissing?: boolean, helperName?: string}} [options={}] -
+ * partition: the quoted grouping columns; rowIndex and includeMissing: see
+ * mapKnimeAggregationToSQL; helperName: unquoted name prefix of the helper columns.
+ * @returns {{windows: string[][], expression: string}|null} - windows: helper
+ * column definitions per subquery level (level 2 reads level 1);
+ * expression: the aggregation. null if the method has no fallback.
+ */
+export const getWindowedAggregation = (
+  knimeMethod,
+  columnExpression,
+  dialect,
+  {
+    partition = [],
+    rowIndex = null,
+    includeMissing = false,
+    helperName = "knime_aggregation",
+  } = {}
+) => {
+  const method = toAggregationMethod(knimeMethod);
+  const helper = (suffix = "") =>
+    dialect.quoteIdentifier(`${helperName}${suffix}`);
+  const partitionBy = (columns) =>
+    columns.length > 0 ? `PARTITION BY ${columns.join(", ")}` : "";
+  const over = (orderBy) =>
+    `OVER (${[partitionBy(partition), `ORDER BY ${orderBy}`]
+      .filter(Boolean)
+      .join(" ")})`;
+
+  if (ORDERED_AGGREGATIONS.includes(method)) {
+    if (!rowIndex) return null;
+    const orderKey = includeMissing
+      ? rowIndex
+      : `CASE WHEN ${columnExpression} IS NOT NULL THEN ${rowIndex} END`;
+    const direction = method === "Last" ? "DESC" : "ASC";
+    return {
+      windows: [
+        [
+          `FIRST_VALUE(${columnExpression}) ${over(
+            dialect.orderByTerm(orderKey, direction, true)
+          )} AS ${helper()}`,
+        ],
+      ],
+      expression: `MIN(${helper()})`,
+    };
+  }
+  if (method === "Median") {
+    const median = dialect.medianOver(columnExpression, partitionBy(partition));
+    if (median) {
+      return {
+        windows: [[`${median} AS ${helper()}`]],
+        expression: `MIN(${helper()})`,
+      };
+    }
+    // The middle value, or the mean of the middle two, of the sorted values
+    const rank = helper("_rank");
+    const count = helper("_count");
+    return {
+      windows: [
+        [
+          `ROW_NUMBER() ${over(
+            dialect.orderByTerm(columnExpression, "ASC", true)
+          )} AS ${rank}`,
+          `COUNT(${columnExpression}) OVER (${partitionBy(partition)}) AS ${count}`,
+        ],
+      ],
+      expression: `AVG(CASE WHEN 2 * ${rank} BETWEEN ${count} AND ${count} + 2 THEN ${dialect.cast(
+        columnExpression,
+        "double"
+      )} END)`,
+    };
+  }
+  if (method === "Mode") {
+    const count = helper("_count");
+    return {
+      windows: [
+        [
+          `COUNT(${columnExpression}) OVER (${partitionBy([
+            ...partition,
+            columnExpression,
+          ])}) AS ${count}`,
+        ],
+        [
+          `FIRST_VALUE(${columnExpression}) ${over(
+            `${count} DESC, ${dialect.orderByTerm(columnExpression, "ASC", true)}`
+          )} AS ${helper()}`,
+        ],
+      ],
+      expression: `MIN(${helper()})`,
+    };
+  }
+  return null;
+};
+
+/**
+ * Whether a dialect can convert an aggregation method, with an aggregate
+ * function or the window function fallback. Lets the schema analysis leave out
+ * the aggregations the converters skip.
+ * @param {string} knimeMethod - The KNIME aggregation method.
+ * @param {object} dialect - Target SQL dialect.
+ * @returns {boolean}
+ */
+export const isAggregationSupported = (knimeMethod, dialect) => {
+  const options = { rowIndex: ROW_INDEX_COLUMN };
+  return Boolean(
+    getAggregationExpression(knimeMethod, "value", dialect, ", ", options) ||
+      getWindowedAggregation(knimeMethod, "value", dialect, options)
+  );
+};
+
+/**
+ * FROM clause of an aggregation query. First and Last need the input rows
+ * numbered; window function fallbacks add one subquery per level of helper
+ * columns.
+ * @param {string} previousNodeName - The name of the input table/view.
+ * @param {object} dialect - Target SQL dialect.
+ * @param {boolean} usesRowOrder - Whether to number the input rows.
+ * @param {string[][]} [windows=[]] - Helper column definitions per level (see
+ * getWindowedAggregation).
+ * @returns {string}
+ */
+export const getAggregationFromClause = (
+  previousNodeName,
+  dialect,
+  usesRowOrder,
+  windows = []
+) => {
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  let from = quotedPreviousNodeName;
+  let alias = quotedPreviousNodeName;
+  if (usesRowOrder) {
+    alias = dialect.quoteIdentifier("source");
+    from = `(\n  SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${dialect.quoteIdentifier(
+      ROW_INDEX_COLUMN
+    )}\n  FROM ${quotedPreviousNodeName}\n) ${alias}`;
+  }
+  windows
+    .filter((columns) => columns.length > 0)
+    .forEach((columns, index) => {
+      const levelAlias = dialect.quoteIdentifier(`window_${index + 1}`);
+      from = `(\n  SELECT ${alias}.*,\n    ${columns.join(
+        ",\n    "
+      )}\n  FROM ${from.replace(/\n/g, "\n  ")}\n) ${levelAlias}`;
+      alias = levelAlias;
+    });
+  return `FROM ${from}`;
+};
+
+/**
+ * Name KNIME itself gives an aggregation column: "Sum(price)", "price (Sum)" or
+ * "price" depending on the column name policy. Used where the names have to match
+ * KNIME's, e.g. the Pivoting node's "value+aggregation" columns.
+ * @param {string} colName - Aggregated column.
+ * @param {string} knimeMethod - KNIME aggregation method (a version suffix such as "_V2.5.2" is dropped).
+ * @param {string} columnNamePolicy - The node's "columnNamePolicy" setting.
+ * @returns {string} - The column name.
+ */
+export const getKnimeAggregationName = (
+  colName,
+  knimeMethod,
+  columnNamePolicy
+) => {
+  const methodLabel = toAggregationMethod(knimeMethod);
+  if (columnNamePolicy === "Column name (aggregation method)") {
+    return `${colName} (${methodLabel})`;
+  }
+  if (columnNamePolicy === "Keep original name(s)") return colName;
+  return `${methodLabel}(${colName})`;
+};
+
+const getChildConfigs = (config) =>
+  !config?.config
+    ? []
+    : Array.isArray(config.config)
+    ? config.config
+    : [config.config];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Methods KNIME offers for numeric columns only
+const NUMERIC_AGGREGATIONS = [
+  "Sum",
+  "Mean",
+  "Average",
+  "Median",
+  "StandardDeviation",
+  "Standard deviation",
+  "Variance",
+  "Range",
+];
+const NUMERIC_TYPES = ["integer", "long", "double"];
+
+// Column types a type aggregator covers: like KNIME's DataType.isASuperTypeOf,
+// a double aggregator also takes integer and long columns
+const COVERED_TYPES = { double: NUMERIC_TYPES, long: ["integer", "long"] };
+
+// Whether a pattern or type aggregator can aggregate a column; columns of
+// unknown type are assumed to fit
+const isCompatibleAggregation = (knimeMethod, type) =>
+  !type ||
+  !NUMERIC_AGGREGATIONS.includes(toAggregationMethod(knimeMethod)) ||
+  NUMERIC_TYPES.includes(type);
+
+/**
+ * Reads the aggregators of a GroupBy node that pick their columns themselves:
+ *   patternAggregators → aggregator_<i> → inputPattern, isRegularExpression,
+ *     aggregationMethod, inclMissingVals
+ *   dataTypeAggregators → aggregator_<i> → dataType → cell_class,
+ *     aggregationMethod, inclMissingVals
+ * A wildcard pattern (* = any characters, ? = one character) becomes a regular
+ * expression; like KNIME's, it has to match the whole column name. Aggregators
+ * with an invalid pattern or an unknown data type are left out.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {Array<{matches: function(string, string|null): boolean, method: string, includeMissing: boolean}>} -
+ * matches(name, type) tells whether the aggregator takes a column, in
+ * settings order (pattern aggregators first).
+ */
+const getColumnSelectingAggregators = (modelNode) => {
+  const aggregators = [];
+  const toAggregator = (aggregatorConfig, matches) => ({
+    matches,
+    method: getEntryValue(aggregatorConfig.entry, "aggregationMethod"),
+    includeMissing:
+      getEntryValue(aggregatorConfig.entry, "inclMissingVals") === true,
+  });
+  getChildConfigs(
+    findConfigByKey(modelNode?.config, "patternAggregators")
+  ).forEach((aggregatorConfig) => {
+    const inputPattern = getEntryValue(aggregatorConfig.entry, "inputPattern");
+    const isRegex =
+      getEntryValue(aggregatorConfig.entry, "isRegularExpression") === true;
+    if (inputPattern === null) return;
+    let pattern;
+    try {
+      pattern = new RegExp(
+        `^(?:${
+          isRegex
+            ? inputPattern
+            : escapeRegExp(inputPattern)
+                .replace(/\\\*/g, ".*")
+                .replace(/\\\?/g, ".")
+        })$`
+      );
+    } catch (error) {
+      console.warn(`GroupBy: invalid column pattern "${inputPattern}".`);
+      return;
+    }
+    aggregators.push(
+      toAggregator(aggregatorConfig, (name) => pattern.test(name))
+    );
+  });
+  getChildConfigs(
+    findConfigByKey(modelNode?.config, "dataTypeAggregators")
+  ).forEach((aggregatorConfig) => {
+    const dataType = toTypeKey(
+      getEntryValue(
+        findConfigByKey(aggregatorConfig.config, "dataType")?.entry,
+        "cell_class"
+      )
+    );
+    if (!dataType) {
+      console.warn("GroupBy: unsupported data type of a type based aggregation.");
+      return;
+    }
+    const coveredTypes = COVERED_TYPES[dataType] || [dataType];
+    aggregators.push(
+      toAggregator(aggregatorConfig, (name, type) =>
+        coveredTypes.includes(type)
+      )
+    );
+  });
+  return aggregators.filter(({ method }) => method);
+};
+
+/**
+ * Reads the grouping columns and aggregations of a GroupBy node's model config.
+ * Shared by the converter and the column/schema analysis, so both agree on the
+ * output column names, which follow the node's column name policy like KNIME's.
+ *   aggregationColumn → columnNames, aggregationMethod, inclMissingVals
+ * Pattern and type based aggregators (see getColumnSelectingAggregators) are
+ * expanded against the input columns like KNIME does: each takes the matching
+ * input columns, in input order, that are neither grouped nor aggregated yet
+ * and that its method can aggregate.
+ * @param {object} modelNode - The node's "model" config.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input
+ * columns; without them only the explicitly configured columns are aggregated.
+ * @returns {{groupingColumns: string[], aggregationColumns: Array<{column: string, method: string, alias: string, includeMissing: boolean}>}}
+ */
+export const getGroupByColumns = (modelNode, inputSchema = []) => {
+  const groupByColumnsNode = findConfigByKey(modelNode?.config, "grouByColumns");
+  const inclListGroupNode = findConfigByKey(
+    groupByColumnsNode?.config,
+    "InclList"
+  );
+  const groupingColumns = getArrayValuesFromConfig(inclListGroupNode);
+
+  const aggColumnNode = findConfigByKey(modelNode?.config, "aggregationColumn");
+  const aggColNamesNode = findConfigByKey(aggColumnNode?.config, "columnNames");
+  const aggColMethodsNode = findConfigByKey(
+    aggColumnNode?.config,
+    "aggregationMethod"
+  );
+  const aggColumnNames = getArrayValuesFromConfig(aggColNamesNode);
+  const aggMethods = getArrayValuesFromConfig(aggColMethodsNode);
+  const includeMissingValues = getArrayValuesFromConfig(
+    findConfigByKey(aggColumnNode?.config, "inclMissingVals")
+  );
+  const columnNamePolicy =
+    getEntryValue(modelNode?.entry, "columnNamePolicy") ||
+    "Aggregation method (column name)";
+
+  if (aggColumnNames.length !== aggMethods.length) {
+    console.warn(
+      "Mismatch between aggregation column names and methods count. Using minimum length."
+    );
+  }
+  const numAggs = Math.min(aggColumnNames.length, aggMethods.length);
+  const aggregationColumns = [];
+  for (let i = 0; i < numAggs; i++) {
+    aggregationColumns.push({
+      column: aggColumnNames[i],
+      method: aggMethods[i],
+      alias: getKnimeAggregationName(
+        aggColumnNames[i],
+        aggMethods[i],
+        columnNamePolicy
+      ),
+      includeMissing: includeMissingValues[i] === "true",
+    });
+  }
+
+  const usedColumns = new Set([
+    ...groupingColumns,
+    ...aggregationColumns.map((aggregation) => aggregation.column),
+  ]);
+  getColumnSelectingAggregators(modelNode).forEach(
+    ({ matches, method, includeMissing }) => {
+      inputSchema.forEach(({ name, type }) => {
+        if (
+          usedColumns.has(name) ||
+          !matches(name, type) ||
+          !isCompatibleAggregation(method, type)
+        ) {
+          return;
+        }
+        usedColumns.add(name);
+        aggregationColumns.push({
+          column: name,
+          method,
+          alias: getKnimeAggregationName(name, method, columnNamePolicy),
+          includeMissing,
+        });
+      });
+    }
+  );
+  return { groupingColumns, aggregationColumns };
+};
+
+/**
+ * Type of an aggregation's result, following KNIME's aggregation operators.
+ * @param {string} knimeMethod - KNIME aggregation method.
+ * @param {string|null} inputType - Type key of the aggregated column.
+ * @returns {string|null} - Type key of the result, null if unknown.
+ */
+export const getAggregationType = (knimeMethod, inputType) => {
+  const method = toAggregationMethod(knimeMethod);
+  if (["Count", "Unique count", "Missing value count"].includes(method)) {
+    return "integer";
+  }
+  if (
+    [
+      "Mean",
+      "Average",
+      "Median",
+      "StandardDeviation",
+      "Standard deviation",
+      "Variance",
+      "Percent",
+      "Range",
+    ].includes(method)
+  ) {
+    return "double";
+  }
+  if (method === "Sum") {
+    if (inputType === "integer" || inputType === "long") return "long";
+    return "double";
+  }
+  if (["Concatenate", "List"].includes(method)) return "string";
+  // Minimum, Maximum, First, Last, Mode, ... keep the column's type
+  return inputType || null;
+};
+
 /**
  * Converts a KNIME GroupBy node configuration (compact JSON) to an SQL query.
+ * First and Last take the value of the group's first/last row in input order,
+ * so the input rows are numbered when the node uses them. Where the dialect has
+ * no aggregate function for First, Last, Median or Mode, window functions compute
+ * them (see getWindowedAggregation). Pattern and type based aggregations become
+ * one aggregation per matching input column.
+ *
+ * Example output (PostgreSQL):
+ *   SELECT
+ *     "region",
+ *     SUM("sales") AS "Sum(sales)",
+ *     (ARRAY_AGG("date" ORDER BY CASE WHEN "date" IS NOT NULL THEN "knime_row_index" END ASC) FILTER (WHERE CASE WHEN "date" IS NOT NULL THEN "knime_row_index" END IS NOT NULL))[1] AS "First(date)"
+ *   FROM (
+ *     SELECT "node_1".*, ROW_NUMBER() OVER () - 1 AS "knime_row_index"
+ *     FROM "node_1"
+ *   ) "source"
+ *   GROUP BY
+ *     "region";
  *
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input
+ * columns, which pattern and type based aggregations are matched against.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertGroupByNodeToSQL(
   nodeConfig,
-  previousNodeName = "input_table"
+  previousNodeName = "input_table",
+  inputSchema = [],
+  dialect = getDialect()
 ) {
+  dialect = getDialect(dialect);
   // --- 1. Verify Node Type ---
   const factory = getEntryValue(nodeConfig?.entry, "factory"); // [cite: uploaded:src/common/getEntryValue.js]
   const GROUPBY_FACTORY =
@@ -71,105 +577,87 @@ export function convertGroupByNodeToSQL(
     return "Error: Model configuration not found or invalid.";
   }
 
-  // --- 3. Extract Grouping Columns ---
-  const groupByColumnsNode = findConfigByKey(modelNode.config, "grouByColumns");
-  const inclListGroupNode = findConfigByKey(
-    groupByColumnsNode?.config,
-    "InclList"
+  // --- 3. Extract Grouping Columns & Aggregations ---
+  const { groupingColumns, aggregationColumns } = getGroupByColumns(
+    modelNode,
+    inputSchema
   );
-  const groupingColumns = getArrayValuesFromConfig(inclListGroupNode); // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
 
   if (!groupingColumns || groupingColumns.length === 0) {
     console.warn("No grouping columns specified. Aggregating entire table.");
     // Continue, will handle logic based on aggregations present
   }
-  const quotedGroupingColumns = groupingColumns.map(
-    (col) => `"${col.replace(/"/g, '""')}"`
+  const quotedGroupingColumns = groupingColumns.map((col) =>
+    dialect.quoteIdentifier(col)
   );
 
-  // --- 4. Extract Aggregation Columns & Methods ---
-  const aggColumnNode = findConfigByKey(modelNode.config, "aggregationColumn");
-  const aggColNamesNode = findConfigByKey(aggColumnNode?.config, "columnNames");
-  const aggColMethodsNode = findConfigByKey(
-    aggColumnNode?.config,
-    "aggregationMethod"
-  );
-
-  const aggColumnNames = getArrayValuesFromConfig(aggColNamesNode);
-  const aggMethods = getArrayValuesFromConfig(aggColMethodsNode);
-  const columnNamePolicy =
-    getEntryValue(modelNode.entry, "columnNamePolicy") ||
-    "Aggregation method (column name)";
   const valueDelimiter =
     getEntryValue(modelNode.entry, "valueDelimiter") || ", ";
 
+  const rowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  let usesRowOrder = false;
+
   const aggregations = [];
-  if (aggColumnNames.length !== aggMethods.length) {
-    console.warn(
-      "Mismatch between aggregation column names and methods count. Using minimum length."
+  const skippedAggregations = [];
+  // Helper columns of window function fallbacks, per subquery level
+  const windows = [];
+  for (const [
+    index,
+    { column: colName, method: knimeMethod, alias, includeMissing },
+  ] of aggregationColumns.entries()) {
+    let sqlFunctionCall = getAggregationExpression(
+      knimeMethod,
+      dialect.quoteIdentifier(colName),
+      dialect,
+      valueDelimiter,
+      { rowIndex, includeMissing }
     );
-  }
-
-  const numAggs = Math.min(aggColumnNames.length, aggMethods.length);
-  for (let i = 0; i < numAggs; i++) {
-    const colName = aggColumnNames[i];
-    const knimeMethod = aggMethods[i];
-    const sqlFunctionTemplate = mapKnimeAggregationToSQL(knimeMethod);
-
-    if (sqlFunctionTemplate) {
-      const quotedColName = `"${colName.replace(/"/g, '""')}"`;
-      let sqlFunctionCall;
-
-      // Handle functions needing special syntax
-      if (sqlFunctionTemplate.includes("$$col$$")) {
-        sqlFunctionCall = sqlFunctionTemplate.replace(
-          /\$\$col\$\$/g,
-          quotedColName
-        ); // Use regex replaceAll
-      } else if (knimeMethod === "Count") {
-        // KNIME's Count usually counts non-missing values of the column. COUNT(*) counts rows.
-        sqlFunctionCall = `COUNT(${quotedColName})`;
-      } else if (knimeMethod === "List" || knimeMethod === "Concatenate") {
-        // LISTAGG example (adjust function name and syntax for other dialects like STRING_AGG or GROUP_CONCAT)
-        const delimiter = valueDelimiter;
-        // Basic LISTAGG - Add WITHIN GROUP if ordering is needed based on KNIME config/behavior
-        sqlFunctionCall = `${sqlFunctionTemplate}(${quotedColName}, '${delimiter.replace(
-          /'/g,
-          "''"
-        )}')`;
-        // Example with ordering (if KNIME implies order or retainOrder=true):
-        // sqlFunctionCall = `${sqlFunctionTemplate}(${quotedColName}, '${delimiter.replace(/'/g,"''")}') WITHIN GROUP (ORDER BY ${quotedColName})`;
-      } else {
-        // Standard function call like SUM(col), AVG(col), MIN(col), MAX(col)
-        sqlFunctionCall = `${sqlFunctionTemplate}(${quotedColName})`;
+    if (!sqlFunctionCall) {
+      const windowed = getWindowedAggregation(
+        knimeMethod,
+        dialect.quoteIdentifier(colName),
+        dialect,
+        {
+          partition: quotedGroupingColumns,
+          rowIndex,
+          includeMissing,
+          helperName: `knime_aggregation_${index}`,
+        }
+      );
+      if (windowed) {
+        windowed.windows.forEach((columns, level) => {
+          windows[level] = [...(windows[level] || []), ...columns];
+        });
+        sqlFunctionCall = windowed.expression;
       }
+    }
 
-      // Determine alias based on policy
-      let alias = "";
-      // Basic cleanup for alias generation
-      const cleanColName = colName.replace(/[^a-zA-Z0-9_]/g, "_");
-      const cleanMethod = knimeMethod.replace(/[^a-zA-Z0-9_]/g, "_");
-
-      if (columnNamePolicy === "Aggregation method (column name)") {
-        alias = `${cleanMethod}_${cleanColName}`;
-      } else if (columnNamePolicy === "Column name (aggregation method)") {
-        alias = `${cleanColName}_${cleanMethod}`;
-      } else {
-        // Default: Keep original name - risk of clash! Add suffix maybe?
-        alias = `${cleanColName}_agg`; // Add suffix to reduce clash risk
-        console.warn(
-          `Applying default column name policy for ${colName}. Using alias ${alias}. Ensure no clashes.`
-        );
+    if (sqlFunctionCall) {
+      if (ORDERED_AGGREGATIONS.includes(toAggregationMethod(knimeMethod))) {
+        usesRowOrder = true;
       }
-      const quotedAlias = `"${alias.replace(/"/g, '""')}"`; // Quote the final alias
+      const quotedAlias = dialect.quoteIdentifier(alias); // Quote the final alias
 
       aggregations.push(`${sqlFunctionCall} AS ${quotedAlias}`);
+    } else {
+      skippedAggregations.push(`${toAggregationMethod(knimeMethod)}(${colName})`);
     }
   }
+  let skippedComment =
+    skippedAggregations.length > 0
+      ? `-- Not converted (unsupported in ${
+          dialect.label
+        }): ${skippedAggregations.join(", ")}\n`
+      : "";
+  if (
+    inputSchema.length === 0 &&
+    getColumnSelectingAggregators(modelNode).length > 0
+  ) {
+    skippedComment +=
+      "-- Not converted: pattern and type based aggregations (input columns unknown)\n";
+  }
 
   // --- 5. Construct SQL Query ---
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
-
   // SELECT Clause
   const selectParts = [];
   if (quotedGroupingColumns.length > 0) {
@@ -186,8 +674,14 @@ export function convertGroupByNodeToSQL(
 
   const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
 
-  // FROM Clause
-  const fromClause = `FROM ${quotedPreviousNodeName}`;
+  // FROM Clause; First and Last need the input rows numbered, window function
+  // fallbacks their helper columns
+  const fromClause = getAggregationFromClause(
+    previousNodeName,
+    dialect,
+    usesRowOrder,
+    windows
+  );
 
   // GROUP BY Clause
   let groupByClause = "";
@@ -207,7 +701,7 @@ export function convertGroupByNodeToSQL(
     const distinctSelectClause = `SELECT DISTINCT\n  ${quotedGroupingColumns.join(
       ",\n  "
     )}`;
-    return `${distinctSelectClause}\n${fromClause};`;
+    return `${skippedComment}${distinctSelectClause}\n${fromClause};`;
   } else {
     // Standard GROUP BY query (with or without grouping columns, but must have aggregations)
     const parts = [selectClause, fromClause];
@@ -215,6 +709,6 @@ export function convertGroupByNodeToSQL(
       // Only add GROUP BY if it was generated
       parts.push(groupByClause);
     }
-    return parts.join("\n") + ";";
+    return skippedComment + parts.join("\n") + ";";
   }
 }
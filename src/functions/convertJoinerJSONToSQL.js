@@ -1,4 +1,5 @@
-import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { getDialect } from "../dialects/index.js";
 const getEntryValue = (entryProp, key) => {
   // ... (implementation remains the same) ...
   if (!entryProp) return null;
@@ -61,6 +62,170 @@ const getSQLJoinTypeFromFlags = (
   return "INNER JOIN";
 };
 
+// compositionMode of "match any of the criteria" (OR) instead of all (AND)
+const MATCH_ANY_MODES = ["MATCH_ANY", "OR"];
+
+// KNIME's row IDs are assumed to be a string "RowID" column in SQL
+const ROW_ID_COLUMN = "RowID";
+const INTEGER_TYPES = ["integer", "long"];
+
+/**
+ * SQL condition for one matching criterion. dataCellComparisonMode decides
+ * when two key values match:
+ * - value and type (STRICT, default): keys of different types never match,
+ *   e.g. a string and an integer, or an integer and a long
+ * - string representation (AS_STRING): both keys compared as strings
+ * - integer types compatible (NUMBERS_AS_LONG): integer and long keys match
+ * @param {string} left - Left key expression (qualified, quoted).
+ * @param {string} right - Right key expression (qualified, quoted).
+ * @param {string|null} leftType - Type key of the left key, null if unknown.
+ * @param {string|null} rightType - Type key of the right key, null if unknown.
+ * @param {string|null} comparisonMode - The node's dataCellComparisonMode.
+ * @param {object} dialect - Target SQL dialect.
+ * @returns {string|null} - The condition, or null if the keys can never match.
+ */
+const getKeyCondition = (
+  left,
+  right,
+  leftType,
+  rightType,
+  comparisonMode,
+  dialect
+) => {
+  if (/STRING/.test(comparisonMode || "")) {
+    const toString = (expr, type) =>
+      type === "string" ? expr : dialect.cast(expr, "string");
+    return `${toString(left, leftType)} = ${toString(right, rightType)}`;
+  }
+  const compatible =
+    !leftType ||
+    !rightType ||
+    leftType === rightType ||
+    (/LONG/.test(comparisonMode || "") &&
+      INTEGER_TYPES.includes(leftType) &&
+      INTEGER_TYPES.includes(rightType));
+  return compatible ? `${left} = ${right}` : null;
+};
+
+/**
+ * Reads the matching criteria of a Joiner: model → matchingCriteria → each
+ * criterion's leftTableColumn and rightTableColumn.
+ * Handles KNIME's "<row-keys>" by assuming a standard "RowID" column in SQL.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {Array<{leftKey: string, rightKey: string}>} - Key column names of each criterion.
+ */
+const getJoinCriteria = (modelNode) => {
+  const matchingCriteriaNode = findConfigByKey(
+    modelNode?.config,
+    "matchingCriteria"
+  );
+  if (!matchingCriteriaNode || !matchingCriteriaNode.config) return [];
+  const criteriaConfigs = Array.isArray(matchingCriteriaNode.config)
+    ? matchingCriteriaNode.config
+    : [matchingCriteriaNode.config];
+  const criteria = [];
+  criteriaConfigs.forEach((critConfig) => {
+    const leftKey = getEntryValue(critConfig.entry, "leftTableColumn");
+    const rightKey = getEntryValue(critConfig.entry, "rightTableColumn");
+    if (leftKey && rightKey) {
+      // *** Handle <row-keys> translation ***
+      // Assumes the upstream tables have a column named "RowID"
+      criteria.push({
+        leftKey: leftKey === "<row-keys>" ? ROW_ID_COLUMN : leftKey,
+        rightKey: rightKey === "<row-keys>" ? ROW_ID_COLUMN : rightKey,
+      });
+    }
+  });
+  return criteria;
+};
+
+/**
+ * Output columns of one Joiner port, based *only* on the config. Shared by the
+ * converter and the column/schema analysis, so both agree on the names.
+ * Port 1 (the join result) has the included left columns, then the included
+ * right columns without the right join keys if mergeJoinColumns is set. A name
+ * both sides include is resolved by duplicateHandling: KEEP_LEFT / KEEP_RIGHT
+ * drop one of them, APPEND_SUFFIX appends the suffix to the right one, and
+ * otherwise the columns become "<name>_L" and "<name>_R".
+ * Ports 2 and 3 (Joiner 3: left / right unmatched rows) have the included
+ * columns of their side as they are.
+ * @param {object} modelNode - The node's "model" config.
+ * @param {number} [outputPort=1] - The output port.
+ * @returns {{columns: Array<{side: string, column: string, name: string}>, duplicate: string|null}} -
+ * side ("left" or "right") and column tell where a column comes from, name is
+ * its output name; duplicate is the first shared name if duplicateHandling is
+ * FAIL (no columns then).
+ */
+export const getJoinerOutputColumns = (modelNode, outputPort = 1) => {
+  const getIncludedColumns = (selectionKey) =>
+    getArrayValuesFromConfig(
+      findConfigByKey(
+        findConfigByKey(modelNode?.config, selectionKey)?.config,
+        "included_names"
+      )
+    );
+  const finalLeftCols = getIncludedColumns("leftColumnSelectionConfig");
+  const includedRightCols = getIncludedColumns("rightColumnSelectionConfig");
+  if (outputPort > 1) {
+    const [side, cols] =
+      outputPort === 2
+        ? ["left", finalLeftCols]
+        : ["right", includedRightCols];
+    return {
+      columns: cols.map((column) => ({ side, column, name: column })),
+      duplicate: null,
+    };
+  }
+
+  // If merging, remove the join keys from the right side column list (a join
+  // on the row IDs only removes an explicitly included "RowID" column)
+  const entries = modelNode?.entry;
+  const duplicateHandling = getEntryValue(entries, "duplicateHandling");
+  const suffix = getEntryValue(entries, "suffix") || "_dup";
+  const rightJoinKeys = new Set(
+    getJoinCriteria(modelNode).map(({ rightKey }) => rightKey)
+  );
+  const finalRightCols =
+    getEntryValue(entries, "mergeJoinColumns") === true
+      ? includedRightCols.filter((col) => !rightJoinKeys.has(col))
+      : includedRightCols;
+
+  const columns = [];
+  const finalLeftColNames = new Set(finalLeftCols);
+  const finalRightColNames = new Set(finalRightCols);
+  const selectedColumnAliases = new Set();
+  const addColumn = (side, column, alias) => {
+    let finalAlias = alias;
+    let suffixCounter = 1;
+    while (selectedColumnAliases.has(finalAlias))
+      finalAlias = `${alias}_${suffixCounter++}`;
+    selectedColumnAliases.add(finalAlias);
+    columns.push({ side, column, name: finalAlias });
+  };
+
+  for (const col of finalLeftCols) {
+    let alias = col;
+    if (finalRightColNames.has(col)) {
+      if (duplicateHandling === "FAIL") return { columns: [], duplicate: col };
+      if (duplicateHandling === "KEEP_RIGHT") continue;
+      if (!["KEEP_LEFT", "APPEND_SUFFIX"].includes(duplicateHandling)) {
+        alias = `${col}_L`;
+      }
+    }
+    addColumn("left", col, alias);
+  }
+  for (const col of finalRightCols) {
+    let alias = col;
+    if (finalLeftColNames.has(col)) {
+      if (duplicateHandling === "KEEP_LEFT") continue;
+      if (duplicateHandling === "APPEND_SUFFIX") alias = `${col}${suffix}`;
+      else if (duplicateHandling !== "KEEP_RIGHT") alias = `${col}_R`;
+    }
+    addColumn("right", col, alias);
+  }
+  return { columns, duplicate: null };
+};
+
 /**
  * Converts a KNIME Joiner node configuration (JoinerNodeFactory or Joiner3NodeFactory
  * using the modern internal structure) from compact JSON to an SQL query.
@@ -68,16 +233,39 @@ const getSQLJoinTypeFromFlags = (
  * Relies solely on column lists defined within the configuration.
  * Ensures table names/aliases passed in are quoted in the final SQL.
  *
+ * The matching criteria are combined with AND, or with OR if the node matches
+ * any of them; keys are compared according to the node's comparison mode (see
+ * getKeyCondition). If the Joiner 3 outputs unmatched rows to separate ports,
+ * port 1 holds the matches, port 2 the left and port 3 the right unmatched rows,
+ * found with an anti-join:
+ *   SELECT
+ *     "node_1"."id",
+ *     "node_1"."name"
+ *   FROM "node_1"
+ *   LEFT OUTER JOIN "node_2"
+ *   ON "node_1"."id" = "node_2"."customer_id"
+ *   WHERE "node_2"."customer_id" IS NULL;
+ *
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} [leftInputName="left_input"] - The name/alias for the left input table/subquery.
  * @param {string} [rightInputName="right_input"] - The name/alias for the right input table/subquery.
+ * @param {Array<{name: string, type: string|null}>} [leftSchema=[]] - Typed columns of the left input.
+ * @param {Array<{name: string, type: string|null}>} [rightSchema=[]] - Typed columns of the right input.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @param {number} [outputPort=1] - Output port to generate (Joiner 3: 1 = join result,
+ * 2 = left unmatched rows, 3 = right unmatched rows).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertJoinerNodeToSQL(
   nodeConfig,
   leftInputName = "left_input",
-  rightInputName = "right_input"
+  rightInputName = "right_input",
+  leftSchema = [],
+  rightSchema = [],
+  dialect = getDialect(),
+  outputPort = 1
 ) {
+  dialect = getDialect(dialect);
   // Step 1: Verify node type
   // ... (implementation remains the same) ...
   const factory = getEntryValue(nodeConfig.entry, "factory");
@@ -92,6 +280,9 @@ export function convertJoinerNodeToSQL(
     const factoryInfo = factory ? `"${factory}"` : "N/A";
     return `Error: Expected Joiner factory (${JOINER_FACTORY_MODERN} or ${JOINER_FACTORY_LEGACY_WITH_MODERN_CONFIG}), but got ${factoryInfo}. This function expects the modern internal config structure.`;
   }
+  if (outputPort > (factory === JOINER_FACTORY_MODERN ? 3 : 1)) {
+    return `Error: Output port ${outputPort} does not exist on this node.`;
+  }
 
   // Step 2: Find the model configuration
   const modelNode = findConfigByKey(nodeConfig.config, "model");
@@ -100,10 +291,6 @@ export function convertJoinerNodeToSQL(
   }
 
   // Step 3: Extract join parameters
-  // ... (extraction logic remains the same) ...
-  const duplicateHandling = getEntryValue(modelNode.entry, "duplicateHandling");
-  const suffix = getEntryValue(modelNode.entry, "suffix") || "_dup";
-  const mergeJoinColumns = getEntryValue(modelNode.entry, "mergeJoinColumns");
   const includeMatches = getEntryValue(
     modelNode.entry,
     "includeMatchesInOutput"
@@ -116,194 +303,153 @@ export function convertJoinerNodeToSQL(
     modelNode.entry,
     "includeRightUnmatchedInOutput"
   );
-  const matchingCriteriaNode = findConfigByKey(
-    modelNode.config,
-    "matchingCriteria"
+  const separateUnmatchedPorts =
+    getEntryValue(modelNode.entry, "outputUnmatchedRowsToSeparatePorts") ===
+    true;
+  const matchAny = MATCH_ANY_MODES.includes(
+    getEntryValue(modelNode.entry, "compositionMode")
   );
-  const joinConditions = []; // Store conditions for the ON clause
-
-  if (matchingCriteriaNode && matchingCriteriaNode.config) {
-    const criteriaConfigs = Array.isArray(matchingCriteriaNode.config)
-      ? matchingCriteriaNode.config
-      : [matchingCriteriaNode.config];
-    criteriaConfigs.forEach((critConfig) => {
-      let leftKey = getEntryValue(critConfig.entry, "leftTableColumn");
-      let rightKey = getEntryValue(critConfig.entry, "rightTableColumn");
-
-      // *** Handle <row-keys> translation ***
-      // Assumes the upstream tables have a column named "RowID"
-      const rowIdColName = '"RowID"'; // Use a standard quoted name
-      if (leftKey === "<row-keys>") {
-        leftKey = rowIdColName;
-        console.log(
-          "Detected join on left <row-keys>, translating to",
-          rowIdColName
-        );
-      } else {
-        // Quote regular column names
-        leftKey = `"${leftKey.replace(/"/g, '""')}"`;
-      }
-      if (rightKey === "<row-keys>") {
-        rightKey = rowIdColName;
-        console.log(
-          "Detected join on right <row-keys>, translating to",
-          rowIdColName
-        );
-      } else {
-        // Quote regular column names
-        rightKey = `"${rightKey.replace(/"/g, '""')}"`;
-      }
-      // *** End <row-keys> handling ***
-
-      if (leftKey && rightKey) {
-        // Store the keys for the condition (leftKey/rightKey are now quoted or "RowID")
-        joinConditions.push({ leftKey, rightKey });
-      }
-    });
-  }
-
-  if (joinConditions.length === 0) {
-    // ... (error handling remains the same) ...
-    const compositionMode = getEntryValue(modelNode.entry, "compositionMode");
-    if (compositionMode === "UNION" || compositionMode === "INTERSECTION") {
-      return `Error: Joiner mode '${compositionMode}' without explicit matching criteria is not directly convertible to a standard SQL JOIN.`;
-    }
+  const comparisonMode = getEntryValue(
+    modelNode.entry,
+    "dataCellComparisonMode"
+  );
+  const criteria = getJoinCriteria(modelNode);
+  if (criteria.length === 0) {
     return "Error: No valid join keys found in matchingCriteria.";
   }
 
-  // Step 4: Determine columns to include based *only* on the config
-  // ... (logic remains the same) ...
-  const leftSelectionNode = findConfigByKey(
-    modelNode.config,
-    "leftColumnSelectionConfig"
-  );
-  const rightSelectionNode = findConfigByKey(
-    modelNode.config,
-    "rightColumnSelectionConfig"
+  // Step 4: Determine the output columns based *only* on the config (see
+  // getJoinerOutputColumns)
+  const { columns: outputColumns, duplicate } = getJoinerOutputColumns(
+    modelNode,
+    outputPort
   );
-  const leftIncludedNamesNode = leftSelectionNode
-    ? findConfigByKey(leftSelectionNode.config, "included_names")
-    : null;
-  const rightIncludedNamesNode = rightSelectionNode
-    ? findConfigByKey(rightSelectionNode.config, "included_names")
-    : null;
-  let finalLeftCols = getArrayValuesFromConfig(leftIncludedNamesNode);
-  let finalRightCols = getArrayValuesFromConfig(rightIncludedNamesNode);
-
-  // Step 4.5: Handle column removal based on mergeJoinColumns
-  // Need the *original* right join key names before they were potentially replaced by "RowID"
-  const originalRightJoinKeys = [];
-  if (matchingCriteriaNode && matchingCriteriaNode.config) {
-    const criteriaConfigs = Array.isArray(matchingCriteriaNode.config)
-      ? matchingCriteriaNode.config
-      : [matchingCriteriaNode.config];
-    criteriaConfigs.forEach((critConfig) => {
-      const rightKey = getEntryValue(critConfig.entry, "rightTableColumn");
-      if (rightKey && rightKey !== "<row-keys>") {
-        // Exclude row key placeholder
-        originalRightJoinKeys.push(rightKey);
-      }
-      // If joining on RowID and merging, we might want to keep only one RowID column implicitly?
-      // Current logic only removes explicitly named columns from the right side.
-    });
-  }
-  const originalRightJoinKeysSet = new Set(originalRightJoinKeys);
-
-  if (mergeJoinColumns === true) {
-    // If merging, remove the *original* join keys from the right side column list
-    finalRightCols = finalRightCols.filter(
-      (col) => !originalRightJoinKeysSet.has(col)
-    );
-    // If join was on RowID and merge=true, should we also remove "RowID" if it exists in finalRightCols?
-    // This depends on whether "RowID" was explicitly selected via included_names. Let's assume not for now.
+  if (duplicate !== null) {
+    return `Error: Duplicate column name "${duplicate}" found...`;
   }
 
   // Prepare Quoted Input Names
-  const quotedLeftInputName = `"${leftInputName.replace(/"/g, '""')}"`;
-  const quotedRightInputName = `"${rightInputName.replace(/"/g, '""')}"`;
+  const quotedLeftInputName = dialect.quoteIdentifier(leftInputName);
+  const quotedRightInputName = dialect.quoteIdentifier(rightInputName);
 
-  // Step 5: Build SELECT clause with duplicate handling
-  // ... (logic remains the same, uses finalLeftCols/finalRightCols) ...
-  const selectParts = [];
-  const finalLeftColNames = new Set(finalLeftCols);
-  const finalRightColNames = new Set(finalRightCols); // Use potentially modified list
-  const selectedColumnAliases = new Set();
+  // Step 5: Build ON clause from the criteria
+  const typeOf = (schema, col) =>
+    col === ROW_ID_COLUMN
+      ? "string"
+      : schema.find((column) => column.name === col)?.type || null;
+  const qualify = (quotedInputName, col) =>
+    `${quotedInputName}.${dialect.quoteIdentifier(col)}`;
+  const neverMatching = [];
+  const onConditions = criteria
+    .map(({ leftKey, rightKey }) => {
+      const leftType = typeOf(leftSchema, leftKey);
+      const rightType = typeOf(rightSchema, rightKey);
+      const condition = getKeyCondition(
+        qualify(quotedLeftInputName, leftKey),
+        qualify(quotedRightInputName, rightKey),
+        leftType,
+        rightType,
+        comparisonMode,
+        dialect
+      );
+      if (!condition) {
+        neverMatching.push(
+          `"${leftKey}" (${leftType}) and "${rightKey}" (${rightType})`
+        );
+      }
+      return condition;
+    })
+    .filter(Boolean);
+  const onClause = `ON ${
+    onConditions.length === 0 ||
+    (!matchAny && onConditions.length < criteria.length)
+      ? "1 = 0"
+      : onConditions.join(matchAny ? "\n  OR " : " AND ")
+  }`;
+  const sqlComment =
+    neverMatching.length > 0
+      ? `-- Note: Join columns of different types never match in KNIME: ${neverMatching.join(
+          ", "
+        )}.\n`
+      : "";
 
-  for (const col of finalLeftCols) {
-    let alias = col;
-    if (finalRightColNames.has(col)) {
-      if (duplicateHandling === "FAIL")
-        return `Error: Duplicate column name "${col}" found...`;
-      if (duplicateHandling === "KEEP_RIGHT") continue;
-      if (duplicateHandling === "APPEND_SUFFIX") alias = `${col}${suffix}`;
-      else if (duplicateHandling !== "KEEP_LEFT") alias = `${col}_L`;
-    }
-    let finalAlias = alias;
-    let suffixCounter = 1;
-    while (selectedColumnAliases.has(finalAlias))
-      finalAlias = `${alias}_${suffixCounter++}`;
-    selectedColumnAliases.add(finalAlias);
-    // Quote original column name, use potentially modified alias (also quoted)
-    selectParts.push(
-      `${quotedLeftInputName}."${col.replace(
-        /"/g,
-        '""'
-      )}" AS "${finalAlias.replace(/"/g, '""')}"`
-    );
-  }
+  // Rows of one side without a match: the anti-join keeps the rows whose
+  // outer-joined keys of the other side are all missing
+  const unmatchedRows = (selectClause, side) => {
+    const [fromName, otherName, otherKey] =
+      side === "left"
+        ? [quotedLeftInputName, quotedRightInputName, "rightKey"]
+        : [quotedRightInputName, quotedLeftInputName, "leftKey"];
+    const otherKeys = [
+      ...new Set(criteria.map((criterion) => criterion[otherKey])),
+    ];
+    return `${selectClause}
+FROM ${fromName}
+LEFT OUTER JOIN ${otherName}
+${onClause}
+WHERE ${otherKeys
+      .map((col) => `${qualify(otherName, col)} IS NULL`)
+      .join(" AND ")}`;
+  };
 
-  for (const col of finalRightCols) {
-    // Iterate over potentially modified list
-    let alias = col;
-    if (finalLeftColNames.has(col)) {
-      if (duplicateHandling === "FAIL")
-        return `Error: Duplicate column name "${col}" found...`;
-      if (duplicateHandling === "KEEP_LEFT") continue;
-      if (duplicateHandling === "APPEND_SUFFIX") alias = `${col}${suffix}`;
-      else if (duplicateHandling !== "KEEP_RIGHT") alias = `${col}_R`;
+  // Step 6: Unmatched rows on their own ports (Joiner 3)
+  if (outputPort > 1) {
+    const [quotedInputName, included] =
+      outputPort === 2
+        ? [quotedLeftInputName, includeLeftUnmatched]
+        : [quotedRightInputName, includeRightUnmatched];
+    if (outputColumns.length === 0) {
+      return "Warning: No columns selected for output based on included_names lists in the config.";
     }
-    let finalAlias = alias;
-    let suffixCounter = 1;
-    while (selectedColumnAliases.has(finalAlias))
-      finalAlias = `${alias}_${suffixCounter++}`;
-    selectedColumnAliases.add(finalAlias);
-    // Quote original column name, use potentially modified alias (also quoted)
-    selectParts.push(
-      `${quotedRightInputName}."${col.replace(
-        /"/g,
-        '""'
-      )}" AS "${finalAlias.replace(/"/g, '""')}"`
-    );
+    const selectClause = `SELECT\n  ${outputColumns
+      .map(({ column }) => qualify(quotedInputName, column))
+      .join(",\n  ")}`;
+    if (!separateUnmatchedPorts || !included) {
+      // The port stays empty
+      return `${selectClause}\nFROM ${quotedInputName}\nWHERE 1 = 0;`;
+    }
+    return `${sqlComment}${unmatchedRows(
+      selectClause,
+      outputPort === 2 ? "left" : "right"
+    )};`;
   }
 
+  // Step 7: Build SELECT clause, aliasing the columns to their output names
+  const selectParts = outputColumns.map(
+    ({ side, column, name }) =>
+      `${qualify(
+        side === "left" ? quotedLeftInputName : quotedRightInputName,
+        column
+      )} AS ${dialect.quoteIdentifier(name)}`
+  );
+
   if (selectParts.length === 0) {
     return "Warning: No columns selected for output based on included_names lists in the config (after potential merge).";
   }
   const selectClause = `SELECT\n  ${selectParts.join(",\n  ")}`;
 
-  // Step 6: Build JOIN type based on flags
-  // ... (logic remains the same) ...
+  // Step 8: Construct the join result; with separate ports it holds only the matches
+  const withLeftUnmatched = includeLeftUnmatched && !separateUnmatchedPorts;
+  const withRightUnmatched = includeRightUnmatched && !separateUnmatchedPorts;
+  if (!includeMatches) {
+    // Only unmatched rows (the other side's columns missing), or none at all
+    const parts = [];
+    if (withLeftUnmatched) parts.push(unmatchedRows(selectClause, "left"));
+    if (withRightUnmatched) parts.push(unmatchedRows(selectClause, "right"));
+    if (parts.length === 0) {
+      parts.push(
+        `${selectClause}\nFROM ${quotedLeftInputName}\nINNER JOIN ${quotedRightInputName}\nON 1 = 0`
+      );
+    }
+    return `${sqlComment}${parts.join("\nUNION ALL\n")};`;
+  }
   const joinType = getSQLJoinTypeFromFlags(
     includeMatches,
-    includeLeftUnmatched,
-    includeRightUnmatched
+    withLeftUnmatched,
+    withRightUnmatched
   );
-
-  // Step 7: Build ON clause using processed joinConditions
-  const onConditions = joinConditions.map((condition) => {
-    // leftKey and rightKey are already quoted column names or the quoted "RowID"
-    return `${quotedLeftInputName}.${condition.leftKey} = ${quotedRightInputName}.${condition.rightKey}`;
-  });
-  const onClause = `ON ${onConditions.join(" AND ")}`;
-
-  // Step 8: Construct final SQL query
-  // ... (logic remains the same) ...
-  const sqlQuery = `
-${selectClause}
+  return `${sqlComment}${selectClause}
 FROM ${quotedLeftInputName}
 ${joinType} ${quotedRightInputName}
-${onClause};
-`;
-
-  return sqlQuery.trim();
+${onClause};`;
 }
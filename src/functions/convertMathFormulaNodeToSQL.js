@@ -0,0 +1,426 @@
+// src/functions/convertMathFormulaNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { selectWithComputedColumn } from "../common/selectWithComputedColumn.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { getDialect } from "../dialects/index.js";
+import { getFlowVariableMarker } from "./resolveFlowVariables.js";
+
+const MATH_FORMULA_FACTORY = "org.knime.ext.jep.JEPNodeFactory";
+
+/**
+ * Reads the Math Formula settings from the model config:
+ *   model → expression, append_column (name of the new column),
+ *   replaced_column (set when an input column is replaced), convert_to_int
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{expression: string|null, outputColumn: string|null, append: boolean, convertToInt: boolean}}
+ */
+export const getMathFormulaSettings = (modelNode) => {
+  const replacedColumn = getEntryValue(modelNode?.entry, "replaced_column");
+  return {
+    expression: getEntryValue(modelNode?.entry, "expression"),
+    outputColumn: replacedColumn || getEntryValue(modelNode?.entry, "append_column"),
+    append: !replacedColumn,
+    convertToInt: getEntryValue(modelNode?.entry, "convert_to_int") === true,
+  };
+};
+
+// JEP functions -> keys of dialect.mathFunctions, with the number of arguments
+const JEP_FUNCTIONS = {
+  abs: ["abs", 1],
+  sqrt: ["sqrt", 1],
+  exp: ["exp", 1],
+  ln: ["ln", 1],
+  log: ["log10", 1], // log is base 10 in JEP
+  pow: ["power", 2],
+  mod: ["mod", 2],
+  floor: ["floor", 1],
+  ceil: ["ceil", 1],
+  signum: ["sign", 1],
+  sgn: ["sign", 1],
+  sin: ["sin", 1],
+  cos: ["cos", 1],
+  tan: ["tan", 1],
+  asin: ["asin", 1],
+  acos: ["acos", 1],
+  atan: ["atan", 1],
+  atan2: ["atan2", 2],
+  min: ["least", null],
+  max: ["greatest", null],
+  rand: ["random", 0],
+};
+
+// Column aggregates evaluated over the whole table -> aggregate functions used as window functions
+const COLUMN_AGGREGATES = {
+  COL_MIN: () => "MIN",
+  COL_MAX: () => "MAX",
+  COL_MEAN: () => "AVG",
+  COL_SUM: () => "SUM",
+  COL_STDDEV: (dialect) => dialect.aggregateFunctions.stddevSamp,
+  COL_VAR: (dialect) => dialect.aggregateFunctions.varSamp,
+  COL_MEDIAN: () => null, // no window function form
+};
+
+const TOKEN_PATTERNS = [
+  ["space", /^\s+/],
+  ["flowVariable", /^\$\$\{([SID])((?:[^}\\]|\\.)*)\}\$\$/],
+  ["special", /^\$\$([A-Z]+)\$\$/],
+  ["column", /^\$((?:[^$\\]|\\.)+)\$/],
+  ["string", /^"((?:[^"\\]|\\.)*)"/],
+  ["number", /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/],
+  ["operator", /^(==|!=|<=|>=|&&|\|\||[-+*/^%<>!(),])/],
+  ["name", /^[A-Za-z_][A-Za-z0-9_]*/],
+];
+
+// Binding power of the binary operators (higher binds tighter); ^ is right-associative
+const BINARY_OPERATORS = {
+  "||": 1,
+  "&&": 2,
+  "==": 3,
+  "!=": 3,
+  "<": 4,
+  ">": 4,
+  "<=": 4,
+  ">=": 4,
+  "+": 5,
+  "-": 5,
+  "*": 6,
+  "/": 6,
+  "%": 6,
+  "^": 8,
+};
+const UNARY_POWER = 7;
+
+const unescape = (text) => text.replace(/\\(["\\$])/g, "$1");
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS.map(([type, pattern]) => [
+      type,
+      pattern.exec(rest),
+    ]).find(([, result]) => result);
+    if (!match) throw new Error(`unexpected "${rest.slice(0, 10)}"`);
+    const [type, result] = match;
+    if (type !== "space") {
+      tokens.push({
+        type,
+        text: result[0],
+        value: result[1],
+        name: type === "flowVariable" ? unescape(result[2]) : undefined,
+      });
+    }
+    rest = rest.slice(result[0].length);
+  }
+  return tokens;
+};
+
+/**
+ * Translates a JEP expression to SQL. Every translated part is
+ * { sql, kind: "number"|"boolean"|"string", type: "integer"|"double"|null }:
+ * comparisons are booleans in SQL but numbers (1/0) in JEP, so each part is
+ * converted when used in the other context.
+ * @param {string} expression - The Math Formula expression.
+ * @param {object} dialect - Resolved dialect.
+ * @param {object} columnTypes - Type keys of the input columns by name.
+ * @returns {{sql: string, type: string|null}} - The numeric SQL expression and its type.
+ * @throws {Error} - On syntax errors and functions the dialect cannot express.
+ */
+const translateExpression = (expression, dialect, columnTypes) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => {
+    if (position >= tokens.length) throw new Error("unexpected end of expression");
+    return tokens[position++];
+  };
+  const expect = (text) => {
+    const token = next();
+    if (token.text !== text) {
+      throw new Error(`expected "${text}" but found "${token.text}"`);
+    }
+  };
+
+  const number = (sql, type = "double") => ({ sql, kind: "number", type });
+  const boolean = (sql) => ({ sql, kind: "boolean", type: "integer" });
+  const asNumber = (part) =>
+    part.kind === "boolean"
+      ? number(`CASE WHEN ${part.sql} THEN 1 ELSE 0 END`, "integer")
+      : part;
+  const asCondition = (part) =>
+    part.kind === "boolean" ? part : boolean(`${part.sql} <> 0`);
+  const mathFunction = (key, args) => {
+    const template = dialect.mathFunctions[key];
+    if (!template) throw new Error(`${key} is not supported in ${dialect.label}`);
+    return applyFunctionTemplate(template, args);
+  };
+  // MOD only takes integers in most engines. Other operands use Java's
+  // remainder, which keeps the sign of the dividend (hence TRUNC, not FLOOR).
+  const remainder = (a, b) => {
+    if (a.type === "integer" && b.type === "integer") {
+      return number(mathFunction("mod", [a.sql, b.sql]), "integer");
+    }
+    const group = (sql) => (/^[\w."`[\]]+$/.test(sql) ? sql : `(${sql})`);
+    const dividend = a.type === "double" ? group(a.sql) : dialect.cast(a.sql, "double");
+    return number(
+      `${group(a.sql)} - ${group(b.sql)} * ${mathFunction("trunc", [
+        `${dividend} / ${group(b.sql)}`,
+      ])}`
+    );
+  };
+
+  const parseArguments = () => {
+    expect("(");
+    const args = [];
+    if (peek()?.text !== ")") {
+      args.push(parseExpression(0));
+      while (peek()?.text === ",") {
+        next();
+        args.push(parseExpression(0));
+      }
+    }
+    expect(")");
+    return args;
+  };
+
+  const parseFunction = (name) => {
+    if (COLUMN_AGGREGATES[name]) {
+      expect("(");
+      const column = next();
+      if (column.type !== "column") throw new Error(`${name} needs a column`);
+      expect(")");
+      const aggregate = COLUMN_AGGREGATES[name](dialect);
+      if (!aggregate) throw new Error(`${name} is not supported in ${dialect.label}`);
+      return number(
+        `${aggregate}(${dialect.quoteIdentifier(unescape(column.value))}) OVER ()`
+      );
+    }
+    const args = parseArguments();
+    if (name === "if") {
+      if (args.length !== 3) throw new Error("if() needs 3 arguments");
+      const [condition, whenTrue, whenFalse] = args;
+      return number(
+        `CASE WHEN ${asCondition(condition).sql} THEN ${
+          asNumber(whenTrue).sql
+        } ELSE ${asNumber(whenFalse).sql} END`
+      );
+    }
+    const numericArgs = args.map((arg) => asNumber(arg).sql);
+    if (name === "mod" && args.length === 2) {
+      return remainder(asNumber(args[0]), asNumber(args[1]));
+    }
+    if (name === "round") {
+      if (args.length === 2) return number(mathFunction("roundTo", numericArgs));
+      return number(mathFunction("round", numericArgs));
+    }
+    const jepFunction = JEP_FUNCTIONS[name];
+    if (!jepFunction) throw new Error(`unknown function "${name}"`);
+    const [key, arity] = jepFunction;
+    if (arity !== null && args.length !== arity) {
+      throw new Error(`${name}() needs ${arity} argument(s)`);
+    }
+    return number(mathFunction(key, numericArgs));
+  };
+
+  const parsePrimary = () => {
+    const token = next();
+    switch (token.type) {
+      case "number":
+        return number(
+          token.text,
+          /^\d+$/.test(token.text) ? "integer" : "double"
+        );
+      case "string":
+        return { sql: dialect.quoteString(unescape(token.value)), kind: "string" };
+      case "column": {
+        const name = unescape(token.value);
+        return number(dialect.quoteIdentifier(name), columnTypes[name] || null);
+      }
+      case "flowVariable": {
+        // Becomes a parameter once the SQL is generated
+        const marker = getFlowVariableMarker(token.name);
+        return token.value === "S"
+          ? { sql: dialect.quoteString(marker), kind: "string" }
+          : number(marker, token.value === "I" ? "integer" : "double");
+      }
+      case "special":
+        if (token.value === "ROWINDEX") {
+          return number(`(${dialect.rowNumber()} - 1)`, "integer");
+        }
+        if (token.value === "ROWCOUNT") return number("COUNT(*) OVER ()", "integer");
+        throw new Error(`${token.text} has no SQL equivalent`);
+      case "name":
+        if (peek()?.text === "(") return parseFunction(token.text);
+        if (token.text === "pi") return number(mathFunction("pi", []));
+        if (token.text === "e") return number(mathFunction("exp", ["1"]));
+        throw new Error(`unknown name "${token.text}"`);
+      case "operator":
+        if (token.text === "(") {
+          const inner = parseExpression(0);
+          expect(")");
+          return { ...inner, sql: `(${inner.sql})` };
+        }
+        if (token.text === "-") {
+          const operand = asNumber(parseExpression(UNARY_POWER));
+          // "--" would start an SQL comment
+          const sql = operand.sql.startsWith("-") ? `(${operand.sql})` : operand.sql;
+          return { ...operand, sql: `-${sql}` };
+        }
+        if (token.text === "+") return asNumber(parseExpression(UNARY_POWER));
+        if (token.text === "!") {
+          return boolean(`NOT (${asCondition(parseExpression(UNARY_POWER)).sql})`);
+        }
+        break;
+      default:
+        break;
+    }
+    throw new Error(`unexpected "${token.text}"`);
+  };
+
+  const combine = (operator, left, right) => {
+    if (operator === "&&" || operator === "||") {
+      const sqlOperator = operator === "&&" ? "AND" : "OR";
+      return boolean(
+        `${asCondition(left).sql} ${sqlOperator} ${asCondition(right).sql}`
+      );
+    }
+    if (BINARY_OPERATORS[operator] <= 4) {
+      const sqlOperator = { "==": "=", "!=": "<>" }[operator] || operator;
+      const toOperand = (part) => (part.kind === "string" ? part : asNumber(part));
+      return boolean(
+        `${toOperand(left).sql} ${sqlOperator} ${toOperand(right).sql}`
+      );
+    }
+    const a = asNumber(left);
+    const b = asNumber(right);
+    const bothIntegers = a.type === "integer" && b.type === "integer";
+    switch (operator) {
+      case "/":
+        // JEP divides as doubles; SQL would truncate integer division
+        return number(
+          `${a.type === "double" ? a.sql : dialect.cast(a.sql, "double")} / ${b.sql}`
+        );
+      case "^":
+        return number(mathFunction("power", [a.sql, b.sql]));
+      case "%":
+        return remainder(a, b);
+      default:
+        return number(
+          `${a.sql} ${operator} ${b.sql}`,
+          bothIntegers ? "integer" : a.type && b.type ? "double" : null
+        );
+    }
+  };
+
+  // Precedence climbing over BINARY_OPERATORS
+  const parseExpression = (minPower) => {
+    let left = parsePrimary();
+    for (;;) {
+      const operator = peek();
+      const power =
+        operator?.type === "operator" ? BINARY_OPERATORS[operator.text] : undefined;
+      if (power === undefined || power <= minPower) break;
+      next();
+      // ^ is right-associative
+      const right = parseExpression(operator.text === "^" ? power - 1 : power);
+      left = combine(operator.text, left, right);
+    }
+    return left;
+  };
+
+  const result = parseExpression(0);
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].text}"`);
+  }
+  if (result.kind === "string") throw new Error("the result is not a number");
+  return asNumber(result);
+};
+
+/**
+ * Converts a KNIME Math Formula (JEP) node configuration (compact JSON) to an SQL query.
+ *
+ * Supported: $column$ references, numbers, $${Dflow_variable}$$, $$ROWINDEX$$,
+ * $$ROWCOUNT$$, the operators + - * / ^ % == != < <= > >= && || !, if(),
+ * abs, sqrt, exp, ln, log, pow, mod, round, floor, ceil, signum, min, max,
+ * rand, the trigonometric functions, pi, e and the column aggregates COL_MIN,
+ * COL_MAX, COL_MEAN, COL_SUM, COL_STDDEV and COL_VAR (window functions over
+ * the whole table).
+ *
+ * Example output (PostgreSQL, appended column):
+ *   SELECT
+ *     "price",
+ *     "qty",
+ *     ROUND(CAST("price" AS DOUBLE PRECISION) / "qty", 2) AS "unit_price"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} inputColumnNames - Columns of the input table (needed to replace a column).
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns;
+ * used to avoid integer division.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertMathFormulaNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  inputSchema = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== MATH_FORMULA_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Math Formula node factory (${MATH_FORMULA_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { expression, outputColumn, append, convertToInt } =
+    getMathFormulaSettings(modelNode);
+  if (!expression) {
+    return "Error: No expression found in the configuration.";
+  }
+  if (!outputColumn) {
+    return "Error: Output column name not found in the configuration.";
+  }
+
+  // Step 3: Translate the expression
+  const columnTypes = Object.fromEntries(
+    inputSchema.map((column) => [column.name, column.type])
+  );
+  let translated;
+  try {
+    translated = translateExpression(expression, dialect, columnTypes);
+  } catch (error) {
+    return `Error: Expression "${expression}": ${error.message}.`;
+  }
+  let sqlExpression = translated.sql;
+  if (convertToInt) {
+    // KNIME rounds the result to the nearest integer
+    sqlExpression = dialect.cast(
+      applyFunctionTemplate(dialect.mathFunctions.round, [sqlExpression]),
+      "integer"
+    );
+  } else if (translated.type !== "double") {
+    // The result column is a double; downstream divisions must not truncate
+    sqlExpression = dialect.cast(sqlExpression, "double");
+  }
+
+  // Step 4: Build the SELECT list, appending or replacing the column in place
+  return selectWithComputedColumn(
+    dialect,
+    previousNodeName,
+    inputColumnNames,
+    sqlExpression,
+    outputColumn,
+    append
+  );
+}
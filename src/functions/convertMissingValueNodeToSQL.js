@@ -0,0 +1,325 @@
+// src/functions/convertMissingValueNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { toTypeKey } from "../common/knimeTypes.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { getDialect } from "../dialects/index.js";
+
+const MISSING_VALUE_FACTORY =
+  "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory";
+
+// Strategy of a missing cell handler, recognized by its factory's class name
+// (e.g. ...handlers.FixedIntegerValueMissingCellHandlerFactory). Checked in order.
+const HANDLER_STRATEGIES = [
+  [/DoNothing/, "none"],
+  [/RemoveRow/, "removeRow"],
+  [/Fixed\w*Value/, "fixedValue"],
+  [/RoundedMean/, "roundedMean"],
+  [/AverageInterpolation/, "averageInterpolation"],
+  [/LinearInterpolation/, "linearInterpolation"],
+  [/Mean/, "mean"],
+  [/Median/, "median"],
+  [/MostFrequent/, "mostFrequent"],
+  [/Min/, "minimum"],
+  [/Max/, "maximum"],
+  [/Previous/, "previousValue"],
+  [/Next/, "nextValue"],
+];
+
+// Strategies needing the input's row order
+const ORDERED_STRATEGIES = [
+  "previousValue",
+  "nextValue",
+  "linearInterpolation",
+  "averageInterpolation",
+];
+
+// Strategies computed with window functions, i.e. before rows are removed
+const WINDOW_STRATEGIES = [
+  ...ORDERED_STRATEGIES,
+  "mean",
+  "roundedMean",
+  "minimum",
+  "maximum",
+];
+
+// Row number of each input row, used to order the previous/next values
+const ROW_INDEX_COLUMN = "knime_row_index";
+
+const NUMERIC_TYPES = ["integer", "long", "double"];
+
+// "...handlers.DoubleMedianMissingCellHandlerFactory" -> "DoubleMedian"
+const getHandlerLabel = (factoryId) =>
+  (factoryId || "").split(".").pop().replace(/MissingCellHandlerFactory$/, "");
+
+const getChildConfigs = (config) =>
+  !config?.config
+    ? []
+    : Array.isArray(config.config)
+    ? config.config
+    : [config.config];
+
+// Handler of one type or column setting: { factoryId, settings (config) }
+const getHandler = (settingsNode) => ({
+  factoryId: getEntryValue(settingsNode?.entry, "factoryID"),
+  settings: findConfigByKey(settingsNode?.config, "settings"),
+});
+
+/**
+ * Resolves the missing value strategy of every input column. The node stores
+ *   model → dataTypeSettings → <cell class> → factoryID, settings
+ *   model → columnSettings → 0, 1, ... → colNames, settings → factoryID, settings
+ * where a column setting overrides the setting of the column's type.
+ * @param {object} modelNode - The node's "model" config.
+ * @param {Array<{name: string, type: string|null}>} inputSchema - Typed input columns.
+ * @returns {Array<{column: string, type: string|null, strategy: string, label: string, settings: object}>}
+ * - One item per column that is not left unchanged; strategy is null for unknown handlers.
+ */
+export const getMissingValueStrategies = (modelNode, inputSchema = []) => {
+  const typeHandlers = {};
+  getChildConfigs(
+    findConfigByKey(modelNode?.config, "dataTypeSettings")
+  ).forEach((typeConfig) => {
+    const typeKey = toTypeKey(typeConfig._attributes?.key);
+    if (typeKey) typeHandlers[typeKey] = getHandler(typeConfig);
+  });
+  const columnHandlers = {};
+  getChildConfigs(
+    findConfigByKey(modelNode?.config, "columnSettings")
+  ).forEach((columnConfig) => {
+    const handler = getHandler(findConfigByKey(columnConfig.config, "settings"));
+    getArrayValuesFromConfig(
+      findConfigByKey(columnConfig.config, "colNames")
+    ).forEach((col) => {
+      columnHandlers[col] = handler;
+    });
+  });
+  Object.keys(columnHandlers).forEach((col) => {
+    if (!inputSchema.some((column) => column.name === col)) {
+      console.warn(`Missing Value: column "${col}" is not in the input.`);
+    }
+  });
+
+  return inputSchema
+    .map(({ name, type }) => {
+      const handler = columnHandlers[name] || typeHandlers[type];
+      if (!handler?.factoryId) return null;
+      const match = HANDLER_STRATEGIES.find(([pattern]) =>
+        pattern.test(getHandlerLabel(handler.factoryId))
+      );
+      return {
+        column: name,
+        type,
+        strategy: match ? match[1] : null,
+        label: getHandlerLabel(handler.factoryId),
+        settings: handler.settings,
+      };
+    })
+    .filter((item) => item && item.strategy !== "none");
+};
+
+/**
+ * Output type of a column after its missing values were replaced: mean and
+ * median turn whole numbers into doubles, every other strategy keeps the type.
+ * @param {string} strategy - Strategy from getMissingValueStrategies.
+ * @param {string|null} type - Type key of the input column.
+ * @returns {string|null}
+ */
+export const getMissingValueOutputType = (strategy, type) =>
+  ["mean", "median"].includes(strategy) && NUMERIC_TYPES.includes(type)
+    ? "double"
+    : type;
+
+// SQL literal of a fixed replacement value. The handler stores it in its only
+// setting (fixIntegerValue, fixStringValue, ...).
+const getFixedValueLiteral = (settings, type, dialect) => {
+  const entries = !settings?.entry
+    ? []
+    : Array.isArray(settings.entry)
+    ? settings.entry
+    : [settings.entry];
+  const entry =
+    entries.find((e) => /value/i.test(e._attributes?.key || "")) || entries[0];
+  if (!entry || entry._attributes.isnull === "true") return null;
+  const { value, type: entryType } = entry._attributes;
+  if (type === "boolean" || entryType === "xboolean") {
+    return dialect.booleanLiteral(value === "true");
+  }
+  const numeric =
+    NUMERIC_TYPES.includes(type) ||
+    (!type && ["xint", "xlong", "xdouble"].includes(entryType));
+  if (numeric && value !== "" && Number.isFinite(Number(value))) return value;
+  return dialect.quoteString(value ?? "");
+};
+
+/**
+ * Converts a KNIME Missing Value node configuration (compact JSON) to an SQL
+ * query replacing the missing values of each column according to its strategy:
+ *   fixed value        COALESCE("col", <value>)
+ *   mean, min, max     COALESCE("col", AVG("col") OVER ())
+ *   median, mode       COALESCE("col", (SELECT <median> FROM <input>))
+ *   previous/next      COALESCE("col", LAG("col") IGNORE NULLS OVER (ORDER BY <row>))
+ *   interpolation      previous + (next - previous) * relative row distance
+ *   remove row         WHERE "col" IS NOT NULL
+ * Strategies the dialect cannot express leave the column unchanged and are
+ * listed in a comment. Previous/next values follow the input's row order, which
+ * is numbered with ROW_NUMBER() (see dialect.rowNumber).
+ *
+ * Example output (PostgreSQL):
+ *   SELECT
+ *     "id",
+ *     COALESCE("name", 'unknown') AS "name",
+ *     COALESCE("price", AVG(CAST("price" AS DOUBLE PRECISION)) OVER ()) AS "price"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns;
+ * the per-type strategies apply to columns of known type only.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertMissingValueNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputSchema = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== MISSING_VALUE_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Missing Value node factory (${MISSING_VALUE_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the strategies
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.config) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  if (inputSchema.length === 0) {
+    return "Error: Cannot replace missing values without the input columns.";
+  }
+  const strategies = getMissingValueStrategies(modelNode, inputSchema);
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const quotedRowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+
+  // Step 3: Replacement expression of each column
+  const windowMean = (quotedColumn) =>
+    `AVG(${dialect.cast(quotedColumn, "double")}) OVER ()`;
+  const neighbor = (func, expr) =>
+    dialect.offsetIgnoreNulls(func, expr, quotedRowIndex);
+  // Interpolated values of whole-number columns are rounded
+  const keepType = (expr, type) =>
+    type === "integer" || type === "long"
+      ? dialect.cast(applyFunctionTemplate(dialect.mathFunctions.round, [expr]), type)
+      : expr;
+  const getReplacement = ({ strategy, type, settings }, quotedColumn) => {
+    switch (strategy) {
+      case "fixedValue":
+        return getFixedValueLiteral(settings, type, dialect);
+      case "mean":
+        return windowMean(quotedColumn);
+      case "roundedMean":
+        return keepType(windowMean(quotedColumn), type);
+      case "minimum":
+        return `MIN(${quotedColumn}) OVER ()`;
+      case "maximum":
+        return `MAX(${quotedColumn}) OVER ()`;
+      case "median":
+      case "mostFrequent": {
+        const aggregate =
+          strategy === "median"
+            ? dialect.median(quotedColumn)
+            : dialect.mode(quotedColumn);
+        return aggregate && `(SELECT ${aggregate} FROM ${quotedPreviousNodeName})`;
+      }
+      case "previousValue":
+        return neighbor("LAG", quotedColumn);
+      case "nextValue":
+        return neighbor("LEAD", quotedColumn);
+      case "averageInterpolation":
+      case "linearInterpolation": {
+        const previous = neighbor("LAG", quotedColumn);
+        const next = neighbor("LEAD", quotedColumn);
+        if (!previous || !next) return null;
+        if (strategy === "averageInterpolation") {
+          return keepType(
+            `(${dialect.cast(previous, "double")} + ${next}) / 2`,
+            type
+          );
+        }
+        // Row numbers of the previous and next non-missing values
+        const rowOfValue = `CASE WHEN ${quotedColumn} IS NOT NULL THEN ${quotedRowIndex} END`;
+        const previousRow = neighbor("LAG", rowOfValue);
+        const nextRow = neighbor("LEAD", rowOfValue);
+        return keepType(
+          `${previous} + ${dialect.cast(
+            `${next} - ${previous}`,
+            "double"
+          )} * (${quotedRowIndex} - ${previousRow}) / (${nextRow} - ${previousRow})`,
+          type
+        );
+      }
+      default:
+        return null;
+    }
+  };
+
+  const replacements = {};
+  const removeRowColumns = [];
+  const skipped = [];
+  strategies.forEach((item) => {
+    const quotedColumn = dialect.quoteIdentifier(item.column);
+    if (item.strategy === "removeRow") {
+      removeRowColumns.push(quotedColumn);
+      return;
+    }
+    const replacement = getReplacement(item, quotedColumn);
+    if (replacement) {
+      replacements[item.column] = `COALESCE(${quotedColumn}, ${replacement})`;
+    } else {
+      skipped.push(`${item.column} (${item.label})`);
+    }
+  });
+  const skippedComment =
+    skipped.length > 0
+      ? `-- Not converted in ${dialect.label}, values stay missing: ${skipped.join(
+          ", "
+        )}\n`
+      : "";
+
+  // Step 4: Construct the query
+  const selectColumns = inputSchema.map(({ name }) =>
+    replacements[name]
+      ? `${replacements[name]} AS ${dialect.quoteIdentifier(name)}`
+      : dialect.quoteIdentifier(name)
+  );
+  const usedStrategies = strategies
+    .filter((item) => replacements[item.column])
+    .map((item) => item.strategy);
+  const fromClause = usedStrategies.some((strategy) =>
+    ORDERED_STRATEGIES.includes(strategy)
+  )
+    ? `(\n  SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${quotedRowIndex}\n  FROM ${quotedPreviousNodeName}\n) ${dialect.quoteIdentifier(
+        "source"
+      )}`
+    : quotedPreviousNodeName;
+  let sql = `SELECT\n  ${selectColumns.join(",\n  ")}\nFROM ${fromClause}`;
+  if (removeRowColumns.length > 0) {
+    const whereClause = `WHERE ${removeRowColumns
+      .map((col) => `${col} IS NOT NULL`)
+      .join(" AND ")}`;
+    // Window functions see the rows the WHERE clause keeps, but KNIME computes
+    // the replacement values before removing rows
+    sql = usedStrategies.some((strategy) => WINDOW_STRATEGIES.includes(strategy))
+      ? `SELECT *\nFROM (\n${sql.replace(/^/gm, "  ")}\n) ${dialect.quoteIdentifier(
+          "filled"
+        )}\n${whereClause}`
+      : `${sql}\n${whereClause}`;
+  }
+  return `${skippedComment}${sql};`;
+}
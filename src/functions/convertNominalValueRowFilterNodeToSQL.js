@@ -0,0 +1,111 @@
+// src/functions/convertNominalValueRowFilterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { getDialect } from "../dialects/index.js";
+
+const NOMINAL_VALUE_ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.nominal.NominalValueRowFilterNodeFactory";
+
+/**
+ * Reads the Nominal Value Row Filter settings. Current versions store a value
+ * filter like the Column Filter's:
+ *   model → selected_column, filter config → included_names, excluded_names,
+ *   enforce_option (EnforceInclusion / EnforceExclusion), include_missing
+ * Older ones only the kept values (model → selected attributes); they drop
+ * missing values.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{column: string|null, values: string[], exclude: boolean, includeMissing: boolean}} -
+ * exclude = keep every value except `values` (values unknown to the node pass).
+ */
+export const getNominalValueRowFilterSettings = (modelNode) => {
+  const column = getEntryValue(modelNode?.entry, "selected_column");
+  const filterNode = findConfigByKey(modelNode?.config, "filter config");
+  if (!filterNode) {
+    return {
+      column,
+      values: getArrayValuesFromConfig(
+        findConfigByKey(modelNode?.config, "selected attributes")
+      ),
+      exclude: false,
+      includeMissing: false,
+    };
+  }
+  const exclude =
+    getEntryValue(filterNode.entry, "enforce_option") === "EnforceExclusion";
+  return {
+    column,
+    values: getArrayValuesFromConfig(
+      findConfigByKey(
+        filterNode.config,
+        exclude ? "excluded_names" : "included_names"
+      )
+    ),
+    exclude,
+    includeMissing: getEntryValue(filterNode.entry, "include_missing") === true,
+  };
+};
+
+/**
+ * Converts a KNIME Nominal Value Row Filter node configuration (compact JSON) to
+ * an SQL query keeping the rows whose value is one of the selected ones
+ * (IN (...)), or with "enforce exclusion" every value but the excluded ones
+ * (NOT IN (...)). Missing values are kept only if the node includes them.
+ *
+ * Example output (PostgreSQL, "segment" in A or B, missing values kept):
+ *   SELECT *
+ *   FROM "node_1"
+ *   WHERE "segment" IN ('A', 'B')
+ *     OR "segment" IS NULL;
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertNominalValueRowFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== NOMINAL_VALUE_ROW_FILTER_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Nominal Value Row Filter node factory (${NOMINAL_VALUE_ROW_FILTER_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { column, values, exclude, includeMissing } =
+    getNominalValueRowFilterSettings(modelNode);
+  if (!column) {
+    return "Error: No column specified in the configuration.";
+  }
+
+  // Step 3: Build the condition; NULL never matches IN / NOT IN
+  const quotedColumn = dialect.quoteIdentifier(column);
+  const conditions = [];
+  if (values.length > 0) {
+    conditions.push(
+      `${quotedColumn} ${exclude ? "NOT IN" : "IN"} (${values
+        .map((value) => dialect.quoteString(value))
+        .join(", ")})`
+    );
+  } else if (exclude) {
+    conditions.push(`${quotedColumn} IS NOT NULL`);
+  }
+  if (includeMissing) conditions.push(`${quotedColumn} IS NULL`);
+  const condition =
+    conditions.length > 0 ? conditions.join("\n  OR ") : "1 = 0";
+
+  // Step 4: Construct the query
+  return `SELECT *\nFROM ${dialect.quoteIdentifier(
+    previousNodeName
+  )}\nWHERE ${condition};`;
+}
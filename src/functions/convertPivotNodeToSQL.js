@@ -0,0 +1,317 @@
+// src/functions/convertPivotNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { getDialect } from "../dialects/index.js";
+import {
+  getAggregationExpression,
+  getAggregationFromClause,
+  getGroupByColumns,
+  getKnimeAggregationName,
+  getWindowedAggregation,
+  ORDERED_AGGREGATIONS,
+  ROW_INDEX_COLUMN,
+  toAggregationMethod,
+} from "./convertGroupByNodeToSQL.js";
+
+const PIVOT_FACTORY = "org.knime.base.node.preproc.pivot.Pivot2NodeFactory";
+
+// KNIME's name for the group of missing pivot values
+const MISSING_PIVOT_VALUE = "?";
+
+/**
+ * Reads the Pivoting settings. They extend the GroupBy settings:
+ *   model → grouByColumns, aggregationColumn, columnNamePolicy, valueDelimiter,
+ *   pivotColumns → InclList, column_name_option ("Pivot name",
+ *   "Pivot name+Aggregation name" or "Aggregation name+Pivot name"),
+ *   total_aggregation (append the aggregations over all pivot values)
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{groupingColumns: string[], pivotColumns: string[], aggregations: Array<{column: string, method: string, name: string, includeMissing: boolean}>, nameOption: string, totalAggregation: boolean, valueDelimiter: string}}
+ */
+export const getPivotSettings = (modelNode) => {
+  const { groupingColumns, aggregationColumns } = getGroupByColumns(modelNode);
+  const columnNamePolicy =
+    getEntryValue(modelNode?.entry, "columnNamePolicy") ||
+    "Aggregation method (column name)";
+  const pivotColumnsNode = findConfigByKey(modelNode?.config, "pivotColumns");
+  return {
+    groupingColumns,
+    pivotColumns: getArrayValuesFromConfig(
+      findConfigByKey(pivotColumnsNode?.config, "InclList")
+    ),
+    aggregations: aggregationColumns.map(({ column, method, includeMissing }) => ({
+      column,
+      method,
+      name: getKnimeAggregationName(column, method, columnNamePolicy),
+      includeMissing,
+    })),
+    nameOption:
+      getEntryValue(modelNode?.entry, "column_name_option") ||
+      "Pivot name+Aggregation name",
+    totalAggregation:
+      getEntryValue(modelNode?.entry, "total_aggregation") === true,
+    valueDelimiter: getEntryValue(modelNode?.entry, "valueDelimiter") || ", ",
+  };
+};
+
+// Column name of one aggregation of one pivot value
+const getPivotColumnName = (pivotValue, aggregationName, nameOption) => {
+  if (nameOption === "Pivot name") return pivotValue;
+  if (nameOption === "Aggregation name+Pivot name") {
+    return `${aggregationName}+${pivotValue}`;
+  }
+  return `${pivotValue}+${aggregationName}`;
+};
+
+/**
+ * Recovers the pivot values from the output columns KNIME saved with the
+ * executed node, undoing the column naming scheme. Several pivot columns give
+ * combined values ("A_X").
+ * @param {object} settings - Result of getPivotSettings.
+ * @param {string[]} outputColumnNames - Names of the saved output columns (port 1).
+ * @returns {string[]} - The pivot values in output order.
+ */
+export const getPivotValues = (settings, outputColumnNames = []) => {
+  const { groupingColumns, aggregations, nameOption, totalAggregation } =
+    settings;
+  const totalNames = totalAggregation
+    ? aggregations.map((aggregation) => aggregation.name)
+    : [];
+  const pivotValues = [];
+  outputColumnNames
+    .filter(
+      (col) => !groupingColumns.includes(col) && !totalNames.includes(col)
+    )
+    .forEach((col) => {
+      let pivotValue = null;
+      if (nameOption === "Pivot name") {
+        pivotValue = col;
+      } else {
+        for (const { name } of aggregations) {
+          if (nameOption === "Aggregation name+Pivot name") {
+            if (col.startsWith(`${name}+`)) pivotValue = col.slice(name.length + 1);
+          } else if (col.endsWith(`+${name}`)) {
+            pivotValue = col.slice(0, -(name.length + 1));
+          }
+          if (pivotValue !== null) break;
+        }
+      }
+      if (pivotValue !== null && !pivotValues.includes(pivotValue)) {
+        pivotValues.push(pivotValue);
+      }
+    });
+  return pivotValues;
+};
+
+/**
+ * Output columns after the grouping columns: every aggregation for every pivot
+ * value ("<value>+<aggregation name>" by default), then the totals if enabled.
+ * @param {object} settings - Result of getPivotSettings.
+ * @param {string[]} pivotValues - Result of getPivotValues.
+ * @returns {Array<{name: string, pivotValue: string|null, aggregation: object}>} -
+ * pivotValue is null for the totals.
+ */
+export const getPivotOutputColumns = (settings, pivotValues) => {
+  const { aggregations, nameOption, totalAggregation } = settings;
+  const columns = pivotValues.flatMap((pivotValue) =>
+    aggregations.map((aggregation) => ({
+      name: getPivotColumnName(pivotValue, aggregation.name, nameOption),
+      pivotValue,
+      aggregation,
+    }))
+  );
+  if (totalAggregation) {
+    aggregations.forEach((aggregation) =>
+      columns.push({ name: aggregation.name, pivotValue: null, aggregation })
+    );
+  }
+  return columns;
+};
+
+/**
+ * Converts a KNIME Pivoting node configuration (compact JSON) to an SQL query
+ * using conditional aggregation, which every dialect supports (unlike PIVOT):
+ * one aggregate over CASE WHEN <pivot column> = <value> THEN <column> END per
+ * pivot value and aggregation.
+ *
+ * The pivot values are data, not settings: they are read from the output spec
+ * KNIME saved with the executed node, so the workflow has to be exported with
+ * the node executed.
+ *
+ * Example output (PostgreSQL):
+ *   SELECT
+ *     "region",
+ *     SUM(CASE WHEN "year" = 2023 THEN "sales" END) AS "2023+Sum(sales)",
+ *     SUM(CASE WHEN "year" = 2024 THEN "sales" END) AS "2024+Sum(sales)"
+ *   FROM "node_1"
+ *   GROUP BY
+ *     "region";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns,
+ * used to compare pivot values as numbers where the column is numeric.
+ * @param {Array<{name: string}>} [outputSpec=[]] - Saved output columns of port 1.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertPivotNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputSchema = [],
+  outputSpec = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== PIVOT_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Pivoting node factory (${PIVOT_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings and the pivot values
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.config || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const settings = getPivotSettings(modelNode);
+  const { groupingColumns, pivotColumns, valueDelimiter } = settings;
+  if (pivotColumns.length === 0) {
+    return "Error: No pivot columns specified in the configuration.";
+  }
+  if (settings.aggregations.length === 0) {
+    return "Error: No aggregation columns specified in the configuration.";
+  }
+  if (!outputSpec || outputSpec.length === 0) {
+    return "Error: The pivot values are unknown. Execute the Pivoting node in KNIME and export the workflow with its executed state.";
+  }
+  const pivotValues = getPivotValues(
+    settings,
+    outputSpec.map((column) => column.name)
+  );
+  if (pivotValues.length === 0) {
+    return "Error: No pivot values found in the saved output of the node.";
+  }
+
+  // Step 3: Condition selecting the rows of one pivot value
+  const columnTypes = Object.fromEntries(
+    inputSchema.map((column) => [column.name, column.type])
+  );
+  const toText = (col) =>
+    columnTypes[col] === "string"
+      ? dialect.quoteIdentifier(col)
+      : dialect.cast(dialect.quoteIdentifier(col), "string");
+  const getPivotCondition = (pivotValue) => {
+    if (pivotColumns.length > 1) {
+      // Combined values of several pivot columns are joined with "_"
+      const parts = pivotColumns.flatMap((col, index) => [
+        ...(index > 0 ? [dialect.quoteString("_")] : []),
+        `COALESCE(${toText(col)}, ${dialect.quoteString(MISSING_PIVOT_VALUE)})`,
+      ]);
+      return `${dialect.concat(parts)} = ${dialect.quoteString(pivotValue)}`;
+    }
+    const quotedPivotColumn = dialect.quoteIdentifier(pivotColumns[0]);
+    const pivotType = columnTypes[pivotColumns[0]];
+    if (pivotValue === MISSING_PIVOT_VALUE) return `${quotedPivotColumn} IS NULL`;
+    if (
+      ["integer", "long", "double"].includes(pivotType) &&
+      Number.isFinite(Number(pivotValue))
+    ) {
+      return `${quotedPivotColumn} = ${pivotValue}`;
+    }
+    if (pivotType === "boolean") {
+      return `${quotedPivotColumn} = ${dialect.booleanLiteral(pivotValue === "true")}`;
+    }
+    return `${quotedPivotColumn} = ${dialect.quoteString(pivotValue)}`;
+  };
+
+  // Step 4: One conditional aggregate per pivot value and aggregation. First and
+  // Last need the input rows numbered; window function fallbacks (see
+  // getWindowedAggregation) partition by the grouping columns.
+  let usesRowOrder = false;
+  const rowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  const quotedGroupingColumns = groupingColumns.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  const aggregations = [];
+  const skippedAggregations = [];
+  const windows = [];
+  for (const [
+    index,
+    { name, pivotValue, aggregation },
+  ] of getPivotOutputColumns(settings, pivotValues).entries()) {
+    const quotedColumn = dialect.quoteIdentifier(aggregation.column);
+    let sqlFunctionCall;
+    if (pivotValue !== null && aggregation.method === "Missing value count") {
+      sqlFunctionCall = `SUM(CASE WHEN ${getPivotCondition(
+        pivotValue
+      )} AND ${quotedColumn} IS NULL THEN 1 ELSE 0 END)`;
+    } else {
+      const pivotCondition =
+        pivotValue === null ? null : getPivotCondition(pivotValue);
+      const columnExpression = pivotCondition
+        ? `CASE WHEN ${pivotCondition} THEN ${quotedColumn} END`
+        : quotedColumn;
+      const options = {
+        rowIndex: pivotCondition
+          ? `CASE WHEN ${pivotCondition} THEN ${rowIndex} END`
+          : rowIndex,
+        includeMissing: aggregation.includeMissing,
+      };
+      sqlFunctionCall = getAggregationExpression(
+        aggregation.method,
+        columnExpression,
+        dialect,
+        valueDelimiter,
+        options
+      );
+      if (!sqlFunctionCall) {
+        const windowed = getWindowedAggregation(
+          aggregation.method,
+          columnExpression,
+          dialect,
+          {
+            ...options,
+            partition: quotedGroupingColumns,
+            helperName: `knime_aggregation_${index}`,
+          }
+        );
+        if (windowed) {
+          windowed.windows.forEach((columns, level) => {
+            windows[level] = [...(windows[level] || []), ...columns];
+          });
+          sqlFunctionCall = windowed.expression;
+        }
+      }
+    }
+    if (sqlFunctionCall) {
+      if (ORDERED_AGGREGATIONS.includes(toAggregationMethod(aggregation.method))) {
+        usesRowOrder = true;
+      }
+      aggregations.push(`${sqlFunctionCall} AS ${dialect.quoteIdentifier(name)}`);
+    } else {
+      skippedAggregations.push(name);
+    }
+  }
+  if (aggregations.length === 0) {
+    return `Error: None of the aggregations is supported in ${dialect.label}.`;
+  }
+  const skippedComment =
+    skippedAggregations.length > 0
+      ? `-- Not converted (unsupported in ${
+          dialect.label
+        }): ${skippedAggregations.join(", ")}\n`
+      : "";
+
+  // Step 5: Construct the query
+  const parts = [
+    `SELECT\n  ${[...quotedGroupingColumns, ...aggregations].join(",\n  ")}`,
+    getAggregationFromClause(previousNodeName, dialect, usesRowOrder, windows),
+  ];
+  if (quotedGroupingColumns.length > 0) {
+    parts.push(`GROUP BY\n  ${quotedGroupingColumns.join(",\n  ")}`);
+  }
+  return skippedComment + parts.join("\n") + ";";
+}
@@ -0,0 +1,91 @@
+// src/functions/convertReferenceRowFilterNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getDialect } from "../dialects/index.js";
+
+export const REFERENCE_ROW_FILTER_FACTORY =
+  "org.knime.base.node.preproc.filter.rowref.RowFilterRefNodeFactory";
+
+// inexclude value of the exclude option
+const EXCLUDE_OPTION = "Exclude rows from reference table";
+
+// Column of a column selection (dataTableColumn, referenceTableColumn); KNIME's
+// row IDs are assumed to be a "RowID" column, like the Joiner does.
+const getSelectedColumn = (modelNode, key) => {
+  const columnNode = findConfigByKey(modelNode?.config, key);
+  if (getEntryValue(columnNode?.entry, "useRowID") === true) return "RowID";
+  return getEntryValue(columnNode?.entry, "columnName");
+};
+
+/**
+ * Reads the Reference Row Filter settings:
+ *   model → dataTableColumn, referenceTableColumn → useRowID, columnName;
+ *   inexclude ("Include rows from reference table" / "Exclude rows from reference table")
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{dataColumn: string|null, referenceColumn: string|null, exclude: boolean}}
+ */
+export const getReferenceRowFilterSettings = (modelNode) => ({
+  dataColumn: getSelectedColumn(modelNode, "dataTableColumn"),
+  referenceColumn: getSelectedColumn(modelNode, "referenceTableColumn"),
+  exclude: getEntryValue(modelNode?.entry, "inexclude") === EXCLUDE_OPTION,
+});
+
+/**
+ * Converts a KNIME Reference Row Filter node configuration (compact JSON) to an
+ * SQL query keeping (IN) or dropping (NOT EXISTS) the rows of the first input
+ * whose value occurs in a column of the reference table (second input). Like in
+ * KNIME, a missing value matches a missing value of the reference column.
+ *
+ * Example output (PostgreSQL, rows whose "id" is not in "node_2"."customer_id"):
+ *   SELECT *
+ *   FROM "node_1"
+ *   WHERE NOT EXISTS (
+ *     SELECT 1
+ *     FROM "node_2" "reference"
+ *     WHERE "reference"."customer_id" = "node_1"."id"
+ *       OR ("reference"."customer_id" IS NULL AND "node_1"."id" IS NULL)
+ *   );
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view holding the rows to filter.
+ * @param {string} referenceNodeName - The name of the table/view holding the reference rows.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertReferenceRowFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  referenceNodeName = "reference_table",
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== REFERENCE_ROW_FILTER_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Reference Row Filter node factory (${REFERENCE_ROW_FILTER_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.config) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { dataColumn, referenceColumn, exclude } =
+    getReferenceRowFilterSettings(modelNode);
+  if (!dataColumn || !referenceColumn) {
+    return "Error: Data or reference column not specified in the configuration.";
+  }
+
+  // Step 3: Construct the query
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const quotedReferenceNodeName = dialect.quoteIdentifier(referenceNodeName);
+  const reference = dialect.quoteIdentifier("reference");
+  const value = `${quotedPreviousNodeName}.${dialect.quoteIdentifier(dataColumn)}`;
+  const referenceValue = `${reference}.${dialect.quoteIdentifier(referenceColumn)}`;
+  const whereClause = exclude
+    ? `NOT EXISTS (\n  SELECT 1\n  FROM ${quotedReferenceNodeName} ${reference}\n  WHERE ${referenceValue} = ${value}\n    OR (${referenceValue} IS NULL AND ${value} IS NULL)\n)`
+    : `${value} IN (\n  SELECT ${referenceValue}\n  FROM ${quotedReferenceNodeName} ${reference}\n)\n  OR (${value} IS NULL AND EXISTS (\n    SELECT 1\n    FROM ${quotedReferenceNodeName} ${reference}\n    WHERE ${referenceValue} IS NULL\n  ))`;
+  return `SELECT *\nFROM ${quotedPreviousNodeName}\nWHERE ${whereClause};`;
+}
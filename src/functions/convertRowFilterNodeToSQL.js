@@ -1,3 +1,5 @@
+import { getDialect } from "../dialects/index.js";
+
 /**
  * Utility function to get a value from an entry array or object.
  * Needed for parsing KNIME node configurations.
@@ -35,7 +37,7 @@ const findConfigByKey = (config, key) => {
 /**
  * Maps KNIME comparison operators found in XML to SQL operators/functions.
  * @param {string} knimeOperator - The operator string from KNIME XML (e.g., "EQ", "NEQ", "LIKE", "REGEX").
- * @returns {string} - The corresponding SQL operator or function keyword (e.g., "=", "!=", "LIKE", "REGEXP").
+ * @returns {string} - The corresponding SQL operator or a keyword ("LIKE", "REGEXP") that is rendered by the dialect.
  */
 const mapKnimeOperatorToSQL = (knimeOperator) => {
   switch (knimeOperator) {
@@ -54,7 +56,7 @@ const mapKnimeOperatorToSQL = (knimeOperator) => {
     case "LIKE":
       return "LIKE";
     case "REGEX":
-      return "REGEXP"; // Adjust if needed for specific DB
+      return "REGEXP"; // Rendered through dialect.regexMatch
     case "IS_MISSING":
       return "IS NULL";
     case "IS_NOT_MISSING":
@@ -69,34 +71,53 @@ const mapKnimeOperatorToSQL = (knimeOperator) => {
 
 /**
  * Translates KNIME wildcard patterns (*, ?) to SQL LIKE patterns (%, _).
- * Also escapes existing SQL wildcards in the value itself.
+ * Also escapes backslashes and existing SQL wildcards in the value itself (backslash is the escape character).
  * @param {string} knimePattern - The pattern string from KNIME using * and ?.
  * @returns {string} - The SQL LIKE pattern string.
  */
 const translateKnimeWildcardToSQL = (knimePattern) => {
   if (typeof knimePattern !== "string") return ""; // Handle non-string input
-  let sqlPattern = knimePattern.replace(/%/g, "\\%").replace(/_/g, "\\_");
+  let sqlPattern = knimePattern
+    .replace(/\\/g, "\\\\")
+    .replace(/%/g, "\\%")
+    .replace(/_/g, "\\_");
   sqlPattern = sqlPattern.replace(/\*/g, "%").replace(/\?/g, "_");
   return sqlPattern;
 };
 
 /**
- * Converts a KNIME Row Filter node configuration (as JSON) to an SQL query.
+ * Converts a KNIME Row Filter or Row Splitter node configuration (as JSON) to an SQL query.
+ * The Row Splitter sends matching rows to its first output port and the
+ * remaining rows to its second one.
  *
  * @param {object} nodeConfig - The full node configuration object (converted from settings.xml).
  * @param {string} previousNodeName - The name of the table/view representing the input data for this node.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @param {number} [outputPort=1] - Output port to generate (Row Splitter: 1 = matching, 2 = non-matching).
  * @returns {string} - The generated SQL query or an error message.
  */
-export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
+export function convertRowFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName,
+  dialect = getDialect(),
+  outputPort = 1
+) {
+  dialect = getDialect(dialect);
   // Step 1: Verify node type
   const factory = getEntryValue(nodeConfig.entry, "factory");
   const ROW_FILTER_FACTORY =
     "org.knime.base.node.preproc.filter.row3.RowFilterNodeFactory";
-  if (factory !== ROW_FILTER_FACTORY) {
+  const ROW_SPLITTER_FACTORY =
+    "org.knime.base.node.preproc.filter.row3.RowSplitterNodeFactory";
+  if (factory !== ROW_FILTER_FACTORY && factory !== ROW_SPLITTER_FACTORY) {
     return `Error: Expected Row Filter node factory (${ROW_FILTER_FACTORY}), but got ${
       factory || "N/A"
     }.`;
   }
+  const isSplitter = factory === ROW_SPLITTER_FACTORY;
+  if (outputPort > (isSplitter ? 2 : 1)) {
+    return `Error: Output port ${outputPort} does not exist on this node.`;
+  }
 
   // Step 2: Find the model configuration
   const modelNode = findConfigByKey(nodeConfig.config, "model");
@@ -105,7 +126,12 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
   }
 
   // Step 3: Extract filtering parameters
-  const outputMode = getEntryValue(modelNode.entry, "outputMode");
+  // The Row Splitter has no output mode: port 1 gets the matches, port 2 the rest.
+  const outputMode = isSplitter
+    ? outputPort === 2
+      ? "NON_MATCHING"
+      : "MATCHING"
+    : getEntryValue(modelNode.entry, "outputMode");
   const matchCriteria = getEntryValue(modelNode.entry, "matchCriteria");
   const predicatesNode = findConfigByKey(modelNode.config, "predicates");
 
@@ -123,6 +149,7 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
     : [predicatesNode.config];
 
   // Step 4: Build the WHERE clause conditions from predicates
+  const unsupportedPredicates = [];
   const conditions = predicateConfigs
     .map((predConfig) => {
       if (!predConfig || !predConfig.config) return null;
@@ -160,7 +187,7 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
       // Handle operators that don't need a value first
       const sqlOperator = mapKnimeOperatorToSQL(knimeOperator);
       if (sqlOperator === "IS NULL" || sqlOperator === "IS NOT NULL") {
-        const quotedColumnName = `"${columnName.replace(/"/g, '""')}"`;
+        const quotedColumnName = dialect.quoteIdentifier(columnName);
         return `${quotedColumnName} ${sqlOperator}`;
       }
 
@@ -201,7 +228,7 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
       // Check if the value itself represents NULL (though IS_MISSING should handle this)
       if (isNull === true) {
         // Explicit boolean check
-        const quotedColumnName = `"${columnName.replace(/"/g, '""')}"`;
+        const quotedColumnName = dialect.quoteIdentifier(columnName);
         return `${quotedColumnName} IS NULL`;
       }
 
@@ -213,29 +240,14 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
         return null; // Cannot compare against null like this, IS NULL/IS NOT NULL should be used.
       }
 
-      let sqlValue = "";
       let condition = "";
-      const quotedColumnName = `"${columnName.replace(/"/g, '""')}"`;
+      const quotedColumnName = dialect.quoteIdentifier(columnName);
 
       // Determine if the value needs quotes based on cellClass or failing Number conversion
       const isStringType = cellClass?.includes("StringCell");
       const isNumeric = !isNaN(Number(value)); // Check if value *can* be treated as a number
       const needsQuotes = isStringType || !isNumeric; // Quote if KNIME says string OR if it's not a number
 
-      // Prepare the value based on operator type and quoting needs
-      if (sqlOperator === "LIKE") {
-        sqlValue = `'${translateKnimeWildcardToSQL(value).replace(
-          /'/g,
-          "''"
-        )}'`;
-      } else if (sqlOperator === "REGEXP") {
-        sqlValue = `'${value.replace(/'/g, "''")}'`;
-      } else if (needsQuotes) {
-        sqlValue = `'${value.replace(/'/g, "''")}'`;
-      } else {
-        sqlValue = value; // Numeric value, no quotes
-      }
-
       // Handle case sensitivity (relevant for string types)
       const caseSensitiveConfig = findConfigByKey(
         singleValueConfig.config,
@@ -244,43 +256,49 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
       const caseSensitive =
         getEntryValue(caseSensitiveConfig?.entry, "caseMatching") ===
         "CASESENSITIVE";
+      const ignoreCase = needsQuotes && !caseSensitive;
 
-      if (
-        needsQuotes &&
-        !caseSensitive &&
-        (sqlOperator === "=" ||
-          sqlOperator === "!=" ||
-          sqlOperator === "LIKE" ||
-          sqlOperator === "REGEXP")
-      ) {
+      if (sqlOperator === "LIKE") {
+        const pattern = translateKnimeWildcardToSQL(value);
         // Apply LOWER for case-insensitive comparison on strings
-        condition = `LOWER(${quotedColumnName}) ${sqlOperator} LOWER(${sqlValue})`;
-        if (sqlOperator === "REGEXP") {
-          console.warn(
-            `Case-insensitive REGEXP for "${columnName}" using LOWER(). Verify compatibility/syntax with your SQL dialect.`
+        condition = ignoreCase
+          ? dialect.like(`LOWER(${quotedColumnName})`, pattern.toLowerCase())
+          : dialect.like(quotedColumnName, pattern);
+      } else if (sqlOperator === "REGEXP") {
+        condition = dialect.regexMatch(quotedColumnName, value, !ignoreCase);
+        if (!condition) {
+          unsupportedPredicates.push(
+            `${ignoreCase ? "case-insensitive " : ""}regular expression on "${columnName}"`
           );
+          return null;
         }
       } else {
-        // Case-sensitive string comparison or numeric comparison
-        condition = `${quotedColumnName} ${sqlOperator} ${sqlValue}`;
-      }
-
-      // Add ESCAPE clause for LIKE if necessary
-      if (
-        sqlOperator === "LIKE" &&
-        translateKnimeWildcardToSQL(value) !==
-          value.replace(/\*/g, "%").replace(/\?/g, "_")
-      ) {
-        condition += " ESCAPE '\\'";
+        const sqlValue = needsQuotes ? dialect.quoteString(value) : value; // Numeric value, no quotes
+        if (ignoreCase && (sqlOperator === "=" || sqlOperator === "!=")) {
+          condition = `LOWER(${quotedColumnName}) ${sqlOperator} LOWER(${sqlValue})`;
+        } else {
+          // Case-sensitive string comparison or numeric comparison
+          condition = `${quotedColumnName} ${sqlOperator} ${sqlValue}`;
+        }
       }
 
       return condition;
     })
     .filter((condition) => condition !== null);
 
+  if (unsupportedPredicates.length > 0) {
+    return `Error: ${dialect.label} cannot express the following filter condition(s): ${unsupportedPredicates.join(
+      ", "
+    )}.`;
+  }
+
   if (conditions.length === 0) {
     console.warn("No valid filter conditions generated from predicates.");
-    const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+    const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+    if (outputMode === "NON_MATCHING" && isSplitter) {
+      // Every row passes an empty filter, so nothing is left for the second port.
+      return `SELECT * FROM ${quotedPreviousNodeName} WHERE 1 = 0; -- Warning: No valid filter conditions generated or applied`;
+    }
     return `SELECT * FROM ${quotedPreviousNodeName}; -- Warning: No valid filter conditions generated or applied`;
   }
 
@@ -294,8 +312,84 @@ export function convertRowFilterNodeToSQL(nodeConfig, previousNodeName) {
       : combinedConditions;
 
   // Step 7: Construct final SQL query
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   const sqlQuery = `SELECT * FROM ${quotedPreviousNodeName} WHERE ${whereClause};`;
 
   return sqlQuery;
 }
+
+/**
+ * Converts the legacy Row Filter node (before KNIME 5) to an SQL query. Only its
+ * row number filter is supported:
+ *   model → rowFilter → RowFilter_TypeID ("RowNumber_RowFilter"), RowRangeStart,
+ *   RowRangeEnd (inclusive, 0-based; -1 or RowRangeTillEOT = up to the last row),
+ *   RowRangeInclude (false = drop the range and keep the other rows)
+ * A kept range becomes LIMIT / OFFSET (FETCH FIRST, TOP); dropping a range numbers
+ * the input rows, which needs the input column names.
+ *
+ * @param {object} nodeConfig - The full node configuration object (converted from settings.xml).
+ * @param {string} previousNodeName - The name of the table/view representing the input data for this node.
+ * @param {string[]} [inputColumnNames=[]] - Columns of the input table.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertLegacyRowFilterNodeToSQL(
+  nodeConfig,
+  previousNodeName,
+  inputColumnNames = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig.entry, "factory");
+  const LEGACY_ROW_FILTER_FACTORY =
+    "org.knime.base.node.preproc.filter.row.RowFilterNodeFactory";
+  if (factory !== LEGACY_ROW_FILTER_FACTORY) {
+    return `Error: Expected Row Filter (legacy) node factory (${LEGACY_ROW_FILTER_FACTORY}), but got ${
+      factory || "N/A"
+    }.`;
+  }
+
+  // Step 2: Read the row number range
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  const rowFilterNode = findConfigByKey(modelNode?.config, "rowFilter");
+  if (!rowFilterNode) {
+    return "Error: Row filter configuration not found.";
+  }
+  const filterType = getEntryValue(rowFilterNode.entry, "RowFilter_TypeID");
+  if (filterType !== "RowNumber_RowFilter") {
+    return `Error: Only the row number filter of the legacy Row Filter is supported, not "${
+      filterType || "N/A"
+    }". Use the Row Filter node of KNIME 5 for value filters.`;
+  }
+  const start = Number(getEntryValue(rowFilterNode.entry, "RowRangeStart") ?? 0);
+  let end = Number(getEntryValue(rowFilterNode.entry, "RowRangeEnd") ?? -1);
+  if (getEntryValue(rowFilterNode.entry, "RowRangeTillEOT") === true) end = -1;
+  const include = getEntryValue(rowFilterNode.entry, "RowRangeInclude") !== false;
+  if (!Number.isInteger(start) || start < 0 || !Number.isInteger(end)) {
+    return "Error: Invalid row number range.";
+  }
+  const count = end < 0 ? null : Math.max(end - start + 1, 0);
+
+  // Step 3: Construct the query
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  if (include) {
+    return `${dialect.selectRows(quotedPreviousNodeName, [], count, start)};`;
+  }
+  if (inputColumnNames.length === 0) {
+    return "Error: Cannot drop a row range without the input column names.";
+  }
+  const rowIndex = dialect.quoteIdentifier("knime_row_index");
+  const outsideRange =
+    count === null
+      ? `${rowIndex} < ${start}`
+      : `${rowIndex} < ${start} OR ${rowIndex} > ${end}`;
+  const selectColumns = inputColumnNames.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  return `SELECT\n  ${selectColumns.join(
+    ",\n  "
+  )}\nFROM (\n  SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${rowIndex}\n  FROM ${quotedPreviousNodeName}\n) ${dialect.quoteIdentifier(
+    "source"
+  )}\nWHERE ${outsideRange};`;
+}
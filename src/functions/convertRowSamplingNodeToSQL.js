@@ -0,0 +1,207 @@
+// src/functions/convertRowSamplingNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { getDialect } from "../dialects/index.js";
+
+const SAMPLING_FACTORY = "org.knime.base.node.preproc.sample.SamplingNodeFactory";
+
+// Helper columns of the numbered input, not part of the output
+const ROW_INDEX_COLUMN = "knime_row_index";
+const SAMPLE_RANK_COLUMN = "knime_sample_rank";
+const GROUP_SIZE_COLUMN = "knime_group_size";
+const ROW_COUNT_COLUMN = "knime_row_count";
+
+/**
+ * Reads the Row Sampling settings:
+ *   model → method ("Absolute" / "Relative"), count, fraction (0..1),
+ *   samplingMethod ("First", "Linear", "Random", "Stratified"), class_column,
+ *   random_seed (missing = a different sample on every run)
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{relative: boolean, count: number, fraction: number, samplingMethod: string, classColumn: string|null, seed: number|null}}
+ */
+export const getRowSamplingSettings = (modelNode) => {
+  const entries = modelNode?.entry;
+  const seed = getEntryValue(entries, "random_seed");
+  return {
+    relative: getEntryValue(entries, "method") === "Relative",
+    count: Number(getEntryValue(entries, "count") ?? 100),
+    fraction: Number(getEntryValue(entries, "fraction") ?? 0.1),
+    samplingMethod: getEntryValue(entries, "samplingMethod") || "First",
+    classColumn: getEntryValue(entries, "class_column"),
+    seed: seed !== null && /^-?\d+$/.test(seed) ? Number(seed) : null,
+  };
+};
+
+/**
+ * Converts a KNIME Row Sampling node configuration (compact JSON) to an SQL query.
+ * - First: the first rows (LIMIT / FETCH FIRST / TOP)
+ * - Random: the engine's sampling clause where it yields exactly the requested
+ *   number of rows (DuckDB's USING SAMPLE), otherwise the rows ordered by a random
+ *   number (seeded where the engine allows it)
+ * - Stratified: the same share of every class, ranking the rows of each class
+ *   randomly with ROW_NUMBER() OVER (PARTITION BY <class column> ...)
+ * - Linear: evenly spaced rows including the first and the last
+ *
+ * A relative size is rounded to whole rows like KNIME does; it needs the row
+ * count, so those queries number the input rows and select the input columns.
+ *
+ * Example output (PostgreSQL, 10% stratified by "segment"):
+ *   SELECT
+ *     "id",
+ *     "segment"
+ *   FROM (
+ *     SELECT "node_1".*,
+ *       ROW_NUMBER() OVER (PARTITION BY "segment" ORDER BY RANDOM()) AS "knime_sample_rank",
+ *       COUNT(*) OVER (PARTITION BY "segment") AS "knime_group_size"
+ *     FROM "node_1"
+ *   ) "source"
+ *   WHERE "knime_sample_rank" <= ROUND("knime_group_size" * 0.1);
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} [inputColumnNames=[]] - Columns of the input table.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertRowSamplingNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== SAMPLING_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Row Sampling node factory (${SAMPLING_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { relative, count, fraction, samplingMethod, classColumn, seed } =
+    getRowSamplingSettings(modelNode);
+  if (relative && !(fraction >= 0 && fraction <= 1)) {
+    return `Error: Invalid sampling fraction ${fraction}.`;
+  }
+  if (!relative && !(Number.isInteger(count) && count >= 0)) {
+    return `Error: Invalid sample size ${count}.`;
+  }
+  if (samplingMethod === "Stratified" && !classColumn) {
+    return "Error: No class column specified for stratified sampling.";
+  }
+
+  // Step 3: Random numbers, seeded where the engine allows it
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  let random = dialect.randomValue(seed);
+  let seedComment = "";
+  if (!random) {
+    random = dialect.randomValue(null);
+    seedComment = `-- ${dialect.label} cannot seed random numbers in a query: the sample changes with every run\n`;
+  }
+
+  // Step 4: Queries that need no row count
+  if (samplingMethod === "First" && !relative) {
+    return `${dialect.selectRows(quotedPreviousNodeName, [], count)};`;
+  }
+  if (samplingMethod === "Random") {
+    const sample = dialect.sampleRows(quotedPreviousNodeName, {
+      count: relative ? null : count,
+      percent: relative ? fraction * 100 : null,
+      seed,
+    });
+    if (sample) return `${sample};`;
+    if (!relative) {
+      return `${seedComment}${dialect.selectRows(
+        quotedPreviousNodeName,
+        [random],
+        count
+      )};`;
+    }
+  }
+
+  // Step 5: Number the rows and keep those of the sample
+  if (inputColumnNames.length === 0) {
+    return "Error: Cannot sample relative to the row count without the input column names.";
+  }
+  const source = dialect.quoteIdentifier("source");
+  const rowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  const rank = dialect.quoteIdentifier(SAMPLE_RANK_COLUMN);
+  const groupSize = dialect.quoteIdentifier(GROUP_SIZE_COLUMN);
+  const rowCount = dialect.quoteIdentifier(ROW_COUNT_COLUMN);
+  const round = (expr) => applyFunctionTemplate(dialect.mathFunctions.round, [expr]);
+  // Size of the sample out of `size` rows
+  const sampleSize = (size) =>
+    relative ? round(`${size} * ${fraction}`) : String(count);
+
+  let helperColumns;
+  let condition;
+  switch (samplingMethod) {
+    case "First":
+      helperColumns = [
+        `${dialect.rowNumber()} - 1 AS ${rowIndex}`,
+        `COUNT(*) OVER () AS ${rowCount}`,
+      ];
+      condition = `${rowIndex} < ${sampleSize(rowCount)}`;
+      break;
+    case "Random":
+      helperColumns = [
+        `ROW_NUMBER() OVER (ORDER BY ${random}) AS ${rank}`,
+        `COUNT(*) OVER () AS ${rowCount}`,
+      ];
+      condition = `${rank} <= ${sampleSize(rowCount)}`;
+      break;
+    case "Stratified": {
+      // Every class keeps its share of the rows
+      const partition = `PARTITION BY ${dialect.quoteIdentifier(classColumn)}`;
+      helperColumns = [
+        `ROW_NUMBER() OVER (${partition} ORDER BY ${random}) AS ${rank}`,
+        `COUNT(*) OVER (${partition}) AS ${groupSize}`,
+      ];
+      if (relative) {
+        condition = `${rank} <= ${sampleSize(groupSize)}`;
+      } else {
+        helperColumns.push(`COUNT(*) OVER () AS ${rowCount}`);
+        condition = `${rank} <= ${round(
+          `1.0 * ${groupSize} * ${count} / ${rowCount}`
+        )}`;
+      }
+      break;
+    }
+    case "Linear": {
+      // Row i is kept if it is the row nearest to one of the evenly spaced
+      // positions j * (n - 1) / (k - 1)
+      const k = sampleSize(rowCount);
+      const n = rowCount;
+      helperColumns = [
+        `${dialect.rowNumber()} - 1 AS ${rowIndex}`,
+        `COUNT(*) OVER () AS ${rowCount}`,
+      ];
+      const nearestPosition = round(
+        `1.0 * ${rowIndex} * (${k} - 1) / NULLIF(${n} - 1, 0)`
+      );
+      condition = `${k} >= ${n}\n  OR (${k} = 1 AND ${rowIndex} = 0)\n  OR ${rowIndex} = ${round(
+        `${nearestPosition} * (${n} - 1) / NULLIF(${k} - 1, 0)`
+      )}`;
+      break;
+    }
+    default:
+      return `Error: Unsupported sampling method "${samplingMethod}".`;
+  }
+  const comment = ["Random", "Stratified"].includes(samplingMethod)
+    ? seedComment
+    : "";
+  const selectColumns = inputColumnNames.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  return `${comment}SELECT\n  ${selectColumns.join(
+    ",\n  "
+  )}\nFROM (\n  SELECT ${quotedPreviousNodeName}.*,\n    ${helperColumns.join(
+    ",\n    "
+  )}\n  FROM ${quotedPreviousNodeName}\n) ${source}\nWHERE ${condition};`;
+}
@@ -0,0 +1,359 @@
+// src/functions/convertRuleEngineNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { selectWithComputedColumn } from "../common/selectWithComputedColumn.js";
+import { getDialect } from "../dialects/index.js";
+import { getFlowVariableMarker } from "./resolveFlowVariables.js";
+
+const RULE_ENGINE_FACTORY =
+  "org.knime.base.node.rules.engine.RuleEngineNodeFactory";
+
+/**
+ * Reads the Rule Engine settings from the model config:
+ *   model → rules (one entry per line), new-column-name, append-column, replace-column-name
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{rules: string[], outputColumn: string|null, append: boolean}}
+ */
+export const getRuleEngineSettings = (modelNode) => {
+  const append = getEntryValue(modelNode?.entry, "append-column") !== false;
+  return {
+    rules: getArrayValuesFromConfig(
+      findConfigByKey(modelNode?.config, "rules")
+    ),
+    outputColumn: append
+      ? getEntryValue(modelNode?.entry, "new-column-name")
+      : getEntryValue(modelNode?.entry, "replace-column-name"),
+    append,
+  };
+};
+
+// Rule lines that hold a rule (not empty, not a "//" comment)
+const isRuleLine = (line) => line.trim() && !line.trim().startsWith("//");
+
+/**
+ * Type of the column the rules produce, judged from their outcomes: string
+ * literals give "string", numbers "integer"/"double", TRUE/FALSE "boolean".
+ * Outcomes referring to columns or flow variables make the type unknown.
+ * @param {string[]} rules - The rule lines.
+ * @returns {string|null} - The type key, or null if unknown.
+ */
+export const getRuleOutcomeType = (rules) => {
+  const outcomeTypes = rules.filter(isRuleLine).map((rule) => {
+    const outcome = rule.slice(rule.lastIndexOf("=>") + 2).trim();
+    if (/^".*"$/.test(outcome)) return "string";
+    if (/^[-+]?\d+$/.test(outcome)) return "integer";
+    if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(outcome)) {
+      return "double";
+    }
+    if (/^(TRUE|FALSE)$/.test(outcome)) return "boolean";
+    return null;
+  });
+  if (outcomeTypes.length === 0 || outcomeTypes.includes(null)) return null;
+  if (outcomeTypes.every((type) => type === outcomeTypes[0])) {
+    return outcomeTypes[0];
+  }
+  if (outcomeTypes.every((type) => type === "integer" || type === "double")) {
+    return "double";
+  }
+  return "string";
+};
+
+// --- Rule parsing ---
+
+const TOKEN_PATTERNS = [
+  ["space", /^\s+/],
+  ["flowVariable", /^\$\$\{([SID])((?:[^}\\]|\\.)*)\}\$\$/],
+  ["special", /^\$\$([A-Z]+)\$\$/],
+  ["column", /^\$((?:[^$\\]|\\.)+)\$/],
+  ["string", /^"((?:[^"\\]|\\.)*)"/],
+  ["number", /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/],
+  ["arrow", /^=>/],
+  ["compare", /^(<=|>=|<|>|=)/],
+  ["symbol", /^[(),-]/],
+  ["word", /^[A-Za-z_]+/],
+];
+
+// Only quotes, backslashes and $ are escaped, so regular expressions like "\d+" survive.
+const unescape = (text) => text.replace(/\\(["\\$])/g, "$1");
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS.map(([type, pattern]) => [
+      type,
+      pattern.exec(rest),
+    ]).find(([, result]) => result);
+    if (!match) {
+      throw new Error(`unexpected "${rest.slice(0, 10)}"`);
+    }
+    const [type, result] = match;
+    if (type !== "space") {
+      tokens.push({
+        type,
+        text: result[0],
+        value: result[1],
+        flowType: type === "flowVariable" ? result[1] : undefined,
+        name: type === "flowVariable" ? unescape(result[2]) : undefined,
+      });
+    }
+    rest = rest.slice(result[0].length);
+  }
+  return tokens;
+};
+
+/**
+ * Translates one rule ("condition => outcome") into SQL pieces. Logical
+ * operators bind NOT > AND > XOR > OR; parentheses group.
+ * @returns {{condition: string|boolean, outcome: string}} - condition is true/false
+ * for the constant conditions TRUE/FALSE.
+ */
+const translateRule = (ruleText, dialect) => {
+  const tokens = tokenize(ruleText);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isWord = (token, word) =>
+    token?.type === "word" && token.text.toUpperCase() === word;
+  const next = () => {
+    if (position >= tokens.length) throw new Error("unexpected end of rule");
+    return tokens[position++];
+  };
+  const expectSymbol = (symbol) => {
+    const token = next();
+    if (token.text !== symbol) {
+      throw new Error(`expected "${symbol}" but found "${token.text}"`);
+    }
+  };
+
+  const parseOperand = () => {
+    const token = next();
+    switch (token.type) {
+      case "column":
+        return dialect.quoteIdentifier(unescape(token.value));
+      case "string":
+        return dialect.quoteString(unescape(token.value));
+      case "number":
+        return token.text;
+      case "flowVariable": {
+        // Becomes a parameter once the SQL is generated
+        const marker = getFlowVariableMarker(token.name);
+        return token.flowType === "S" ? dialect.quoteString(marker) : marker;
+      }
+      case "special":
+        if (token.value === "ROWINDEX") return `(${dialect.rowNumber()} - 1)`;
+        if (token.value === "ROWCOUNT") return "COUNT(*) OVER ()";
+        throw new Error(`${token.text} has no SQL equivalent`);
+      case "symbol":
+        if (token.text === "-" && peek()?.type === "number") {
+          return `-${next().text}`;
+        }
+        break;
+      default:
+        break;
+    }
+    throw new Error(`unexpected "${token.text}"`);
+  };
+
+  // Constant conditions are kept as booleans so TRUE can become the ELSE branch
+  const toSQL = (condition) =>
+    condition === true ? "1 = 1" : condition === false ? "1 = 0" : condition;
+
+  const parsePredicate = () => {
+    const token = peek();
+    if (token?.text === "(") {
+      next();
+      const inner = parseOr();
+      expectSymbol(")");
+      return typeof inner === "string" ? `(${inner})` : inner;
+    }
+    if (isWord(token, "TRUE") || isWord(token, "FALSE")) {
+      return isWord(next(), "TRUE");
+    }
+    if (isWord(token, "MISSING")) {
+      next();
+      return `${parseOperand()} IS NULL`;
+    }
+
+    const left = parseOperand();
+    const operator = next();
+    if (operator.type === "compare") {
+      return `${left} ${operator.text} ${parseOperand()}`;
+    }
+    if (isWord(operator, "LIKE")) {
+      const pattern = next();
+      if (pattern.type !== "string") {
+        throw new Error("LIKE needs a string pattern");
+      }
+      // KNIME wildcards: * = any characters, ? = one character
+      const sqlPattern = unescape(pattern.value)
+        .replace(/[\\%_]/g, (char) => `\\${char}`)
+        .replace(/\*/g, "%")
+        .replace(/\?/g, "_");
+      return dialect.like(left, sqlPattern);
+    }
+    if (isWord(operator, "MATCHES")) {
+      const pattern = next();
+      if (pattern.type !== "string") {
+        throw new Error("MATCHES needs a string pattern");
+      }
+      const match = dialect.regexMatch(left, unescape(pattern.value));
+      if (!match) {
+        throw new Error(`MATCHES is not supported in ${dialect.label}`);
+      }
+      return match;
+    }
+    if (isWord(operator, "IN")) {
+      expectSymbol("(");
+      const values = [parseOperand()];
+      while (peek()?.text === ",") {
+        next();
+        values.push(parseOperand());
+      }
+      expectSymbol(")");
+      return `${left} IN (${values.join(", ")})`;
+    }
+    throw new Error(`unexpected "${operator.text}"`);
+  };
+
+  const parseNot = () => {
+    if (isWord(peek(), "NOT")) {
+      next();
+      const operand = parseNot();
+      if (typeof operand === "boolean") return !operand;
+      return `NOT (${operand})`;
+    }
+    return parsePredicate();
+  };
+
+  // Joins operands of one logical operator, wrapping nested combinations.
+  const parseLogical = (word, parseOperandFn, combine) => () => {
+    const operands = [parseOperandFn()];
+    while (isWord(peek(), word)) {
+      next();
+      operands.push(parseOperandFn());
+    }
+    if (operands.length === 1) return operands[0];
+    return operands
+      .map(toSQL)
+      .map((operand) => (/ (AND|OR) /.test(operand) ? `(${operand})` : operand))
+      .reduce(combine);
+  };
+  const parseAnd = parseLogical("AND", parseNot, (a, b) => `${a} AND ${b}`);
+  const parseXor = parseLogical(
+    "XOR",
+    parseAnd,
+    (a, b) => `((${a}) AND NOT (${b})) OR (NOT (${a}) AND (${b}))`
+  );
+  const parseOr = parseLogical("OR", parseXor, (a, b) => `${a} OR ${b}`);
+
+  const condition = parseOr();
+  if (next().type !== "arrow") throw new Error('expected "=>"');
+  const outcomeToken = peek();
+  let outcome;
+  if (isWord(outcomeToken, "TRUE") || isWord(outcomeToken, "FALSE")) {
+    outcome = dialect.booleanLiteral(isWord(next(), "TRUE"));
+  } else {
+    outcome = parseOperand();
+  }
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].text}" after the outcome`);
+  }
+  return { condition, outcome };
+};
+
+/**
+ * Converts a KNIME Rule Engine node configuration (compact JSON) to an SQL query.
+ * The rules become one CASE expression; the first matching rule wins, a
+ * `TRUE => ...` rule becomes the ELSE branch, and rows matching no rule get NULL
+ * (KNIME's missing value).
+ *
+ * Supported rule syntax: $column$, "strings", numbers, $${Sflow_variable}$$,
+ * $$ROWINDEX$$, $$ROWCOUNT$$, the comparisons = < <= > >=, LIKE (with * and ?
+ * wildcards), MATCHES (regular expression), IN (...), MISSING, AND, OR, XOR,
+ * NOT, TRUE and FALSE. Lines starting with "//" are comments.
+ *
+ * Example output (PostgreSQL, appended column):
+ *   SELECT
+ *     "age",
+ *     CASE
+ *       WHEN "age" > 30 THEN 'old'
+ *       ELSE 'young'
+ *     END AS "age_group"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} inputColumnNames - Columns of the input table (needed to replace a column).
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertRuleEngineNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== RULE_ENGINE_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Rule Engine node factory (${RULE_ENGINE_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { rules, outputColumn, append } = getRuleEngineSettings(modelNode);
+  if (!outputColumn) {
+    return "Error: Output column name not found in the configuration.";
+  }
+  const ruleLines = rules.filter(isRuleLine);
+  if (ruleLines.length === 0) {
+    return "Error: No rules found in the configuration.";
+  }
+
+  // Step 3: Translate the rules into CASE branches
+  const branches = [];
+  let elseOutcome = null;
+  for (const [index, ruleText] of ruleLines.entries()) {
+    let translated;
+    try {
+      translated = translateRule(ruleText, dialect);
+    } catch (error) {
+      return `Error: Rule ${index + 1} ("${ruleText.trim()}"): ${error.message}.`;
+    }
+    const { condition, outcome } = translated;
+    if (condition === false) continue; // Never matches
+    if (condition === true) {
+      // Matches every remaining row; later rules are never reached
+      elseOutcome = outcome;
+      break;
+    }
+    branches.push(`WHEN ${condition} THEN ${outcome}`);
+  }
+
+  let caseExpression;
+  if (branches.length === 0) {
+    caseExpression = elseOutcome ?? "NULL";
+  } else {
+    const elseBranch = elseOutcome !== null ? [`ELSE ${elseOutcome}`] : [];
+    caseExpression = `CASE\n    ${[...branches, ...elseBranch].join(
+      "\n    "
+    )}\n  END`;
+  }
+
+  // Step 4: Build the SELECT list, appending or replacing the column in place
+  return selectWithComputedColumn(
+    dialect,
+    previousNodeName,
+    inputColumnNames,
+    caseExpression,
+    outputColumn,
+    append
+  );
+}
@@ -0,0 +1,383 @@
+// src/functions/convertSelectedNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findInputNodes } from "../common/findInputNodes.js";
+import { getOutputPort } from "../common/getOutputPort.js";
+import { getDialect } from "../dialects/index.js";
+
+// Import all necessary conversion functions
+import { convertSorterNodeToSQL } from "./convertSorterNodeToSQL.js";
+import { convertConcatenateNodeToSQL } from "./convertConcatenateNodeToSQL.js";
+import { convertCSVReaderNodeToSQL } from "./convertCSVReaderNodeToSQL.js";
+import { convertColumnFilterNodeToSQL } from "./convertColumnFilterNodeToSQL.js";
+import {
+  convertLegacyRowFilterNodeToSQL,
+  convertRowFilterNodeToSQL,
+} from "./convertRowFilterNodeToSQL.js";
+import { convertDuplicateRowFilterJSONToSQL } from "./convertDuplicateRowFilterNodeToSQL.js";
+import { convertJoinerNodeToSQL } from "./convertJoinerJSONToSQL.js";
+import { convertExcelReaderNodeToSQL } from "./convertExcelReaderNodeToSQL.js";
+import { convertColumnMergerNodeToSQL } from "./convertColumnMergerNodeToSQL.js";
+import { convertStringToNumberNodeToSQL } from "./convertStringToNumberNodeToSQL.js";
+import { convertGroupByNodeToSQL } from "./convertGroupByNodeToSQL.js";
+import { convertRuleEngineNodeToSQL } from "./convertRuleEngineNodeToSQL.js";
+import { convertMathFormulaNodeToSQL } from "./convertMathFormulaNodeToSQL.js";
+import { convertStringManipulationNodeToSQL } from "./convertStringManipulationNodeToSQL.js";
+import { convertColumnRenameNodeToSQL } from "./convertColumnRenameNodeToSQL.js";
+import { convertPivotNodeToSQL } from "./convertPivotNodeToSQL.js";
+import { convertUnpivotNodeToSQL } from "./convertUnpivotNodeToSQL.js";
+import { convertMissingValueNodeToSQL } from "./convertMissingValueNodeToSQL.js";
+import { convertDateTimeNodeToSQL } from "./convertDateTimeNodeToSQL.js";
+import { convertRowSamplingNodeToSQL } from "./convertRowSamplingNodeToSQL.js";
+import { convertTopKSelectorNodeToSQL } from "./convertTopKSelectorNodeToSQL.js";
+import { convertCellSplitterNodeToSQL } from "./convertCellSplitterNodeToSQL.js";
+import { convertReferenceRowFilterNodeToSQL } from "./convertReferenceRowFilterNodeToSQL.js";
+import { convertNominalValueRowFilterNodeToSQL } from "./convertNominalValueRowFilterNodeToSQL.js";
+
+// Node types whose converters can generate more than their first output table
+const MULTI_OUTPUT_FACTORIES = [
+  "org.knime.base.node.preproc.filter.row3.RowSplitterNodeFactory",
+  "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory",
+];
+
+// Shared by the classic Column Rename, the Column Renamer and the regex renamer
+const convertColumnRename = (nodeConfig, { inputs, previousNodeName, dialect }) =>
+  convertColumnRenameNodeToSQL(
+    nodeConfig,
+    previousNodeName,
+    inputs[0]?.nodes || [],
+    dialect
+  );
+
+// Shared by String to Date&Time, Date&Time to String, Date&Time Difference,
+// Date&Time Shift, Extract Date&Time Fields and Modify Time
+const convertDateTime = (nodeConfig, { inputs, previousNodeName, dialect }) =>
+  convertDateTimeNodeToSQL(
+    nodeConfig,
+    previousNodeName,
+    inputs[0]?.schema || [],
+    dialect
+  );
+
+// Shared by the Cell Splitter and the Cell Splitter by Position
+const convertCellSplitter = (
+  nodeConfig,
+  { inputs, previousNodeName, dialect, outputSpecs }
+) =>
+  convertCellSplitterNodeToSQL(
+    nodeConfig,
+    previousNodeName,
+    inputs[0]?.nodes || [],
+    outputSpecs[1] || [],
+    dialect
+  );
+
+/**
+ * Converters keyed by KNIME node factory. Every entry has the same signature:
+ *
+ *   (nodeConfig, context) => string
+ *
+ * where context is
+ *   - inputs: [{ nodeName, nodes, schema }] - table name, output columns and typed
+ *     output columns ([{ name, type, knimeType, sqlType }]) of each input, in port order
+ *   - previousNodeName: the first input's table name ("input_table" if there is none)
+ *   - allProcessedNodes: nodes processed before this one
+ *   - id: workflow ID of the node
+ *   - dialect: resolved dialect object
+ *   - outputPort: output port to generate (1 = first data port)
+ *   - outputSpecs: output columns KNIME saved with the executed node, by port
+ *     ({ 1: [{ name, type }] }; empty if the node was not executed)
+ *
+ * and the result is either a SQL statement or an "Error: ..." / "not supported" message.
+ */
+export const NODE_CONVERTERS = {
+  "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory": (
+    nodeConfig,
+    { inputs, dialect }
+  ) => convertConcatenateNodeToSQL(nodeConfig, inputs, dialect),
+
+  "org.knime.base.node.preproc.colconvert.stringtonumber2.StringToNumber2NodeFactory":
+    (nodeConfig, { previousNodeName, allProcessedNodes, id, dialect }) =>
+      convertStringToNumberNodeToSQL(
+        nodeConfig,
+        previousNodeName,
+        allProcessedNodes,
+        id,
+        dialect
+      ),
+
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory": (
+    nodeConfig,
+    { previousNodeName, dialect }
+  ) => convertSorterNodeToSQL(nodeConfig, previousNodeName, dialect),
+
+  "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory": (
+    nodeConfig,
+    { id, dialect }
+  ) => convertCSVReaderNodeToSQL(nodeConfig, dialect, id),
+
+  "org.knime.base.node.preproc.filter.column.DataColumnSpecFilterNodeFactory": (
+    nodeConfig,
+    { previousNodeName, dialect }
+  ) => convertColumnFilterNodeToSQL(nodeConfig, previousNodeName, dialect),
+
+  "org.knime.base.node.preproc.filter.row3.RowFilterNodeFactory": (
+    nodeConfig,
+    { previousNodeName, dialect, outputPort }
+  ) =>
+    convertRowFilterNodeToSQL(nodeConfig, previousNodeName, dialect, outputPort),
+
+  "org.knime.base.node.preproc.filter.row.RowFilterNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertLegacyRowFilterNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.filter.row3.RowSplitterNodeFactory": (
+    nodeConfig,
+    { previousNodeName, dialect, outputPort }
+  ) =>
+    convertRowFilterNodeToSQL(nodeConfig, previousNodeName, dialect, outputPort),
+
+  "org.knime.base.node.preproc.groupby.GroupByNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertGroupByNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.schema || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertDuplicateRowFilterJSONToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.schema || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.joiner.JoinerNodeFactory": (
+    nodeConfig,
+    { inputs, dialect, outputPort }
+  ) =>
+    convertJoinerNodeToSQL(
+      nodeConfig,
+      inputs[0]?.nodeName || "left_input",
+      inputs[1]?.nodeName || "right_input",
+      inputs[0]?.schema || [],
+      inputs[1]?.schema || [],
+      dialect,
+      outputPort
+    ),
+
+  "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory": (
+    nodeConfig,
+    context
+  ) =>
+    NODE_CONVERTERS["org.knime.base.node.preproc.joiner.JoinerNodeFactory"](
+      nodeConfig,
+      context
+    ),
+
+  "org.knime.ext.poi3.node.io.filehandling.excel.reader.ExcelTableReaderNodeFactory":
+    (nodeConfig, { id, dialect }) =>
+      convertExcelReaderNodeToSQL(nodeConfig, dialect, id),
+
+  "org.knime.base.node.preproc.columnmerge.ColumnMergerNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertColumnMergerNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      dialect
+    ),
+
+  "org.knime.base.node.rules.engine.RuleEngineNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertRuleEngineNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      dialect
+    ),
+
+  "org.knime.ext.jep.JEPNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertMathFormulaNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      inputs[0]?.schema || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory":
+    (nodeConfig, { inputs, previousNodeName, dialect }) =>
+      convertStringManipulationNodeToSQL(
+        nodeConfig,
+        previousNodeName,
+        inputs[0]?.nodes || [],
+        inputs[0]?.schema || [],
+        dialect
+      ),
+
+  "org.knime.base.node.preproc.rename.RenameNodeFactory": convertColumnRename,
+  "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory":
+    convertColumnRename,
+  "org.knime.base.node.preproc.columnrenameregex.ColumnRenameRegexNodeFactory":
+    convertColumnRename,
+
+  "org.knime.base.node.preproc.pivot.Pivot2NodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect, outputSpecs }
+  ) =>
+    convertPivotNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.schema || [],
+      outputSpecs[1] || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertUnpivotNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.schema || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory":
+    (nodeConfig, { inputs, previousNodeName, dialect }) =>
+      convertMissingValueNodeToSQL(
+        nodeConfig,
+        previousNodeName,
+        inputs[0]?.schema || [],
+        dialect
+      ),
+
+  "org.knime.base.node.preproc.filter.rowref.RowFilterRefNodeFactory": (
+    nodeConfig,
+    { inputs, dialect }
+  ) =>
+    convertReferenceRowFilterNodeToSQL(
+      nodeConfig,
+      inputs[0]?.nodeName || "input_table",
+      inputs[1]?.nodeName || "reference_table",
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.filter.nominal.NominalValueRowFilterNodeFactory":
+    (nodeConfig, { previousNodeName, dialect }) =>
+      convertNominalValueRowFilterNodeToSQL(
+        nodeConfig,
+        previousNodeName,
+        dialect
+      ),
+
+  "org.knime.base.node.preproc.sample.SamplingNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertRowSamplingNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.topk.TopKSelectorNodeFactory": (
+    nodeConfig,
+    { inputs, previousNodeName, dialect }
+  ) =>
+    convertTopKSelectorNodeToSQL(
+      nodeConfig,
+      previousNodeName,
+      inputs[0]?.nodes || [],
+      dialect
+    ),
+
+  "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory":
+    convertCellSplitter,
+  "org.knime.base.node.preproc.cellsplitbypos.CellSplitterByPosNodeFactory":
+    convertCellSplitter,
+
+  "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory":
+    convertDateTime,
+  "org.knime.time.node.convert.datetimetostring.DateTimeToStringNodeFactory":
+    convertDateTime,
+  "org.knime.time.node.calculate.datetimedifference.DateTimeDifferenceNodeFactory":
+    convertDateTime,
+  "org.knime.time.node.manipulate.datetimeshift.DateTimeShiftNodeFactory":
+    convertDateTime,
+  "org.knime.time.node.extract.datetime.ExtractDateTimeFieldsNodeFactory":
+    convertDateTime,
+  "org.knime.time.node.manipulate.modifytime.ModifyTimeNodeFactory":
+    convertDateTime,
+};
+
+// Central function to call the appropriate SQL conversion logic based on node type
+// Accepts the node's config, predecessor names, and the context of *all* processed nodes.
+// Nodes with several output tables (e.g. Row Splitter) produce the SQL of `outputPort`.
+export function convertSelectedNodeToSQL(
+  nodeConfig,
+  predecessorNames = [], // Table names to read from, in input port order
+  allProcessedNodes = [], // Context of nodes processed *before* the current one
+  id, // Workflow ID of the node being converted
+  dialect = getDialect(), // Target SQL dialect (name or dialect object)
+  outputPort = 1, // Output port to generate (1 = first data port)
+  outputSpecs = {} // Saved output columns of the executed node, by port
+) {
+  dialect = getDialect(dialect);
+  const inputs = findInputNodes(id, allProcessedNodes).map(
+    ({ node: p, sourcePort }, index) => ({
+      nodeName: predecessorNames[index] || p.nodeName || `node_${p.id}_output`,
+      ...getOutputPort(p, sourcePort),
+    })
+  ); // Extract name, columns and types of the output port read, in input port order
+  // Determine the primary input table name (often the first predecessor)
+  const previousNodeName =
+    predecessorNames.length > 0 ? predecessorNames[0] : "input_table";
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (!factory) {
+    return "Invalid node configuration: missing factory value.";
+  }
+  const nodeTypeName = factory.split(".").pop() || "Unknown Type";
+
+  const converter = NODE_CONVERTERS[factory];
+  if (!converter) {
+    console.warn(`Unsupported node factory for SQL conversion: ${factory}`);
+    return `Conversion for node type "${nodeTypeName}" is not supported.`;
+  }
+  if (outputPort > 1 && !MULTI_OUTPUT_FACTORIES.includes(factory)) {
+    return `Output port ${outputPort} of node type "${nodeTypeName}" is not supported.`;
+  }
+  return converter(nodeConfig, {
+    inputs,
+    previousNodeName,
+    allProcessedNodes,
+    id,
+    dialect,
+    outputPort,
+    outputSpecs,
+  });
+}
@@ -1,7 +1,48 @@
 // src/functions/convertSorterNodeToSQL.js
 
-import { getEntryValue } from "../common/getEntryValue"; // [cite: uploaded:src/common/getEntryValue.js]
-import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { getEntryValue } from "../common/getEntryValue.js"; // [cite: uploaded:src/common/getEntryValue.js]
+import { findConfigByKey } from "../common/findConfigByKey.js"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { getDialect } from "../dialects/index.js";
+
+/**
+ * Reads the sorting criteria of a Sorter (or Top k Selector) node:
+ *   sortingCriteria → 0, 1, ... → column → selected, sortingOrder
+ *   (ASCENDING / DESCENDING), stringComparison (NATURAL / ALPHANUMERIC)
+ * Incomplete criteria are skipped.
+ * @param {object} sortingCriteriaNode - The "sortingCriteria" config.
+ * @returns {Array<{column: string, descending: boolean, alphanumeric: boolean}>}
+ */
+export const getSortingCriteria = (sortingCriteriaNode) => {
+  if (!sortingCriteriaNode?.config) return [];
+  const criteriaConfigs = Array.isArray(sortingCriteriaNode.config)
+    ? sortingCriteriaNode.config
+    : [sortingCriteriaNode.config]; // Ensure it's an array
+
+  const criteria = [];
+  for (const criterionConfig of criteriaConfigs) {
+    // Skip if it's not a valid config object (might have other entries sometimes)
+    if (!criterionConfig || !criterionConfig._attributes || isNaN(parseInt(criterionConfig._attributes.key))) {
+        continue;
+    }
+
+    const columnNode = findConfigByKey(criterionConfig.config, "column");
+    const columnName = getEntryValue(columnNode?.entry, "selected");
+    const sortingOrder = getEntryValue(criterionConfig.entry, "sortingOrder"); // ASCENDING or DESCENDING
+    const stringComparison = getEntryValue(criterionConfig.entry, "stringComparison"); // NATURAL or ALPHANUMERIC - Often handled by DB
+
+    if (!columnName || !sortingOrder) {
+      console.warn(`Skipping incomplete sorting criterion: ${JSON.stringify(criterionConfig)}`);
+      continue;
+    }
+
+    criteria.push({
+      column: columnName,
+      descending: sortingOrder === "DESCENDING",
+      alphanumeric: stringComparison === "ALPHANUMERIC",
+    });
+  }
+  return criteria;
+};
 
 /**
  * Converts a KNIME Sorter node configuration (compact JSON) to an SQL query
@@ -9,12 +50,15 @@ import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:
  *
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertSorterNodeToSQL(
   nodeConfig,
-  previousNodeName = "input_table"
+  previousNodeName = "input_table",
+  dialect = getDialect()
 ) {
+  dialect = getDialect(dialect);
   // --- 1. Verify Node Type ---
   const factory = getEntryValue(nodeConfig?.entry, "factory");
   const SORTER_FACTORY = "org.knime.base.node.preproc.sorter.SorterNodeFactory";
@@ -34,59 +78,48 @@ export function convertSorterNodeToSQL(
   if (!sortingCriteriaNode || !sortingCriteriaNode.config) {
     // It's possible to have a Sorter node configured without criteria (no-op)
     console.warn("Sorter node has no sorting criteria defined. Outputting data as is.");
-    return `SELECT * FROM "${previousNodeName.replace(/"/g, '""')}"; -- Warning: No sorting criteria found`;
+    return `SELECT * FROM ${dialect.quoteIdentifier(previousNodeName)}; -- Warning: No sorting criteria found`;
   }
 
-  const criteriaConfigs = Array.isArray(sortingCriteriaNode.config)
-    ? sortingCriteriaNode.config
-    : [sortingCriteriaNode.config]; // Ensure it's an array
-
   const orderByParts = [];
+  const notes = [];
   const missingToEnd = getEntryValue(modelNode.entry, "missingToEnd"); // boolean: true -> NULLS LAST, false -> NULLS FIRST
 
-  for (const criterionConfig of criteriaConfigs) {
-    // Skip if it's not a valid config object (might have other entries sometimes)
-    if (!criterionConfig || !criterionConfig._attributes || isNaN(parseInt(criterionConfig._attributes.key))) {
-        continue;
-    }
-
-    const columnNode = findConfigByKey(criterionConfig.config, "column");
-    const columnName = getEntryValue(columnNode?.entry, "selected");
-    const sortingOrder = getEntryValue(criterionConfig.entry, "sortingOrder"); // ASCENDING or DESCENDING
-    const stringComparison = getEntryValue(criterionConfig.entry, "stringComparison"); // NATURAL or ALPHANUMERIC - Often handled by DB
-
-    if (!columnName || !sortingOrder) {
-      console.warn(`Skipping incomplete sorting criterion: ${JSON.stringify(criterionConfig)}`);
-      continue;
-    }
-
-    const direction = sortingOrder === "DESCENDING" ? "DESC" : "ASC";
-    const nullsOrder = missingToEnd === true ? "NULLS LAST" : "NULLS FIRST";
-    const quotedColumnName = `"${columnName.replace(/"/g, '""')}"`;
+  for (const { column, descending, alphanumeric } of getSortingCriteria(
+    sortingCriteriaNode
+  )) {
+    const quotedColumnName = dialect.quoteIdentifier(column);
 
     // Note: stringComparison ('NATURAL' vs 'ALPHANUMERIC') is complex to replicate perfectly
     // in standard SQL without database-specific functions (COLLATE) or casting.
     // Standard ORDER BY usually provides behavior close to 'NATURAL' for appropriate types.
     // We'll add a comment but won't add complex collation logic here for general compatibility.
-    let comment = "";
-    if (stringComparison === 'ALPHANUMERIC') {
-        comment = ` -- Note: Alphanumeric string comparison requested for ${columnName}. Standard ORDER BY used; verify behavior with DB.`
+    if (alphanumeric) {
+        notes.push(`-- Note: Alphanumeric string comparison requested for ${column}. Standard ORDER BY used; verify behavior with DB.`);
     }
 
-    orderByParts.push(`${quotedColumnName} ${direction} ${nullsOrder}${comment}`);
+    orderByParts.push(
+      dialect.orderByTerm(
+        quotedColumnName,
+        descending ? "DESC" : "ASC",
+        missingToEnd === true
+      )
+    );
   }
 
   if (orderByParts.length === 0) {
     console.warn("Sorter node criteria configs found, but none were valid. Outputting data as is.");
-    return `SELECT * FROM "${previousNodeName.replace(/"/g, '""')}"; -- Warning: No valid sorting criteria processed`;
+    return `SELECT * FROM ${dialect.quoteIdentifier(previousNodeName)}; -- Warning: No valid sorting criteria processed`;
   }
 
   // --- 4. Construct SQL Query ---
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
   // Sorter node passes through all columns
   const selectClause = `SELECT *`;
   const fromClause = `FROM ${quotedPreviousNodeName}`;
   const orderByClause = `ORDER BY\n  ${orderByParts.join(",\n  ")}`;
 
-  return `${selectClause}\n${fromClause}\n${orderByClause};`;
+  const noteLines = notes.length > 0 ? `${notes.join("\n")}\n` : "";
+
+  return `${noteLines}${selectClause}\n${fromClause}\n${orderByClause};`;
 }
\ No newline at end of file
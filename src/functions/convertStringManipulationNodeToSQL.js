@@ -0,0 +1,383 @@
+// src/functions/convertStringManipulationNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { selectWithComputedColumn } from "../common/selectWithComputedColumn.js";
+import { applyFunctionTemplate } from "../common/applyFunctionTemplate.js";
+import { toTypeKey } from "../common/knimeTypes.js";
+import { getDialect } from "../dialects/index.js";
+import { getFlowVariableMarker } from "./resolveFlowVariables.js";
+
+const STRING_MANIPULATION_FACTORY =
+  "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory";
+
+/**
+ * Reads the String Manipulation settings from the model config:
+ *   model → expression, replaced_column (name of the new or replaced column),
+ *   append_column (true = append), return_type (Java class of the result)
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{expression: string|null, outputColumn: string|null, append: boolean, returnType: string}}
+ */
+export const getStringManipulationSettings = (modelNode) => ({
+  expression: getEntryValue(modelNode?.entry, "expression"),
+  outputColumn: getEntryValue(modelNode?.entry, "replaced_column"),
+  append: getEntryValue(modelNode?.entry, "append_column") !== false,
+  returnType:
+    toTypeKey(getEntryValue(modelNode?.entry, "return_type")) || "string",
+});
+
+// Thrown for valid expressions the dialect cannot express; the converter then
+// emits an annotated NULL column instead of an error.
+class UntranslatableError extends Error {}
+
+const TOKEN_PATTERNS = [
+  ["space", /^\s+/],
+  ["flowVariable", /^\$\$\{([SID])((?:[^}\\]|\\.)*)\}\$\$/],
+  ["special", /^\$\$([A-Z]+)\$\$/],
+  ["column", /^\$((?:[^$\\]|\\.)+)\$/],
+  ["string", /^"((?:[^"\\]|\\.)*)"/],
+  ["number", /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/],
+  ["punctuation", /^[(),]/],
+  ["name", /^[A-Za-z_][A-Za-z0-9_]*/],
+];
+
+const unescapeName = (text) => text.replace(/\\(["\\$])/g, "$1");
+
+// Java string literal escapes
+const JAVA_ESCAPES = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f" };
+const unescapeJava = (text) =>
+  text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (match, escaped) =>
+    escaped.length === 5
+      ? String.fromCharCode(parseInt(escaped.slice(1), 16))
+      : JAVA_ESCAPES[escaped] ?? escaped
+  );
+
+const tokenize = (text) => {
+  const tokens = [];
+  let rest = text;
+  while (rest.length > 0) {
+    const match = TOKEN_PATTERNS.map(([type, pattern]) => [
+      type,
+      pattern.exec(rest),
+    ]).find(([, result]) => result);
+    if (!match) throw new Error(`unexpected "${rest.slice(0, 10)}"`);
+    const [type, result] = match;
+    if (type !== "space") {
+      tokens.push({
+        type,
+        text: result[0],
+        value: result[1],
+        name: type === "flowVariable" ? unescapeName(result[2]) : undefined,
+      });
+    }
+    rest = rest.slice(result[0].length);
+  }
+  return tokens;
+};
+
+/**
+ * KNIME String Manipulation functions. Each translates its arguments
+ * ({ sql, kind: "string"|"number", literal }, literal = the value of a constant)
+ * to SQL, either through `translate`, a dialect.stringFunctions `template` or a
+ * cast (`castTo`). `arity` is [min, max] (max null = any number); `kind` is the
+ * kind of the result, "string" unless stated.
+ */
+const STRING_FUNCTIONS = {
+  join: {
+    arity: [1, null],
+    translate: (args, dialect, { toText }) => dialect.concat(args.map(toText)),
+  },
+  substr: {
+    arity: [2, 3],
+    translate: ([str, start, length], dialect, { stringFunction, toText }) => {
+      // KNIME counts from 0, SQL from 1
+      const sqlStart =
+        typeof start.literal === "number"
+          ? String(start.literal + 1)
+          : `(${start.sql} + 1)`;
+      return length
+        ? stringFunction("substringLength", [toText(str), sqlStart, length.sql])
+        : stringFunction("substring", [toText(str), sqlStart]);
+    },
+  },
+  replace: {
+    arity: [3, 4],
+    translate: ([str, search, replacement, modifiers], dialect, helpers) => {
+      if (modifiers && modifiers.literal !== "") {
+        throw new UntranslatableError("replace() with modifiers");
+      }
+      return helpers.stringFunction("replace", [
+        helpers.toText(str),
+        helpers.toText(search),
+        helpers.toText(replacement),
+      ]);
+    },
+  },
+  regexReplace: {
+    arity: [3, 3],
+    translate: ([str, pattern, replacement], dialect, { toText }) => {
+      if (
+        typeof pattern.literal !== "string" ||
+        typeof replacement.literal !== "string"
+      ) {
+        throw new UntranslatableError(
+          "regexReplace() with a pattern or replacement that is not a constant"
+        );
+      }
+      const sql = dialect.regexReplace(
+        toText(str),
+        pattern.literal,
+        replacement.literal
+      );
+      if (!sql) {
+        throw new UntranslatableError(
+          `regexReplace() is not supported in ${dialect.label}`
+        );
+      }
+      return sql;
+    },
+  },
+  upperCase: { arity: [1, 1], template: "upper" },
+  lowerCase: { arity: [1, 1], template: "lower" },
+  strip: { arity: [1, 1], template: "trim" },
+  stripStart: { arity: [1, 1], template: "trimStart" },
+  stripEnd: { arity: [1, 1], template: "trimEnd" },
+  length: { arity: [1, 1], template: "length", kind: "number" },
+  reverse: { arity: [1, 1], template: "reverse" },
+  toNull: { arity: [1, 1], template: "emptyToNull" },
+  toEmpty: { arity: [1, 1], template: "nullToEmpty" },
+  indexOf: {
+    arity: [2, 2],
+    kind: "number",
+    // -1 when not found, like String.indexOf
+    translate: ([str, search], dialect, { stringFunction, toText }) =>
+      `(${stringFunction("position", [toText(str), toText(search)])} - 1)`,
+  },
+  padLeft: {
+    arity: [2, 3],
+    translate: ([str, size, chars], dialect, { stringFunction, toText }) =>
+      stringFunction("padLeft", [
+        toText(str),
+        size.sql,
+        chars ? toText(chars) : dialect.quoteString(" "),
+      ]),
+  },
+  padRight: {
+    arity: [2, 3],
+    translate: ([str, size, chars], dialect, { stringFunction, toText }) =>
+      stringFunction("padRight", [
+        toText(str),
+        size.sql,
+        chars ? toText(chars) : dialect.quoteString(" "),
+      ]),
+  },
+  toInt: { arity: [1, 1], castTo: "integer", kind: "number" },
+  toLong: { arity: [1, 1], castTo: "long", kind: "number" },
+  toDouble: { arity: [1, 1], castTo: "double", kind: "number" },
+  string: { arity: [1, 1], castTo: "string" },
+};
+
+/**
+ * Translates a String Manipulation expression to SQL.
+ * @param {string} expression - The expression.
+ * @param {object} dialect - Resolved dialect.
+ * @param {object} columnTypes - Type keys of the input columns by name.
+ * @returns {string} - The SQL expression.
+ * @throws {UntranslatableError} - For functions the dialect cannot express.
+ * @throws {Error} - On syntax errors.
+ */
+const translateExpression = (expression, dialect, columnTypes) => {
+  const tokens = tokenize(expression);
+  let position = 0;
+  const peek = () => tokens[position];
+  const next = () => {
+    if (position >= tokens.length) throw new Error("unexpected end of expression");
+    return tokens[position++];
+  };
+  const expect = (text) => {
+    const token = next();
+    if (token.text !== text) {
+      throw new Error(`expected "${text}" but found "${token.text}"`);
+    }
+  };
+
+  // Helpers passed to the function translations; errors name the KNIME function
+  const getHelpers = (name) => ({
+    stringFunction: (key, args) => {
+      const template = dialect.stringFunctions[key];
+      if (!template) {
+        throw new UntranslatableError(`${name}() is not supported in ${dialect.label}`);
+      }
+      return applyFunctionTemplate(template, args);
+    },
+    toText: (arg) => (arg.kind === "string" ? arg.sql : dialect.cast(arg.sql, "string")),
+  });
+
+  const parseCall = (name) => {
+    expect("(");
+    const args = [];
+    if (peek()?.text !== ")") {
+      args.push(parseArgument());
+      while (peek()?.text === ",") {
+        next();
+        args.push(parseArgument());
+      }
+    }
+    expect(")");
+    const knimeFunction = STRING_FUNCTIONS[name];
+    if (!knimeFunction) {
+      throw new UntranslatableError(`${name}() has no SQL translation`);
+    }
+    const [min, max] = knimeFunction.arity;
+    if (args.length < min || (max !== null && args.length > max)) {
+      throw new Error(`wrong number of arguments for ${name}()`);
+    }
+    const helpers = getHelpers(name);
+    const kind = knimeFunction.kind || "string";
+    if (knimeFunction.castTo) {
+      return { sql: dialect.cast(args[0].sql, knimeFunction.castTo), kind };
+    }
+    if (knimeFunction.template) {
+      const sqlArgs = args.map(helpers.toText);
+      return { sql: helpers.stringFunction(knimeFunction.template, sqlArgs), kind };
+    }
+    return { sql: knimeFunction.translate(args, dialect, helpers), kind };
+  };
+
+  const parseArgument = () => {
+    const token = next();
+    switch (token.type) {
+      case "string": {
+        const literal = unescapeJava(token.value);
+        return { sql: dialect.quoteString(literal), kind: "string", literal };
+      }
+      case "number":
+        return { sql: token.text, kind: "number", literal: Number(token.text) };
+      case "column": {
+        // Columns of unknown type are used as strings
+        const name = unescapeName(token.value);
+        const type = columnTypes[name];
+        return {
+          sql: dialect.quoteIdentifier(name),
+          kind: !type || type === "string" ? "string" : "number",
+        };
+      }
+      case "flowVariable": {
+        // Becomes a parameter once the SQL is generated
+        const marker = getFlowVariableMarker(token.name);
+        return token.value === "S"
+          ? { sql: dialect.quoteString(marker), kind: "string" }
+          : { sql: marker, kind: "number" };
+      }
+      case "special":
+        if (token.value === "ROWINDEX") {
+          return { sql: `(${dialect.rowNumber()} - 1)`, kind: "number" };
+        }
+        if (token.value === "ROWCOUNT") {
+          return { sql: "COUNT(*) OVER ()", kind: "number" };
+        }
+        throw new UntranslatableError(`${token.text} has no SQL equivalent`);
+      case "name":
+        if (peek()?.text === "(") return parseCall(token.text);
+        if (token.text === "true" || token.text === "false") {
+          return { sql: dialect.booleanLiteral(token.text === "true"), kind: "number" };
+        }
+        throw new Error(`unknown name "${token.text}"`);
+      default:
+        throw new Error(`unexpected "${token.text}"`);
+    }
+  };
+
+  const result = parseArgument();
+  if (position < tokens.length) {
+    throw new Error(`unexpected "${tokens[position].text}"`);
+  }
+  return result.sql;
+};
+
+/**
+ * Converts a KNIME String Manipulation node configuration (compact JSON) to an SQL query.
+ *
+ * Supported functions: join, substr, replace, regexReplace, upperCase, lowerCase,
+ * strip, stripStart, stripEnd, padLeft, padRight, length, indexOf, reverse,
+ * toNull, toEmpty, toInt, toLong, toDouble and string, with $column$ references,
+ * constants, $${Sflow_variable}$$, $$ROWINDEX$$ and $$ROWCOUNT$$ as arguments.
+ * Expressions using anything else (or a function the dialect cannot express)
+ * produce a NULL column preceded by a "-- MANUAL STEP" comment quoting the
+ * expression, so the rest of the workflow still converts.
+ *
+ * Example output (PostgreSQL, appended column):
+ *   SELECT
+ *     "first",
+ *     "last",
+ *     UPPER("last") || ', ' || "first" AS "name"
+ *   FROM "node_1";
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} inputColumnNames - Columns of the input table (needed to replace a column).
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns;
+ * non-string columns are cast before string functions use them.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertStringManipulationNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  inputSchema = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== STRING_MANIPULATION_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected String Manipulation node factory (${STRING_MANIPULATION_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { expression, outputColumn, append, returnType } =
+    getStringManipulationSettings(modelNode);
+  if (!expression) {
+    return "Error: No expression found in the configuration.";
+  }
+  if (!outputColumn) {
+    return "Error: Output column name not found in the configuration.";
+  }
+
+  // Step 3: Translate the expression, falling back to an annotated NULL column
+  const columnTypes = Object.fromEntries(
+    inputSchema.map((column) => [column.name, column.type])
+  );
+  let sqlExpression;
+  let manualStep = "";
+  try {
+    sqlExpression = translateExpression(expression, dialect, columnTypes);
+  } catch (error) {
+    if (!(error instanceof UntranslatableError)) {
+      return `Error: Expression "${expression}": ${error.message}.`;
+    }
+    sqlExpression = dialect.cast("NULL", returnType);
+    const quotedExpression = expression
+      .split("\n")
+      .map((line) => `--   ${line}`)
+      .join("\n");
+    manualStep = `-- MANUAL STEP: String Manipulation not converted (${error.message}); "${outputColumn}" is NULL. Expression:\n${quotedExpression}\n`;
+  }
+
+  // Step 4: Build the SELECT list, appending or replacing the column in place
+  const query = selectWithComputedColumn(
+    dialect,
+    previousNodeName,
+    inputColumnNames,
+    sqlExpression,
+    outputColumn,
+    append
+  );
+  return query.startsWith("Error:") ? query : manualStep + query;
+}
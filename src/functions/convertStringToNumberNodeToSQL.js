@@ -1,31 +1,32 @@
 // src/functions/convertStringToNumberNodeToSQL.js
 
 // Import necessary helper functions from the common directory
-import { getEntryValue } from "../common/getEntryValue"; // [cite: uploaded:src/common/getEntryValue.js]
-import { findConfigByKey } from "../common/findConfigByKey"; // [cite: uploaded:src/common/findConfigByKey.js]
-import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig"; // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
+import { getEntryValue } from "../common/getEntryValue.js"; // [cite: uploaded:src/common/getEntryValue.js]
+import { findConfigByKey } from "../common/findConfigByKey.js"; // [cite: uploaded:src/common/findConfigByKey.js]
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js"; // [cite: uploaded:src/common/getArrayValuesFromConfig.js]
+import { getDialect } from "../dialects/index.js";
 
 /**
- * Maps KNIME cell class strings to corresponding SQL data types.
+ * Maps KNIME cell class strings to the generic type keys used by the dialects.
  * @param {string} knimeCellClass - The cell class string (e.g., "org.knime.core.data.def.DoubleCell").
- * @returns {string} - The corresponding SQL data type (e.g., "DOUBLE PRECISION"). Returns "VARCHAR" as fallback.
+ * @returns {string} - The corresponding type key (e.g., "double"). Returns "string" as fallback.
  */
 const mapKnimeTypeToSQL = (knimeCellClass) => {
-  if (!knimeCellClass) return "VARCHAR"; // Default fallback
+  if (!knimeCellClass) return "string"; // Default fallback
 
   if (knimeCellClass.includes("DoubleCell")) {
-    return "DOUBLE PRECISION"; // Or NUMERIC, FLOAT depending on dialect/precision needs
+    return "double";
   } else if (knimeCellClass.includes("IntCell")) {
-    return "INTEGER";
+    return "integer";
   } else if (knimeCellClass.includes("LongCell")) {
-    return "BIGINT";
+    return "long";
   }
   // Add mappings for other numeric types if needed (e.g., BigDecimalCell -> NUMERIC(p,s))
   else {
     console.warn(
-      `Unsupported KNIME cell class for numeric conversion: ${knimeCellClass}. Defaulting to VARCHAR.`
+      `Unsupported KNIME cell class for numeric conversion: ${knimeCellClass}. Defaulting to string.`
     );
-    return "VARCHAR"; // Fallback if it's not a recognized numeric type
+    return "string"; // Fallback if it's not a recognized numeric type
   }
 };
 
@@ -56,15 +57,18 @@ const findPredecessorNodes = (currentNodeId, allProcessedNodes) => {
  * (often derived from the predecessor node's name or ID).
  * @param {Array<object>} allProcessedNodes - An array containing the processed data of all nodes
  * executed *before* this one. Each object should include at least 'id', 'nextNodes', and 'nodes' (output columns).
+ * @param {number} id - The workflow ID of the node being converted.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
  * @returns {string} - The generated SQL query or an error message.
  */
 export function convertStringToNumberNodeToSQL(
   nodeConfig,
   previousNodeName = "input_table",
   allProcessedNodes,
-  id // Expects array of processed nodes {id: number, nextNodes: number[], nodes: string[]}
+  id, // Expects array of processed nodes {id: number, nextNodes: number[], nodes: string[]}
+  dialect = getDialect()
 ) {
-  console.log(nodeConfig, "nodeConfig");
+  dialect = getDialect(dialect);
   // Step 1: Verify node type and get current node ID
   const currentNodeId = id; // Assuming nodeConfig has the ID added during processing
 
@@ -142,22 +146,24 @@ export function convertStringToNumberNodeToSQL(
   }
 
   // Step 4: Determine SQL Type and Cast Function
-  const sqlTargetType = mapKnimeTypeToSQL(knimeTargetType);
-  const castFunction = failOnError ? "CAST" : "TRY_CAST";
+  const targetTypeKey = mapKnimeTypeToSQL(knimeTargetType);
+  const sqlTargetType = dialect.castType(targetTypeKey);
+  const castFunction = failOnError ? "CAST" : "a safe cast (NULL on parse errors)";
 
   // Step 5: Build the SELECT clause (Now requires derived inputColumnNames)
   const selectParts = [];
   const columnsToConvertSet = new Set(columnsToConvert);
-  const quotedPreviousNodeName = `"${previousNodeName.replace(/"/g, '""')}"`;
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
 
   // Iterate through the derived input columns
   inputColumnNames.forEach((col) => {
-    const quotedCol = `"${col.replace(/"/g, '""')}"`;
+    const quotedCol = dialect.quoteIdentifier(col);
     if (columnsToConvertSet.has(col)) {
       // This column needs conversion
-      selectParts.push(
-        `${castFunction}(${quotedCol} AS ${sqlTargetType}) AS ${quotedCol}`
-      );
+      const castExpr = failOnError
+        ? dialect.cast(quotedCol, targetTypeKey)
+        : dialect.tryCast(quotedCol, targetTypeKey);
+      selectParts.push(`${castExpr} AS ${quotedCol}`);
     } else {
       // This column is passed through
       selectParts.push(quotedCol);
@@ -0,0 +1,144 @@
+// src/functions/convertTopKSelectorNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { getDialect } from "../dialects/index.js";
+import { getSortingCriteria } from "./convertSorterNodeToSQL.js";
+
+const TOP_K_FACTORY = "org.knime.base.node.preproc.topk.TopKSelectorNodeFactory";
+
+// Helper columns of the ranked input, not part of the output
+const ROW_INDEX_COLUMN = "knime_row_index";
+const RANK_COLUMN = "knime_rank";
+
+/**
+ * Reads the Top k Selector settings. Current versions store the criteria like
+ * the Sorter (model → sortingCriteria) next to k, topKMode (rows or rows with
+ * the top k unique values), rowOrder (ARBITRARY, INPUT_ORDER, SORTED) and
+ * missingsToEnd; older ones the column names and orders as arrays
+ * (model → columns, order with "true" = ascending) and outputOrder (NO_ORDER,
+ * RETAIN_ORDER, SORT) and missingToEnd.
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{k: number, criteria: Array<{column: string, descending: boolean}>, missingToEnd: boolean, uniqueValues: boolean, keepInputOrder: boolean}}
+ */
+export const getTopKSettings = (modelNode) => {
+  const entries = modelNode?.entry;
+  const sortingCriteriaNode = findConfigByKey(modelNode?.config, "sortingCriteria");
+  let criteria;
+  if (sortingCriteriaNode) {
+    criteria = getSortingCriteria(sortingCriteriaNode);
+  } else {
+    const orders = getArrayValuesFromConfig(
+      findConfigByKey(modelNode?.config, "order")
+    );
+    criteria = getArrayValuesFromConfig(
+      findConfigByKey(modelNode?.config, "columns")
+    ).map((column, index) => ({ column, descending: orders[index] === "false" }));
+  }
+  const outputOrder =
+    getEntryValue(entries, "rowOrder") || getEntryValue(entries, "outputOrder");
+  return {
+    k: Number(getEntryValue(entries, "k") ?? 5),
+    criteria,
+    missingToEnd:
+      (getEntryValue(entries, "missingsToEnd") ??
+        getEntryValue(entries, "missingToEnd")) === true,
+    uniqueValues: /unique/i.test(getEntryValue(entries, "topKMode") || ""),
+    keepInputOrder: /RETAIN|INPUT/i.test(outputOrder || ""),
+  };
+};
+
+/**
+ * Converts a KNIME Top k Selector node configuration (compact JSON) to an SQL
+ * query: the first k rows in the order of the selection criteria (LIMIT /
+ * FETCH FIRST / TOP), or, in "unique values" mode, every row holding one of the
+ * k best value combinations (DENSE_RANK). Rows come out sorted by the criteria
+ * unless the node keeps the input order; then the input is numbered and ranked
+ * with a window function, which needs the input column names.
+ *
+ * Example output (PostgreSQL, top 3 by "revenue" descending):
+ *   SELECT *
+ *   FROM "node_1"
+ *   ORDER BY
+ *     "revenue" DESC NULLS FIRST
+ *   LIMIT 3;
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {string[]} [inputColumnNames=[]] - Columns of the input table.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertTopKSelectorNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputColumnNames = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== TOP_K_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Top k Selector node factory (${TOP_K_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.entry) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { k, criteria, missingToEnd, uniqueValues, keepInputOrder } =
+    getTopKSettings(modelNode);
+  if (!(Number.isInteger(k) && k >= 0)) {
+    return `Error: Invalid number of rows k = ${k}.`;
+  }
+  if (criteria.length === 0) {
+    return "Error: No selection criteria specified in the configuration.";
+  }
+  const orderBy = criteria.map(({ column, descending }) =>
+    dialect.orderByTerm(
+      dialect.quoteIdentifier(column),
+      descending ? "DESC" : "ASC",
+      missingToEnd
+    )
+  );
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+
+  // Step 3a: Sorted output of the first k rows
+  if (!uniqueValues && !keepInputOrder) {
+    return `${dialect.selectRows(quotedPreviousNodeName, orderBy, k)};`;
+  }
+
+  // Step 3b: Rank the rows with a window function
+  if (inputColumnNames.length === 0) {
+    return "Error: Cannot rank the rows without the input column names.";
+  }
+  const rowIndex = dialect.quoteIdentifier(ROW_INDEX_COLUMN);
+  const rank = dialect.quoteIdentifier(RANK_COLUMN);
+  const rankFunction = uniqueValues ? "DENSE_RANK()" : "ROW_NUMBER()";
+  const helperColumns = [
+    `${rankFunction} OVER (ORDER BY ${orderBy.join(", ")}) AS ${rank}`,
+  ];
+  if (keepInputOrder) {
+    helperColumns.unshift(`${dialect.rowNumber()} - 1 AS ${rowIndex}`);
+  }
+  const selectColumns = inputColumnNames.map((col) =>
+    dialect.quoteIdentifier(col)
+  );
+  // Otherwise sorted by the criteria, i.e. by the rank
+  const outputOrder = keepInputOrder ? [rowIndex] : [rank];
+  const rankedRows = `(\n  SELECT ${quotedPreviousNodeName}.*,\n    ${helperColumns.join(
+    ",\n    "
+  )}\n  FROM ${quotedPreviousNodeName}\n) ${dialect.quoteIdentifier(
+    "source"
+  )}\nWHERE ${rank} <= ${k}`;
+  return `${dialect.selectRows(
+    rankedRows,
+    outputOrder,
+    null,
+    0,
+    selectColumns
+  )};`;
+}
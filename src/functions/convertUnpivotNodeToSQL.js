@@ -0,0 +1,178 @@
+// src/functions/convertUnpivotNodeToSQL.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { widenType } from "../common/knimeTypes.js";
+import { getDialect } from "../dialects/index.js";
+
+const UNPIVOT_FACTORY =
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory";
+
+// Columns KNIME's Unpivoting node creates, followed by the retained columns
+export const UNPIVOT_COLUMNS = {
+  rowIds: "RowIDs",
+  columnNames: "ColumnNames",
+  columnValues: "ColumnValues",
+};
+
+// Row number of each input row, used to rebuild the row IDs
+const ROW_INDEX_COLUMN = "knime_row_index";
+
+/**
+ * Reads the Unpivoting settings from the model config:
+ *   model → value_columns → included_names, retained_columns → included_names,
+ *   missing_values (true = skip rows whose value is missing)
+ * @param {object} modelNode - The node's "model" config.
+ * @returns {{valueColumns: string[], retainedColumns: string[], skipMissing: boolean}}
+ */
+export const getUnpivotSettings = (modelNode) => {
+  const getIncludedColumns = (key) =>
+    getArrayValuesFromConfig(
+      findConfigByKey(
+        findConfigByKey(modelNode?.config, key)?.config,
+        "included_names"
+      )
+    );
+  return {
+    valueColumns: getIncludedColumns("value_columns"),
+    retainedColumns: getIncludedColumns("retained_columns"),
+    skipMissing: getEntryValue(modelNode?.entry, "missing_values") === true,
+  };
+};
+
+/**
+ * Type of the ColumnValues column: the common type of the value columns.
+ * @param {string[]} valueColumns - The unpivoted columns.
+ * @param {object} columnTypes - Type keys of the input columns by name.
+ * @returns {string|null}
+ */
+export const getUnpivotValueType = (valueColumns, columnTypes) =>
+  valueColumns.reduce((type, col) => widenType(type, columnTypes[col]), null);
+
+/**
+ * Converts a KNIME Unpivoting node configuration (compact JSON) to an SQL query:
+ * one output row per input row and value column, holding the column's name and
+ * value next to the retained columns.
+ *
+ * Dialects with a correlated VALUES list (LATERAL / CROSS APPLY) expand each row
+ * in place; the others get one SELECT per value column combined with UNION ALL.
+ * KNIME's row IDs are not part of the data, so RowIDs assumes the default
+ * "Row0", "Row1", ... of the input.
+ *
+ * Example output (PostgreSQL):
+ *   SELECT
+ *     'Row' || CAST("source"."knime_row_index" AS TEXT) AS "RowIDs",
+ *     "unpivoted"."ColumnNames",
+ *     "unpivoted"."ColumnValues",
+ *     "source"."region" AS "region"
+ *   FROM (
+ *     SELECT "node_1".*, ROW_NUMBER() OVER () - 1 AS "knime_row_index"
+ *     FROM "node_1"
+ *   ) "source"
+ *   CROSS JOIN LATERAL (VALUES
+ *     ('q1', "source"."q1"),
+ *     ('q2', "source"."q2")
+ *   ) AS "unpivoted"("ColumnNames", "ColumnValues");
+ *
+ * @param {object} nodeConfig - The full node configuration object (compact format).
+ * @param {string} previousNodeName - The name of the table/view representing the input data.
+ * @param {Array<{name: string, type: string|null}>} [inputSchema=[]] - Typed input columns;
+ * value columns of different types are cast to their common type.
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {string} - The generated SQL query or an error message.
+ */
+export function convertUnpivotNodeToSQL(
+  nodeConfig,
+  previousNodeName = "input_table",
+  inputSchema = [],
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  // Step 1: Verify node type
+  const factory = getEntryValue(nodeConfig?.entry, "factory");
+  if (factory !== UNPIVOT_FACTORY) {
+    const factoryInfo = factory ? `"${factory}"` : "N/A";
+    return `Error: Expected Unpivoting node factory (${UNPIVOT_FACTORY}), but got ${factoryInfo}.`;
+  }
+
+  // Step 2: Read the settings
+  const modelNode = findConfigByKey(nodeConfig.config, "model");
+  if (!modelNode || !modelNode.config) {
+    return "Error: Model configuration not found or invalid.";
+  }
+  const { valueColumns, retainedColumns, skipMissing } =
+    getUnpivotSettings(modelNode);
+  if (valueColumns.length === 0) {
+    return "Error: No value columns specified in the configuration.";
+  }
+
+  // Step 3: Expressions shared by both forms
+  const columnTypes = Object.fromEntries(
+    inputSchema.map((column) => [column.name, column.type])
+  );
+  const valueType = getUnpivotValueType(valueColumns, columnTypes);
+  const source = dialect.quoteIdentifier("source");
+  const sourceColumn = (col) => `${source}.${dialect.quoteIdentifier(col)}`;
+  const valueExpression = (col) =>
+    valueType && columnTypes[col] && columnTypes[col] !== valueType
+      ? dialect.cast(sourceColumn(col), valueType)
+      : sourceColumn(col);
+  const rowIdExpression = dialect.concat([
+    dialect.quoteString("Row"),
+    dialect.cast(sourceColumn(ROW_INDEX_COLUMN), "string"),
+  ]);
+  const quotedPreviousNodeName = dialect.quoteIdentifier(previousNodeName);
+  const numberedSource = `(\n  SELECT ${quotedPreviousNodeName}.*, ${dialect.rowNumber()} - 1 AS ${dialect.quoteIdentifier(
+    ROW_INDEX_COLUMN
+  )}\n  FROM ${quotedPreviousNodeName}\n) ${source}`;
+  const retainedSelect = retainedColumns.map(
+    (col) => `${sourceColumn(col)} AS ${dialect.quoteIdentifier(col)}`
+  );
+
+  // Step 4a: Expand each row with a correlated VALUES list
+  const unpivoted = dialect.quoteIdentifier("unpivoted");
+  const lateralJoin = dialect.lateralValues(
+    valueColumns.map((col) => [dialect.quoteString(col), valueExpression(col)]),
+    "unpivoted",
+    [UNPIVOT_COLUMNS.columnNames, UNPIVOT_COLUMNS.columnValues]
+  );
+  if (lateralJoin) {
+    const quotedValueColumn = `${unpivoted}.${dialect.quoteIdentifier(
+      UNPIVOT_COLUMNS.columnValues
+    )}`;
+    const selectColumns = [
+      `${rowIdExpression} AS ${dialect.quoteIdentifier(UNPIVOT_COLUMNS.rowIds)}`,
+      `${unpivoted}.${dialect.quoteIdentifier(UNPIVOT_COLUMNS.columnNames)}`,
+      quotedValueColumn,
+      ...retainedSelect,
+    ];
+    const whereClause = skipMissing
+      ? `\nWHERE ${quotedValueColumn} IS NOT NULL`
+      : "";
+    return `SELECT\n  ${selectColumns.join(
+      ",\n  "
+    )}\nFROM ${numberedSource}\n${lateralJoin}${whereClause};`;
+  }
+
+  // Step 4b: One SELECT per value column
+  const selects = valueColumns.map((col) => {
+    const selectColumns = [
+      `${rowIdExpression} AS ${dialect.quoteIdentifier(UNPIVOT_COLUMNS.rowIds)}`,
+      `${dialect.quoteString(col)} AS ${dialect.quoteIdentifier(
+        UNPIVOT_COLUMNS.columnNames
+      )}`,
+      `${valueExpression(col)} AS ${dialect.quoteIdentifier(
+        UNPIVOT_COLUMNS.columnValues
+      )}`,
+      ...retainedSelect,
+    ];
+    const whereClause = skipMissing
+      ? `\nWHERE ${sourceColumn(col)} IS NOT NULL`
+      : "";
+    return `SELECT\n  ${selectColumns.join(
+      ",\n  "
+    )}\nFROM ${numberedSource}${whereClause}`;
+  });
+  return `${selects.join("\nUNION ALL\n")};`;
+}
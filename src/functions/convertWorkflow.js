@@ -0,0 +1,119 @@
+// src/functions/convertWorkflow.js
+
+import { FLOW_VARIABLE_PORT } from "../common/findInputNodes.js";
+import { getDialect } from "../dialects/index.js";
+import { readWorkflowArchive } from "./readWorkflowArchive.js";
+import { processWorkflowData } from "./processWorkflowData.js";
+import {
+  convertWorkflowToSQL,
+  convertWorkflowNodesToSQL,
+} from "./convertWorkflowToSQL.js";
+
+/**
+ * Converts a .knwf archive in one call: reads and processes the workflow, then
+ * generates SQL for every node and one end-to-end query per sink node.
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array|Buffer} zipData - The .knwf file contents.
+ * @param {object} [options]
+ * @param {string|object} [options.dialect] - Target SQL dialect (name or dialect object).
+ * @param {"inline"|"subquery"} [options.componentMode="inline"] - How nodes inside components are emitted.
+ * @param {"named"|"positional"} [options.parameterStyle="named"] - Placeholder style for runtime flow variables.
+ * @returns {Promise<object>} - An object with:
+ *    - dialect: name of the dialect used
+ *    - nodes: [{ id, name, factory, type, status, description, parentId, container, order,
+ *      previousNodes, nextNodes, flowVariables }] in execution order
+ *    - edges: [{ source, sourcePort, target, targetPort, kind: "data"|"flowVariable" }]
+ *    - containers: metanodes/components keyed by composite ID
+ *    - variables: workflow variables
+ *    - schemas: typed output columns per node ID
+ *      ({ [id]: [{ name, type, knimeType, sqlType }] }, type null if unknown)
+ *    - sql: { nodes: one statement per node output port, sinks: one WITH query per sink }
+ *    - diagnostics: [{ level: "warning"|"info", nodeId, message }]
+ * @throws {Error} - If the archive cannot be read or the dialect is unknown.
+ */
+export async function convertWorkflow(zipData, options = {}) {
+  const dialect = getDialect(options.dialect);
+  const conversionOptions = {
+    dialect,
+    componentMode: options.componentMode,
+    parameterStyle: options.parameterStyle,
+  };
+
+  const { rawNodes, containers, variables, diagnostics } =
+    await readWorkflowArchive(zipData);
+  const processedNodes = processWorkflowData(rawNodes, dialect);
+  conversionOptions.containers = containers;
+
+  const nodeStatements = convertWorkflowNodesToSQL(
+    processedNodes,
+    conversionOptions
+  );
+  const sinkStatements = convertWorkflowToSQL(
+    processedNodes,
+    conversionOptions
+  );
+
+  const nodes = processedNodes.map((node) => ({
+    id: node.id,
+    name: node.nodeName,
+    factory: node.nodeType,
+    type: node.nodeType ? node.nodeType.split(".").pop() : null,
+    status: node.nodeStatus,
+    description: node.description,
+    parentId: node.parentId,
+    container: node.containerName,
+    order: node.order,
+    previousNodes: node.previousNodes,
+    nextNodes: node.nextNodes,
+    flowVariables: node.flowVariables || [],
+  }));
+
+  const edges = processedNodes.flatMap((node) =>
+    (node.outgoingConnections || []).map((conn) => ({
+      source: node.id,
+      sourcePort: conn.sourcePort,
+      target: conn.destID,
+      targetPort: conn.destPort,
+      kind: conn.destPort === FLOW_VARIABLE_PORT ? "flowVariable" : "data",
+    }))
+  );
+
+  const schemas = Object.fromEntries(
+    processedNodes.map((node) => [node.id, node.schema || []])
+  );
+
+  const conversionDiagnostics = nodeStatements
+    .filter((statement) => !statement.converted)
+    .map((statement) => ({
+      level: "warning",
+      nodeId: statement.nodeId,
+      message: statement.message,
+    }));
+  const flowVariableDiagnostics = processedNodes.flatMap((node) =>
+    (node.flowVariables || [])
+      .filter((binding) => binding.runtime)
+      .map((binding) => ({
+        level: "info",
+        nodeId: node.id,
+        message: `Setting "${binding.setting}" comes from flow variable "${binding.variable}", which is only known at runtime; it is emitted as a parameter.`,
+      }))
+  );
+
+  return {
+    dialect: dialect.name,
+    nodes,
+    edges,
+    containers,
+    variables,
+    schemas,
+    sql: {
+      nodes: nodeStatements,
+      sinks: sinkStatements,
+    },
+    diagnostics: [
+      ...diagnostics,
+      ...conversionDiagnostics,
+      ...flowVariableDiagnostics,
+    ],
+  };
+}
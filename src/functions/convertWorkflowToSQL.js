@@ -0,0 +1,518 @@
+// src/functions/convertWorkflowToSQL.js
+
+import { findInputNodes } from "../common/findInputNodes.js";
+import { toOutputPort } from "../common/getOutputPort.js";
+import { getDialect } from "../dialects/index.js";
+import { convertSelectedNodeToSQL } from "./convertSelectedNodeToSQL.js";
+import { bindFlowVariableParameters } from "./resolveFlowVariables.js";
+
+/**
+ * Builds the CTE name used for a node inside the whole-workflow query. The first
+ * data output port is named after the node alone; further output ports (e.g. the
+ * second table of a Row Splitter) get a port suffix.
+ * @param {number|string} nodeId - The workflow ID of the node.
+ * @param {number|null} [outputPort] - The node's output port (1 = first data port).
+ * @returns {string} - A plain identifier such as "node_3" or "node_3_port_2".
+ */
+export const getCTEName = (nodeId, outputPort = null) => {
+  const name = `node_${String(nodeId).replace(/[^a-zA-Z0-9_]/g, "_")}`;
+  return outputPort > 1 ? `${name}_port_${outputPort}` : name;
+};
+
+/**
+ * Checks whether a converter result is a runnable query rather than one of the
+ * "Error: ..." / "not supported" messages the converters return as strings.
+ * @param {string} sql - The converter output.
+ * @returns {boolean} - True if the first non-comment line starts a SELECT/WITH query.
+ */
+export const isSQLStatement = (sql) => {
+  if (typeof sql !== "string") return false;
+  const firstLine = sql
+    .split("\n")
+    .map((line) => line.trim())
+    .find((line) => line && !line.startsWith("--"));
+  return !!firstLine && /^(SELECT|WITH)\b/i.test(firstLine);
+};
+
+const isCommentBlock = (text) =>
+  text
+    .split("\n")
+    .every((line) => !line.trim() || line.trim().startsWith("--"));
+
+/**
+ * Splits converter output into the statements that have to run before the
+ * query (e.g. the CREATE TABLE and bulk load a CSV Reader emits) and the final
+ * query itself. Statements end with a semicolon at the end of a line; a comment
+ * block standing on its own (e.g. a manual load step) counts as a statement.
+ * @param {string} sql - The converter output.
+ * @returns {{setup: string[], query: string}} - setup is empty for plain queries
+ * and anything that is not SQL.
+ */
+const splitSetupStatements = (sql) => {
+  if (typeof sql !== "string") return { setup: [], query: sql };
+  const statements = [];
+  let current = [];
+  const flush = () => {
+    const text = current.join("\n").trim();
+    if (text) statements.push(text);
+    current = [];
+  };
+  sql.split("\n").forEach((line) => {
+    const trimmed = line.trim();
+    if (!trimmed && current.length > 0 && isCommentBlock(current.join("\n"))) {
+      flush();
+      return;
+    }
+    current.push(line);
+    if (!trimmed.startsWith("--") && trimmed.endsWith(";")) flush();
+  });
+  flush();
+  // Comments after the last statement belong to it
+  if (
+    statements.length > 1 &&
+    isCommentBlock(statements[statements.length - 1])
+  ) {
+    const trailing = statements.pop();
+    statements[statements.length - 1] += `\n${trailing}`;
+  }
+  const query = statements.pop();
+  if (statements.length === 0 || !isSQLStatement(query)) {
+    return { setup: [], query: sql };
+  }
+  return { setup: statements, query };
+};
+
+/**
+ * Removes the semicolon terminating a single statement so it can be used as a
+ * CTE body. Comments following the semicolon are kept.
+ * @param {string} sql - A single SQL statement.
+ * @returns {string} - The statement without its terminator.
+ */
+const stripStatementTerminator = (sql) =>
+  sql.trim().replace(/;(?=(\s*--[^\n]*)*\s*$)/, "");
+
+// Adds a terminating semicolon, on its own line if the statement ends in a comment.
+const terminateStatement = (sql) => {
+  const lines = sql.trim().split("\n");
+  return lines[lines.length - 1].includes("--")
+    ? `${lines.join("\n")}\n;`
+    : `${lines.join("\n")};`;
+};
+
+const indent = (text, prefix = "  ") =>
+  text
+    .split("\n")
+    .map((line) => (line ? `${prefix}${line}` : line))
+    .join("\n");
+
+/**
+ * Collects the IDs of a node and all of its (transitive) predecessors.
+ * @param {number|string} nodeId - The starting node.
+ * @param {Map<number|string, object>} nodeMap - Processed nodes keyed by ID.
+ * @returns {Set<number|string>} - The IDs of the node and its ancestors.
+ */
+const collectAncestorIds = (nodeId, nodeMap) => {
+  const visited = new Set();
+  const stack = [nodeId];
+  while (stack.length > 0) {
+    const currentId = stack.pop();
+    if (visited.has(currentId) || !nodeMap.has(currentId)) continue;
+    visited.add(currentId);
+    (nodeMap.get(currentId).previousNodes || []).forEach((predId) =>
+      stack.push(predId)
+    );
+  }
+  return visited;
+};
+
+/**
+ * Converts one output port of a processed node into the body of its CTE.
+ * Predecessors are referenced by the names returned from `resolveInputName`, in
+ * input port order. Nodes that cannot be converted become a pass-through of
+ * their first input, annotated with the converter's message.
+ *
+ * @param {object} node - The processed node (id, nodeName, config, order, ...).
+ * @param {number} outputPort - The output port to generate (1 = first data port).
+ * @param {Array<object>} processedNodes - All processed nodes, in execution order.
+ * @param {object} dialect - Target SQL dialect.
+ * @param {function(object, number): string} resolveInputName - Returns the CTE name to read
+ * a predecessor's output port from.
+ * @returns {{body: string, setup: string[], converted: boolean, message: string|null}}
+ * - setup holds statements that must run before the query (e.g. loading a CSV file);
+ *   message is the converter's explanation when the node could not be converted.
+ */
+const convertNodeToCTEBody = (
+  node,
+  outputPort,
+  processedNodes,
+  dialect,
+  resolveInputName
+) => {
+  const contextForSQL = processedNodes.filter(
+    (n) =>
+      n.order !== undefined &&
+      node.order !== undefined &&
+      n.order < node.order
+  );
+  const predecessorNames = findInputNodes(node.id, contextForSQL).map(
+    ({ node: p, sourcePort }) => resolveInputName(p, toOutputPort(sourcePort))
+  );
+
+  let sql;
+  try {
+    sql = convertSelectedNodeToSQL(
+      node.config,
+      predecessorNames,
+      contextForSQL,
+      node.id,
+      dialect,
+      outputPort,
+      node.outputSpecs
+    );
+  } catch (error) {
+    console.error(`Error converting node ${node.id} to SQL:`, error);
+    sql = `Error generating SQL: ${error.message || "Unknown error"}`;
+  }
+
+  const { setup, query } = splitSetupStatements(sql);
+  if (isSQLStatement(query)) {
+    return {
+      body: stripStatementTerminator(query),
+      setup,
+      converted: true,
+      message: null,
+    };
+  }
+
+  const message = String(sql || "No SQL generated.").replace(/\n/g, " ");
+  const source = dialect.quoteIdentifier(
+    predecessorNames.length > 0
+      ? predecessorNames[0]
+      : node.nodeName || `node_${node.id}`
+  );
+  const portLabel = outputPort > 1 ? ` output port ${outputPort}` : "";
+  return {
+    body: `-- Node ${node.id} ("${node.nodeName}")${portLabel} could not be converted: ${message}\nSELECT * FROM ${source}`,
+    setup: [],
+    converted: false,
+    message,
+  };
+};
+
+const isInsideContainer = (nodeId, containerId) =>
+  String(nodeId).startsWith(`${containerId}:`);
+
+/**
+ * Finds the component a node is collapsed into when components are rendered as
+ * sub-queries: the outermost component that contains the node but not the sink
+ * the statement is built for. Metanodes are never collapsed.
+ * @returns {string|null} - The component's composite ID, or null.
+ */
+const getCollapsedComponentId = (node, sinkId, containers) => {
+  const chain = [];
+  let containerId = node.parentId;
+  while (containerId && containers[containerId]) {
+    chain.unshift(containerId); // outermost first
+    containerId = containers[containerId].parentId;
+  }
+  return (
+    chain.find(
+      (id) =>
+        containers[id].kind === "component" && !isInsideContainer(sinkId, id)
+    ) || null
+  );
+};
+
+/**
+ * Name of the CTE holding one output port of a collapsed component, e.g.
+ * "node_5_port_1".
+ */
+const getComponentOutputCTEName = (
+  componentId,
+  innerNodeId,
+  innerPort,
+  containers
+) => {
+  const outputs = containers[componentId]?.outputs || {};
+  const port = Object.keys(outputs).find(
+    (key) =>
+      outputs[key]?.id === innerNodeId &&
+      toOutputPort(outputs[key].port) === innerPort
+  );
+  return port !== undefined
+    ? `${getCTEName(componentId)}_port_${port}`
+    : `${getCTEName(componentId)}_${getCTEName(innerNodeId, innerPort)}`;
+};
+
+/**
+ * Generates one end-to-end query per sink node of the workflow. Every node on
+ * the way to a sink becomes a CTE named after its ID, in execution order:
+ *
+ *   WITH
+ *   "node_1" AS (
+ *     SELECT ... FROM ...
+ *   ),
+ *   "node_2" AS (
+ *     SELECT ... FROM "node_1"
+ *   )
+ *   SELECT * FROM "node_2";
+ *
+ * Nodes with several output ports get one CTE per port that is read downstream
+ * ("node_4" for the first port, "node_4_port_2" for the second, ...), and
+ * multi-input nodes read their inputs in port order.
+ * Statements source nodes need first (e.g. the CREATE TABLE and bulk load of a
+ * CSV Reader) precede the WITH query.
+ * Nodes inside metanodes and components use their composite IDs ("node_5_3").
+ * With `componentMode: "subquery"` each component instead becomes one CTE per
+ * used output port ("node_5_port_1") whose body is a nested WITH of the nodes
+ * inside it. Engines that do not allow WITH inside a CTE (SQL Server) always
+ * get the inline form.
+ *
+ * @param {Array<object>} processedNodes - Nodes as produced by processWorkflowData
+ * (id, nodeName, config, order, nextNodes, previousNodes, nodes, parentId), sorted by execution order.
+ * @param {object} [options]
+ * @param {string|object} [options.dialect] - Target SQL dialect (name or dialect object).
+ * @param {object} [options.containers] - Metanodes/components keyed by composite ID, as returned by parseWorkflowHierarchy.
+ * @param {"inline"|"subquery"} [options.componentMode="inline"] - How nodes inside components are emitted.
+ * @param {"named"|"positional"} [options.parameterStyle="named"] - Placeholder style for flow
+ * variables only known at runtime (`:var_name` or `?`).
+ * @returns {Array<{nodeId: number|string, nodeName: string, sql: string, parameters: Array<string>, unconvertedNodeIds: Array<number|string>}>}
+ * - One entry per sink node (a node without successors).
+ */
+export function convertWorkflowToSQL(processedNodes = [], options = {}) {
+  const dialect = getDialect(options.dialect);
+  const containers = options.containers || {};
+  let componentMode = options.componentMode || "inline";
+  if (componentMode === "subquery" && dialect.supportsNestedWith === false) {
+    console.warn(
+      `${dialect.label} does not support WITH inside a CTE; components are inlined.`
+    );
+    componentMode = "inline";
+  }
+  if (!Array.isArray(processedNodes) || processedNodes.length === 0) {
+    return [];
+  }
+  const nodeMap = new Map(processedNodes.map((node) => [node.id, node]));
+
+  // CTE bodies only depend on the names their inputs are read from; cache them
+  // so nodes shared between sinks are converted once.
+  const bodyCache = new Map();
+  const getBody = (node, outputPort, resolveInputName) => {
+    const inputNames = findInputNodes(node.id, processedNodes)
+      .map(({ node: p, sourcePort }) =>
+        resolveInputName(p, toOutputPort(sourcePort))
+      )
+      .join("|");
+    const cacheKey = `${node.id}|${outputPort}|${inputNames}`;
+    if (!bodyCache.has(cacheKey)) {
+      bodyCache.set(
+        cacheKey,
+        convertNodeToCTEBody(
+          node,
+          outputPort,
+          processedNodes,
+          dialect,
+          resolveInputName
+        )
+      );
+    }
+    return bodyCache.get(cacheKey);
+  };
+
+  const formatCTE = (name, body) =>
+    `${dialect.quoteIdentifier(name)} AS (\n${indent(body)}\n)`;
+
+  const sinkNodes = processedNodes.filter(
+    (node) =>
+      !Array.isArray(node.nextNodes) ||
+      !node.nextNodes.some((nextId) => nodeMap.has(nextId))
+  );
+
+  return sinkNodes.map((sink) => {
+    const ancestorIds = collectAncestorIds(sink.id, nodeMap);
+    // processedNodes is already in execution order, so CTEs are declared before use.
+    const chain = processedNodes.filter((node) => ancestorIds.has(node.id));
+
+    // Output ports read by the rest of the chain; the sink's first port is the result.
+    const usedPorts = new Map(chain.map((node) => [node.id, new Set()]));
+    usedPorts.get(sink.id).add(1);
+    chain.forEach((node) => {
+      findInputNodes(node.id, chain).forEach(({ node: p, sourcePort }) =>
+        usedPorts.get(p.id).add(toOutputPort(sourcePort))
+      );
+    });
+    const getUsedPorts = (node) =>
+      [...usedPorts.get(node.id)].sort((a, b) => a - b);
+
+    const groupOf = new Map(
+      chain.map((node) => [
+        node.id,
+        componentMode === "subquery"
+          ? getCollapsedComponentId(node, sink.id, containers)
+          : null,
+      ])
+    );
+    // Reading from a node inside another collapsed component goes through that
+    // component's output CTE.
+    const makeResolver = (consumerGroup) => (predecessor, port) => {
+      const predecessorGroup = groupOf.get(predecessor.id) || null;
+      return predecessorGroup && predecessorGroup !== consumerGroup
+        ? getComponentOutputCTEName(
+            predecessorGroup,
+            predecessor.id,
+            port,
+            containers
+          )
+        : getCTEName(predecessor.id, port);
+    };
+
+    const entries = []; // { order, name, body }
+    const setupStatements = []; // e.g. CREATE TABLE + load of source files, once each
+    const addSetup = (setup) =>
+      setup.forEach((statement) => {
+        if (!setupStatements.includes(statement)) setupStatements.push(statement);
+      });
+    const unconvertedNodeIds = new Set();
+    const emittedComponentOutputs = new Set();
+
+    const addComponentOutput = (componentId, innerNode, innerPort) => {
+      const name = getComponentOutputCTEName(
+        componentId,
+        innerNode.id,
+        innerPort,
+        containers
+      );
+      if (emittedComponentOutputs.has(name)) return;
+      emittedComponentOutputs.add(name);
+      const innerIds = collectAncestorIds(innerNode.id, nodeMap);
+      const members = chain.filter(
+        (node) => innerIds.has(node.id) && groupOf.get(node.id) === componentId
+      );
+      const innerCTEs = members.flatMap((member) =>
+        getUsedPorts(member).map((port) => {
+          const { body, setup, converted } = getBody(
+            member,
+            port,
+            makeResolver(componentId)
+          );
+          if (!converted) unconvertedNodeIds.add(member.id);
+          addSetup(setup);
+          return formatCTE(getCTEName(member.id, port), body);
+        })
+      );
+      const component = containers[componentId];
+      entries.push({
+        order: Math.max(...members.map((member) => member.order)) + 0.5,
+        name,
+        body: `-- Component "${component?.name}" (Node ${componentId})\nWITH\n${innerCTEs.join(
+          ",\n"
+        )}\nSELECT * FROM ${dialect.quoteIdentifier(
+          getCTEName(innerNode.id, innerPort)
+        )}`,
+      });
+    };
+
+    chain.forEach((node) => {
+      const group = groupOf.get(node.id);
+      findInputNodes(node.id, chain).forEach(({ node: p, sourcePort }) => {
+        const predGroup = groupOf.get(p.id);
+        if (predGroup && predGroup !== group) {
+          addComponentOutput(predGroup, p, toOutputPort(sourcePort));
+        }
+      });
+      if (group) return; // Emitted inside its component's sub-query
+      getUsedPorts(node).forEach((port) => {
+        const { body, setup, converted } = getBody(
+          node,
+          port,
+          makeResolver(null)
+        );
+        if (!converted) unconvertedNodeIds.add(node.id);
+        addSetup(setup);
+        entries.push({
+          order: node.order + port / 1000, // Keep ports of one node together
+          name: getCTEName(node.id, port),
+          body,
+        });
+      });
+    });
+
+    entries.sort((a, b) => a.order - b.order);
+    const ctes = entries.map((entry) => formatCTE(entry.name, entry.body));
+    const setupSQL = setupStatements
+      .map((statement) => `${statement}\n\n`)
+      .join("");
+    const statement = `-- Workflow output: "${sink.nodeName}" (Node ${
+      sink.id
+    })\n${setupSQL}WITH\n${ctes.join(",\n")}\nSELECT * FROM ${dialect.quoteIdentifier(
+      getCTEName(sink.id)
+    )};`;
+    // Flow variables only known at runtime become parameters
+    const { sql, parameters } = bindFlowVariableParameters(
+      statement,
+      options.parameterStyle,
+      dialect
+    );
+
+    return {
+      nodeId: sink.id,
+      nodeName: sink.nodeName,
+      sql,
+      parameters,
+      unconvertedNodeIds: chain
+        .map((node) => node.id)
+        .filter((id) => unconvertedNodeIds.has(id)),
+    };
+  });
+}
+
+/**
+ * Converts every node of the workflow into a standalone statement. Inputs are
+ * referenced by the CTE names of the upstream nodes ("node_1", "node_4_port_2",
+ * ...), so the statements can be materialized as views or tables of those
+ * names. Nodes with several connected output ports get one statement per port.
+ *
+ * @param {Array<object>} processedNodes - Nodes as produced by processWorkflowData, sorted by execution order.
+ * @param {object} [options]
+ * @param {string|object} [options.dialect] - Target SQL dialect (name or dialect object).
+ * @param {"named"|"positional"} [options.parameterStyle="named"] - Placeholder style for runtime flow variables.
+ * @returns {Array<{nodeId: number|string, nodeName: string, outputPort: number, name: string, sql: string, parameters: Array<string>, converted: boolean, message: string|null}>}
+ */
+export function convertWorkflowNodesToSQL(processedNodes = [], options = {}) {
+  const dialect = getDialect(options.dialect);
+  if (!Array.isArray(processedNodes)) return [];
+  const resolveInputName = (predecessor, port) =>
+    getCTEName(predecessor.id, port);
+
+  return processedNodes.flatMap((node) => {
+    const laterPorts = (node.outgoingConnections || [])
+      .map((conn) => conn.sourcePort)
+      .filter((port) => port > 1);
+    const outputPorts = [1, ...new Set(laterPorts)].sort((a, b) => a - b);
+
+    return outputPorts.map((outputPort) => {
+      const { body, setup, converted, message } = convertNodeToCTEBody(
+        node,
+        outputPort,
+        processedNodes,
+        dialect,
+        resolveInputName
+      );
+      const { sql, parameters } = bindFlowVariableParameters(
+        [...setup, terminateStatement(body)].join("\n\n"),
+        options.parameterStyle,
+        dialect
+      );
+      return {
+        nodeId: node.id,
+        nodeName: node.nodeName,
+        outputPort,
+        name: getCTEName(node.id, outputPort),
+        sql,
+        parameters,
+        converted,
+        message,
+      };
+    });
+  });
+}
@@ -1,9 +1,38 @@
 // src/functions/getColumnNodes.js
 
 // Import necessary helpers
-import { getEntryValue } from "../common/getEntryValue";
-import { findConfigByKey } from "../common/findConfigByKey";
-import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig.js";
+import { findColumnType, toTypeKey } from "../common/knimeTypes.js";
+import { getGroupByColumns } from "./convertGroupByNodeToSQL.js";
+import { getJoinerOutputColumns } from "./convertJoinerJSONToSQL.js";
+import {
+  getRuleEngineSettings,
+  getRuleOutcomeType,
+} from "./convertRuleEngineNodeToSQL.js";
+import { getMathFormulaSettings } from "./convertMathFormulaNodeToSQL.js";
+import { getStringManipulationSettings } from "./convertStringManipulationNodeToSQL.js";
+import { getColumnRenames } from "./convertColumnRenameNodeToSQL.js";
+import {
+  getPivotOutputColumns,
+  getPivotSettings,
+  getPivotValues,
+} from "./convertPivotNodeToSQL.js";
+import {
+  getUnpivotSettings,
+  UNPIVOT_COLUMNS,
+} from "./convertUnpivotNodeToSQL.js";
+import { getDateTimeColumns } from "./convertDateTimeNodeToSQL.js";
+import {
+  getCellSplitterColumns,
+  getCellSplitterSettings,
+} from "./convertCellSplitterNodeToSQL.js";
+import {
+  DUPLICATE_ROW_ID_COLUMN,
+  DUPLICATE_STATUS_COLUMN,
+  getDuplicateRowFilterSettings,
+} from "./convertDuplicateRowFilterNodeToSQL.js";
 
 /**
  * Analyzes a KNIME node's configuration to determine the final output columns,
@@ -12,13 +41,22 @@ import { getArrayValuesFromConfig } from "../common/getArrayValuesFromConfig";
  * @param {object} nodeConfig - The full node configuration object (compact format).
  * @param {string[]} [inputColumnNames=null] - Array of column names from the primary input node.
  * Crucial for nodes that modify input columns.
- * @returns {{finalColumns: string[], addedColumns: string[], removedColumns: string[]}|null}
+ * @param {Array<{name: string}>} [outputSpec=null] - Output columns KNIME saved with
+ * the executed node (port 1). Needed for nodes whose columns depend on the data
+ * (Pivoting, Cell Splitter).
+ * @returns {{finalColumns: string[], addedColumns: string[], removedColumns: string[], columnTypes: object}|null}
  * - An object detailing column changes, or null if inputs are invalid/insufficient.
  * - finalColumns: List of columns in the node's output.
  * - addedColumns: List of columns newly created by this node.
  * - removedColumns: List of columns from the input that were removed by this node.
+ * - columnTypes: Type keys ("string", "double", ...) of the columns whose type the
+ *   node's config determines, by column name (e.g. a reader's spec).
  */
-export function getColumnNodes(nodeConfig, inputColumnNames = null) {
+export function getColumnNodes(
+  nodeConfig,
+  inputColumnNames = null,
+  outputSpec = null
+) {
   // --- Initial checks ---
   if (!nodeConfig || !nodeConfig.entry) {
     console.error("Invalid nodeConfig passed to getColumnNodes");
@@ -35,6 +73,7 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
   let finalColumns = [];
   let addedColumns = [];
   let removedColumns = [];
+  const columnTypes = {};
   const inputCols = inputColumnNames ? [...inputColumnNames] : []; // Safe copy or empty array
 
   switch (factory) {
@@ -86,7 +125,11 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
                 ) {
                   // Check if it's likely a column config
                   const colName = getEntryValue(colNode.entry, "name");
-                  if (colName) extractedColumns.push(colName);
+                  if (colName) {
+                    extractedColumns.push(colName);
+                    const colType = findColumnType(colNode);
+                    if (colType) columnTypes[colName] = colType;
+                  }
                 }
               });
             }
@@ -97,6 +140,16 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
         return null;
       }
       // --- End of Extraction Logic ---
+      // The CSV Reader selects a row ID column of the file as "RowID"
+      if (
+        factory ===
+          "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory" &&
+        extractedColumns.length > 0 &&
+        getEntryValue(settingsNode?.entry, "has_row_id") === true
+      ) {
+        extractedColumns.unshift("RowID");
+        columnTypes.RowID = "string";
+      }
 
       finalColumns = [...extractedColumns]; // Output is the set of columns read
       addedColumns = []; // Reader doesn't "add" columns relative to KNIME workflow input
@@ -116,7 +169,12 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
       if (!modelNode) {
         console.error("Column Filter model configuration not found.");
         // Return empty structure as we cannot read the config
-        return { finalColumns: [], addedColumns: [], removedColumns: [] };
+        return {
+          finalColumns: [],
+          addedColumns: [],
+          removedColumns: [],
+          columnTypes,
+        };
       }
 
       const columnFilterNode = findConfigByKey(
@@ -128,7 +186,12 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
           "Column Filter specific configuration ('column-filter') not found."
         );
         // Return empty structure
-        return { finalColumns: [], addedColumns: [], removedColumns: [] };
+        return {
+          finalColumns: [],
+          addedColumns: [],
+          removedColumns: [],
+          columnTypes,
+        };
       }
 
       const includedNamesNode = findConfigByKey(
@@ -171,7 +234,12 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
         console.error(
           "Column Merger model configuration or entries not found."
         );
-        return { finalColumns: [], addedColumns: [], removedColumns: [] };
+        return {
+          finalColumns: [],
+          addedColumns: [],
+          removedColumns: [],
+          columnTypes,
+        };
       }
 
       const primaryCol = getEntryValue(modelNode.entry, "primaryColumn");
@@ -184,7 +252,12 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
         console.error(
           "Column Merger config missing required parameters (primary, secondary, placement)."
         );
-        return { finalColumns: [], addedColumns: [], removedColumns: [] };
+        return {
+          finalColumns: [],
+          addedColumns: [],
+          removedColumns: [],
+          columnTypes,
+        };
       }
 
       // --- Determine added columns based *only* on placement config ---
@@ -240,20 +313,200 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
       finalColumns = [...inputCols]; // Column names remain the same
       addedColumns = []; // No columns added
       removedColumns = []; // No columns removed
+      // The converted columns get the target type
+      const parseTypeNode = findConfigByKey(modelNode?.config, "parse_type");
+      const targetType =
+        toTypeKey(getEntryValue(parseTypeNode?.entry, "cell_class")) ||
+        "double";
+      // The column filter is the model config holding "included_names"
+      const modelConfigs = !modelNode?.config
+        ? []
+        : Array.isArray(modelNode.config)
+        ? modelNode.config
+        : [modelNode.config];
+      const includedNode = modelConfigs
+        .map((config) => findConfigByKey(config.config, "included_names"))
+        .find(Boolean);
+      getArrayValuesFromConfig(includedNode).forEach((col) => {
+        columnTypes[col] = targetType;
+      });
+      break;
+    }
+
+    // --- GroupBy ---
+    case "org.knime.base.node.preproc.groupby.GroupByNodeFactory": {
+      // Output is the grouping columns followed by one column per aggregation.
+      // Aggregation result types and type based aggregations depend on the input
+      // types (see processWorkflowData).
+      const { groupingColumns, aggregationColumns } = getGroupByColumns(
+        modelNode,
+        inputCols.map((name) => ({ name, type: null }))
+      );
+      finalColumns = [
+        ...groupingColumns,
+        ...aggregationColumns.map((aggregation) => aggregation.alias),
+      ];
+      addedColumns = aggregationColumns.map((aggregation) => aggregation.alias);
+      removedColumns = [];
       break;
     }
     case "org.knime.base.node.preproc.joiner.JoinerNodeFactory":
     case "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory": {
-      console.warn(
-        `Detailed column change analysis for Joiner node (${factory}) is not fully implemented in getColumnNodes.`
+      // The join result (port 1): included columns of both sides, merged join
+      // keys removed and shared names resolved like the converter does. The
+      // unmatched rows ports are handled in processWorkflowData.
+      finalColumns = getJoinerOutputColumns(modelNode).columns.map(
+        (column) => column.name
+      );
+      addedColumns = [];
+      removedColumns = [];
+      break;
+    }
+
+    // --- Rule Engine ---
+    case "org.knime.base.node.rules.engine.RuleEngineNodeFactory": {
+      // Appends the rule column or replaces an input column of the same name
+      const { rules, outputColumn, append } = getRuleEngineSettings(modelNode);
+      finalColumns = [...inputCols];
+      addedColumns = append && outputColumn ? [outputColumn] : [];
+      removedColumns = [];
+      const outcomeType = getRuleOutcomeType(rules);
+      if (outputColumn && outcomeType) columnTypes[outputColumn] = outcomeType;
+      break;
+    }
+
+    // --- Math Formula ---
+    case "org.knime.ext.jep.JEPNodeFactory": {
+      // Appends the result column or replaces an input column
+      const { outputColumn, append, convertToInt } =
+        getMathFormulaSettings(modelNode);
+      finalColumns = [...inputCols];
+      addedColumns = append && outputColumn ? [outputColumn] : [];
+      removedColumns = [];
+      if (outputColumn) {
+        columnTypes[outputColumn] = convertToInt ? "integer" : "double";
+      }
+      break;
+    }
+
+    // --- String Manipulation ---
+    case "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory": {
+      // Appends the result column or replaces an input column
+      const { outputColumn, append, returnType } =
+        getStringManipulationSettings(modelNode);
+      finalColumns = [...inputCols];
+      addedColumns = append && outputColumn ? [outputColumn] : [];
+      removedColumns = [];
+      if (outputColumn) columnTypes[outputColumn] = returnType;
+      break;
+    }
+
+    // --- Column Rename / Column Renamer / Column Rename (Regex) ---
+    case "org.knime.base.node.preproc.rename.RenameNodeFactory":
+    case "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory":
+    case "org.knime.base.node.preproc.columnrenameregex.ColumnRenameRegexNodeFactory": {
+      // Renamed columns keep their position (processWorkflowData applies the
+      // renames the same way). The regex renamer needs the input columns.
+      let renames = new Map();
+      try {
+        renames = getColumnRenames(factory, modelNode, inputCols);
+      } catch (error) {
+        console.error(`Invalid Column Rename (Regex) pattern: ${error.message}`);
+      }
+      finalColumns = inputCols.map((col) => renames.get(col) || col);
+      addedColumns = [...renames.values()];
+      removedColumns = [...renames.keys()];
+      break;
+    }
+
+    // --- Pivoting ---
+    case "org.knime.base.node.preproc.pivot.Pivot2NodeFactory": {
+      // Grouping columns, then one column per pivot value and aggregation
+      // ("<value>+<aggregation name>"). The pivot values come from the saved
+      // output spec; without it only the grouping columns are known.
+      const settings = getPivotSettings(modelNode);
+      const pivotValues = getPivotValues(
+        settings,
+        (outputSpec || []).map((column) => column.name)
+      );
+      const pivotColumnNames = getPivotOutputColumns(settings, pivotValues).map(
+        (column) => column.name
+      );
+      finalColumns = [...settings.groupingColumns, ...pivotColumnNames];
+      addedColumns = pivotColumnNames;
+      removedColumns = [];
+      break;
+    }
+
+    // --- Unpivoting ---
+    case "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory": {
+      // RowIDs, ColumnNames, ColumnValues, then the retained columns
+      const { valueColumns, retainedColumns } = getUnpivotSettings(modelNode);
+      finalColumns = [
+        UNPIVOT_COLUMNS.rowIds,
+        UNPIVOT_COLUMNS.columnNames,
+        UNPIVOT_COLUMNS.columnValues,
+        ...retainedColumns,
+      ];
+      addedColumns = Object.values(UNPIVOT_COLUMNS);
+      removedColumns = valueColumns;
+      columnTypes[UNPIVOT_COLUMNS.rowIds] = "string";
+      columnTypes[UNPIVOT_COLUMNS.columnNames] = "string";
+      break;
+    }
+
+    // --- Date&Time nodes ---
+    case "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory":
+    case "org.knime.time.node.convert.datetimetostring.DateTimeToStringNodeFactory":
+    case "org.knime.time.node.calculate.datetimedifference.DateTimeDifferenceNodeFactory":
+    case "org.knime.time.node.manipulate.datetimeshift.DateTimeShiftNodeFactory":
+    case "org.knime.time.node.extract.datetime.ExtractDateTimeFieldsNodeFactory":
+    case "org.knime.time.node.manipulate.modifytime.ModifyTimeNodeFactory": {
+      // Replaces the selected columns in place or appends new ones (suffixed
+      // copies, the difference column, one column per extracted field)
+      const dateTimeColumns = getDateTimeColumns(factory, modelNode);
+      finalColumns = [...inputCols];
+      addedColumns = dateTimeColumns
+        .filter(({ source, name }) => source !== name)
+        .map(({ name }) => name);
+      removedColumns = [];
+      dateTimeColumns.forEach(({ name, type }) => {
+        if (type) columnTypes[name] = type;
+      });
+      break;
+    }
+
+    // --- Cell Splitter / Cell Splitter by Position ---
+    case "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory":
+    case "org.knime.base.node.preproc.cellsplitbypos.CellSplitterByPosNodeFactory": {
+      // Appends the parts (or a list of them), optionally dropping the split column
+      const settings = getCellSplitterSettings(factory, modelNode);
+      const splitColumns = getCellSplitterColumns(settings, outputSpec || []);
+      finalColumns = [...inputCols];
+      addedColumns = splitColumns.map(({ name }) => name);
+      removedColumns =
+        settings.removeInputColumn && settings.column ? [settings.column] : [];
+      splitColumns.forEach(({ name, type }) => {
+        if (type) columnTypes[name] = type;
+      });
+      break;
+    }
+
+    // --- Duplicate Row Filter ---
+    case "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory": {
+      // Keeping the duplicates can append their status and the chosen row's ID
+      const { addStatus, addRowId } = getDuplicateRowFilterSettings(
+        modelNode,
+        inputCols
       );
-      // Placeholder: Assume pass-through or calculate final columns only
-      finalColumns = [...inputCols]; // Needs proper calculation based on joiner logic
-      addedColumns = []; // Usually no truly new columns, just aliased/merged
-      removedColumns = []; // Needs calculation based on merge/duplicate settings
-      // You would need to adapt logic from convertJoinerJSONToSQL here
-      // to determine which original right keys are removed (if merge=true)
-      // and which columns are dropped due to duplicate handling.
+      finalColumns = [...inputCols];
+      addedColumns = [];
+      if (addStatus) addedColumns.push(DUPLICATE_STATUS_COLUMN);
+      if (addRowId) addedColumns.push(DUPLICATE_ROW_ID_COLUMN);
+      removedColumns = [];
+      addedColumns.forEach((col) => {
+        columnTypes[col] = "string";
+      });
       break;
     }
 
@@ -266,5 +519,5 @@ export function getColumnNodes(nodeConfig, inputColumnNames = null) {
   }
 
   // --- Return the structured result ---
-  return { finalColumns, addedColumns, removedColumns };
+  return { finalColumns, addedColumns, removedColumns, columnTypes };
 }
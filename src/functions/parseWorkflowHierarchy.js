@@ -0,0 +1,226 @@
+// src/functions/parseWorkflowHierarchy.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { parseWorkflowKnime, sortNodesTopologically } from "./parseWorkflowKnime.js";
+import { parseWorkflowVariables } from "./resolveFlowVariables.js";
+
+const VIRTUAL_INPUT_FACTORY =
+  "org.knime.core.node.workflow.virtual.subnode.VirtualSubNodeInputNodeFactory";
+const VIRTUAL_OUTPUT_FACTORY =
+  "org.knime.core.node.workflow.virtual.subnode.VirtualSubNodeOutputNodeFactory";
+
+// Inside a metanode's workflow.knime, -1 stands for the metanode's own ports.
+const METANODE_PORT_ID = -1;
+
+const getDirectory = (path) =>
+  path.includes("/") ? path.slice(0, path.lastIndexOf("/")) : "";
+
+const joinPath = (directory, relativePath) =>
+  directory ? `${directory}/${relativePath}` : relativePath;
+
+// "Metanode (#5)/workflow.knime" -> "Metanode"
+const getContainerName = (settingsFile) =>
+  (settingsFile || "").split("/")[0].replace(/\s*\(#\d+\)$/, "");
+
+/**
+ * Builds the composite ID of a node, e.g. "5:3" for node 3 inside metanode 5.
+ * @param {string|null} prefix - Composite ID of the enclosing metanode/component (null at top level).
+ * @param {number} localId - The node's ID within its own workflow.knime.
+ * @returns {string} - The composite ID.
+ */
+const toCompositeId = (prefix, localId) =>
+  prefix ? `${prefix}:${localId}` : String(localId);
+
+/**
+ * Recursively parses one workflow level and everything nested in it.
+ *
+ * Connections touching a metanode/component are rewired to the nodes inside it,
+ * so the result only contains "leaf" nodes. The level's own ports (metanode -1
+ * connections or a component's virtual input/output nodes) are returned as
+ * bindings so the enclosing level can rewire its connections:
+ *  - inputs:  port -> [{ id, port }]  (leaf inputs fed by that port)
+ *  - outputs: port -> { id, port } | { passthroughInput: port } (leaf output behind that port)
+ *
+ * @returns {Promise<{nodes: Array<object>, connections: Array<object>, inputs: object, outputs: object}>}
+ */
+const flattenWorkflowLevel = async (
+  workflowPath,
+  idPrefix,
+  readXmlJson,
+  containers
+) => {
+  const workflowJson = await readXmlJson(workflowPath);
+  if (!workflowJson) {
+    throw new Error(`workflow.knime not found at "${workflowPath}".`);
+  }
+  const { nodes: levelNodes, connections: levelConnections } =
+    parseWorkflowKnime(workflowJson);
+  const directory = getDirectory(workflowPath);
+
+  const leafNodes = [];
+  const connections = [];
+  const containerBindings = {}; // localId -> { inputs, outputs } of a nested metanode/component
+  const virtualInputIds = new Set();
+  const virtualOutputIds = new Set();
+
+  for (const levelNode of levelNodes) {
+    const id = toCompositeId(idPrefix, levelNode.id);
+    const settingsPath = joinPath(directory, levelNode.settingsFile || "");
+
+    if (levelNode.nodeType === "MetaNode" || levelNode.nodeType === "SubNode") {
+      const isComponent = levelNode.nodeType === "SubNode";
+      // Metanodes point at their workflow.knime, components at their settings.xml.
+      const innerWorkflowPath = isComponent
+        ? joinPath(getDirectory(settingsPath), "workflow.knime")
+        : settingsPath;
+      const componentSettings = isComponent
+        ? await readXmlJson(settingsPath)
+        : null;
+      const name =
+        getEntryValue(componentSettings?.config?.entry, "name") ||
+        getContainerName(levelNode.settingsFile);
+
+      const inner = await flattenWorkflowLevel(
+        innerWorkflowPath,
+        id,
+        readXmlJson,
+        containers
+      );
+      containers[id] = {
+        id,
+        parentId: idPrefix,
+        kind: isComponent ? "component" : "metanode",
+        name,
+        inputs: inner.inputs,
+        outputs: inner.outputs,
+      };
+      leafNodes.push(...inner.nodes);
+      connections.push(...inner.connections);
+      containerBindings[levelNode.id] = inner;
+      continue;
+    }
+
+    const config = (await readXmlJson(settingsPath))?.config || null;
+    const factory = getEntryValue(config?.entry, "factory");
+    if (factory === VIRTUAL_INPUT_FACTORY) {
+      virtualInputIds.add(levelNode.id);
+      continue;
+    }
+    if (factory === VIRTUAL_OUTPUT_FACTORY) {
+      virtualOutputIds.add(levelNode.id);
+      continue;
+    }
+    if (!config) {
+      console.warn(`settings.xml not found for node ${id} at "${settingsPath}".`);
+    }
+    leafNodes.push({
+      id,
+      localId: levelNode.id,
+      parentId: idPrefix,
+      nodeType: levelNode.nodeType,
+      settingsPath,
+      config,
+    });
+  }
+
+  const inputs = {};
+  const outputs = {};
+
+  // Where the data of a connection's source really comes from.
+  const resolveSources = (sourceID, sourcePort) => {
+    if (sourceID === METANODE_PORT_ID || virtualInputIds.has(sourceID)) {
+      return [{ levelInput: sourcePort }];
+    }
+    const nested = containerBindings[sourceID];
+    if (nested) {
+      const output = nested.outputs[sourcePort];
+      if (!output) return [];
+      if (output.passthroughInput !== undefined) {
+        // Metanode output wired straight to one of its inputs: use whatever feeds that input.
+        return levelConnections
+          .filter(
+            (conn) =>
+              conn.destID === sourceID &&
+              conn.destPort === output.passthroughInput
+          )
+          .flatMap((conn) => resolveSources(conn.sourceID, conn.sourcePort));
+      }
+      return [output];
+    }
+    return [{ id: toCompositeId(idPrefix, sourceID), port: sourcePort }];
+  };
+
+  // Which leaf inputs a connection's destination really feeds.
+  const resolveDestinations = (destID, destPort) => {
+    if (destID === METANODE_PORT_ID || virtualOutputIds.has(destID)) {
+      return [{ levelOutput: destPort }];
+    }
+    const nested = containerBindings[destID];
+    if (nested) {
+      // Passthrough inputs are resolved from the output side (see resolveSources).
+      return nested.inputs[destPort] || [];
+    }
+    return [{ id: toCompositeId(idPrefix, destID), port: destPort }];
+  };
+
+  levelConnections.forEach((conn) => {
+    const sources = resolveSources(conn.sourceID, conn.sourcePort);
+    const destinations = resolveDestinations(conn.destID, conn.destPort);
+    sources.forEach((source) => {
+      destinations.forEach((dest) => {
+        if (source.levelInput !== undefined && dest.levelOutput !== undefined) {
+          outputs[dest.levelOutput] = { passthroughInput: source.levelInput };
+        } else if (source.levelInput !== undefined) {
+          inputs[source.levelInput] = inputs[source.levelInput] || [];
+          inputs[source.levelInput].push(dest);
+        } else if (dest.levelOutput !== undefined) {
+          outputs[dest.levelOutput] = source;
+        } else {
+          connections.push({
+            sourceID: source.id,
+            sourcePort: source.port,
+            destID: dest.id,
+            destPort: dest.port,
+          });
+        }
+      });
+    });
+  });
+
+  return { nodes: leafNodes, connections, inputs, outputs };
+};
+
+/**
+ * Parses a .knwf workflow including everything inside its metanodes and
+ * components. Nested nodes get composite IDs such as "5:3" (node 3 inside
+ * metanode/component 5), and connections to a metanode's or component's ports
+ * are rewired to the nodes inside it, so the result is one flat graph of real
+ * nodes. Component input/output nodes are dropped.
+ *
+ * @param {string} workflowPath - Path of the top-level workflow.knime inside the archive.
+ * @param {function(string): Promise<object|null>} readXmlJson - Reads an archive file
+ * (workflow.knime or settings.xml) and returns it as compact xml-js JSON, or null if missing.
+ * @returns {Promise<object>} - An object with:
+ *    - nodes: leaf nodes sorted by execution order, each with id (composite string), localId,
+ *      parentId (composite ID of the enclosing metanode/component or null), nodeType,
+ *      settingsPath, config (the settings.xml root config), order, nextNodes and outgoingConnections
+ *    - connections: { sourceID, sourcePort, destID, destPort } between leaf nodes
+ *    - containers: metanodes/components keyed by composite ID
+ *      ({ id, parentId, kind: "metanode"|"component", name, inputs, outputs })
+ *    - variables: the workflow variables declared on the top-level workflow
+ */
+export async function parseWorkflowHierarchy(workflowPath, readXmlJson) {
+  const containers = {};
+  const { nodes, connections } = await flattenWorkflowLevel(
+    workflowPath,
+    null,
+    readXmlJson,
+    containers
+  );
+  return {
+    nodes: sortNodesTopologically(nodes, connections),
+    connections,
+    containers,
+    variables: parseWorkflowVariables(await readXmlJson(workflowPath)),
+  };
+}
@@ -33,12 +33,89 @@ function findConfigByKey(config, key) {
   return null;
 }
 
+/**
+ * Computes a topological execution order using Kahn's algorithm. Each node is
+ * augmented in place with:
+ *  - order: its position in the execution order (starting at 0)
+ *  - nextNodes: an array of node IDs for downstream nodes
+ *  - outgoingConnections: { sourcePort, destID, destPort } for every connection
+ *    leaving the node, so consumers can tell which output feeds which input port.
+ *
+ * Connection endpoints that are not in `nodes` (e.g. the -1 placeholder used for
+ * metanode ports) are ignored.
+ *
+ * @param {Array<object>} nodes - Nodes with an `id` property.
+ * @param {Array<object>} connections - Connections { sourceID, destID, ... }.
+ * @returns {Array<object>} - The nodes sorted by execution order.
+ */
+export function sortNodesTopologically(nodes, connections) {
+  const nodeMap = {};
+  nodes.forEach((node) => {
+    node.nextNodes = [];
+    node.outgoingConnections = [];
+    nodeMap[node.id] = node;
+  });
+
+  // Build the graph: for each connection, add the destID to the source node's nextNodes.
+  // Also build an inDegree mapping for topological sort.
+  const inDegree = {};
+  nodes.forEach((node) => {
+    inDegree[node.id] = 0;
+  });
+  connections.forEach((conn) => {
+    if (!nodeMap[conn.sourceID] || !nodeMap[conn.destID]) return;
+    nodeMap[conn.sourceID].outgoingConnections.push({
+      sourcePort: conn.sourcePort,
+      destID: conn.destID,
+      destPort: conn.destPort,
+    });
+    // Several connections between the same pair of nodes (different ports) count once.
+    if (nodeMap[conn.sourceID].nextNodes.includes(conn.destID)) return;
+    nodeMap[conn.sourceID].nextNodes.push(conn.destID);
+    inDegree[conn.destID]++;
+  });
+
+  // Compute topological order using Kahn's algorithm.
+  const queue = [];
+  nodes.forEach((node) => {
+    if (inDegree[node.id] === 0) {
+      queue.push(node);
+    }
+  });
+  let order = 0;
+  const sortedNodes = [];
+  while (queue.length > 0) {
+    const current = queue.shift();
+    current.order = order;
+    order++;
+    sortedNodes.push(current);
+    current.nextNodes.forEach((nid) => {
+      inDegree[nid]--;
+      if (inDegree[nid] === 0) {
+        queue.push(nodeMap[nid]);
+      }
+    });
+  }
+
+  if (sortedNodes.length !== nodes.length) {
+    console.warn(
+      "Warning: The workflow may contain cycles or disconnected parts."
+    );
+  }
+
+  return sortedNodes;
+}
+
 /**
  * Parses a KNIME workflow JSON (converted from workflow.knime XML) and builds a graph
  * structure of nodes and connections. Each node is augmented with:
  *  - order: a topologically sorted order (starting at 0 for nodes with no incoming connections)
  *  - nextNodes: an array of node IDs for downstream nodes.
  *
+ * Only this workflow level is parsed; metanodes and components appear as single
+ * nodes (nodeType "MetaNode" / "SubNode"). See parseWorkflowHierarchy for
+ * recursing into them.
+ *
  * Expected structure (compact xml-js):
  * {
  *   "config": {
@@ -53,8 +130,10 @@ function findConfigByKey(config, key) {
  *
  * @param {object} workflowJson - The workflow JSON.
  * @returns {object} - An object with:
- *    - nodes: an array of node objects (each with id, settingsFile, nodeType, nextNodes, order)
- *    - connections: an array of connection objects { sourceID, destID }
+ *    - nodes: an array of node objects (each with id, settingsFile, nodeType, nextNodes,
+ *      outgoingConnections, order)
+ *    - connections: an array of connection objects { sourceID, sourcePort, destID, destPort }.
+ *      Inside a metanode, -1 stands for the metanode's own input (sourceID) or output (destID) ports.
  */
 export function parseWorkflowKnime(workflowJson) {
   // The root node is in workflowJson.config.
@@ -72,9 +151,8 @@ export function parseWorkflowKnime(workflowJson) {
     ? nodesBlock.config
     : [nodesBlock.config];
 
-  // Process each node and build a node map keyed by node id.
+  // Process each node.
   const nodes = [];
-  const nodeMap = {};
   nodeConfigs.forEach((nc) => {
     const id = parseInt(getEntryValue(nc, "id"), 10);
     const settingsFile = getEntryValue(nc, "node_settings_file");
@@ -82,64 +160,28 @@ export function parseWorkflowKnime(workflowJson) {
     // Initialize node with empty nextNodes array.
     const node = { id, settingsFile, nodeType, nextNodes: [] };
     nodes.push(node);
-    nodeMap[id] = node;
   });
 
-  // Get the connections block.
+  // Get the connections block. A workflow with a single node has none.
   const connectionsBlock = findConfigByKey(root.config, "connections");
-  if (!connectionsBlock || !connectionsBlock.config) {
-    throw new Error("Connections block not found in workflow JSON.");
-  }
-  const connectionConfigs = Array.isArray(connectionsBlock.config)
+  const connectionConfigs = !connectionsBlock?.config
+    ? []
+    : Array.isArray(connectionsBlock.config)
     ? connectionsBlock.config
     : [connectionsBlock.config];
   const connections = [];
   connectionConfigs.forEach((cc) => {
     const sourceID = parseInt(getEntryValue(cc, "sourceID"), 10);
     const destID = parseInt(getEntryValue(cc, "destID"), 10);
-    connections.push({ sourceID, destID });
-  });
-
-  // Build the graph: for each connection, add the destID to the source node's nextNodes.
-  // Also build an inDegree mapping for topological sort.
-  const inDegree = {};
-  nodes.forEach((node) => {
-    inDegree[node.id] = 0;
-  });
-  connections.forEach((conn) => {
-    if (nodeMap[conn.sourceID]) {
-      nodeMap[conn.sourceID].nextNodes.push(conn.destID);
-    }
-    inDegree[conn.destID] = (inDegree[conn.destID] || 0) + 1;
-  });
-
-  // Compute topological order using Kahn's algorithm.
-  const queue = [];
-  nodes.forEach((node) => {
-    if (inDegree[node.id] === 0) {
-      queue.push(node);
-    }
-  });
-  let order = 0;
-  const sortedNodes = [];
-  while (queue.length > 0) {
-    const current = queue.shift();
-    current.order = order;
-    order++;
-    sortedNodes.push(current);
-    current.nextNodes.forEach((nid) => {
-      inDegree[nid]--;
-      if (inDegree[nid] === 0) {
-        queue.push(nodeMap[nid]);
-      }
+    const sourcePort = parseInt(getEntryValue(cc, "sourcePort"), 10);
+    const destPort = parseInt(getEntryValue(cc, "destPort"), 10);
+    connections.push({
+      sourceID,
+      sourcePort: isNaN(sourcePort) ? null : sourcePort,
+      destID,
+      destPort: isNaN(destPort) ? null : destPort,
     });
-  }
-
-  if (sortedNodes.length !== nodes.length) {
-    console.warn(
-      "Warning: The workflow may contain cycles or disconnected parts."
-    );
-  }
+  });
 
-  return { nodes: sortedNodes, connections };
+  return { nodes: sortNodesTopologically(nodes, connections), connections };
 }
@@ -0,0 +1,386 @@
+// src/functions/processWorkflowData.js
+
+import { findInputNodes } from "../common/findInputNodes.js";
+import { getOutputPort } from "../common/getOutputPort.js";
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { toSchemaColumn, widenType } from "../common/knimeTypes.js";
+import { getDialect } from "../dialects/index.js";
+import {
+  getAggregationType,
+  getGroupByColumns,
+  isAggregationSupported,
+} from "./convertGroupByNodeToSQL.js";
+import { getColumnRenames } from "./convertColumnRenameNodeToSQL.js";
+import {
+  getPivotOutputColumns,
+  getPivotSettings,
+  getPivotValues,
+} from "./convertPivotNodeToSQL.js";
+import {
+  getUnpivotSettings,
+  getUnpivotValueType,
+  UNPIVOT_COLUMNS,
+} from "./convertUnpivotNodeToSQL.js";
+import {
+  getMissingValueOutputType,
+  getMissingValueStrategies,
+} from "./convertMissingValueNodeToSQL.js";
+import {
+  DATE_TIME_FACTORIES,
+  getDateTimeColumns,
+} from "./convertDateTimeNodeToSQL.js";
+import { REFERENCE_ROW_FILTER_FACTORY } from "./convertReferenceRowFilterNodeToSQL.js";
+import {
+  getConcatenateColumns,
+  getConcatenateSettings,
+} from "./convertConcatenateNodeToSQL.js";
+import { getJoinerOutputColumns } from "./convertJoinerJSONToSQL.js";
+
+const CONCATENATE_FACTORY =
+  "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory";
+const GROUPBY_FACTORY = "org.knime.base.node.preproc.groupby.GroupByNodeFactory";
+const COLUMN_MERGER_FACTORY =
+  "org.knime.base.node.preproc.columnmerge.ColumnMergerNodeFactory";
+const PIVOT_FACTORY = "org.knime.base.node.preproc.pivot.Pivot2NodeFactory";
+const UNPIVOT_FACTORY =
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory";
+const MISSING_VALUE_FACTORY =
+  "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory";
+const JOINER_FACTORY = "org.knime.base.node.preproc.joiner.JoinerNodeFactory";
+const JOINER3_FACTORY = "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory";
+
+// Nodes whose further inputs only steer them (e.g. a Reference Row Filter's
+// reference table): their output columns come from the first input alone.
+const FIRST_INPUT_COLUMNS_FACTORIES = [REFERENCE_ROW_FILTER_FACTORY];
+
+// New name by old name for rename nodes (Column Rename, Column Renamer, regex
+// renamer), null for any other node. An invalid rename pattern renames nothing.
+const getNodeRenames = (node, inputColumnNames) => {
+  const modelNode = findConfigByKey(node.config?.config, "model");
+  try {
+    return getColumnRenames(node.nodeType, modelNode, inputColumnNames);
+  } catch (error) {
+    console.error(`Rename pattern of node ${node.id} is invalid: ${error.message}`);
+    return new Map();
+  }
+};
+
+// Columns and schema of each Joiner output port: the join result, and for the
+// Joiner 3 the left and right unmatched rows. Types come from the side a
+// column is taken from.
+const getJoinerOutputPorts = (node, inputSchemas, dialect) => {
+  const modelNode = findConfigByKey(node.config?.config, "model");
+  const portCount = node.nodeType === JOINER3_FACTORY ? 3 : 1;
+  const outputPorts = {};
+  for (let port = 1; port <= portCount; port++) {
+    const { columns } = getJoinerOutputColumns(modelNode, port);
+    outputPorts[port] = {
+      nodes: columns.map(({ name }) => name),
+      schema: columns.map(({ side, column, name }) =>
+        toSchemaColumn(
+          name,
+          (inputSchemas[side === "left" ? 0 : 1] || []).find(
+            (inputColumn) => inputColumn.name === column
+          )?.type ?? null,
+          dialect
+        )
+      ),
+    };
+  }
+  return outputPorts;
+};
+
+// Works out the type key of every output column of a node from the types its
+// config sets (node.columnTypes) and the schemas of its inputs (in port order).
+// Columns whose type cannot be derived get null.
+const getOutputColumnTypes = (node, outputColumns, inputSchemas) => {
+  // Type of each input column; Concatenate stacks its inputs, so types widen.
+  // Otherwise the first input providing a column wins (e.g. a Joiner's left side).
+  const inputTypes = {};
+  inputSchemas.forEach((schema) =>
+    schema.forEach((column) => {
+      if (node.nodeType === CONCATENATE_FACTORY) {
+        inputTypes[column.name] = widenType(
+          inputTypes[column.name],
+          column.type
+        );
+      } else if (!(column.name in inputTypes)) {
+        inputTypes[column.name] = column.type;
+      }
+    })
+  );
+
+  const derivedTypes = {};
+  const modelNode = findConfigByKey(node.config?.config, "model");
+  if (node.nodeType === GROUPBY_FACTORY) {
+    const { aggregationColumns } = getGroupByColumns(
+      modelNode,
+      inputSchemas[0] || []
+    );
+    aggregationColumns.forEach((aggregation) => {
+      derivedTypes[aggregation.alias] = getAggregationType(
+        aggregation.method,
+        inputTypes[aggregation.column]
+      );
+    });
+  } else if (node.nodeType === COLUMN_MERGER_FACTORY) {
+    // The merged column holds the primary value, or the secondary one where it is missing
+    const primaryCol = getEntryValue(modelNode?.entry, "primaryColumn");
+    const secondaryCol = getEntryValue(modelNode?.entry, "secondaryColumn");
+    const mergedType = widenType(
+      inputTypes[primaryCol],
+      inputTypes[secondaryCol]
+    );
+    const outputPlacement = getEntryValue(modelNode?.entry, "outputPlacement");
+    const mergedCol =
+      outputPlacement === "ReplacePrimary" || outputPlacement === "ReplaceBoth"
+        ? primaryCol
+        : outputPlacement === "ReplaceSecondary"
+        ? secondaryCol
+        : getEntryValue(modelNode?.entry, "outputName");
+    if (mergedCol) derivedTypes[mergedCol] = mergedType;
+  } else if (node.nodeType === PIVOT_FACTORY) {
+    const settings = getPivotSettings(modelNode);
+    const pivotValues = getPivotValues(
+      settings,
+      (node.outputSpecs?.[1] || []).map((column) => column.name)
+    );
+    getPivotOutputColumns(settings, pivotValues).forEach(
+      ({ name, aggregation }) => {
+        derivedTypes[name] = getAggregationType(
+          aggregation.method,
+          inputTypes[aggregation.column]
+        );
+      }
+    );
+  } else if (node.nodeType === UNPIVOT_FACTORY) {
+    // ColumnValues holds the values of all unpivoted columns
+    const { valueColumns } = getUnpivotSettings(modelNode);
+    derivedTypes[UNPIVOT_COLUMNS.columnValues] = getUnpivotValueType(
+      valueColumns,
+      inputTypes
+    );
+  } else if (node.nodeType === MISSING_VALUE_FACTORY) {
+    getMissingValueStrategies(modelNode, inputSchemas[0] || []).forEach(
+      ({ column, type, strategy }) => {
+        derivedTypes[column] = getMissingValueOutputType(strategy, type);
+      }
+    );
+  } else if (DATE_TIME_FACTORIES.includes(node.nodeType)) {
+    // Shifted columns keep the type of their source column
+    getDateTimeColumns(node.nodeType, modelNode).forEach(
+      ({ source, name, type }) => {
+        derivedTypes[name] = type ?? inputTypes[source] ?? null;
+      }
+    );
+  } else {
+    // Renamed columns keep their type
+    const inputColumnNames = (inputSchemas[0] || []).map((column) => column.name);
+    getNodeRenames(node, inputColumnNames)?.forEach((newName, oldName) => {
+      derivedTypes[newName] = inputTypes[oldName] ?? null;
+    });
+  }
+
+  return outputColumns.map(
+    (col) =>
+      node.columnTypes?.[col] ?? derivedTypes[col] ?? inputTypes[col] ?? null
+  );
+};
+
+// Function to process raw data and calculate final columns, predecessors etc.
+// Takes the raw nodes from readWorkflowArchive and returns them in execution
+// order with previousNodes (input port order), their output columns ('nodes')
+// and typed output columns ('schema': [{ name, type, knimeType, sqlType }],
+// SQL types in the given dialect) of port 1. Nodes whose output ports differ
+// (Joiner) also get them by port ('outputPorts'); consumers read the port
+// they are connected to (see getOutputPort).
+export const processWorkflowData = (rawData, dialect = getDialect()) => {
+  dialect = getDialect(dialect);
+  if (!Array.isArray(rawData) || rawData.length === 0) {
+    return [];
+  }
+
+  // 1. Create a map for efficient lookup by ID from the raw data
+  const originalNodeMap = rawData.reduce((map, node) => {
+    if (node.id !== null && node.id !== undefined) {
+      map[node.id] = node;
+    }
+    return map;
+  }, {});
+
+  // 2. Sort nodes by execution order
+  const sortedNodes = [...rawData].sort((a, b) => {
+    if (a.order === undefined || a.order === null) return 1; // Nodes without order go last
+    if (b.order === undefined || b.order === null) return -1;
+    return a.order - b.order;
+  });
+
+  // 3. Process nodes in order, storing results in a map
+  const processedNodeMap = {};
+
+  for (const currentNode of sortedNodes) {
+    if (currentNode.id === null || currentNode.id === undefined) continue;
+
+    // --- Find Predecessor IDs ---
+    // Nodes feeding the data input ports, in port order (flow variable links excluded)
+    const predecessorIds = [];
+    const inputNodes = findInputNodes(
+      currentNode.id,
+      Object.values(originalNodeMap)
+    );
+    inputNodes.forEach(({ node }) => {
+      if (!predecessorIds.includes(node.id)) predecessorIds.push(node.id);
+    });
+    // --- End Find Predecessor IDs ---
+
+    // --- Calculate Final Output Columns ('nodes') ---
+    let calculatedInputColumns = [];
+    if (predecessorIds.length > 0) {
+      // Combine the columns of all inputs, each read from the output port it is
+      // connected to (using Set to handle duplicates)
+      const combinedPredecessorColumns = new Set();
+      const columnInputNodes = FIRST_INPUT_COLUMNS_FACTORIES.includes(
+        currentNode.nodeType
+      )
+        ? inputNodes.slice(0, 1)
+        : inputNodes;
+      columnInputNodes.forEach(({ node, sourcePort }) => {
+        const predecessorNode = processedNodeMap[node.id]; // IMPORTANT: Lookup *processed* node
+        if (predecessorNode?.nodes && Array.isArray(predecessorNode.nodes)) {
+          getOutputPort(predecessorNode, sourcePort).nodes.forEach((col) =>
+            combinedPredecessorColumns.add(col)
+          );
+        } else {
+          console.warn(
+            `Predecessor ${node.id} for node ${currentNode.id} not found in processed map or has no columns.`
+          );
+          // Optionally, could look up in originalNodeMap as a fallback, but might be inaccurate
+        }
+      });
+      calculatedInputColumns = Array.from(combinedPredecessorColumns);
+    } else {
+      // Node has no predecessors (e.g., reader node)
+      calculatedInputColumns = [];
+    }
+
+    // Now, determine the *output* columns of the *current* node
+    let finalOutputColumns;
+    // Use getColumnNodes again, but this time provide the calculated input columns
+    // Need to ensure getColumnNodes can handle this scenario correctly.
+    // Let's simulate its logic here for clarity:
+    const initialOutput = Array.isArray(currentNode.initialOutputColumns)
+      ? currentNode.initialOutputColumns
+      : [];
+    const columnsToAdd = Array.isArray(currentNode.addedColumns)
+      ? currentNode.addedColumns
+      : [];
+    const columnsToRemove = new Set(
+      Array.isArray(currentNode.removedColumns)
+        ? currentNode.removedColumns
+        : []
+    );
+
+    const inputSchemas = inputNodes.map(
+      ({ node, sourcePort }) =>
+        getOutputPort(processedNodeMap[node.id], sourcePort).schema
+    );
+    const renames = getNodeRenames(currentNode, calculatedInputColumns);
+    // Columns and schema by output port, for nodes whose ports differ
+    let outputPorts = null;
+    if (currentNode.nodeType === GROUPBY_FACTORY) {
+      // Pattern and type based aggregations pick their columns from the input;
+      // aggregations the dialect cannot convert are left out, like the query does
+      const { groupingColumns, aggregationColumns } = getGroupByColumns(
+        findConfigByKey(currentNode.config?.config, "model"),
+        inputSchemas[0] || []
+      );
+      finalOutputColumns = [
+        ...groupingColumns,
+        ...aggregationColumns
+          .filter((aggregation) =>
+            isAggregationSupported(aggregation.method, dialect)
+          )
+          .map((aggregation) => aggregation.alias),
+      ];
+    } else if (currentNode.nodeType === PIVOT_FACTORY) {
+      // Cells of aggregations the dialect cannot convert are left out, like the
+      // query does
+      const settings = getPivotSettings(
+        findConfigByKey(currentNode.config?.config, "model")
+      );
+      const pivotValues = getPivotValues(
+        settings,
+        (currentNode.outputSpecs?.[1] || []).map((column) => column.name)
+      );
+      finalOutputColumns = [
+        ...settings.groupingColumns,
+        ...getPivotOutputColumns(settings, pivotValues)
+          .filter(({ aggregation }) =>
+            isAggregationSupported(aggregation.method, dialect)
+          )
+          .map((column) => column.name),
+      ];
+    } else if (
+      currentNode.nodeType === JOINER_FACTORY ||
+      currentNode.nodeType === JOINER3_FACTORY
+    ) {
+      outputPorts = getJoinerOutputPorts(currentNode, inputSchemas, dialect);
+      finalOutputColumns = outputPorts[1].nodes;
+    } else if (currentNode.nodeType === CONCATENATE_FACTORY) {
+      // Union or intersection of the inputs' columns, in port order
+      finalOutputColumns = getConcatenateColumns(
+        inputNodes.map(
+          ({ node, sourcePort }) =>
+            getOutputPort(processedNodeMap[node.id], sourcePort).nodes
+        ),
+        getConcatenateSettings(currentNode.config).intersection
+      );
+    } else if (initialOutput.length > 0) {
+      // If the node defines its own output (like a reader), use that.
+      finalOutputColumns = [...initialOutput];
+    } else if (renames) {
+      // Renamed columns keep their position
+      finalOutputColumns = calculatedInputColumns.map(
+        (col) => renames.get(col) || col
+      );
+    } else {
+      // Otherwise, start with input columns, remove specified, add specified.
+      let currentColumns = calculatedInputColumns.filter(
+        (col) => !columnsToRemove.has(col)
+      );
+      const currentColumnSet = new Set(currentColumns);
+      columnsToAdd.forEach((col) => currentColumnSet.add(col));
+      finalOutputColumns = Array.from(currentColumnSet);
+    }
+    // --- End Calculate Final Output Columns ---
+
+    // --- Calculate Column Types ---
+    const outputTypes = getOutputColumnTypes(
+      currentNode,
+      finalOutputColumns,
+      inputSchemas
+    );
+    const schema = outputPorts
+      ? outputPorts[1].schema
+      : finalOutputColumns.map((col, index) =>
+          toSchemaColumn(col, outputTypes[index], dialect)
+        );
+
+    // Store the fully processed node
+    processedNodeMap[currentNode.id] = {
+      ...currentNode,
+      previousNodes: predecessorIds, // Store the calculated previous node IDs
+      nodes: finalOutputColumns, // Store the calculated final output columns
+      schema, // Typed output columns
+      outputPorts, // Columns and schema by output port where they differ, else null
+    };
+  } // End loop through sorted nodes
+
+  // 4. Convert map back to array, maintaining the calculated sort order
+  const finalProcessedData = sortedNodes
+    .map((node) => processedNodeMap[node.id]) // Get processed data in sorted order
+    .filter(Boolean); // Filter out any nodes that might have failed processing
+
+  return finalProcessedData;
+};
@@ -0,0 +1,138 @@
+// src/functions/readWorkflowArchive.js
+
+import JSZip from "jszip";
+import * as xmlJs from "xml-js";
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getTableSpecColumns } from "../common/getTableSpecColumns.js";
+import { parseWorkflowHierarchy } from "./parseWorkflowHierarchy.js";
+import { getColumnNodes } from "./getColumnNodes.js";
+import { resolveFlowVariables } from "./resolveFlowVariables.js";
+
+/**
+ * Reads a .knwf archive and collects every node's settings, ready for
+ * processWorkflowData. Works on anything JSZip accepts, so both the browser
+ * (File/Blob) and Node.js (Buffer) can use it.
+ *
+ * @param {Blob|ArrayBuffer|Uint8Array|Buffer} zipData - The .knwf file contents.
+ * @returns {Promise<object>} - An object with:
+ *    - rawNodes: one entry per node (id, nodeName, nodeType, config, order, nextNodes,
+ *      outgoingConnections, flowVariables, outputSpecs, initial column analysis, ...)
+ *    - containers: metanodes/components keyed by composite ID
+ *    - variables: the workflow variables
+ *    - diagnostics: [{ level, nodeId, message }] for nodes that had to be skipped
+ * @throws {Error} - If the archive has no workflow.knime.
+ */
+export async function readWorkflowArchive(zipData) {
+  const zipContent = await new JSZip().loadAsync(zipData);
+  const allFiles = Object.keys(zipContent.files);
+
+  // The top-level workflow.knime is the one closest to the archive root;
+  // deeper ones belong to metanodes and components.
+  const knimeFile = allFiles
+    .filter((filePath) => {
+      const parts = filePath.split("/");
+      return parts[parts.length - 1] === "workflow.knime";
+    })
+    .sort((a, b) => a.split("/").length - b.split("/").length)[0];
+
+  if (!knimeFile) {
+    throw new Error("workflow.knime not found in the .knwf file");
+  }
+
+  // Reads a workflow.knime/settings.xml from the archive as compact JSON
+  const readXmlJson = async (filePath) => {
+    const fileObj = zipContent.files[filePath];
+    if (!fileObj) return null;
+    const fileText = await fileObj.async("text");
+    return JSON.parse(xmlJs.xml2json(fileText, { compact: true, spaces: 4 }));
+  };
+
+  // Table specs KNIME saved with an executed node's outputs: settings.xml lists the
+  // ports (ports → port_1 → index, port_dir_location) and each port folder holds
+  // a spec.xml. Returns [{ name, type }] by port number (1 = first data port).
+  const readOutputSpecs = async (settingsPath, config) => {
+    const nodeFolder = settingsPath.split("/").slice(0, -1).join("/");
+    const portsNode = findConfigByKey(config.config, "ports");
+    const portConfigs = !portsNode?.config
+      ? []
+      : Array.isArray(portsNode.config)
+      ? portsNode.config
+      : [portsNode.config];
+    const outputSpecs = {};
+    for (const portConfig of portConfigs) {
+      const index = Number(getEntryValue(portConfig.entry, "index"));
+      const location = getEntryValue(portConfig.entry, "port_dir_location");
+      if (!index || !location) continue;
+      const specJson = await readXmlJson(`${nodeFolder}/${location}/spec.xml`);
+      if (specJson) outputSpecs[index] = getTableSpecColumns(specJson);
+    }
+    return outputSpecs;
+  };
+
+  // Get node structure, order, and connections from workflow.knime,
+  // including the nodes inside metanodes and components
+  const {
+    nodes: parsedNodes,
+    containers,
+    variables,
+  } = await parseWorkflowHierarchy(knimeFile, readXmlJson);
+
+  // Merge each node's settings.xml details
+  const rawNodes = [];
+  const diagnostics = [];
+  for (const parsedNode of parsedNodes) {
+    if (!parsedNode.config) {
+      const message = `Skipping node ${parsedNode.id}: settings.xml not found at ${parsedNode.settingsPath}`;
+      console.warn(message);
+      diagnostics.push({ level: "warning", nodeId: parsedNode.id, message });
+      continue;
+    }
+    // Apply flow variables that override the node's settings
+    const { config, flowVariables } = resolveFlowVariables(
+      parsedNode.config,
+      variables
+    );
+    const nodeFolder = parsedNode.settingsPath.split("/").slice(-2)[0];
+    const nodeName = getEntryValue(config.entry, "node-name") || nodeFolder;
+    const nodeType = getEntryValue(config.entry, "factory");
+    const nodeStatus = getEntryValue(config.entry, "state");
+    const customDesc = getEntryValue(config.entry, "customDescription");
+
+    const outputSpecs = await readOutputSpecs(parsedNode.settingsPath, config);
+
+    // Get initial column estimates (added/removed based *only* on this node's config)
+    // Note: Final 'nodes' (output columns) will be calculated by processWorkflowData
+    const { finalColumns, addedColumns, removedColumns, columnTypes } =
+      getColumnNodes(config, null, outputSpecs[1]) || {}; // No input columns yet
+
+    rawNodes.push({
+      id: parsedNode.id, // Composite ID, e.g. "5:3" for node 3 inside metanode 5
+      parentId: parsedNode.parentId, // Enclosing metanode/component (null at top level)
+      containerName: parsedNode.parentId
+        ? containers[parsedNode.parentId]?.name
+        : null,
+      nodeName: nodeName,
+      nodeType: nodeType,
+      nodeStatus: nodeStatus,
+      description: customDesc,
+      config: config, // Store the full config JSON (flow variables applied)
+      flowVariables: flowVariables, // Settings bound to flow variables
+      order: parsedNode.order,
+      nextNodes: parsedNode.nextNodes,
+      outgoingConnections: parsedNode.outgoingConnections, // Port-level links to downstream nodes
+      outputSpecs: outputSpecs, // Saved output table specs of an executed node, by port
+      // Store initial column analysis results
+      initialOutputColumns: finalColumns || [], // Columns defined by this node (e.g., reader)
+      addedColumns: addedColumns || [], // Columns explicitly added
+      removedColumns: removedColumns || [], // Columns explicitly removed
+      columnTypes: columnTypes || {}, // Column types set by this node's config
+      nodes: [], // Placeholder for final calculated output columns
+      schema: [], // Placeholder for the typed output columns
+      previousNodes: [], // Placeholder for predecessor IDs
+    });
+  }
+
+  return { rawNodes, containers, variables, diagnostics };
+}
@@ -0,0 +1,310 @@
+// src/functions/resolveFlowVariables.js
+
+import { getEntryValue } from "../common/getEntryValue.js";
+import { findConfigByKey } from "../common/findConfigByKey.js";
+import { getDialect } from "../dialects/index.js";
+
+const toArray = (value) => (!value ? [] : Array.isArray(value) ? value : [value]);
+
+// Settings driven by a flow variable that has no static value (e.g. one created
+// by a String Configuration or Table Row to Variable node upstream) get this
+// marker as their value. It only uses letters and hex digits so converters
+// quote, lower-case or escape it without breaking it, and is turned into a
+// parameter placeholder once the SQL has been generated.
+const MARKER_PREFIX = "knimeflowvar";
+const MARKER = `${MARKER_PREFIX}([0-9a-f]+)x`;
+// A marker quoted as a string literal or identifier, or a bare one.
+const MARKER_PATTERN = new RegExp(
+  `'${MARKER}'|"${MARKER}"|\`${MARKER}\`|\\[${MARKER}\\]|${MARKER}`,
+  "gi"
+);
+const WHOLE_MARKER_PATTERN = new RegExp(`^${MARKER}$`, "i");
+
+const toHex = (text) =>
+  Array.from(new TextEncoder().encode(text))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+
+const fromHex = (hex) =>
+  new TextDecoder().decode(
+    new Uint8Array(hex.toLowerCase().match(/../g).map((pair) => parseInt(pair, 16)))
+  );
+
+/**
+ * Builds the placeholder value written into a setting whose flow variable is
+ * only known at runtime.
+ * @param {string} variableName - The flow variable name.
+ * @returns {string} - The marker value.
+ */
+export const getFlowVariableMarker = (variableName) =>
+  `${MARKER_PREFIX}${toHex(variableName)}x`;
+
+/**
+ * Reads the workflow variables declared in a workflow.knime (compact xml-js JSON).
+ *
+ * Expected structure:
+ *   <config key="workflow_variables">
+ *     <config key="Var_0">
+ *       <entry key="name" value="threshold"/>
+ *       <entry key="class" value="INTEGER"/>
+ *       <entry key="value" type="xint" value="5"/>
+ *     </config>
+ *   </config>
+ *
+ * @param {object} workflowJson - The workflow JSON.
+ * @returns {Array<{name: string, type: string, value: string|null}>} - The declared variables.
+ */
+export function parseWorkflowVariables(workflowJson) {
+  const variablesBlock = findConfigByKey(
+    workflowJson?.config?.config,
+    "workflow_variables"
+  );
+  return toArray(variablesBlock?.config)
+    .map((variableConfig) => {
+      const valueEntry = toArray(variableConfig.entry).find(
+        (entry) => entry._attributes?.key === "value"
+      );
+      return {
+        name: getEntryValue(variableConfig.entry, "name"),
+        type: getEntryValue(variableConfig.entry, "class") || "STRING",
+        value:
+          !valueEntry || valueEntry._attributes.isnull === "true"
+            ? null
+            : valueEntry._attributes.value,
+      };
+    })
+    .filter((variable) => variable.name);
+}
+
+/**
+ * Walks a settings.xml "variables" tree next to the "model" config it mirrors
+ * and collects every setting bound to a flow variable.
+ */
+const collectBindings = (variablesNode, modelNode, path, bindings) => {
+  toArray(variablesNode?.config).forEach((variableConfig) => {
+    const key = variableConfig._attributes?.key;
+    const usedVariable = getEntryValue(variableConfig.entry, "used_variable");
+    if (usedVariable) {
+      bindings.push({
+        setting: [...path, key].join("."),
+        variable: usedVariable,
+        parent: modelNode,
+        key,
+      });
+    }
+    collectBindings(
+      variableConfig,
+      findConfigByKey(modelNode?.config, key),
+      [...path, key],
+      bindings
+    );
+  });
+  return bindings;
+};
+
+/**
+ * Overwrites a bound setting. Plain settings are entries; file locations are
+ * configs whose "path" entry receives the value.
+ * @returns {boolean} - False if the setting was not found in the model.
+ */
+const writeSetting = (parent, key, value) => {
+  const entry = toArray(parent?.entry).find(
+    (item) => item._attributes?.key === key
+  );
+  const target =
+    entry ||
+    toArray(findConfigByKey(parent?.config, key)?.entry).find(
+      (item) => item._attributes?.key === "path"
+    );
+  if (!target) return false;
+  target._attributes = { ...target._attributes, value: String(value) };
+  delete target._attributes.isnull;
+  return true;
+};
+
+/**
+ * Applies the flow variables a node's settings.xml binds to its model settings
+ * (the `variables` config block, which mirrors the `model` config).
+ *
+ * Settings bound to a workflow variable with a static value get that value.
+ * Settings bound to any other variable are only known when the workflow runs;
+ * they get a marker that `bindFlowVariableParameters` later turns into an SQL
+ * parameter.
+ *
+ * @param {object} nodeConfig - The settings.xml root config (compact xml-js JSON). Not modified.
+ * @param {Array<{name: string, value: string|null}>} [workflowVariables] - Variables from parseWorkflowVariables.
+ * @returns {{config: object, flowVariables: Array<{setting: string, variable: string, value: string|null, runtime: boolean}>}}
+ * - A copy of the config with the variables applied, and one record per binding.
+ */
+export function resolveFlowVariables(nodeConfig, workflowVariables = []) {
+  const variablesNode = findConfigByKey(nodeConfig?.config, "variables");
+  if (!variablesNode) {
+    return { config: nodeConfig, flowVariables: [] };
+  }
+
+  const config = JSON.parse(JSON.stringify(nodeConfig));
+  const modelNode = findConfigByKey(config.config, "model");
+  // Since KNIME 4.1 the bindings sit below a "tree" config.
+  const treeNode =
+    findConfigByKey(variablesNode.config, "tree") || variablesNode;
+
+  const knownValues = new Map(
+    workflowVariables
+      .filter((variable) => variable.value !== null)
+      .map((variable) => [variable.name, variable.value])
+  );
+
+  const flowVariables = collectBindings(treeNode, modelNode, [], []).map(
+    ({ setting, variable, parent, key }) => {
+      const runtime = !knownValues.has(variable);
+      const value = runtime
+        ? getFlowVariableMarker(variable)
+        : knownValues.get(variable);
+      if (!writeSetting(parent, key, value)) {
+        console.warn(
+          `Flow variable "${variable}" is bound to unknown setting "${setting}".`
+        );
+      }
+      return {
+        setting,
+        variable,
+        value: runtime ? null : value,
+        runtime,
+      };
+    }
+  );
+
+  return { config, flowVariables };
+}
+
+// Index after the quoted text starting at `start`, which ends at `close`. A
+// doubled `close` stays inside, and so does the character after a backslash if
+// the text uses backslash escapes.
+const findClosingQuote = (sql, start, close, backslashEscapes) => {
+  for (let i = start + 1; i < sql.length; i++) {
+    if (backslashEscapes && sql[i] === "\\") i++;
+    else if (sql[i] === close && sql[i + 1] === close) i++;
+    else if (sql[i] === close) return i + 1;
+  }
+  return sql.length;
+};
+
+/**
+ * Splits generated SQL into code, string literals, quoted identifiers and "--"
+ * comments. The identifier quotes and backslash escapes are the dialect's, as
+ * produced by its quoteIdentifier and quoteString.
+ * @returns {Array<{type: "code"|"string"|"identifier"|"comment", text: string}>}
+ */
+const tokenizeSql = (sql, dialect) => {
+  const quotedIdentifier = dialect.quoteIdentifier("x");
+  const identifierOpen = quotedIdentifier[0];
+  const identifierClose = quotedIdentifier[quotedIdentifier.length - 1];
+  const stringEscapes = dialect.quoteString("\\") !== "'\\'";
+  const identifierEscapes = dialect
+    .quoteIdentifier(identifierClose)
+    .includes("\\");
+
+  const tokens = [];
+  let codeStart = 0;
+  let i = 0;
+  while (i < sql.length) {
+    let type = null;
+    let end;
+    if (sql.startsWith("--", i)) {
+      type = "comment";
+      end = sql.indexOf("\n", i);
+      if (end === -1) end = sql.length;
+    } else if (sql[i] === "'") {
+      type = "string";
+      end = findClosingQuote(sql, i, "'", stringEscapes);
+    } else if (sql[i] === identifierOpen) {
+      type = "identifier";
+      end = findClosingQuote(sql, i, identifierClose, identifierEscapes);
+    }
+    if (!type) {
+      i++;
+      continue;
+    }
+    if (codeStart < i) {
+      tokens.push({ type: "code", text: sql.slice(codeStart, i) });
+    }
+    tokens.push({ type, text: sql.slice(i, end) });
+    i = codeStart = end;
+  }
+  if (codeStart < sql.length) {
+    tokens.push({ type: "code", text: sql.slice(codeStart) });
+  }
+  return tokens;
+};
+
+/**
+ * Replaces the markers of runtime flow variables in generated SQL with
+ * parameter placeholders: named in the dialect's style (`:var_name`, or
+ * `@var_name` for SQL Server and BigQuery) or `?` (positional, numbered in
+ * order of appearance). A marker that was quoted as a literal or identifier is
+ * replaced together with its quotes; a marker inside a longer string literal
+ * (e.g. `'%…%'`) turns the literal into a concatenation of its parts and the
+ * placeholder. Markers inside comments always read as named placeholders and
+ * are not counted as parameters.
+ *
+ * @param {string} sql - SQL produced from configs returned by resolveFlowVariables.
+ * @param {"named"|"positional"} [parameterStyle="named"]
+ * @param {string|object} [dialect] - Target SQL dialect (name or dialect object).
+ * @returns {{sql: string, parameters: Array<string>}} - The SQL and the variable
+ * names of its parameters, in placeholder order (one per `?` for positional).
+ */
+export function bindFlowVariableParameters(
+  sql,
+  parameterStyle = "named",
+  dialect = getDialect()
+) {
+  dialect = getDialect(dialect);
+  if (typeof sql !== "string") return { sql, parameters: [] };
+  const parameters = [];
+  const toPlaceholder = (hex, inComment) => {
+    const name = fromHex(hex);
+    const namedPlaceholder = dialect.parameter(
+      name.replace(/[^a-zA-Z0-9_]/g, "_")
+    );
+    if (inComment) return namedPlaceholder;
+    if (parameterStyle === "positional") {
+      parameters.push(name);
+      return "?";
+    }
+    if (!parameters.includes(name)) parameters.push(name);
+    return namedPlaceholder;
+  };
+  const replaceMarkers = (text, inComment) =>
+    text.replace(MARKER_PATTERN, (match, ...groups) =>
+      toPlaceholder(
+        groups.slice(0, 5).find((group) => group !== undefined),
+        inComment
+      )
+    );
+  // A string literal with markers: concatenation of its parts (the hex digits
+  // land at the odd indexes of the split) and the placeholders
+  const bindStringLiteral = (literal) => {
+    const parts = literal
+      .slice(1, -1)
+      .split(new RegExp(MARKER, "i"))
+      .map((part, index) =>
+        index % 2 === 1 ? toPlaceholder(part, false) : part && `'${part}'`
+      )
+      .filter(Boolean);
+    if (parts.length <= 1) return parts[0] ?? literal;
+    return `(${dialect.concat(parts)})`;
+  };
+
+  const boundSql = tokenizeSql(sql, dialect)
+    .map(({ type, text }) => {
+      if (type === "comment") return replaceMarkers(text, true);
+      if (type === "string") return bindStringLiteral(text);
+      if (type === "identifier") {
+        const marker = text.slice(1, -1).match(WHOLE_MARKER_PATTERN);
+        return marker ? toPlaceholder(marker[1], false) : text;
+      }
+      return replaceMarkers(text, false);
+    })
+    .join("");
+  return { sql: boundSql, parameters };
+}
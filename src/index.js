@@ -0,0 +1,39 @@
+// src/index.js
+//
+// Public, framework-free API of the converter (no React/antd imports).
+//
+//   import { convertWorkflow } from "knime-sql-converter";
+//   const result = await convertWorkflow(knwfBuffer, { dialect: "snowflake" });
+//   result.sql.sinks[0].sql; // WITH ... SELECT for the first output node
+
+export { convertWorkflow } from "./functions/convertWorkflow.js";
+
+// Individual pipeline steps
+export { readWorkflowArchive } from "./functions/readWorkflowArchive.js";
+export { processWorkflowData } from "./functions/processWorkflowData.js";
+export { parseWorkflowKnime } from "./functions/parseWorkflowKnime.js";
+export { parseWorkflowHierarchy } from "./functions/parseWorkflowHierarchy.js";
+export {
+  parseWorkflowVariables,
+  resolveFlowVariables,
+  bindFlowVariableParameters,
+} from "./functions/resolveFlowVariables.js";
+export {
+  convertWorkflowToSQL,
+  convertWorkflowNodesToSQL,
+  getCTEName,
+  isSQLStatement,
+} from "./functions/convertWorkflowToSQL.js";
+export {
+  convertSelectedNodeToSQL,
+  NODE_CONVERTERS,
+} from "./functions/convertSelectedNodeToSQL.js";
+
+// SQL dialects
+export {
+  DEFAULT_DIALECT,
+  DIALECTS,
+  DIALECT_OPTIONS,
+  getDialect,
+} from "./dialects/index.js";
+export { baseDialect } from "./dialects/baseDialect.js";
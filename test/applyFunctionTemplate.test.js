@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyFunctionTemplate } from "../src/common/applyFunctionTemplate.js";
+
+test("Function templates fill numbered and {*} placeholders", () => {
+  assert.equal(
+    applyFunctionTemplate("LPAD({0}, {1}, {2})", ['"name"', "5", "'0'"]),
+    `LPAD("name", 5, '0')`
+  );
+  assert.equal(
+    applyFunctionTemplate("GREATEST({*})", ["a", "b"]),
+    "GREATEST(a, b)"
+  );
+});
+
+test("Function templates keep replacement patterns in arguments literal", () => {
+  assert.equal(
+    applyFunctionTemplate("CONCAT({*})", ["'$&'", "'$1$$'"]),
+    "CONCAT('$&', '$1$$')"
+  );
+  assert.equal(
+    applyFunctionTemplate("REPLACE({0}, {1}, {2})", ["x", "'{1}'", "'$&'"]),
+    "REPLACE(x, '{1}', '$&')"
+  );
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertCellSplitterNodeToSQL } from "../src/functions/convertCellSplitterNodeToSQL.js";
+import { nodeConfig } from "./fixtures.js";
+
+const cellSplitter = (entries) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.cellsplit.CellSplitterNodeFactory",
+    [],
+    entries
+  );
+
+test("Cell Splitter appends the trimmed parts as columns", () => {
+  assert.equal(
+    convertCellSplitterNodeToSQL(
+      cellSplitter({
+        columnName: "name",
+        delimiter: ", ",
+        guessNumOfCols: false,
+        numOfCols: 2,
+      }),
+      "node_1",
+      ["id", "name"],
+      [],
+      "postgres"
+    ),
+    'SELECT\n  "id",\n  "name",\n' +
+      '  TRIM(SPLIT_PART("name", \', \', 1)) AS "name_Arr[0]",\n' +
+      '  TRIM(CASE WHEN (LENGTH("name") - LENGTH(REPLACE("name", \', \', \'\'))) / 2 >= 1 THEN SPLIT_PART("name", \', \', 2) END) AS "name_Arr[1]"\n' +
+      'FROM "node_1";'
+  );
+});
+
+test("Cell Splitter takes guessed columns and types from the output spec", () => {
+  const settings = cellSplitter({
+    columnName: "code",
+    delimiter: "-",
+    removeInputColumn: true,
+  });
+  const outputSpec = [
+    { name: "id", type: "integer" },
+    { name: "code_Arr[0]", type: "string" },
+    { name: "code_Arr[1]", type: "integer" },
+  ];
+  const sql = convertCellSplitterNodeToSQL(
+    settings,
+    "node_1",
+    ["id", "code"],
+    outputSpec,
+    "mysql"
+  );
+  assert.match(sql, /^SELECT\n {2}`id`,\n {2}TRIM\(SUBSTRING_INDEX\(/);
+  assert.match(
+    sql,
+    /CAST\(TRIM\(.*\) AS SIGNED\) AS `code_Arr\[1\]`\nFROM `node_1`;$/
+  );
+  assert.match(
+    convertCellSplitterNodeToSQL(
+      settings,
+      "node_1",
+      ["id", "code"],
+      [],
+      "mysql"
+    ),
+    /^Error: The number of columns is guessed from the data/
+  );
+});
+
+test("Cell Splitter builds sets where the dialect has arrays", () => {
+  const settings = cellSplitter({
+    columnName: "tags",
+    delimiter: ";",
+    outputAsSet: true,
+  });
+  assert.equal(
+    convertCellSplitterNodeToSQL(settings, "node_1", ["tags"], [], "duckdb"),
+    'SELECT\n  "tags",\n  LIST_DISTINCT(STRING_SPLIT("tags", \';\')) AS "tags_SplitResultSet"\nFROM "node_1";'
+  );
+  assert.equal(
+    convertCellSplitterNodeToSQL(settings, "node_1", ["tags"], [], "sqlite"),
+    'Error: SQLite has no arrays to hold the parts of "tags".'
+  );
+});
+
+test("Cell Splitter by Position cuts substrings at the split points", () => {
+  const settings = nodeConfig(
+    "org.knime.base.node.preproc.cellsplitbypos.CellSplitterByPosNodeFactory",
+    [],
+    { colName: "zip", splitPoints: "2,5", colNames: "a,b,c" }
+  );
+  assert.equal(
+    convertCellSplitterNodeToSQL(settings, "node_1", ["zip"], [], "sqlserver"),
+    "SELECT\n  [zip],\n" +
+      "  SUBSTRING([zip], 1, 2) AS [a],\n" +
+      "  SUBSTRING([zip], 3, 3) AS [b],\n" +
+      "  SUBSTRING([zip], 6, LEN([zip])) AS [c]\nFROM [node_1];"
+  );
+});
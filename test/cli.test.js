@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { mkdtemp, readFile, readdir, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import {
+  config,
+  entry,
+  knwfArchive,
+  nodeConfig,
+  workflowKnime,
+} from "./fixtures.js";
+
+const CLI = path.resolve("bin/knime-sql.js");
+
+// .knwf archive with a source node feeding a sorter
+const buildArchive = () =>
+  knwfArchive({
+    "wf/workflow.knime": workflowKnime(
+      [
+        [1, "Source (#1)/settings.xml", "NativeNode"],
+        [2, "Sorter (#2)/settings.xml", "NativeNode"],
+      ],
+      [[1, 1, 2, 1]]
+    ),
+    "wf/Source (#1)/settings.xml": {
+      config: {
+        _attributes: { key: "settings.xml" },
+        entry: [entry("factory", "org.example.SourceNodeFactory")],
+      },
+    },
+    "wf/Sorter (#2)/settings.xml": {
+      config: nodeConfig(
+        "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+        [
+          config("sortingCriteria", {}, [
+            config("0", { sortingOrder: "ASCENDING" }, [
+              config("column", { selected: "score" }),
+            ]),
+          ]),
+        ],
+        { missingToEnd: false }
+      ),
+    },
+  });
+
+test("CLI writes one SQL file per node and a summary", async () => {
+  const dir = await mkdtemp(path.join(tmpdir(), "knime-sql-"));
+  try {
+    await writeFile(path.join(dir, "report.knwf"), await buildArchive());
+    const out = path.join(dir, "sql");
+    const result = spawnSync(
+      process.execPath,
+      [
+        CLI,
+        "convert",
+        path.join(dir, "report.knwf"),
+        "-d",
+        "sqlserver",
+        "--per",
+        "node",
+        "-o",
+        out,
+      ],
+      { encoding: "utf8", timeout: 30000 }
+    );
+    // Unconverted nodes are reported, not treated as failures
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /1\/2 nodes converted \(1 not converted\)/);
+
+    const files = await readdir(path.join(out, "report"));
+    assert.deepEqual(files.sort(), [
+      "node_1_source_1.sql",
+      "node_2_node.sql",
+      "summary.json",
+    ]);
+    assert.equal(
+      await readFile(path.join(out, "report", "node_2_node.sql"), "utf8"),
+      "SELECT *\nFROM [node_1]\nORDER BY\n  CASE WHEN [score] IS NULL THEN 0 ELSE 1 END, [score] ASC;\n"
+    );
+    const summary = JSON.parse(
+      await readFile(path.join(out, "report", "summary.json"), "utf8")
+    );
+    assert.equal(summary.dialect, "sqlserver");
+    assert.deepEqual(summary.totals, {
+      nodes: 2,
+      converted: 1,
+      unconverted: 1,
+    });
+    assert.deepEqual(
+      summary.nodes.map((node) => [node.id, node.converted]),
+      [
+        ["1", false],
+        ["2", true],
+      ]
+    );
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("CLI rejects unknown option values", () => {
+  const result = spawnSync(
+    process.execPath,
+    [CLI, "convert", "missing.knwf", "--per", "table"],
+    { encoding: "utf8", timeout: 30000 }
+  );
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /--per must be "sink" or "node", got "table"\./);
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertColumnRenameNodeToSQL } from "../src/functions/convertColumnRenameNodeToSQL.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+const INPUT_COLUMNS = ["cust_id", "order_id", "amount"];
+
+const rename = (settings, dialect = "postgres") =>
+  convertColumnRenameNodeToSQL(settings, "node_1", INPUT_COLUMNS, dialect);
+
+test("Column Renamer aliases the renamed columns in input order", () => {
+  const renamer = nodeConfig(
+    "org.knime.base.node.preproc.column.renamer.ColumnRenamerNodeFactory",
+    [
+      config("renamings", {}, [
+        config("0", { oldName: "amount", newName: "total" }),
+        config("1", { oldName: "cust_id", newName: "customer id" }),
+      ]),
+    ]
+  );
+  assert.equal(
+    rename(renamer, "sqlserver"),
+    "SELECT\n  [cust_id] AS [customer id],\n  [order_id],\n  [amount] AS [total]\nFROM [node_1];"
+  );
+});
+
+test("Column Rename (Regex) applies Java replacements to every column", () => {
+  const regexRenamer = (searchString, replaceString, entries = {}) =>
+    nodeConfig(
+      "org.knime.base.node.preproc.columnrenameregex.ColumnRenameRegexNodeFactory",
+      [],
+      { searchString, replaceString, ...entries }
+    );
+  assert.equal(
+    rename(regexRenamer("^(\\w+)_id$", "$1_key")),
+    'SELECT\n  "cust_id" AS "cust_key",\n  "order_id" AS "order_key",\n  "amount"\nFROM "node_1";'
+  );
+  assert.equal(
+    rename(
+      regexRenamer("_ID", "$", { isLiteral: true, isCaseInsensitive: true })
+    ),
+    'SELECT\n  "cust_id" AS "cust$",\n  "order_id" AS "order$",\n  "amount"\nFROM "node_1";'
+  );
+});
+
+test("Column Rename refuses renames that clash", () => {
+  const clash = nodeConfig(
+    "org.knime.base.node.preproc.rename.RenameNodeFactory",
+    [
+      config("all_columns", {}, [
+        config("0", { old_column_name: "cust_id", new_column_name: "amount" }),
+      ]),
+    ]
+  );
+  assert.equal(
+    rename(clash),
+    'Error: Renaming would produce the duplicate column name "amount".'
+  );
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertConcatenateNodeToSQL } from "../src/functions/convertConcatenateNodeToSQL.js";
+import { nodeConfig, schema } from "./fixtures.js";
+
+const concatenate = (modelEntries) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory",
+    [],
+    {
+      intersection_of_columns: false,
+      fail_on_duplicates: false,
+      ...modelEntries,
+    }
+  );
+
+const inputs = ["node_1", "node_2", "node_3"].map((nodeName) => ({
+  nodeName,
+  nodes: ["RowID", "value"],
+  schema: schema([
+    ["RowID", "string"],
+    ["value", "integer"],
+  ]),
+}));
+
+test("Concatenate appends the suffix once per earlier occurrence of a row ID", () => {
+  const sql = convertConcatenateNodeToSQL(
+    concatenate({ append_suffix: true, suffix: "_it's" }),
+    inputs,
+    "mysql"
+  );
+  assert.ok(
+    sql.includes(
+      "CASE `knime_occurrence` WHEN 1 THEN CONCAT(`RowID`, '_it''s') WHEN 2 THEN CONCAT(`RowID`, '_it''s', '_it''s') ELSE `RowID` END AS `RowID`"
+    )
+  );
+  assert.ok(
+    sql.includes(
+      "ROW_NUMBER() OVER (PARTITION BY `RowID` ORDER BY `knime_input_index`) - 1 AS `knime_occurrence`"
+    )
+  );
+  assert.ok(sql.includes("2 AS `knime_input_index`\n    FROM `node_3`"));
+});
+
+test("Concatenate skips rows whose row ID occurs in an earlier input", () => {
+  const sql = convertConcatenateNodeToSQL(
+    concatenate({ append_suffix: false }),
+    inputs.slice(0, 2),
+    "postgres"
+  );
+  assert.ok(!sql.includes("knime_occurrence"));
+  assert.ok(
+    sql.endsWith(
+      'FROM "node_2"\nWHERE "node_2"."RowID" NOT IN (\n  SELECT "RowID" FROM "node_1"\n);'
+    )
+  );
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertWorkflow, NODE_CONVERTERS } from "../src/index.js";
+import {
+  config,
+  entry,
+  knwfArchive,
+  nodeConfig,
+  workflowKnime,
+} from "./fixtures.js";
+
+const SOURCE_FACTORY = "org.example.SourceNodeFactory";
+
+// Source -> Sorter, plus a node whose settings.xml is missing from the archive
+const buildArchive = () =>
+  knwfArchive({
+    "wf/workflow.knime": workflowKnime(
+      [
+        [1, "Source (#1)/settings.xml", "NativeNode"],
+        [2, "Sorter (#2)/settings.xml", "NativeNode"],
+        [3, "Lost (#3)/settings.xml", "NativeNode"],
+      ],
+      [[1, 1, 2, 1]]
+    ),
+    "wf/Source (#1)/settings.xml": {
+      config: {
+        _attributes: { key: "settings.xml" },
+        entry: [entry("factory", SOURCE_FACTORY), entry("node-name", "Source")],
+      },
+    },
+    "wf/Sorter (#2)/settings.xml": {
+      config: nodeConfig(
+        "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+        [
+          config("sortingCriteria", {}, [
+            config("0", { sortingOrder: "DESCENDING" }, [
+              config("column", { selected: "score" }),
+            ]),
+          ]),
+        ],
+        { missingToEnd: true }
+      ),
+    },
+  });
+
+test("convertWorkflow returns nodes, edges, SQL and diagnostics", async () => {
+  const result = await convertWorkflow(await buildArchive(), {
+    dialect: "postgres",
+  });
+  assert.equal(result.dialect, "postgres");
+  assert.deepEqual(
+    result.nodes.map((node) => [node.id, node.name, node.type]),
+    [
+      ["1", "Source", "SourceNodeFactory"],
+      ["2", "Node", "SorterNodeFactory"],
+    ]
+  );
+  assert.deepEqual(result.edges, [
+    { source: "1", sourcePort: 1, target: "2", targetPort: 1, kind: "data" },
+  ]);
+  assert.deepEqual(
+    result.sql.nodes.map((statement) => [statement.name, statement.converted]),
+    [
+      ["node_1", false],
+      ["node_2", true],
+    ]
+  );
+  assert.equal(result.sql.sinks.length, 1);
+  assert.match(
+    result.sql.sinks[0].sql,
+    /ORDER BY\n {4}"score" DESC NULLS LAST/
+  );
+  assert.deepEqual(
+    result.diagnostics.map((diagnostic) => [
+      diagnostic.level,
+      diagnostic.nodeId,
+    ]),
+    [
+      ["warning", "3"],
+      ["warning", "1"],
+    ]
+  );
+});
+
+test("Converters registered in NODE_CONVERTERS are used for their factory", async () => {
+  NODE_CONVERTERS[SOURCE_FACTORY] = (nodeConfig, { dialect }) =>
+    `SELECT * FROM ${dialect.quoteIdentifier("raw_events")}`;
+  try {
+    const result = await convertWorkflow(await buildArchive(), {
+      dialect: "mysql",
+    });
+    assert.equal(result.sql.nodes[0].sql, "SELECT * FROM `raw_events`;");
+    assert.ok(
+      result.diagnostics.every((diagnostic) => diagnostic.nodeId !== "1")
+    );
+  } finally {
+    delete NODE_CONVERTERS[SOURCE_FACTORY];
+  }
+});
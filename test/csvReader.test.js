@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertCSVReaderNodeToSQL } from "../src/functions/convertCSVReaderNodeToSQL.js";
+import { convertWorkflowToSQL } from "../src/functions/convertWorkflowToSQL.js";
+import { getColumnNodes } from "../src/functions/getColumnNodes.js";
+import { csvReaderConfig, nodeConfig } from "./fixtures.js";
+
+const csvReader = (settings) =>
+  csvReaderConfig(
+    "C:\\data\\a.csv",
+    [
+      ["region", "org.knime.core.data.def.StringCell"],
+      ["qty", "org.knime.core.data.def.IntCell"],
+    ],
+    settings
+  );
+
+test("CSV Reader selects the row ID column of the file", () => {
+  const reader = csvReader({ has_column_header: true, has_row_id: true });
+  const sql = convertCSVReaderNodeToSQL(reader, "postgres");
+  assert.ok(sql.includes('"RowID" TEXT,'));
+  assert.ok(
+    sql.endsWith('SELECT\n  "RowID",\n  "region",\n  "qty"\nFROM "a";')
+  );
+  const { finalColumns, columnTypes } = getColumnNodes(reader);
+  assert.deepEqual(finalColumns, ["RowID", "region", "qty"]);
+  assert.equal(columnTypes.RowID, "string");
+});
+
+test("CSV Reader without row IDs selects only the file columns", () => {
+  const reader = csvReader({ has_column_header: true, has_row_id: false });
+  assert.ok(!convertCSVReaderNodeToSQL(reader, "postgres").includes("RowID"));
+  assert.deepEqual(getColumnNodes(reader).finalColumns, ["region", "qty"]);
+});
+
+test("Snowflake bulk load escapes the file path and the escape character", () => {
+  const reader = csvReader({
+    has_column_header: true,
+    quote_escape_char: "\\",
+  });
+  const sql = convertCSVReaderNodeToSQL(reader, "snowflake");
+  assert.ok(sql.includes("PUT 'file://C:\\\\data\\\\a.csv'"));
+  assert.ok(sql.includes("ESCAPE = '\\\\'"));
+});
+
+test("Readers of equally named files load separate tables", () => {
+  const reader = (id, fileName) => ({
+    id,
+    nodeName: `Node ${id}`,
+    config: csvReaderConfig(fileName, [
+      ["qty", "org.knime.core.data.def.IntCell"],
+    ]),
+    order: id,
+    nextNodes: [3],
+    outgoingConnections: [{ sourcePort: 1, destID: 3, destPort: id }],
+    previousNodes: [],
+    nodes: ["qty"],
+  });
+  const [{ sql }] = convertWorkflowToSQL(
+    [
+      reader(1, "/data/a/data.csv"),
+      reader(2, "/data/b/data.csv"),
+      {
+        id: 3,
+        nodeName: "Node 3",
+        config: nodeConfig(
+          "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory"
+        ),
+        order: 3,
+        nextNodes: [],
+        previousNodes: [1, 2],
+        nodes: ["qty"],
+      },
+    ],
+    { dialect: "postgres" }
+  );
+  assert.ok(sql.includes('CREATE TABLE "data_1" (\n  "qty" INTEGER\n);'));
+  assert.ok(sql.includes('COPY "data_1" ("qty")\nFROM \'/data/a/data.csv\''));
+  assert.ok(sql.includes('COPY "data_2" ("qty")\nFROM \'/data/b/data.csv\''));
+  assert.ok(
+    sql.includes('"node_2" AS (\n  SELECT\n    "qty"\n  FROM "data_2"\n)')
+  );
+});
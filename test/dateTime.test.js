@@ -0,0 +1,68 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  convertDateTimeNodeToSQL,
+  parseDateTimePeriod,
+} from "../src/functions/convertDateTimeNodeToSQL.js";
+import { toDialectDateFormat } from "../src/common/toDialectDateFormat.js";
+import { getDialect } from "../src/dialects/index.js";
+import { array, config, nodeConfig } from "./fixtures.js";
+
+test("Date&Time patterns translate into dialect format strings", () => {
+  const format = (pattern, dialect) =>
+    toDialectDateFormat(pattern, getDialect(dialect));
+  assert.equal(
+    format("yyyy-MM-dd'T'HH:mm", "postgres"),
+    'YYYY-MM-DD"T"HH24:MI'
+  );
+  assert.equal(format("yyyy-MM-dd'T'HH:mm", "mysql"), "%Y-%m-%dT%H:%i");
+  // '' is a quote, inside quoted text as well as outside
+  assert.equal(format("h 'o''clock' a", "sqlserver"), 'h" o\'clock "tt');
+  assert.equal(format("h 'o''clock' a", "mysql"), "%l o'clock %p");
+  assert.equal(format("HH''mm", "postgres"), "HH24'MI");
+  // Optional sections and letters without an equivalent
+  assert.equal(format("yyyy[-MM]", "postgres"), null);
+  assert.equal(format("DDD", "sqlserver"), null);
+});
+
+test("Date&Time Shift periods parse in ISO 8601 and short form", () => {
+  assert.deepEqual(parseDateTimePeriod("P1Y2M3DT4H5M6.5S"), [
+    ["years", 1],
+    ["months", 2],
+    ["days", 3],
+    ["hours", 4],
+    ["minutes", 5],
+    ["seconds", 6],
+    ["milliseconds", 500],
+  ]);
+  assert.deepEqual(parseDateTimePeriod("-P2W"), [["weeks", -2]]);
+  assert.deepEqual(parseDateTimePeriod("1y 2M 3m 8ms"), [
+    ["years", 1],
+    ["months", 2],
+    ["minutes", 3],
+    ["milliseconds", 8],
+  ]);
+  assert.deepEqual(parseDateTimePeriod("2 days"), [["days", 2]]);
+  assert.equal(parseDateTimePeriod("PT"), null);
+  assert.equal(parseDateTimePeriod("3 parsecs"), null);
+});
+
+test("String to Date&Time parses the selected columns in place", () => {
+  const settings = nodeConfig(
+    "org.knime.time.node.convert.stringtodatetime.StringToDateTimeNodeFactory",
+    [config("col_select", {}, [array("included_names", ["ordered"])])],
+    {
+      type: "LOCAL_DATE",
+      date_format: "dd.MM.yyyy",
+      replace_or_append: "Replace selected columns",
+    }
+  );
+  const inputSchema = [
+    { name: "id", type: "integer" },
+    { name: "ordered", type: "string" },
+  ];
+  assert.equal(
+    convertDateTimeNodeToSQL(settings, "node_1", inputSchema, "postgres"),
+    'SELECT\n  "id",\n  TO_DATE("ordered", \'DD.MM.YYYY\') AS "ordered"\nFROM "node_1";'
+  );
+});
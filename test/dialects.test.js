@@ -0,0 +1,49 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { getDialect } from "../src/dialects/index.js";
+import { convertSorterNodeToSQL } from "../src/functions/convertSorterNodeToSQL.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+const sorter = nodeConfig(
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+  [
+    config("sortingCriteria", {}, [
+      config("0", { sortingOrder: "DESCENDING" }, [
+        config("column", { selected: "total]" }),
+      ]),
+    ]),
+  ],
+  { missingToEnd: true }
+);
+
+test("Snowflake doubles backslashes in string literals", () => {
+  const snowflake = getDialect("snowflake");
+  assert.equal(snowflake.quoteString("a\\b'c"), "'a\\\\b''c'");
+  assert.equal(
+    snowflake.like('"name"', "50\\%%"),
+    `"name" LIKE '50\\\\%%' ESCAPE '\\\\'`
+  );
+  assert.equal(
+    snowflake.regexMatch('"code"', "\\d+"),
+    `REGEXP_LIKE("code", '\\\\d+')`
+  );
+});
+
+test("PostgreSQL keeps backslashes in standard string literals", () => {
+  assert.equal(getDialect("postgres").quoteString("a\\b'c"), "'a\\b''c'");
+});
+
+test("Converters quote identifiers and order missing values per dialect", () => {
+  assert.equal(
+    convertSorterNodeToSQL(sorter, "node_1", "sqlserver"),
+    "SELECT *\nFROM [node_1]\nORDER BY\n  CASE WHEN [total]]] IS NULL THEN 1 ELSE 0 END, [total]]] DESC;"
+  );
+  assert.equal(
+    convertSorterNodeToSQL(sorter, "node_1", "mysql"),
+    "SELECT *\nFROM `node_1`\nORDER BY\n  `total]` IS NULL ASC, `total]` DESC;"
+  );
+});
+
+test("Unknown dialect names are rejected", () => {
+  assert.throws(() => getDialect("db2"), /Unknown SQL dialect "db2"/);
+});
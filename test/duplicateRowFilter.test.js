@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertDuplicateRowFilterJSONToSQL } from "../src/functions/convertDuplicateRowFilterNodeToSQL.js";
+import { getDialect } from "../src/dialects/index.js";
+import { array, config, nodeConfig, schema } from "./fixtures.js";
+
+const duplicateRowFilter = (rowSelection) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory",
+    [config("group_cols", {}, [array("included_names", ["email"])])],
+    {
+      remove_duplicates: true,
+      row_selection: rowSelection,
+      reference_col: "score",
+    }
+  );
+
+const inputSchema = schema([
+  ["email", "string"],
+  ["score", "double"],
+]);
+
+test("Duplicate Row Filter sorts missing values first for the minimum", () => {
+  const sql = convertDuplicateRowFilterJSONToSQL(
+    duplicateRowFilter("MINIMUM"),
+    "node_1",
+    inputSchema,
+    "postgres"
+  );
+  assert.ok(
+    sql.includes(
+      'ORDER BY "score" ASC NULLS FIRST, "knime_row_index" ASC) AS "knime_group_rank"'
+    )
+  );
+});
+
+test("Duplicate Row Filter sorts missing values last for the maximum", () => {
+  const sql = convertDuplicateRowFilterJSONToSQL(
+    duplicateRowFilter("MAXIMUM"),
+    "node_1",
+    inputSchema,
+    "mysql"
+  );
+  assert.ok(
+    sql.includes(
+      "ORDER BY `score` IS NULL ASC, `score` DESC, `knime_row_index` ASC) AS `knime_group_rank`"
+    )
+  );
+});
+
+test("Duplicate Row Filter keeps the row order with a valid SQL Server ORDER BY", () => {
+  const sql = convertDuplicateRowFilterJSONToSQL(
+    nodeConfig(
+      "org.knime.base.node.preproc.duplicates.DuplicateRowFilterNodeFactory",
+      [config("group_cols", {}, [array("included_names", ["email"])])],
+      {
+        remove_duplicates: false,
+        add_row_duplicate_flag: true,
+        retain_order: true,
+      }
+    ),
+    "node_1",
+    inputSchema,
+    // Status values are string literals of the dialect
+    {
+      ...getDialect("sqlserver"),
+      quoteString: (value) => `N'${value}'`,
+    }
+  );
+  assert.ok(
+    sql.includes(
+      "CASE WHEN [knime_group_size] = 1 THEN N'unique' WHEN [knime_group_rank] = 1 THEN N'chosen' ELSE N'duplicate' END AS [duplicate-type-classifier]"
+    )
+  );
+  // Without OFFSET, SQL Server rejects the ORDER BY once the query is a CTE
+  assert.ok(
+    sql.endsWith(") [ranked]\nORDER BY\n  [knime_row_index]\nOFFSET 0 ROWS;")
+  );
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertExcelReaderNodeToSQL } from "../src/functions/convertExcelReaderNodeToSQL.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+const EXCEL_FACTORY =
+  "org.knime.ext.poi3.node.io.filehandling.excel.reader.ExcelTableReaderNodeFactory";
+
+// Excel Reader of /data/sales.xlsx reading columns A:B of rows fromRow..20
+const excelReader = (headerRow, fromRow) =>
+  nodeConfig(EXCEL_FACTORY, [
+    config(
+      "settings",
+      {
+        sheet_selection: "NAME",
+        sheet_name: "Q1",
+        table_contains_column_names: true,
+        column_names_row_number: headerRow,
+        sheet_area: "PARTIAL",
+        read_from_column: "A",
+        read_to_column: "B",
+        read_from_row: fromRow,
+        read_to_row: 20,
+      },
+      [
+        config("file_selection", {}, [
+          config("path", { path: "/data/sales.xlsx" }),
+        ]),
+      ]
+    ),
+    config("table_spec_config_Internals", {}, [
+      config("individual_specs", {}, [
+        config("/data/sales.xlsx", {}, [
+          config("0", { name: "region" }, [
+            config("type", {
+              cell_class: "org.knime.core.data.def.StringCell",
+            }),
+          ]),
+          config("1", { name: "qty" }, [
+            config("type", { cell_class: "org.knime.core.data.def.IntCell" }),
+          ]),
+        ]),
+      ]),
+    ]),
+  ]);
+
+test("Excel Reader leaves out the rows between the header and the data", () => {
+  const sql = convertExcelReaderNodeToSQL(excelReader(1, 5), "duckdb", 3);
+  assert.ok(sql.startsWith('CREATE TABLE "sales_3" (\n  "region" VARCHAR,'));
+  assert.ok(
+    sql.includes(
+      "FROM read_xlsx('/data/sales.xlsx',\n  sheet = 'Q1',\n  range = 'A5:B20',\n  header = false\n);"
+    )
+  );
+  assert.ok(
+    convertExcelReaderNodeToSQL(excelReader(1, 5), "postgres").includes(
+      "-- cells A5:B20, no header row."
+    )
+  );
+});
+
+test("Excel Reader reads a header row right above the data with the range", () => {
+  const sql = convertExcelReaderNodeToSQL(excelReader(4, 5), "duckdb");
+  assert.ok(sql.includes("range = 'A4:B20',\n  header = true"));
+});
+
+test("Excel Reader asks to delete a header row inside the data range", () => {
+  const sql = convertExcelReaderNodeToSQL(excelReader(8, 5), "duckdb", 3);
+  assert.ok(sql.includes("range = 'A5:B20',\n  header = false"));
+  assert.ok(
+    sql.includes(
+      '-- Row 8 holds the column names; delete it from "sales_3" after loading.\nINSTALL excel;'
+    )
+  );
+});
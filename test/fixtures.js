@@ -0,0 +1,151 @@
+// Builders for KNIME node configs in the compact xml-js format the converters read.
+
+import JSZip from "jszip";
+import * as xmlJs from "xml-js";
+import { getColumnNodes } from "../src/functions/getColumnNodes.js";
+
+// <entry key=".." type=".." value=".."/>; booleans and numbers get their xtype
+export const entry = (key, value, type = "xstring") =>
+  value === null
+    ? { _attributes: { key, type, isnull: "true", value: "" } }
+    : {
+        _attributes: {
+          key,
+          type:
+            typeof value === "boolean"
+              ? "xboolean"
+              : typeof value === "number"
+              ? Number.isInteger(value)
+                ? "xint"
+                : "xdouble"
+              : type,
+          value: String(value),
+        },
+      };
+
+// <config key=".."> with entries (object) and child configs
+export const config = (key, entries = {}, children = []) => {
+  const result = { _attributes: { key } };
+  const entryList = Object.entries(entries).map(([k, v]) => entry(k, v));
+  if (entryList.length) {
+    result.entry = entryList.length === 1 ? entryList[0] : entryList;
+  }
+  if (children.length) {
+    result.config = children.length === 1 ? children[0] : children;
+  }
+  return result;
+};
+
+// String array config (array-size, 0, 1, ...)
+export const array = (key, values) => ({
+  _attributes: { key },
+  entry: [
+    entry("array-size", values.length),
+    ...values.map((value, index) => entry(String(index), value)),
+  ],
+});
+
+// settings.xml of a node with the given model config
+export const nodeConfig = (factory, modelChildren = [], modelEntries = {}) => ({
+  _attributes: { key: "settings.xml" },
+  entry: [entry("factory", factory), entry("node-name", "Node")],
+  config: [config("model", modelEntries, modelChildren)],
+});
+
+// workflow.knime with [id, settings file, node type] nodes and
+// [sourceID, sourcePort, destID, destPort] connections
+export const workflowKnime = (nodes, connections) => ({
+  config: config("workflow.knime", {}, [
+    config(
+      "nodes",
+      {},
+      nodes.map(([id, settingsFile, nodeType]) =>
+        config(`node_${id}`, {
+          id,
+          node_settings_file: settingsFile,
+          node_type: nodeType,
+        })
+      )
+    ),
+    config(
+      "connections",
+      {},
+      connections.map(([sourceID, sourcePort, destID, destPort], index) =>
+        config(`connection_${index}`, {
+          sourceID,
+          sourcePort,
+          destID,
+          destPort,
+        })
+      )
+    ),
+  ]),
+});
+
+// .knwf archive (Buffer) from a path -> XML JSON map, e.g. { "wf/workflow.knime": {...} }
+export const knwfArchive = (files) => {
+  const zip = new JSZip();
+  Object.entries(files).forEach(([filePath, json]) =>
+    zip.file(filePath, xmlJs.js2xml(json, { compact: true, spaces: 2 }))
+  );
+  return zip.generateAsync({ type: "nodebuffer" });
+};
+
+// Typed columns ([name, type] pairs) as processWorkflowData stores them
+export const schema = (columns) =>
+  columns.map(([name, type]) => ({ name, type }));
+
+// settings.xml of a CSV Reader reading the given [name, cell class] columns
+export const csvReaderConfig = (fileName, columns, settings = {}) =>
+  nodeConfig(
+    "org.knime.base.node.io.filehandling.csv.reader.CSVTableReaderNodeFactory",
+    [
+      config("settings", settings, [
+        config("file_selection", {}, [config("path", { path: fileName })]),
+      ]),
+      config("table_spec_config_Internals", {}, [
+        config("individual_specs", {}, [
+          config(
+            fileName,
+            {},
+            columns.map(([name, cellClass], index) =>
+              config(String(index), { name }, [
+                config("type", { cell_class: cellClass }),
+              ])
+            )
+          ),
+        ]),
+      ]),
+    ]
+  );
+
+// Raw workflow node as readWorkflowArchive returns it; connections go from
+// output port 1 to input port 1 unless given
+export const workflowNode = (
+  id,
+  nodeSettings,
+  order,
+  connections = [],
+  outputSpecs = {}
+) => {
+  const { finalColumns, addedColumns, removedColumns, columnTypes } =
+    getColumnNodes(nodeSettings, null, outputSpecs[1]) || {};
+  return {
+    id,
+    nodeName: `Node ${id}`,
+    nodeType: nodeSettings.entry[0]._attributes.value,
+    config: nodeSettings,
+    order,
+    nextNodes: connections.map((connection) => connection.destID),
+    outgoingConnections: connections.map((connection) => ({
+      sourcePort: 1,
+      destPort: 1,
+      ...connection,
+    })),
+    outputSpecs,
+    initialOutputColumns: finalColumns || [],
+    addedColumns: addedColumns || [],
+    removedColumns: removedColumns || [],
+    columnTypes: columnTypes || {},
+  };
+};
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  bindFlowVariableParameters,
+  getFlowVariableMarker,
+  resolveFlowVariables,
+} from "../src/functions/resolveFlowVariables.js";
+import { getEntryValue } from "../src/common/getEntryValue.js";
+import { findConfigByKey } from "../src/common/findConfigByKey.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+const marker = getFlowVariableMarker("name filter");
+
+test("Bound settings get workflow variable values or runtime markers", () => {
+  const settings = nodeConfig("org.example.FilterNodeFactory", [], {
+    limit: 10,
+    pattern: "a%",
+  });
+  settings.config.push(
+    config("variables", {}, [
+      config("tree", {}, [
+        config("limit", { used_variable: "max_rows" }),
+        config("pattern", { used_variable: "name filter" }),
+      ]),
+    ])
+  );
+  const { config: resolved, flowVariables } = resolveFlowVariables(settings, [
+    { name: "max_rows", value: "25" },
+  ]);
+  const model = findConfigByKey(resolved.config, "model");
+  assert.equal(getEntryValue(model.entry, "limit"), "25");
+  assert.equal(getEntryValue(model.entry, "pattern"), marker);
+  assert.deepEqual(
+    flowVariables.map(({ setting, runtime }) => [setting, runtime]),
+    [
+      ["limit", false],
+      ["pattern", true],
+    ]
+  );
+});
+
+test("Flow variable inside a string literal becomes a concatenation", () => {
+  const { sql, parameters } = bindFlowVariableParameters(
+    `SELECT * FROM "node_1" WHERE "name" LIKE '%${marker}''s%'; -- '${marker}'`,
+    "named",
+    "postgres"
+  );
+  assert.equal(
+    sql,
+    `SELECT * FROM "node_1" WHERE "name" LIKE ('%' || :name_filter || '''s%'); -- :name_filter`
+  );
+  assert.deepEqual(parameters, ["name filter"]);
+});
+
+test("Flow variables use the dialect's placeholders and concatenation", () => {
+  const sqlServer = `SELECT * FROM [node_1] WHERE [a] = '${marker}' AND [b] LIKE '${marker}%'`;
+  assert.equal(
+    bindFlowVariableParameters(sqlServer, "named", "sqlserver").sql,
+    "SELECT * FROM [node_1] WHERE [a] = @name_filter AND [b] LIKE (@name_filter + '%')"
+  );
+  const positional = bindFlowVariableParameters(
+    sqlServer,
+    "positional",
+    "sqlserver"
+  );
+  assert.equal(
+    positional.sql,
+    "SELECT * FROM [node_1] WHERE [a] = ? AND [b] LIKE (? + '%')"
+  );
+  assert.deepEqual(positional.parameters, ["name filter", "name filter"]);
+  assert.equal(
+    bindFlowVariableParameters(
+      `SELECT * FROM \`node_1\` WHERE \`b\` LIKE '%${marker}'`,
+      "named",
+      "mysql"
+    ).sql,
+    "SELECT * FROM `node_1` WHERE `b` LIKE (CONCAT('%', :name_filter))"
+  );
+});
+
+test("Quoted identifiers and escaped quotes do not start comments", () => {
+  const { sql, parameters } = bindFlowVariableParameters(
+    `SELECT \`a--b\`, 'it\\'s -- ok' FROM \`node_1\` WHERE \`c\` = '${marker}' -- '${marker}'`,
+    "positional",
+    "mysql"
+  );
+  assert.equal(
+    sql,
+    "SELECT `a--b`, 'it\\'s -- ok' FROM `node_1` WHERE `c` = ? -- :name_filter"
+  );
+  assert.deepEqual(parameters, ["name filter"]);
+  assert.deepEqual(
+    bindFlowVariableParameters(
+      `SELECT [x--] FROM [node_1] WHERE [y]]--] = '${marker}'`,
+      "positional",
+      "sqlserver"
+    ).parameters,
+    ["name filter"]
+  );
+});
@@ -0,0 +1,186 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertGroupByNodeToSQL } from "../src/functions/convertGroupByNodeToSQL.js";
+import { processWorkflowData } from "../src/functions/processWorkflowData.js";
+import {
+  array,
+  config,
+  csvReaderConfig,
+  nodeConfig,
+  schema,
+  workflowNode,
+} from "./fixtures.js";
+
+const groupBy = (columns, methods) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.groupby.GroupByNodeFactory",
+    [
+      config("grouByColumns", {}, [array("InclList", ["region"])]),
+      config("aggregationColumn", {}, [
+        array("columnNames", columns),
+        array("aggregationMethod", methods),
+        array(
+          "inclMissingVals",
+          methods.map(() => "false")
+        ),
+      ]),
+    ],
+    { columnNamePolicy: "Aggregation method (column name)" }
+  );
+
+const inputSchema = schema([
+  ["region", "string"],
+  ["qty", "integer"],
+]);
+
+test("GroupBy computes Median and First with window functions in MySQL", () => {
+  const sql = convertGroupByNodeToSQL(
+    groupBy(["qty", "qty"], ["Median", "First"]),
+    "node_1",
+    inputSchema,
+    "mysql"
+  );
+  assert.ok(
+    sql.includes(
+      "ROW_NUMBER() OVER (PARTITION BY `region` ORDER BY `qty` IS NULL ASC, `qty` ASC) AS `knime_aggregation_0_rank`"
+    )
+  );
+  assert.ok(
+    sql.includes(
+      "AVG(CASE WHEN 2 * `knime_aggregation_0_rank` BETWEEN `knime_aggregation_0_count` AND `knime_aggregation_0_count` + 2 THEN CAST(`qty` AS DOUBLE) END) AS `Median(qty)`"
+    )
+  );
+  assert.ok(sql.includes("MIN(`knime_aggregation_1`) AS `First(qty)`"));
+  assert.ok(sql.includes("FIRST_VALUE(`qty`) OVER (PARTITION BY `region`"));
+  assert.ok(sql.includes("ROW_NUMBER() OVER () - 1 AS `knime_row_index`"));
+});
+
+test("GroupBy uses PERCENTILE_CONT over the group for Median in SQL Server", () => {
+  const sql = convertGroupByNodeToSQL(
+    groupBy(["qty"], ["Median"]),
+    "node_1",
+    inputSchema,
+    "sqlserver"
+  );
+  assert.ok(
+    sql.includes(
+      "PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY [qty]) OVER (PARTITION BY [region]) AS [knime_aggregation_0]"
+    )
+  );
+  assert.ok(sql.includes("MIN([knime_aggregation_0]) AS [Median(qty)]"));
+  assert.ok(!sql.includes("knime_row_index"));
+});
+
+test("GroupBy takes Mode from two window levels", () => {
+  const sql = convertGroupByNodeToSQL(
+    groupBy(["qty"], ["Mode"]),
+    "node_1",
+    inputSchema,
+    "sqlite"
+  );
+  assert.ok(
+    sql.includes(
+      'COUNT("qty") OVER (PARTITION BY "region", "qty") AS "knime_aggregation_0_count"'
+    )
+  );
+  assert.ok(
+    sql.includes(
+      'FIRST_VALUE("qty") OVER (PARTITION BY "region" ORDER BY "knime_aggregation_0_count" DESC, "qty" ASC NULLS LAST) AS "knime_aggregation_0"'
+    )
+  );
+  assert.ok(sql.includes(') "window_1"\n) "window_2"'));
+});
+
+test("GroupBy marks Correlation and Covariance as not converted", () => {
+  const sql = convertGroupByNodeToSQL(
+    groupBy(["qty", "qty"], ["Sum", "Covariance"]),
+    "node_1",
+    inputSchema,
+    "postgres"
+  );
+  assert.ok(
+    sql.startsWith(
+      "-- Not converted (unsupported in PostgreSQL): Covariance(qty)\n"
+    )
+  );
+  assert.ok(!sql.includes('AS "Covariance(qty)"'));
+});
+
+test("GroupBy expands pattern and type based aggregations over the input", () => {
+  const groupByConfig = groupBy(["qty"], ["Sum"]);
+  groupByConfig.config[0].config.push(
+    config("patternAggregators", {}, [
+      config("aggregator_0", {
+        inputPattern: "amount_*",
+        isRegularExpression: false,
+        aggregationMethod: "Sum",
+        inclMissingVals: false,
+      }),
+    ]),
+    config("dataTypeAggregators", {}, [
+      config("aggregator_0", { aggregationMethod: "Maximum" }, [
+        config("dataType", {
+          cell_class: "org.knime.core.data.def.DoubleCell",
+        }),
+      ]),
+    ])
+  );
+  const sql = convertGroupByNodeToSQL(
+    groupByConfig,
+    "node_1",
+    schema([
+      ["region", "string"],
+      ["amount_eu", "double"],
+      ["name", "string"],
+      ["amount_us", "integer"],
+      ["qty", "long"],
+      ["price", "double"],
+    ]),
+    "postgres"
+  );
+  // Columns aggregated already are skipped, so the double aggregator only
+  // takes price
+  assert.ok(
+    sql.includes(
+      'SUM("qty") AS "Sum(qty)",\n  SUM("amount_eu") AS "Sum(amount_eu)",\n  SUM("amount_us") AS "Sum(amount_us)",\n  MAX("price") AS "Maximum(price)"\n'
+    )
+  );
+  assert.ok(
+    convertGroupByNodeToSQL(groupByConfig, "node_1", [], "postgres").startsWith(
+      "-- Not converted: pattern and type based aggregations (input columns unknown)\n"
+    )
+  );
+});
+
+test("GroupBy schema lists only the aggregations the dialect converts", () => {
+  const workflow = processWorkflowData(
+    [
+      workflowNode(
+        1,
+        csvReaderConfig(
+          "/data/sales.csv",
+          [
+            ["region", "org.knime.core.data.def.StringCell"],
+            ["qty", "org.knime.core.data.def.IntCell"],
+          ],
+          { has_column_header: true }
+        ),
+        0,
+        [{ destID: 2 }]
+      ),
+      workflowNode(
+        2,
+        groupBy(["qty", "qty", "qty"], ["Median", "Variance", "Covariance"]),
+        1
+      ),
+    ],
+    "sqlite"
+  );
+  assert.deepEqual(
+    workflow[1].schema.map(({ name, type }) => [name, type]),
+    [
+      ["region", "string"],
+      ["Median(qty)", "double"],
+    ]
+  );
+});
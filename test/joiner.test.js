@@ -0,0 +1,181 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertJoinerNodeToSQL } from "../src/functions/convertJoinerJSONToSQL.js";
+import { convertSelectedNodeToSQL } from "../src/functions/convertSelectedNodeToSQL.js";
+import { processWorkflowData } from "../src/functions/processWorkflowData.js";
+import {
+  array,
+  config,
+  csvReaderConfig,
+  nodeConfig,
+  schema,
+  workflowNode,
+} from "./fixtures.js";
+
+const JOINER3_FACTORY =
+  "org.knime.base.node.preproc.joiner3.Joiner3NodeFactory";
+
+const joiner = (settings) =>
+  nodeConfig(
+    JOINER3_FACTORY,
+    [
+      config("matchingCriteria", {}, [
+        config("0", { leftTableColumn: "id", rightTableColumn: "customer_id" }),
+      ]),
+      config("leftColumnSelectionConfig", {}, [
+        array("included_names", ["id", "name"]),
+      ]),
+      config("rightColumnSelectionConfig", {}, [
+        array("included_names", ["customer_id", "name", "amount"]),
+      ]),
+    ],
+    {
+      duplicateHandling: "APPEND_SUFFIX",
+      suffix: " (#1)",
+      mergeJoinColumns: true,
+      includeMatchesInOutput: true,
+      includeLeftUnmatchedInOutput: true,
+      includeRightUnmatchedInOutput: true,
+      outputUnmatchedRowsToSeparatePorts: true,
+      ...settings,
+    }
+  );
+
+const leftSchema = schema([
+  ["id", "integer"],
+  ["name", "string"],
+]);
+const rightSchema = schema([
+  ["customer_id", "integer"],
+  ["name", "string"],
+  ["amount", "double"],
+]);
+
+test("Joiner appends the suffix to the right column and drops merged keys", () => {
+  const sql = convertJoinerNodeToSQL(
+    joiner(),
+    "node_1",
+    "node_2",
+    leftSchema,
+    rightSchema,
+    "postgres"
+  );
+  assert.ok(
+    sql.startsWith(
+      'SELECT\n  "node_1"."id" AS "id",\n  "node_1"."name" AS "name",\n  "node_2"."name" AS "name (#1)",\n  "node_2"."amount" AS "amount"\nFROM "node_1"\nINNER JOIN "node_2"'
+    )
+  );
+});
+
+test("Joiner renames shared columns to _L and _R by default", () => {
+  const sql = convertJoinerNodeToSQL(
+    joiner({ duplicateHandling: null, mergeJoinColumns: false }),
+    "node_1",
+    "node_2",
+    leftSchema,
+    rightSchema,
+    "postgres"
+  );
+  assert.ok(sql.includes('"node_1"."name" AS "name_L"'));
+  assert.ok(sql.includes('"node_2"."name" AS "name_R"'));
+  assert.ok(sql.includes('"node_2"."customer_id" AS "customer_id"'));
+});
+
+const readerNode = (id, columns, destID, destPort) =>
+  workflowNode(
+    id,
+    csvReaderConfig(
+      `/data/${id}.csv`,
+      columns.map(([name, cellClass]) => [
+        name,
+        `org.knime.core.data.def.${cellClass}`,
+      ]),
+      { has_column_header: true }
+    ),
+    id - 1,
+    [{ destID, destPort }]
+  );
+
+const joinerWorkflow = () => {
+  const nodes = [
+    readerNode(
+      1,
+      [
+        ["id", "IntCell"],
+        ["name", "StringCell"],
+      ],
+      3,
+      1
+    ),
+    readerNode(
+      2,
+      [
+        ["customer_id", "IntCell"],
+        ["name", "StringCell"],
+        ["amount", "DoubleCell"],
+      ],
+      3,
+      2
+    ),
+    workflowNode(3, joiner(), 2, [{ destID: 4, sourcePort: 3 }]),
+    workflowNode(
+      4,
+      nodeConfig(
+        "org.knime.base.node.preproc.groupby.GroupByNodeFactory",
+        [
+          config("grouByColumns", {}, [array("InclList", ["name"])]),
+          config("dataTypeAggregators", {}, [
+            config("aggregator_0", { aggregationMethod: "Sum" }, [
+              config("dataType", {
+                cell_class: "org.knime.core.data.def.DoubleCell",
+              }),
+            ]),
+          ]),
+        ],
+        { columnNamePolicy: "Aggregation method (column name)" }
+      ),
+      3
+    ),
+  ];
+  return processWorkflowData(nodes, "postgres");
+};
+
+test("Joiner schema is stored per output port", () => {
+  const [, , joined, grouped] = joinerWorkflow();
+  const names = ({ schema: columns }) =>
+    columns.map(({ name, type }) => [name, type]);
+  assert.deepEqual(names(joined), [
+    ["id", "integer"],
+    ["name", "string"],
+    ["name (#1)", "string"],
+    ["amount", "double"],
+  ]);
+  assert.deepEqual(names(joined.outputPorts[2]), [
+    ["id", "integer"],
+    ["name", "string"],
+  ]);
+  assert.deepEqual(names(joined.outputPorts[3]), [
+    ["customer_id", "integer"],
+    ["name", "string"],
+    ["amount", "double"],
+  ]);
+  // A node connected to port 3 sees the right unmatched rows' columns
+  assert.deepEqual(grouped.nodes, ["name", "Sum(customer_id)", "Sum(amount)"]);
+});
+
+test("Converters read the schema of the connected output port", () => {
+  const workflow = joinerWorkflow();
+  const sql = convertSelectedNodeToSQL(
+    workflow[3].config,
+    ["node_3_port_3"],
+    workflow.slice(0, 3),
+    4,
+    "postgres"
+  );
+  assert.ok(
+    sql.includes(
+      'SUM("customer_id") AS "Sum(customer_id)",\n  SUM("amount") AS "Sum(amount)"'
+    ),
+    sql
+  );
+});
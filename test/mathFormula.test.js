@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertMathFormulaNodeToSQL } from "../src/functions/convertMathFormulaNodeToSQL.js";
+import { nodeConfig } from "./fixtures.js";
+
+// SQL expression of the "r" column a Math Formula appends to a table with
+// integer columns a, b and double column x
+const formula = (expression, dialect = "postgres", settings = {}) => {
+  const sql = convertMathFormulaNodeToSQL(
+    nodeConfig("org.knime.ext.jep.JEPNodeFactory", [], {
+      expression,
+      append_column: "r",
+      ...settings,
+    }),
+    "node_1",
+    ["a", "b", "x"],
+    [
+      { name: "a", type: "integer" },
+      { name: "b", type: "integer" },
+      { name: "x", type: "double" },
+    ],
+    dialect
+  );
+  const match = /^ {2}(.*) AS \S+\nFROM /m.exec(sql);
+  return match ? match[1] : sql;
+};
+
+test("Math Formula divides and returns doubles like JEP", () => {
+  assert.equal(formula("$a$ / $b$"), 'CAST("a" AS DOUBLE PRECISION) / "b"');
+  assert.equal(formula("$x$ * 2 + 1"), '"x" * 2 + 1');
+  // Integer results are cast, so "$r$ / 2" downstream is no integer division
+  assert.equal(formula("$a$ + $b$"), 'CAST("a" + "b" AS DOUBLE PRECISION)');
+  assert.equal(
+    formula("$a$ > 1 && $b$ != 2", "sqlserver"),
+    "CAST(CASE WHEN [a] > 1 AND [b] <> 2 THEN 1 ELSE 0 END AS FLOAT)"
+  );
+  assert.equal(
+    formula("$x$ * 2", "postgres", { convert_to_int: true }),
+    'CAST(ROUND("x" * 2) AS INTEGER)'
+  );
+});
+
+test("Math Formula keeps operator precedence", () => {
+  assert.equal(formula("2 ^ 3 ^ $x$"), 'POWER(2, POWER(3, "x"))');
+  assert.equal(formula("($x$ + 1) * -$x$"), '("x" + 1) * -"x"');
+  // "--" would start a comment
+  assert.equal(formula("--$x$"), '-(-"x")');
+  assert.equal(
+    formula("if($x$ > 0 || $a$ < 0, $x$, 0)"),
+    'CASE WHEN "x" > 0 OR "a" < 0 THEN "x" ELSE 0 END'
+  );
+});
+
+test("Math Formula computes remainders of non-integers without MOD", () => {
+  assert.equal(formula("$a$ % $b$", "sqlserver"), "CAST(([a] % [b]) AS FLOAT)");
+  assert.equal(formula("$x$ % 2"), '"x" - 2 * TRUNC("x" / 2)');
+  assert.equal(
+    formula("mod($a$ + 1, $x$)", "sqlserver"),
+    "([a] + 1) - [x] * ROUND(CAST([a] + 1 AS FLOAT) / [x], 0, 1)"
+  );
+  assert.equal(
+    formula("$x$ % $a$", "mysql"),
+    "`x` - `a` * TRUNCATE(`x` / `a`, 0)"
+  );
+});
+
+test("Math Formula reports what it cannot translate", () => {
+  assert.equal(
+    formula("foo($x$)"),
+    'Error: Expression "foo($x$)": unknown function "foo".'
+  );
+  assert.equal(
+    formula("COL_MEDIAN($x$)"),
+    'Error: Expression "COL_MEDIAN($x$)": COL_MEDIAN is not supported in PostgreSQL.'
+  );
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertMissingValueNodeToSQL } from "../src/functions/convertMissingValueNodeToSQL.js";
+import { array, config, nodeConfig } from "./fixtures.js";
+
+const HANDLERS = "org.knime.base.node.preproc.pmml.missingval.handlers.";
+
+// Handler settings of a type or column: factoryID and its settings config
+const handler = (name, settings = {}) => [
+  { factoryID: `${HANDLERS}${name}MissingCellHandlerFactory` },
+  [config("settings", settings)],
+];
+
+const missingValue = (typeSettings, columnSettings = []) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.pmml.missingval.compute.MissingValueHandlerNodeFactory",
+    [
+      config(
+        "dataTypeSettings",
+        {},
+        Object.entries(typeSettings).map(([cellClass, [entries, children]]) =>
+          config(cellClass, entries, children)
+        )
+      ),
+      config(
+        "columnSettings",
+        {},
+        columnSettings.map(([columns, [entries, children]], index) =>
+          config(String(index), {}, [
+            array("colNames", columns),
+            config("settings", entries, children),
+          ])
+        )
+      ),
+    ]
+  );
+
+const inputSchema = [
+  { name: "id", type: "integer" },
+  { name: "name", type: "string" },
+  { name: "price", type: "double" },
+];
+
+test("Missing Value replaces values per type, overridden per column", () => {
+  const settings = missingValue(
+    {
+      "org.knime.core.data.def.StringCell": handler("FixedStringValue", {
+        fixStringValue: "unknown",
+      }),
+      "org.knime.core.data.def.DoubleCell": handler("DoubleMax"),
+    },
+    [[["price"], handler("DoubleMean")]]
+  );
+  assert.equal(
+    convertMissingValueNodeToSQL(settings, "node_1", inputSchema, "postgres"),
+    'SELECT\n  "id",\n' +
+      '  COALESCE("name", \'unknown\') AS "name",\n' +
+      '  COALESCE("price", AVG(CAST("price" AS DOUBLE PRECISION)) OVER ()) AS "price"\n' +
+      'FROM "node_1";'
+  );
+});
+
+test("Missing Value removes rows after computing window replacements", () => {
+  const settings = missingValue({}, [
+    [["id"], handler("RemoveRow")],
+    [["price"], handler("DoublePrevious")],
+  ]);
+  assert.equal(
+    convertMissingValueNodeToSQL(settings, "node_1", inputSchema, "duckdb"),
+    "SELECT *\nFROM (\n" +
+      '  SELECT\n    "id",\n    "name",\n' +
+      '    COALESCE("price", LAG("price" IGNORE NULLS) OVER (ORDER BY "knime_row_index")) AS "price"\n' +
+      '  FROM (\n    SELECT "node_1".*, ROW_NUMBER() OVER () - 1 AS "knime_row_index"\n    FROM "node_1"\n  ) "source"\n' +
+      ') "filled"\nWHERE "id" IS NOT NULL;'
+  );
+});
+
+test("Missing Value lists strategies the dialect cannot express", () => {
+  const settings = missingValue({
+    "org.knime.core.data.def.DoubleCell": handler("DoubleMedian"),
+  });
+  assert.equal(
+    convertMissingValueNodeToSQL(settings, "node_1", inputSchema, "mysql"),
+    "-- Not converted in MySQL, values stay missing: price (DoubleMedian)\n" +
+      "SELECT\n  `id`,\n  `name`,\n  `price`\nFROM `node_1`;"
+  );
+});
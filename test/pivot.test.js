@@ -0,0 +1,188 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertPivotNodeToSQL } from "../src/functions/convertPivotNodeToSQL.js";
+import { convertUnpivotNodeToSQL } from "../src/functions/convertUnpivotNodeToSQL.js";
+import { processWorkflowData } from "../src/functions/processWorkflowData.js";
+import {
+  array,
+  config,
+  csvReaderConfig,
+  nodeConfig,
+  schema,
+  workflowNode,
+} from "./fixtures.js";
+
+const pivoting = nodeConfig(
+  "org.knime.base.node.preproc.pivot.Pivot2NodeFactory",
+  [
+    config("grouByColumns", {}, [array("InclList", ["region"])]),
+    config("pivotColumns", {}, [array("InclList", ["year"])]),
+    config("aggregationColumn", {}, [
+      array("columnNames", ["sales"]),
+      array("aggregationMethod", ["Sum"]),
+    ]),
+  ],
+  {
+    columnNamePolicy: "Aggregation method (column name)",
+    column_name_option: "Pivot name+Aggregation name",
+  }
+);
+
+test("Pivoting aggregates each saved pivot value conditionally", () => {
+  const inputSchema = schema([
+    ["region", "string"],
+    ["year", "integer"],
+    ["sales", "double"],
+  ]);
+  const outputSpec = schema([
+    ["region", "string"],
+    ["2023+Sum(sales)", "double"],
+    ["?+Sum(sales)", "double"],
+  ]);
+  assert.equal(
+    convertPivotNodeToSQL(
+      pivoting,
+      "node_1",
+      inputSchema,
+      outputSpec,
+      "postgres"
+    ),
+    'SELECT\n  "region",\n' +
+      '  SUM(CASE WHEN "year" = 2023 THEN "sales" END) AS "2023+Sum(sales)",\n' +
+      '  SUM(CASE WHEN "year" IS NULL THEN "sales" END) AS "?+Sum(sales)"\n' +
+      'FROM "node_1"\nGROUP BY\n  "region";'
+  );
+  assert.match(
+    convertPivotNodeToSQL(pivoting, "node_1", inputSchema, [], "postgres"),
+    /^Error: The pivot values are unknown\./
+  );
+});
+
+const medianPivoting = nodeConfig(
+  "org.knime.base.node.preproc.pivot.Pivot2NodeFactory",
+  [
+    config("grouByColumns", {}, [array("InclList", ["region"])]),
+    config("pivotColumns", {}, [array("InclList", ["year"])]),
+    config("aggregationColumn", {}, [
+      array("columnNames", ["sales", "sales"]),
+      array("aggregationMethod", ["Median", "Variance"]),
+      array("inclMissingVals", ["false", "false"]),
+    ]),
+  ],
+  { column_name_option: "Pivot name+Aggregation name" }
+);
+
+// Output columns KNIME saved with the executed node
+const medianOutputSpec = schema([
+  ["region", "string"],
+  ["2023+Median(sales)", "double"],
+  ["2023+Variance(sales)", "double"],
+]);
+
+test("Pivoting computes Median per pivot value with window functions", () => {
+  const sql = convertPivotNodeToSQL(
+    medianPivoting,
+    "node_1",
+    schema([
+      ["region", "string"],
+      ["year", "integer"],
+      ["sales", "double"],
+    ]),
+    medianOutputSpec,
+    "sqlite"
+  );
+  assert.ok(
+    sql.startsWith(
+      "-- Not converted (unsupported in SQLite): 2023+Variance(sales)\n"
+    )
+  );
+  assert.ok(
+    sql.includes(
+      'COUNT(CASE WHEN "year" = 2023 THEN "sales" END) OVER (PARTITION BY "region") AS "knime_aggregation_0_count"'
+    )
+  );
+  assert.ok(sql.includes('AS "2023+Median(sales)"'));
+  assert.ok(sql.endsWith(') "window_1"\nGROUP BY\n  "region";'));
+});
+
+const pivotSchema = (dialect) =>
+  processWorkflowData(
+    [
+      workflowNode(
+        1,
+        csvReaderConfig(
+          "/data/sales.csv",
+          [
+            ["region", "org.knime.core.data.def.StringCell"],
+            ["year", "org.knime.core.data.def.IntCell"],
+            ["sales", "org.knime.core.data.def.DoubleCell"],
+          ],
+          { has_column_header: true }
+        ),
+        0,
+        [{ destID: 2 }]
+      ),
+      workflowNode(2, medianPivoting, 1, [], { 1: medianOutputSpec }),
+    ],
+    dialect
+  )[1].schema.map(({ name, type }) => [name, type]);
+
+test("Pivoting schema lists only the cells the dialect converts", () => {
+  assert.deepEqual(pivotSchema("sqlite"), [
+    ["region", "string"],
+    ["2023+Median(sales)", "double"],
+  ]);
+  assert.deepEqual(pivotSchema("postgres"), [
+    ["region", "string"],
+    ["2023+Median(sales)", "double"],
+    ["2023+Variance(sales)", "double"],
+  ]);
+});
+
+const unpivoting = nodeConfig(
+  "org.knime.base.node.preproc.unpivot2.Unpivot2NodeFactory",
+  [
+    config("value_columns", {}, [array("included_names", ["q1", "q2"])]),
+    config("retained_columns", {}, [array("included_names", ["region"])]),
+  ],
+  { missing_values: true }
+);
+const unpivotSchema = schema([
+  ["region", "string"],
+  ["q1", "integer"],
+  ["q2", "double"],
+]);
+
+test("Unpivoting expands rows with a lateral VALUES list", () => {
+  assert.equal(
+    convertUnpivotNodeToSQL(unpivoting, "node_1", unpivotSchema, "sqlserver"),
+    "SELECT\n" +
+      "  'Row' + CAST([source].[knime_row_index] AS NVARCHAR(MAX)) AS [RowIDs],\n" +
+      "  [unpivoted].[ColumnNames],\n" +
+      "  [unpivoted].[ColumnValues],\n" +
+      "  [source].[region] AS [region]\n" +
+      "FROM (\n" +
+      "  SELECT [node_1].*, ROW_NUMBER() OVER (ORDER BY (SELECT NULL)) - 1 AS [knime_row_index]\n" +
+      "  FROM [node_1]\n" +
+      ") [source]\n" +
+      "CROSS APPLY (VALUES\n" +
+      "  ('q1', CAST([source].[q1] AS FLOAT)),\n" +
+      "  ('q2', [source].[q2])\n" +
+      ") AS [unpivoted]([ColumnNames], [ColumnValues])\n" +
+      "WHERE [unpivoted].[ColumnValues] IS NOT NULL;"
+  );
+});
+
+test("Unpivoting falls back to UNION ALL without lateral joins", () => {
+  const sql = convertUnpivotNodeToSQL(
+    unpivoting,
+    "node_1",
+    unpivotSchema,
+    "mysql"
+  );
+  const selects = sql.split("\nUNION ALL\n");
+  assert.equal(selects.length, 2);
+  assert.match(selects[0], /'q1' AS `ColumnNames`/);
+  assert.match(selects[1], /`source`.`q2` AS `ColumnValues`/);
+  assert.match(selects[1], /WHERE `source`.`q2` IS NOT NULL;$/);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findInputNodes } from "../src/common/findInputNodes.js";
+import { convertWorkflowToSQL } from "../src/functions/convertWorkflowToSQL.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+// Processed node with connections [destID, sourcePort, destPort]
+const processedNode = (
+  id,
+  settings,
+  order,
+  connections = [],
+  previousNodes = []
+) => ({
+  id,
+  nodeName: `Node ${id}`,
+  config: settings,
+  order,
+  nextNodes: [...new Set(connections.map(([destID]) => destID))],
+  outgoingConnections: connections.map(([destID, sourcePort, destPort]) => ({
+    destID,
+    sourcePort,
+    destPort,
+  })),
+  previousNodes,
+  nodes: [],
+});
+
+const sorter = nodeConfig(
+  "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+  [
+    config("sortingCriteria", {}, [
+      config("0", { sortingOrder: "ASCENDING" }, [
+        config("column", { selected: "id" }),
+      ]),
+    ]),
+  ],
+  { missingToEnd: false }
+);
+
+test("Inputs are ordered by destination port without flow variable ports", () => {
+  const left = processedNode(1, sorter, 1, [[3, 1, 1]]);
+  const right = processedNode(2, sorter, 2, [
+    [3, 0, 0],
+    [3, 1, 2],
+  ]);
+  const inputs = findInputNodes(3, [right, left]);
+  assert.deepEqual(
+    inputs.map(({ node, sourcePort, destPort }) => [
+      node.id,
+      sourcePort,
+      destPort,
+    ]),
+    [
+      [1, 1, 1],
+      [2, 1, 2],
+    ]
+  );
+});
+
+test("Consumers of a second output port read that port's CTE", () => {
+  const splitter = nodeConfig(
+    "org.knime.base.node.preproc.filter.row3.RowSplitterNodeFactory",
+    [
+      config("predicates", {}, [
+        config("0", { operator: "IS_MISSING" }, [
+          config("column", { selected: "id" }),
+          config("predicateValues", {}, [config("values", {}, [config("0")])]),
+        ]),
+      ]),
+    ],
+    { matchCriteria: "AND" }
+  );
+  const [result] = convertWorkflowToSQL([
+    processedNode(1, sorter, 1, [[2, 1, 1]]),
+    processedNode(2, splitter, 2, [[3, 2, 1]], [1]),
+    processedNode(3, sorter, 3, [], [2]),
+  ]);
+  assert.ok(
+    result.sql.includes(
+      '"node_2_port_2" AS (\n  SELECT * FROM "node_1" WHERE NOT ("id" IS NULL)'
+    )
+  );
+  assert.ok(
+    result.sql.includes('"node_3" AS (\n  SELECT *\n  FROM "node_2_port_2"')
+  );
+  assert.ok(!result.sql.includes('"node_2" AS'));
+});
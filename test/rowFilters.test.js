@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertReferenceRowFilterNodeToSQL } from "../src/functions/convertReferenceRowFilterNodeToSQL.js";
+import { convertNominalValueRowFilterNodeToSQL } from "../src/functions/convertNominalValueRowFilterNodeToSQL.js";
+import { array, config, nodeConfig } from "./fixtures.js";
+
+const referenceRowFilter = (inexclude) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.filter.rowref.RowFilterRefNodeFactory",
+    [
+      config("dataTableColumn", { useRowID: false, columnName: "id" }),
+      config("referenceTableColumn", {
+        useRowID: false,
+        columnName: "customer_id",
+      }),
+    ],
+    { inexclude }
+  );
+
+test("Reference Row Filter keeps or drops rows found in the reference table", () => {
+  assert.equal(
+    convertReferenceRowFilterNodeToSQL(
+      referenceRowFilter("Include rows from reference table"),
+      "node_1",
+      "node_2",
+      "mysql"
+    ),
+    "SELECT *\nFROM `node_1`\nWHERE `node_1`.`id` IN (\n" +
+      "  SELECT `reference`.`customer_id`\n  FROM `node_2` `reference`\n)\n" +
+      "  OR (`node_1`.`id` IS NULL AND EXISTS (\n" +
+      "    SELECT 1\n    FROM `node_2` `reference`\n" +
+      "    WHERE `reference`.`customer_id` IS NULL\n  ));"
+  );
+  assert.equal(
+    convertReferenceRowFilterNodeToSQL(
+      referenceRowFilter("Exclude rows from reference table"),
+      "node_1",
+      "node_2",
+      "postgres"
+    ),
+    'SELECT *\nFROM "node_1"\nWHERE NOT EXISTS (\n' +
+      '  SELECT 1\n  FROM "node_2" "reference"\n' +
+      '  WHERE "reference"."customer_id" = "node_1"."id"\n' +
+      '    OR ("reference"."customer_id" IS NULL AND "node_1"."id" IS NULL)\n);'
+  );
+});
+
+const nominalValueRowFilter = (filterEntries, values) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.filter.nominal.NominalValueRowFilterNodeFactory",
+    [
+      config("filter config", filterEntries, [
+        array("included_names", values.included || []),
+        array("excluded_names", values.excluded || []),
+      ]),
+    ],
+    { selected_column: "segment" }
+  );
+
+test("Nominal Value Row Filter keeps the included or all but the excluded values", () => {
+  assert.equal(
+    convertNominalValueRowFilterNodeToSQL(
+      nominalValueRowFilter(
+        { enforce_option: "EnforceInclusion", include_missing: true },
+        { included: ["A", "B's"], excluded: ["C"] }
+      ),
+      "node_1",
+      "postgres"
+    ),
+    "SELECT *\nFROM \"node_1\"\nWHERE \"segment\" IN ('A', 'B''s')\n  OR \"segment\" IS NULL;"
+  );
+  assert.equal(
+    convertNominalValueRowFilterNodeToSQL(
+      nominalValueRowFilter(
+        { enforce_option: "EnforceExclusion", include_missing: false },
+        { included: ["A"], excluded: ["C"] }
+      ),
+      "node_1",
+      "sqlserver"
+    ),
+    "SELECT *\nFROM [node_1]\nWHERE [segment] NOT IN ('C');"
+  );
+  assert.equal(
+    convertNominalValueRowFilterNodeToSQL(
+      nodeConfig(
+        "org.knime.base.node.preproc.filter.nominal.NominalValueRowFilterNodeFactory",
+        [array("selected attributes", [])],
+        { selected_column: "segment" }
+      ),
+      "node_1",
+      "postgres"
+    ),
+    'SELECT *\nFROM "node_1"\nWHERE 1 = 0;'
+  );
+});
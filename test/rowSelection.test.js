@@ -0,0 +1,157 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertTopKSelectorNodeToSQL } from "../src/functions/convertTopKSelectorNodeToSQL.js";
+import { convertRowSamplingNodeToSQL } from "../src/functions/convertRowSamplingNodeToSQL.js";
+import { convertLegacyRowFilterNodeToSQL } from "../src/functions/convertRowFilterNodeToSQL.js";
+import { config, nodeConfig } from "./fixtures.js";
+
+const topK = (entries = {}) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.topk.TopKSelectorNodeFactory",
+    [
+      config("sortingCriteria", {}, [
+        config("0", { sortingOrder: "DESCENDING" }, [
+          config("column", { selected: "revenue" }),
+        ]),
+      ]),
+    ],
+    { k: 3, missingsToEnd: true, ...entries }
+  );
+
+test("Top k Selector limits the sorted rows", () => {
+  assert.equal(
+    convertTopKSelectorNodeToSQL(topK(), "node_1", [], "postgres"),
+    'SELECT *\nFROM "node_1"\nORDER BY\n  "revenue" DESC NULLS LAST\nLIMIT 3;'
+  );
+  assert.equal(
+    convertTopKSelectorNodeToSQL(topK(), "node_1", [], "sqlserver"),
+    "SELECT TOP (3) *\nFROM [node_1]\nORDER BY\n  CASE WHEN [revenue] IS NULL THEN 1 ELSE 0 END, [revenue] DESC;"
+  );
+});
+
+test("Top k Selector ranks rows to keep the input order", () => {
+  const settings = topK({ rowOrder: "INPUT_ORDER" });
+  assert.equal(
+    convertTopKSelectorNodeToSQL(
+      settings,
+      "node_1",
+      ["id", "revenue"],
+      "postgres"
+    ),
+    'SELECT\n  "id",\n  "revenue"\nFROM (\n' +
+      '  SELECT "node_1".*,\n' +
+      '    ROW_NUMBER() OVER () - 1 AS "knime_row_index",\n' +
+      '    ROW_NUMBER() OVER (ORDER BY "revenue" DESC NULLS LAST) AS "knime_rank"\n' +
+      '  FROM "node_1"\n) "source"\n' +
+      'WHERE "knime_rank" <= 3\nORDER BY\n  "knime_row_index";'
+  );
+  // SQL Server allows ORDER BY in a CTE only with TOP or OFFSET
+  assert.match(
+    convertTopKSelectorNodeToSQL(
+      settings,
+      "node_1",
+      ["id", "revenue"],
+      "sqlserver"
+    ),
+    /\nORDER BY\n {2}\[knime_row_index\]\nOFFSET 0 ROWS;$/
+  );
+  assert.match(
+    convertTopKSelectorNodeToSQL(settings, "node_1", [], "postgres"),
+    /^Error: Cannot rank the rows/
+  );
+});
+
+const sampling = (entries) =>
+  nodeConfig("org.knime.base.node.preproc.sample.SamplingNodeFactory", [], {
+    method: "Absolute",
+    count: 10,
+    ...entries,
+  });
+
+test("Row Sampling takes the first, random or stratified rows", () => {
+  assert.equal(
+    convertRowSamplingNodeToSQL(
+      sampling({ samplingMethod: "First" }),
+      "node_1",
+      [],
+      "sqlserver"
+    ),
+    "SELECT TOP (10) *\nFROM [node_1];"
+  );
+  assert.equal(
+    convertRowSamplingNodeToSQL(
+      sampling({ samplingMethod: "Random", random_seed: "42" }),
+      "node_1",
+      [],
+      "mysql"
+    ),
+    "SELECT *\nFROM `node_1`\nORDER BY\n  RAND(42)\nLIMIT 10;"
+  );
+  assert.match(
+    convertRowSamplingNodeToSQL(
+      sampling({ samplingMethod: "Random", random_seed: "42" }),
+      "node_1",
+      [],
+      "postgres"
+    ),
+    /^-- PostgreSQL cannot seed random numbers in a query/
+  );
+  assert.equal(
+    convertRowSamplingNodeToSQL(
+      sampling({
+        method: "Relative",
+        fraction: 0.1,
+        samplingMethod: "Stratified",
+        class_column: "segment",
+      }),
+      "node_1",
+      ["id", "segment"],
+      "postgres"
+    ),
+    'SELECT\n  "id",\n  "segment"\nFROM (\n' +
+      '  SELECT "node_1".*,\n' +
+      '    ROW_NUMBER() OVER (PARTITION BY "segment" ORDER BY RANDOM()) AS "knime_sample_rank",\n' +
+      '    COUNT(*) OVER (PARTITION BY "segment") AS "knime_group_size"\n' +
+      '  FROM "node_1"\n) "source"\n' +
+      'WHERE "knime_sample_rank" <= ROUND("knime_group_size" * 0.1);'
+  );
+});
+
+test("Legacy Row Filter keeps or drops a row number range", () => {
+  const rowRange = (entries) =>
+    nodeConfig("org.knime.base.node.preproc.filter.row.RowFilterNodeFactory", [
+      config("rowFilter", {
+        RowFilter_TypeID: "RowNumber_RowFilter",
+        RowRangeStart: 10,
+        RowRangeEnd: 19,
+        ...entries,
+      }),
+    ]);
+  assert.equal(
+    convertLegacyRowFilterNodeToSQL(
+      rowRange({ RowRangeInclude: true }),
+      "node_1",
+      [],
+      "sqlserver"
+    ),
+    "SELECT *\nFROM [node_1]\nORDER BY\n  (SELECT NULL)\nOFFSET 10 ROWS\nFETCH NEXT 10 ROWS ONLY;"
+  );
+  assert.equal(
+    convertLegacyRowFilterNodeToSQL(
+      rowRange({ RowRangeInclude: true, RowRangeTillEOT: true }),
+      "node_1",
+      [],
+      "mysql"
+    ),
+    "SELECT *\nFROM `node_1`\nLIMIT 18446744073709551615\nOFFSET 10;"
+  );
+  assert.match(
+    convertLegacyRowFilterNodeToSQL(
+      rowRange({ RowRangeInclude: false }),
+      "node_1",
+      ["id"],
+      "postgres"
+    ),
+    /\nWHERE "knime_row_index" < 10 OR "knime_row_index" > 19;$/
+  );
+});
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertRuleEngineNodeToSQL } from "../src/functions/convertRuleEngineNodeToSQL.js";
+import { array, nodeConfig } from "./fixtures.js";
+
+// Rule Engine appending "out" to a table with columns a, b and c
+const convertRules = (rules, dialect = "postgres") =>
+  convertRuleEngineNodeToSQL(
+    nodeConfig(
+      "org.knime.base.node.rules.engine.RuleEngineNodeFactory",
+      [array("rules", rules)],
+      { "append-column": true, "new-column-name": "out" }
+    ),
+    "node_1",
+    ["a", "b", "c"],
+    dialect
+  );
+
+test("Rule Engine binds NOT before AND before XOR before OR", () => {
+  const sql = convertRules([
+    '$a$ > 1 OR $b$ = 2 AND NOT $c$ = 3 => "x"',
+    '($a$ > 1 OR $b$ = 2) AND $c$ = 3 => "y"',
+    '$a$ = 1 XOR $b$ = 2 OR $c$ = 3 => "z"',
+    "// comment",
+    'TRUE => "w"',
+    '$a$ = 9 => "never"',
+  ]);
+  assert.equal(
+    sql,
+    [
+      "SELECT",
+      '  "a",',
+      '  "b",',
+      '  "c",',
+      "  CASE",
+      `    WHEN "a" > 1 OR ("b" = 2 AND NOT ("c" = 3)) THEN 'x'`,
+      `    WHEN (("a" > 1 OR "b" = 2)) AND "c" = 3 THEN 'y'`,
+      `    WHEN ((("a" = 1) AND NOT ("b" = 2)) OR (NOT ("a" = 1) AND ("b" = 2))) OR "c" = 3 THEN 'z'`,
+      "    ELSE 'w'",
+      '  END AS "out"',
+      'FROM "node_1";',
+    ].join("\n")
+  );
+});
+
+test("Rule Engine translates LIKE wildcards, IN, MISSING and boolean outcomes", () => {
+  const sql = convertRules(
+    ['$a$ LIKE "5*_?" => TRUE', "$b$ IN (1, -2) AND MISSING $c$ => FALSE"],
+    "sqlserver"
+  );
+  assert.ok(sql.includes("WHEN [a] LIKE '5%\\__' ESCAPE '\\' THEN 1\n"));
+  assert.ok(sql.includes("WHEN [b] IN (1, -2) AND [c] IS NULL THEN 0\n  END"));
+});
+
+test("Rule Engine reports the rule it cannot parse", () => {
+  assert.equal(
+    convertRules(['$a$ = 1 => "x"', '$a$ > => "y"']),
+    'Error: Rule 2 ("$a$ > => "y""): unexpected "=>".'
+  );
+});
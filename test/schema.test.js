@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { processWorkflowData } from "../src/functions/processWorkflowData.js";
+import { getColumnNodes } from "../src/functions/getColumnNodes.js";
+import { findColumnType, widenType } from "../src/common/knimeTypes.js";
+import { array, config, entry, nodeConfig } from "./fixtures.js";
+
+// Raw node as readWorkflowArchive builds it; `columns` are [name, type] pairs
+// the node's config defines (a reader's spec)
+const rawNode = (id, settings, order, connections = [], columns = null) => {
+  const analysis = getColumnNodes(settings) || {};
+  return {
+    id,
+    nodeName: `Node ${id}`,
+    nodeType: settings.entry[0]._attributes.value,
+    config: settings,
+    order,
+    nextNodes: connections.map(([destID]) => destID),
+    outgoingConnections: connections.map(([destID, destPort]) => ({
+      sourcePort: 1,
+      destID,
+      destPort,
+    })),
+    initialOutputColumns: columns
+      ? columns.map(([name]) => name)
+      : analysis.finalColumns || [],
+    addedColumns: analysis.addedColumns || [],
+    removedColumns: analysis.removedColumns || [],
+    columnTypes: columns
+      ? Object.fromEntries(columns)
+      : analysis.columnTypes || {},
+  };
+};
+
+const source = nodeConfig("org.example.SourceNodeFactory");
+const concatenate = nodeConfig(
+  "org.knime.base.node.preproc.append.row.AppendedRowsNodeFactory"
+);
+const groupBy = nodeConfig(
+  "org.knime.base.node.preproc.groupby.GroupByNodeFactory",
+  [
+    config("grouByColumns", {}, [array("InclList", ["region"])]),
+    config("aggregationColumn", {}, [
+      array("columnNames", ["amount", "id", "amount"]),
+      array("aggregationMethod", ["Sum", "Count", "Maximum"]),
+    ]),
+  ],
+  { columnNamePolicy: "Aggregation method (column name)" }
+);
+
+test("Schemas widen across Concatenate and follow GroupBy aggregations", () => {
+  const processed = processWorkflowData(
+    [
+      rawNode(
+        1,
+        source,
+        1,
+        [[3, 1]],
+        [
+          ["region", "string"],
+          ["id", "integer"],
+          ["amount", "integer"],
+        ]
+      ),
+      rawNode(
+        2,
+        source,
+        2,
+        [[3, 2]],
+        [
+          ["region", "string"],
+          ["id", "long"],
+          ["amount", "long"],
+        ]
+      ),
+      rawNode(3, concatenate, 3, [[4, 1]]),
+      rawNode(4, groupBy, 4),
+    ],
+    "postgres"
+  );
+  const typesOf = (node) =>
+    node.schema.map((column) => [column.name, column.type, column.sqlType]);
+  assert.deepEqual(typesOf(processed[2]), [
+    ["region", "string", "TEXT"],
+    ["id", "long", "BIGINT"],
+    ["amount", "long", "BIGINT"],
+  ]);
+  assert.deepEqual(typesOf(processed[3]), [
+    ["region", "string", "TEXT"],
+    ["Sum(amount)", "long", "BIGINT"],
+    ["Count(id)", "integer", "INTEGER"],
+    ["Maximum(amount)", "long", "BIGINT"],
+  ]);
+  assert.equal(processed[3].schema[2].knimeType, "Number (integer)");
+});
+
+test("Column types are read from type settings only", () => {
+  assert.equal(
+    findColumnType(
+      config("column", { name: "Integer" }, [
+        config("type", { cell_class: "org.knime.core.data.def.DoubleCell" }),
+      ])
+    ),
+    "double"
+  );
+  assert.equal(findColumnType(config("column", { name: "Integer" })), null);
+  assert.equal(
+    findColumnType({
+      _attributes: { key: "column" },
+      entry: [entry("java_class", "java.time.LocalDateTime")],
+    }),
+    "dateTime"
+  );
+  assert.equal(widenType("integer", "double"), "double");
+  assert.equal(widenType("date", "integer"), "string");
+  assert.equal(widenType(null, "boolean"), "boolean");
+});
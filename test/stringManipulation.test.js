@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertStringManipulationNodeToSQL } from "../src/functions/convertStringManipulationNodeToSQL.js";
+import { applyFunctionTemplate } from "../src/common/applyFunctionTemplate.js";
+import { nodeConfig } from "./fixtures.js";
+
+// String Manipulation appending "r" to a table with a string column "first"
+// and an integer column "qty"
+const manipulate = (expression, dialect = "postgres") =>
+  convertStringManipulationNodeToSQL(
+    nodeConfig(
+      "org.knime.base.node.preproc.stringmanipulation.StringManipulationNodeFactory",
+      [],
+      { expression, replaced_column: "r", append_column: true }
+    ),
+    "node_1",
+    ["first", "qty"],
+    [
+      { name: "first", type: "string" },
+      { name: "qty", type: "integer" },
+    ],
+    dialect
+  );
+
+// The expression of the "r" column
+const expressionOf = (sql) => /^ {2}(.*) AS \S+\nFROM /m.exec(sql)?.[1];
+
+test("String Manipulation joins strings with the dialect's concatenation", () => {
+  const expression = 'join(upperCase($first$), ": ", $qty$)';
+  assert.equal(
+    expressionOf(manipulate(expression)),
+    `UPPER("first") || ': ' || CAST("qty" AS TEXT)`
+  );
+  assert.equal(
+    expressionOf(manipulate(expression, "sqlserver")),
+    "UPPER([first]) + ': ' + CAST([qty] AS NVARCHAR(MAX))"
+  );
+  assert.equal(
+    expressionOf(manipulate(expression, "mysql")),
+    "CONCAT(UPPER(`first`), ': ', CAST(`qty` AS CHAR))"
+  );
+});
+
+test("String Manipulation converts 0-based positions to 1-based ones", () => {
+  assert.equal(
+    expressionOf(manipulate("substr($first$, 1, 3)", "sqlserver")),
+    "SUBSTRING([first], 2, 3)"
+  );
+  assert.equal(
+    expressionOf(manipulate('indexOf($first$, "a")')),
+    `(POSITION('a' IN "first") - 1)`
+  );
+});
+
+test("String Manipulation translates regexReplace group references", () => {
+  const expression = 'regexReplace($first$, "(\\\\d+)-x", "$1")';
+  assert.equal(
+    expressionOf(manipulate(expression)),
+    `REGEXP_REPLACE("first", '(\\d+)-x', '\\1', 'g')`
+  );
+  assert.equal(
+    expressionOf(manipulate(expression, "snowflake")),
+    `REGEXP_REPLACE("first", '(\\\\d+)-x', '\\\\1')`
+  );
+});
+
+test("String Manipulation leaves a NULL column for what SQL cannot express", () => {
+  assert.equal(
+    manipulate("capitalize($first$)"),
+    [
+      '-- MANUAL STEP: String Manipulation not converted (capitalize() has no SQL translation); "r" is NULL. Expression:',
+      "--   capitalize($first$)",
+      "SELECT",
+      '  "first",',
+      '  "qty",',
+      '  CAST(NULL AS TEXT) AS "r"',
+      'FROM "node_1";',
+    ].join("\n")
+  );
+  assert.equal(
+    manipulate("join($first$"),
+    'Error: Expression "join($first$": unexpected end of expression.'
+  );
+});
+
+test("Function templates insert arguments literally", () => {
+  assert.equal(
+    applyFunctionTemplate("LPAD({0}, {1}, {2})", ['"name"', "5", "'0'"]),
+    `LPAD("name", 5, '0')`
+  );
+  assert.equal(
+    applyFunctionTemplate("CONCAT({*})", ["'$&'", "'$1$$'"]),
+    "CONCAT('$&', '$1$$')"
+  );
+  assert.equal(
+    applyFunctionTemplate("REPLACE({0}, {1}, {2})", ["x", "'{1}'", "'$&'"]),
+    "REPLACE(x, '{1}', '$&')"
+  );
+});
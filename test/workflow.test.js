@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { convertWorkflowToSQL } from "../src/functions/convertWorkflowToSQL.js";
+import { config, entry, nodeConfig } from "./fixtures.js";
+
+const sorter = (column) =>
+  nodeConfig(
+    "org.knime.base.node.preproc.sorter.SorterNodeFactory",
+    [
+      config("sortingCriteria", {}, [
+        config("0", { sortingOrder: "DESCENDING" }, [
+          config("column", { selected: column }),
+        ]),
+      ]),
+    ],
+    { missingToEnd: true }
+  );
+
+// Processed node as the viewer builds it
+const processedNode = (
+  id,
+  nodeConfig,
+  order,
+  nextNodes = [],
+  previousNodes = []
+) => ({
+  id,
+  nodeName: `Node ${id}`,
+  config: nodeConfig,
+  order,
+  nextNodes,
+  previousNodes,
+  nodes: [],
+});
+
+test("Workflow query chains the nodes leading to a sink as CTEs", () => {
+  const source = {
+    _attributes: { key: "settings.xml" },
+    entry: [entry("factory", "org.example.SourceNodeFactory")],
+  };
+  const [result] = convertWorkflowToSQL([
+    processedNode(1, source, 1, [2]),
+    processedNode(2, sorter("score"), 2, [], [1]),
+  ]);
+  assert.equal(result.nodeId, 2);
+  assert.deepEqual(result.unconvertedNodeIds, [1]);
+  assert.match(
+    result.sql,
+    /^-- Workflow output: "Node 2" \(Node 2\)\nWITH\n"node_1" AS \(\n  -- Node 1 \("Node 1"\) could not be converted: .*\n  SELECT \* FROM "Node 1"\n\),\n"node_2" AS \(\n  SELECT \*\n  FROM "node_1"\n  ORDER BY\n    "score" DESC NULLS LAST\n\)\nSELECT \* FROM "node_2";$/
+  );
+});
+
+test("Workflow query has one statement per sink sharing the upstream CTEs", () => {
+  const results = convertWorkflowToSQL([
+    processedNode(1, sorter("a"), 1, [2, 3]),
+    processedNode(2, sorter("b"), 2, [], [1]),
+    processedNode(3, sorter("c"), 3, [], [1]),
+  ]);
+  assert.deepEqual(
+    results.map((result) => result.nodeId),
+    [2, 3]
+  );
+  results.forEach((result) => {
+    assert.ok(result.sql.includes('"node_1" AS (\n'));
+    assert.ok(!result.sql.includes(result.nodeId === 2 ? "node_3" : "node_2"));
+  });
+});
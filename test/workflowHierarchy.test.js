@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseWorkflowHierarchy } from "../src/functions/parseWorkflowHierarchy.js";
+import { entry, nodeConfig, workflowKnime } from "./fixtures.js";
+
+const settings = (factory) => ({ config: nodeConfig(factory) });
+
+// Reads the archive files from a path -> JSON map
+const archive = (files) => async (path) => files[path] || null;
+
+const connectionsOf = (result) =>
+  result.connections.map(
+    (conn) =>
+      `${conn.sourceID}:${conn.sourcePort}->${conn.destID}:${conn.destPort}`
+  );
+
+test("Nodes inside metanodes get composite IDs and rewired connections", async () => {
+  const result = await parseWorkflowHierarchy(
+    "wf/workflow.knime",
+    archive({
+      "wf/workflow.knime": workflowKnime(
+        [
+          [1, "Reader (#1)/settings.xml", "NativeNode"],
+          [2, "Metanode (#2)/workflow.knime", "MetaNode"],
+          [3, "Sorter (#3)/settings.xml", "NativeNode"],
+        ],
+        [
+          [1, 1, 2, 0],
+          [2, 0, 3, 1],
+        ]
+      ),
+      "wf/Reader (#1)/settings.xml": settings("org.example.ReaderNodeFactory"),
+      "wf/Sorter (#3)/settings.xml": settings("org.example.SorterNodeFactory"),
+      "wf/Metanode (#2)/workflow.knime": workflowKnime(
+        [[1, "Filter (#1)/settings.xml", "NativeNode"]],
+        [
+          [-1, 0, 1, 1],
+          [1, 1, -1, 0],
+        ]
+      ),
+      "wf/Metanode (#2)/Filter (#1)/settings.xml": settings(
+        "org.example.FilterNodeFactory"
+      ),
+    })
+  );
+  assert.deepEqual(
+    result.nodes.map((node) => [node.id, node.parentId, node.order]),
+    [
+      ["1", null, 0],
+      ["2:1", "2", 1],
+      ["3", null, 2],
+    ]
+  );
+  assert.deepEqual(connectionsOf(result).sort(), ["1:1->2:1:1", "2:1:1->3:1"]);
+  assert.equal(result.containers["2"].kind, "metanode");
+  assert.equal(result.containers["2"].name, "Metanode");
+});
+
+test("Component input and output nodes are dropped", async () => {
+  const result = await parseWorkflowHierarchy(
+    "wf/workflow.knime",
+    archive({
+      "wf/workflow.knime": workflowKnime(
+        [
+          [1, "Reader (#1)/settings.xml", "NativeNode"],
+          [4, "Cleanup (#4)/settings.xml", "SubNode"],
+        ],
+        [[1, 1, 4, 1]]
+      ),
+      "wf/Reader (#1)/settings.xml": settings("org.example.ReaderNodeFactory"),
+      "wf/Cleanup (#4)/settings.xml": {
+        config: {
+          _attributes: { key: "settings.xml" },
+          entry: [entry("name", "Clean up")],
+        },
+      },
+      "wf/Cleanup (#4)/workflow.knime": workflowKnime(
+        [
+          [7, "Component Input (#7)/settings.xml", "NativeNode"],
+          [8, "Filter (#8)/settings.xml", "NativeNode"],
+          [9, "Component Output (#9)/settings.xml", "NativeNode"],
+        ],
+        [
+          [7, 1, 8, 1],
+          [8, 1, 9, 1],
+        ]
+      ),
+      "wf/Cleanup (#4)/Component Input (#7)/settings.xml": settings(
+        "org.knime.core.node.workflow.virtual.subnode.VirtualSubNodeInputNodeFactory"
+      ),
+      "wf/Cleanup (#4)/Filter (#8)/settings.xml": settings(
+        "org.example.FilterNodeFactory"
+      ),
+      "wf/Cleanup (#4)/Component Output (#9)/settings.xml": settings(
+        "org.knime.core.node.workflow.virtual.subnode.VirtualSubNodeOutputNodeFactory"
+      ),
+    })
+  );
+  assert.deepEqual(
+    result.nodes.map((node) => node.id),
+    ["1", "4:8"]
+  );
+  assert.deepEqual(connectionsOf(result), ["1:1->4:8:1"]);
+  assert.equal(result.containers["4"].kind, "component");
+  assert.equal(result.containers["4"].name, "Clean up");
+  assert.deepEqual(result.containers["4"].outputs, {
+    1: { id: "4:8", port: 1 },
+  });
+});